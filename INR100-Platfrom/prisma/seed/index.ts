@@ -204,6 +204,69 @@ async function main() {
     }),
   ]);
 
+  // Create curated investment themes
+  const themes = [
+    {
+      name: 'India Bluechips',
+      description: 'Market leaders across energy, IT and banking',
+      category: 'EQUITY' as const,
+      items: [
+        { assetId: assets[0].id, weight: 0.4 }, // RELIANCE
+        { assetId: assets[1].id, weight: 0.3 }, // TCS
+        { assetId: assets[2].id, weight: 0.3 }, // HDFCBANK
+      ],
+    },
+    {
+      name: 'Global Tech',
+      description: 'US technology giants',
+      category: 'INTERNATIONAL' as const,
+      items: [
+        { assetId: assets[6].id, weight: 0.5 }, // AAPL
+        { assetId: assets[7].id, weight: 0.5 }, // GOOGL
+      ],
+    },
+    {
+      name: 'All Weather',
+      description: 'Indian equities balanced with digital gold',
+      category: 'THEME' as const,
+      items: [
+        { assetId: assets[0].id, weight: 0.35 }, // RELIANCE
+        { assetId: assets[2].id, weight: 0.35 }, // HDFCBANK
+        { assetId: assets[5].id, weight: 0.3 }, // GOLD
+      ],
+    },
+  ];
+
+  for (const theme of themes) {
+    await prisma.basket.create({
+      data: {
+        ...theme,
+        isCurated: true,
+        items: { create: theme.items },
+      },
+    });
+  }
+
+  // Create NSE holiday calendar (2025 trading holidays and Muhurat session)
+  await prisma.marketHoliday.createMany({
+    data: [
+      { exchange: 'NSE', date: '2025-02-26', name: 'Mahashivratri' },
+      { exchange: 'NSE', date: '2025-03-14', name: 'Holi' },
+      { exchange: 'NSE', date: '2025-03-31', name: 'Id-Ul-Fitr (Ramadan Eid)' },
+      { exchange: 'NSE', date: '2025-04-10', name: 'Shri Mahavir Jayanti' },
+      { exchange: 'NSE', date: '2025-04-14', name: 'Dr. Baba Saheb Ambedkar Jayanti' },
+      { exchange: 'NSE', date: '2025-04-18', name: 'Good Friday' },
+      { exchange: 'NSE', date: '2025-05-01', name: 'Maharashtra Day' },
+      { exchange: 'NSE', date: '2025-08-15', name: 'Independence Day' },
+      { exchange: 'NSE', date: '2025-08-27', name: 'Ganesh Chaturthi' },
+      { exchange: 'NSE', date: '2025-10-02', name: 'Mahatma Gandhi Jayanti / Dussehra' },
+      { exchange: 'NSE', date: '2025-10-21', name: 'Diwali Laxmi Pujan (Muhurat Trading)', openTime: '13:45', closeTime: '14:45' },
+      { exchange: 'NSE', date: '2025-10-22', name: 'Diwali Balipratipada' },
+      { exchange: 'NSE', date: '2025-11-05', name: 'Prakash Gurpurb Sri Guru Nanak Dev' },
+      { exchange: 'NSE', date: '2025-12-25', name: 'Christmas' },
+    ],
+  });
+
   // Create demo portfolios
   const demoPortfolio = await prisma.portfolio.create({
     data: {
@@ -0,0 +1,77 @@
+import { NextRequest, NextResponse } from "next/server";
+import { db } from "@/lib/db";
+import { BasketError } from "@/lib/baskets/baskets";
+import { BasketOrderRequest, formatBasketOrder, placeBasketOrder } from "@/lib/baskets/orders";
+
+export async function POST(request: NextRequest) {
+  try {
+    const body: BasketOrderRequest = await request.json();
+    const idempotencyKey = request.headers.get("Idempotency-Key");
+
+    const { basketOrder, replayed } = await placeBasketOrder(body, { idempotencyKey });
+    const failed = basketOrder.status === "ROLLED_BACK" || basketOrder.status === "FAILED";
+
+    return NextResponse.json(
+      {
+        message: replayed
+          ? "Basket order already processed"
+          : failed
+            ? "Basket order could not be placed"
+            : "Basket order placed successfully",
+        basketOrder,
+      },
+      { status: failed ? 422 : 200 }
+    );
+
+  } catch (error) {
+    if (error instanceof BasketError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Place basket order error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const basketOrders = await db.basketOrder.findMany({
+      where: { userId },
+      include: {
+        orders: true,
+        basket: {
+          select: { id: true, name: true, isCurated: true },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+      take: 50,
+    });
+
+    return NextResponse.json({
+      basketOrders: basketOrders.map(basketOrder => formatBasketOrder(basketOrder)),
+    });
+
+  } catch (error) {
+    console.error("Get basket orders error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,117 @@
+import { NextRequest, NextResponse } from "next/server";
+import { AssetCategory } from "@prisma/client";
+import { db } from "@/lib/db";
+import { BasketError, BasketRequest, createBasket, deleteBasket } from "@/lib/baskets/baskets";
+
+export async function POST(request: NextRequest) {
+  try {
+    const body: BasketRequest = await request.json();
+
+    const basket = await createBasket(body);
+
+    return NextResponse.json({
+      message: "Basket created successfully",
+      basket,
+    });
+
+  } catch (error) {
+    if (error instanceof BasketError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Create basket error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Curated themes plus the user's own baskets
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const category = searchParams.get("category") as AssetCategory | null;
+
+    const baskets = await db.basket.findMany({
+      where: {
+        isActive: true,
+        OR: [
+          { isCurated: true },
+          ...(userId ? [{ userId }] : []),
+        ],
+        ...(category && { category }),
+      },
+      include: {
+        items: {
+          include: {
+            asset: {
+              select: {
+                id: true,
+                symbol: true,
+                name: true,
+                type: true,
+                category: true,
+                currentPrice: true,
+                changePercent: true,
+              },
+            },
+          },
+          orderBy: { weight: "desc" },
+        },
+      },
+      orderBy: [{ isCurated: "desc" }, { createdAt: "desc" }],
+    });
+
+    return NextResponse.json({
+      themes: baskets.filter(basket => basket.isCurated),
+      baskets: baskets.filter(basket => !basket.isCurated),
+    });
+
+  } catch (error) {
+    console.error("Get baskets error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const basketId = searchParams.get("basketId");
+
+    if (!userId || !basketId) {
+      return NextResponse.json(
+        { error: "User ID and basket ID are required" },
+        { status: 400 }
+      );
+    }
+
+    await deleteBasket(userId, basketId);
+
+    return NextResponse.json({
+      message: "Basket deleted successfully",
+    });
+
+  } catch (error) {
+    if (error instanceof BasketError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Delete basket error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,120 @@
+import { NextRequest, NextResponse } from "next/server";
+import { CopyTradingError } from "@/lib/copy-trading/models";
+import {
+  getCopiedPortfolio,
+  getCopiedPortfolios,
+  startCopying,
+  updateCopiedPortfolio,
+} from "@/lib/copy-trading/copying";
+
+// The user's copied portfolios with their performance against the originals;
+// with copiedPortfolioId, one copy and its mirroring history
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const copiedPortfolioId = searchParams.get("copiedPortfolioId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (copiedPortfolioId) {
+      return NextResponse.json(await getCopiedPortfolio(userId, copiedPortfolioId));
+    }
+
+    return NextResponse.json({ copiedPortfolios: await getCopiedPortfolios(userId) });
+
+  } catch (error) {
+    if (error instanceof CopyTradingError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Get copied portfolios error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Start copying a public portfolio with part of the wallet
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, portfolioId, allocatedCapital, copyDelayMinutes, minOrderAmount } = await request.json();
+
+    if (!userId || !portfolioId) {
+      return NextResponse.json(
+        { error: "User ID and portfolio ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const copiedPortfolio = await startCopying(userId, portfolioId, { allocatedCapital, copyDelayMinutes, minOrderAmount });
+
+    return NextResponse.json({
+      message: "Portfolio copied successfully",
+      copiedPortfolio,
+    });
+
+  } catch (error) {
+    if (error instanceof CopyTradingError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Copy portfolio error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Pause, resume or stop copying, or UPDATE the allocated capital, copy delay
+// and minimum order amount
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, copiedPortfolioId, action, allocatedCapital, copyDelayMinutes, minOrderAmount } = await request.json();
+
+    if (!userId || !copiedPortfolioId || !action) {
+      return NextResponse.json(
+        { error: "User ID, copied portfolio ID and action are required" },
+        { status: 400 }
+      );
+    }
+
+    const copiedPortfolio = await updateCopiedPortfolio(userId, copiedPortfolioId, action, {
+      allocatedCapital,
+      copyDelayMinutes,
+      minOrderAmount,
+    });
+
+    return NextResponse.json({
+      message: "Copied portfolio updated successfully",
+      copiedPortfolio,
+    });
+
+  } catch (error) {
+    if (error instanceof CopyTradingError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Update copied portfolio error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,48 @@
+import { NextRequest, NextResponse } from "next/server";
+import { db } from "@/lib/db";
+
+// Audit trail of every holding change and cash entitlement from corporate actions
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const assetId = searchParams.get("assetId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const adjustments = await db.corporateActionAdjustment.findMany({
+      where: {
+        userId,
+        ...(assetId && { assetId }),
+      },
+      include: {
+        corporateAction: {
+          include: {
+            asset: { select: { id: true, symbol: true, name: true } },
+            targetAsset: { select: { id: true, symbol: true, name: true } },
+          },
+        },
+      },
+      orderBy: { createdAt: "desc" },
+    });
+
+    return NextResponse.json({
+      adjustments: adjustments.map(adjustment => ({
+        ...adjustment,
+        cashStatus: adjustment.cashAmount > 0 ? (adjustment.creditedAt ? "CREDITED" : "PENDING") : null,
+      })),
+    });
+
+  } catch (error) {
+    console.error("Corporate action adjustments fetch error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
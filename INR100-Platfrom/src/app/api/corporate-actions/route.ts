@@ -0,0 +1,112 @@
+import { NextRequest, NextResponse } from "next/server";
+import { CorporateActionStatus } from "@prisma/client";
+import { db } from "@/lib/db";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import {
+  CorporateActionError,
+  cancelCorporateAction,
+  createCorporateAction,
+} from "@/lib/corporate-actions";
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const assetId = searchParams.get("assetId");
+    const status = searchParams.get("status");
+
+    const corporateActions = await db.corporateAction.findMany({
+      where: {
+        ...(assetId && { assetId }),
+        ...(status && { status: status as CorporateActionStatus }),
+      },
+      include: {
+        asset: { select: { id: true, symbol: true, name: true } },
+        targetAsset: { select: { id: true, symbol: true, name: true } },
+      },
+      orderBy: { exDate: "desc" },
+    });
+
+    return NextResponse.json({ corporateActions });
+
+  } catch (error) {
+    console.error("Corporate actions fetch error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Announcements are entered by operations, so they use the job secret
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const body = await request.json();
+    const corporateAction = await createCorporateAction(body);
+
+    return NextResponse.json({
+      success: true,
+      corporateAction,
+    });
+
+  } catch (error) {
+    if (error instanceof CorporateActionError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    console.error("Corporate action creation error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const id = searchParams.get("id");
+
+    if (!id) {
+      return NextResponse.json(
+        { error: "Corporate action ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const corporateAction = await cancelCorporateAction(id);
+
+    return NextResponse.json({
+      success: true,
+      corporateAction,
+    });
+
+  } catch (error) {
+    if (error instanceof CorporateActionError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+    console.error("Corporate action cancellation error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { db } from "@/lib/db";
+import { DEFAULT_FEE_SCHEDULE, getFeeSchedule } from "@/lib/fees";
+
+// Fee schedule versions, including upcoming ones, so fee changes are
+// published before they take effect
+export async function GET() {
+  try {
+    const [activeSchedule, schedules] = await Promise.all([
+      getFeeSchedule(),
+      db.feeSchedule.findMany({
+        orderBy: { effectiveFrom: "desc" },
+      }),
+    ]);
+    const now = new Date();
+
+    return NextResponse.json({
+      activeVersion: activeSchedule.version,
+      schedules: schedules.length > 0
+        ? schedules.map(schedule => ({
+            version: schedule.version,
+            description: schedule.description,
+            effectiveFrom: schedule.effectiveFrom,
+            status: schedule.version === activeSchedule.version
+              ? "ACTIVE"
+              : schedule.effectiveFrom > now ? "UPCOMING" : "SUPERSEDED",
+            config: JSON.parse(schedule.config),
+          }))
+        : [{ ...DEFAULT_FEE_SCHEDULE, description: "Default schedule", status: "ACTIVE" }],
+    });
+
+  } catch (error) {
+    console.error("Get fee schedules error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
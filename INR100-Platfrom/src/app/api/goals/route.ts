@@ -0,0 +1,147 @@
+import { NextRequest, NextResponse } from "next/server";
+import { GoalError } from "@/lib/goals/planning";
+import { GoalRequest, cancelGoal, createGoal, getGoal, getGoals, updateGoal } from "@/lib/goals/goals";
+import { AllocationError } from "@/lib/managed-portfolios/models";
+
+// The user's goals with their progress and projections; with goalId, one
+// goal and its tracked history
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const goalId = searchParams.get("goalId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (goalId) {
+      return NextResponse.json({ goal: await getGoal(userId, goalId) });
+    }
+
+    return NextResponse.json({ goals: await getGoals(userId) });
+
+  } catch (error) {
+    if (error instanceof GoalError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Get goals error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, ...body }: GoalRequest & { userId: string } = await request.json();
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const goal = await createGoal(userId, body);
+
+    return NextResponse.json({
+      message: "Goal created successfully",
+      goal,
+    });
+
+  } catch (error) {
+    if (error instanceof GoalError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Create goal error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Change the target, allocation or linked portfolio, or the SIPs saving
+// towards the goal
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, goalId, ...body }: GoalRequest & { userId: string; goalId: string } = await request.json();
+
+    if (!userId || !goalId) {
+      return NextResponse.json(
+        { error: "User ID and goal ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const goal = await updateGoal(userId, goalId, body);
+
+    return NextResponse.json({
+      message: "Goal updated successfully",
+      goal,
+    });
+
+  } catch (error) {
+    if (error instanceof GoalError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Update goal error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Cancel a goal; its SIPs keep running
+export async function DELETE(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const goalId = searchParams.get("goalId");
+
+    if (!userId || !goalId) {
+      return NextResponse.json(
+        { error: "User ID and goal ID are required" },
+        { status: 400 }
+      );
+    }
+
+    await cancelGoal(userId, goalId);
+
+    return NextResponse.json({
+      message: "Goal cancelled successfully",
+    });
+
+  } catch (error) {
+    if (error instanceof GoalError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Cancel goal error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
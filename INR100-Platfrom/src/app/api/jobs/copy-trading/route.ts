@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { processCopyTrades } from "@/lib/copy-trading/copying";
+
+// Run every few minutes during market hours; copy delays are honoured to the
+// job's interval
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processCopyTrades();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Copy trading job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,30 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { processCorporateActions } from "@/lib/corporate-actions";
+
+// Run once a day before the market opens so holdings reflect the ex-date
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processCorporateActions();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Corporate actions job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { processGoalTracking } from "@/lib/goals/goals";
+
+// Run once a day after the portfolio snapshot job so goals are tracked on
+// the day's valuations
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processGoalTracking();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Goal tracking job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { processManagementFees } from "@/lib/managed-portfolios/fees";
+
+// Run once a day; each run accrues the days up to yesterday on their closing
+// portfolio snapshots and bills the month or quarter once it has ended
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processManagementFees();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Management fee job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,31 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { processMutualFundOrders } from "@/lib/orders/mutual-funds";
+
+// Run every 30 minutes by the scheduler; NAVs are captured after they are
+// published in the evening and redemptions settle from the morning of T+N
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const summary = await processMutualFundOrders();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Mutual fund job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
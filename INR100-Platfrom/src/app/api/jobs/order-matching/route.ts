@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { releaseAfterMarketOrders } from "@/lib/orders/amo";
+import { matchPendingOrders } from "@/lib/orders/matching";
+import { evaluateTriggerOrders } from "@/lib/orders/triggers";
+
+// Run every few seconds during market hours by the scheduler
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    // AMOs and triggers first so stop-limit orders they convert are matched in the same run
+    const afterMarketOrders = await releaseAfterMarketOrders();
+    const triggers = await evaluateTriggerOrders();
+    const summary = await matchPendingOrders();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      triggers,
+      afterMarketOrders,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Order matching job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,37 @@
+import { NextRequest, NextResponse } from "next/server";
+import { isAuthorizedJobRequest } from "@/lib/jobs";
+import { backfillAllValuationSnapshots, backfillValuationSnapshots } from "@/lib/performance/snapshots";
+
+// Rebuilds missing daily snapshots from order history, for one user
+// (?userId=) or everyone who has traded. Run once after deploying snapshots
+// and whenever the daily job has missed days.
+export async function POST(request: NextRequest) {
+  try {
+    if (!isAuthorizedJobRequest(request)) {
+      return NextResponse.json(
+        { error: "Unauthorized" },
+        { status: 401 }
+      );
+    }
+
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    const summary = userId
+      ? await backfillValuationSnapshots(userId)
+      : await backfillAllValuationSnapshots();
+
+    return NextResponse.json({
+      success: true,
+      summary,
+      ranAt: new Date().toISOString(),
+    });
+
+  } catch (error) {
+    console.error("Portfolio snapshot backfill job error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
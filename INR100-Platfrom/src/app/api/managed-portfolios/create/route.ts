@@ -1,10 +1,18 @@
 import { NextRequest, NextResponse } from "next/server";
 import { db } from "@/lib/db";
+import { isBillingCycle, settleManagementFees } from "@/lib/managed-portfolios/fees";
+import { AllocationError, RebalanceError } from "@/lib/managed-portfolios/models";
+import {
+  RebalanceSettings,
+  updateRebalanceSettings,
+  validateRebalanceSettings,
+} from "@/lib/managed-portfolios/rebalancing";
 
-interface CreateManagedPortfolioRequest {
+interface CreateManagedPortfolioRequest extends RebalanceSettings {
   userId: string;
   portfolioId: string;
   strategy: "CONSERVATIVE" | "BALANCED" | "AGGRESSIVE" | "CUSTOM";
+  billingCycle?: "MONTHLY" | "QUARTERLY";
 }
 
 export async function POST(request: NextRequest) {
@@ -19,6 +27,22 @@ export async function POST(request: NextRequest) {
       );
     }
 
+    if (strategy === "CUSTOM" && !body.targetAllocation) {
+      return NextResponse.json(
+        { error: "Custom strategies need a target allocation" },
+        { status: 400 }
+      );
+    }
+
+    if (body.billingCycle !== undefined && !isBillingCycle(body.billingCycle)) {
+      return NextResponse.json(
+        { error: "Billing cycle must be MONTHLY or QUARTERLY" },
+        { status: 400 }
+      );
+    }
+
+    const rebalanceSettings = validateRebalanceSettings(body, strategy);
+
     // Get user details
     const user = await db.user.findUnique({
       where: { id: userId },
@@ -83,6 +107,8 @@ export async function POST(request: NextRequest) {
         strategy,
         feeRate: feeConfig.effectiveRate,
         startedAt: new Date(),
+        billingCycle: body.billingCycle,
+        ...rebalanceSettings,
       },
     });
 
@@ -111,10 +137,21 @@ export async function POST(request: NextRequest) {
         setupFee: feeConfig.setupFee,
         estimatedMonthlyFee: Math.round((portfolio.totalValue * feeConfig.effectiveRate / 12) * 100) / 100,
         estimatedAnnualFee: Math.round((portfolio.totalValue * feeConfig.effectiveRate) * 100) / 100,
+        rebalanceMode: managedPortfolio.rebalanceMode,
+        driftThreshold: managedPortfolio.driftThreshold,
+        rebalanceIntervalMonths: managedPortfolio.rebalanceIntervalMonths,
+        billingCycle: managedPortfolio.billingCycle,
       },
     });
 
   } catch (error) {
+    if (error instanceof RebalanceError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
     console.error("Create managed portfolio error:", error);
     return NextResponse.json(
       { error: "Internal server error" },
@@ -123,6 +160,56 @@ export async function POST(request: NextRequest) {
   }
 }
 
+// Change how the portfolio is rebalanced: approval or auto mode, drift
+// threshold, review interval and, for CUSTOM, the target allocation. The fee
+// billing cycle can change too; unbilled days go on the new cycle's invoice.
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, portfolioId, billingCycle, ...settings } = await request.json();
+
+    if (!userId || !portfolioId) {
+      return NextResponse.json(
+        { error: "User ID and portfolio ID are required" },
+        { status: 400 }
+      );
+    }
+
+    if (billingCycle !== undefined && !isBillingCycle(billingCycle)) {
+      return NextResponse.json(
+        { error: "Billing cycle must be MONTHLY or QUARTERLY" },
+        { status: 400 }
+      );
+    }
+
+    let managedPortfolio = await updateRebalanceSettings(userId, portfolioId, settings);
+    if (billingCycle !== undefined) {
+      managedPortfolio = await db.managedPortfolio.update({
+        where: { id: managedPortfolio.id },
+        data: { billingCycle },
+      });
+    }
+
+    return NextResponse.json({
+      message: "Managed portfolio settings updated successfully",
+      managedPortfolio,
+    });
+
+  } catch (error) {
+    if (error instanceof RebalanceError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Update managed portfolio error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
 export async function DELETE(request: NextRequest) {
   try {
     const { searchParams } = new URL(request.url);
@@ -136,11 +223,15 @@ export async function DELETE(request: NextRequest) {
       );
     }
 
+    const managedPortfolio = await db.managedPortfolio.findFirst({
+      where: { userId, portfolioId, isActive: true },
+      select: { id: true },
+    });
+
     // Deactivate managed portfolio
-    const result = await db.managedPortfolio.updateMany({
+    const result = managedPortfolio && await db.managedPortfolio.updateMany({
       where: {
-        userId,
-        portfolioId,
+        id: managedPortfolio.id,
         isActive: true,
       },
       data: {
@@ -149,15 +240,31 @@ export async function DELETE(request: NextRequest) {
       },
     });
 
-    if (result.count === 0) {
+    if (!managedPortfolio || !result || result.count === 0) {
       return NextResponse.json(
         { error: "Active managed portfolio not found" },
         { status: 404 }
       );
     }
 
+    // Proposals can no longer be approved once management ends
+    await db.portfolioRebalance.updateMany({
+      where: { userId, status: "PROPOSED", managedPortfolio: { portfolioId } },
+      data: { status: "EXPIRED", decidedAt: new Date() },
+    });
+
+    // Final invoice for the days managed since the last billing period. The
+    // fee job retries it if collection fails here.
+    let finalFees: Awaited<ReturnType<typeof settleManagementFees>> | null = null;
+    try {
+      finalFees = await settleManagementFees(managedPortfolio.id);
+    } catch (error) {
+      console.error(`Final management fee settlement failed for ${managedPortfolio.id}:`, error);
+    }
+
     return NextResponse.json({
       message: "Managed portfolio deactivated successfully",
+      finalFees,
     });
 
   } catch (error) {
@@ -0,0 +1,108 @@
+import { NextRequest, NextResponse } from "next/server";
+import { AllocationError, RebalanceError } from "@/lib/managed-portfolios/models";
+import { decideRebalance, getRebalanceOverview, requestRebalance } from "@/lib/managed-portfolios/rebalancing";
+
+// Drift from the target allocation, the trades a rebalance would make and
+// the rebalance history
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const managedPortfolioId = searchParams.get("managedPortfolioId");
+
+    if (!userId || !managedPortfolioId) {
+      return NextResponse.json(
+        { error: "User ID and managed portfolio ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const overview = await getRebalanceOverview(userId, managedPortfolioId);
+
+    return NextResponse.json(overview);
+
+  } catch (error) {
+    if (error instanceof RebalanceError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Rebalance overview error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Rebalance now: proposes the trades, or places them in AUTO mode
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, managedPortfolioId } = await request.json();
+
+    if (!userId || !managedPortfolioId) {
+      return NextResponse.json(
+        { error: "User ID and managed portfolio ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const rebalance = await requestRebalance(userId, managedPortfolioId);
+
+    return NextResponse.json({
+      message: rebalance.status === "PROPOSED" ? "Rebalance proposed" : "Rebalance executed",
+      rebalance,
+    });
+
+  } catch (error) {
+    if (error instanceof RebalanceError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Request rebalance error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Approve (place the trades) or reject a proposed rebalance
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, rebalanceId, action } = await request.json();
+
+    if (!userId || !rebalanceId || !action) {
+      return NextResponse.json(
+        { error: "User ID, rebalance ID and action are required" },
+        { status: 400 }
+      );
+    }
+
+    const rebalance = await decideRebalance(userId, rebalanceId, action);
+
+    return NextResponse.json({
+      message: action === "APPROVE" ? "Rebalance executed" : "Rebalance rejected",
+      rebalance,
+    });
+
+  } catch (error) {
+    if (error instanceof RebalanceError || error instanceof AllocationError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Decide rebalance error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,67 @@
+import { NextRequest, NextResponse } from "next/server";
+import { OrderError } from "@/lib/orders/errors";
+import {
+  getContractNoteTrades,
+  getOrderHistory,
+  parseOrderHistoryFilters,
+  renderContractNoteCsv,
+  renderContractNotePdf,
+} from "@/lib/orders/history";
+
+// Order history with filters and cursor pagination. format=csv|pdf downloads a
+// contract note of the executed trades matching the same filters, e.g. one
+// order (orderId) or one period (from/to).
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const filters = parseOrderHistoryFilters(searchParams);
+    const format = (searchParams.get("format") || "json").toLowerCase();
+
+    if (format === "json") {
+      return NextResponse.json(await getOrderHistory(filters));
+    }
+
+    if (format !== "csv" && format !== "pdf") {
+      return NextResponse.json(
+        { error: "Format must be json, csv or pdf" },
+        { status: 400 }
+      );
+    }
+
+    const trades = await getContractNoteTrades(filters);
+    const filename = filters.orderId
+      ? `contract-note-${filters.orderId}`
+      : `contract-note-${filters.from?.toISOString().slice(0, 10) || "all"}-${filters.to?.toISOString().slice(0, 10) || "today"}`;
+
+    if (format === "csv") {
+      return new NextResponse(renderContractNoteCsv(trades), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${filename}.csv"`,
+        },
+      });
+    }
+
+    const pdf = renderContractNotePdf(trades, filters);
+    return new NextResponse(new Uint8Array(pdf), {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    console.error("Get order history error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,32 @@
+import { NextRequest, NextResponse } from "next/server";
+import { OrderError } from "@/lib/orders/errors";
+import { OrderRequest } from "@/lib/orders/placement";
+import { canPlaceOrder, previewOrder } from "@/lib/orders/preview";
+
+// Takes the same payload as POST /api/orders; nothing is created
+export async function POST(request: NextRequest) {
+  try {
+    const body: OrderRequest = await request.json();
+
+    const preview = await previewOrder(body);
+
+    return NextResponse.json({
+      preview,
+      canPlace: canPlaceOrder(preview),
+    });
+
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return NextResponse.json(
+        { error: error.message, code: error.code },
+        { status: error.status }
+      );
+    }
+
+    console.error("Preview order error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
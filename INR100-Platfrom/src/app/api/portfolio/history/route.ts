@@ -0,0 +1,61 @@
+import { NextRequest, NextResponse } from "next/server";
+import { SNAPSHOT_INTERVALS, SnapshotInterval, getValuationHistory } from "@/lib/performance/snapshots";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Daily portfolio values for charting. Long ranges are downsampled to weekly
+// or monthly closes unless ?interval=day|week|month is given.
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const portfolioId = searchParams.get("portfolioId") || undefined;
+    const from = searchParams.get("from") || undefined;
+    const to = searchParams.get("to") || undefined;
+    const interval = searchParams.get("interval") || undefined;
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return NextResponse.json(
+        { error: "Dates must be in YYYY-MM-DD format" },
+        { status: 400 }
+      );
+    }
+
+    if (interval && !SNAPSHOT_INTERVALS.includes(interval as SnapshotInterval)) {
+      return NextResponse.json(
+        { error: `Interval must be one of: ${SNAPSHOT_INTERVALS.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const history = await getValuationHistory(userId, {
+      portfolioId,
+      from,
+      to,
+      interval: interval as SnapshotInterval | undefined,
+    });
+
+    if (!history) {
+      return NextResponse.json(
+        { error: "Portfolio not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(history);
+
+  } catch (error) {
+    console.error("Portfolio history fetch error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getPortfolioPerformance } from "@/lib/performance/portfolio";
+
+// XIRR, time-weighted and period returns of the user's portfolio against the
+// NIFTY 50 and SENSEX, with a daily series for charting
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const performance = await getPortfolioPerformance(userId);
+
+    if (!performance) {
+      return NextResponse.json(
+        { error: "Portfolio not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(performance);
+
+  } catch (error) {
+    console.error("Portfolio performance fetch error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,44 @@
+import { NextRequest, NextResponse } from "next/server";
+import { hasPremiumFeature } from "@/lib/premium-features";
+import { getRiskAnalysis } from "@/lib/risk/analytics";
+
+// Computed portfolio risk against the user's KYC risk profile; part of the
+// RISK_ANALYSIS premium feature
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (!(await hasPremiumFeature(userId, "RISK_ANALYSIS"))) {
+      return NextResponse.json(
+        { error: "Risk analysis is not active for this user", code: "FEATURE_NOT_ACTIVE" },
+        { status: 403 }
+      );
+    }
+
+    const analysis = await getRiskAnalysis(userId);
+
+    if (!analysis) {
+      return NextResponse.json(
+        { error: "Portfolio not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json(analysis);
+
+  } catch (error) {
+    console.error("Risk analysis error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
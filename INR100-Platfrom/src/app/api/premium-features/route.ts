@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from "next/server";
 import { db } from "@/lib/db";
+import { getIncludedFeatures } from "@/lib/premium-features";
 
 // Premium features configuration
 const PREMIUM_FEATURES = [
@@ -298,23 +299,3 @@ export async function DELETE(request: NextRequest) {
     );
   }
 }
-
-function getIncludedFeatures(subscriptionTier: string): string[] {
-  switch (subscriptionTier) {
-    case "BASIC":
-      return [];
-    case "PREMIUM":
-      return ["ADVANCED_ANALYTICS", "PRIORITY_SUPPORT"];
-    case "PROFESSIONAL":
-      return [
-        "AI_ADVISOR",
-        "MARKET_PREDICTIONS", 
-        "RISK_ANALYSIS",
-        "ADVANCED_ANALYTICS",
-        "PRIORITY_SUPPORT",
-        "API_ACCESS",
-      ];
-    default:
-      return [];
-  }
-}
\ No newline at end of file
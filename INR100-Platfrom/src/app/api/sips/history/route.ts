@@ -0,0 +1,72 @@
+import { NextRequest, NextResponse } from "next/server";
+import { db } from "@/lib/db";
+
+// Installment history of a user's SIPs (optionally one SIP) with the orders
+// each installment placed
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const sipId = searchParams.get("sipId");
+    const limit = Math.min(parseInt(searchParams.get("limit") || "50"), 200);
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const installments = await db.sipInstallment.findMany({
+      where: {
+        userId,
+        ...(sipId && { mandateId: sipId }),
+      },
+      include: {
+        orders: {
+          select: {
+            id: true,
+            status: true,
+            quantity: true,
+            filledQuantity: true,
+            avgFillPrice: true,
+            totalAmount: true,
+            totalFee: true,
+            asset: {
+              select: { id: true, symbol: true, name: true },
+            },
+          },
+        },
+      },
+      orderBy: {
+        scheduledFor: "desc",
+      },
+      take: limit,
+    });
+
+    const summary = {
+      installments: installments.length,
+      executed: installments.filter(i => i.status === "EXECUTED").length,
+      failed: installments.filter(i => i.status === "FAILED").length,
+      skipped: installments.filter(i => i.status === "SKIPPED").length,
+      totalInvested: Math.round(
+        installments
+          .flatMap(i => i.orders)
+          .filter(order => order.status === "EXECUTED")
+          .reduce((sum, order) => sum + order.totalAmount + order.totalFee, 0) * 100
+      ) / 100,
+    };
+
+    return NextResponse.json({
+      installments,
+      summary,
+    });
+
+  } catch (error) {
+    console.error("Get SIP history error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,162 @@
+import { NextRequest, NextResponse } from "next/server";
+import { db } from "@/lib/db";
+import {
+  cancelSipMandate,
+  createSipMandate,
+  parseAllocations,
+  SipError,
+  SipMandateRequest,
+  updateSipMandate,
+} from "@/lib/sip/mandates";
+
+export async function POST(request: NextRequest) {
+  try {
+    const body: SipMandateRequest = await request.json();
+
+    const sip = await createSipMandate(body);
+
+    return NextResponse.json({
+      message: "SIP created successfully",
+      sip: {
+        ...sip,
+        allocations: parseAllocations(sip),
+      },
+    });
+
+  } catch (error) {
+    if (error instanceof SipError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Create SIP error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const sips = await db.sipMandate.findMany({
+      where: { userId },
+      include: {
+        asset: {
+          select: {
+            id: true,
+            symbol: true,
+            name: true,
+            type: true,
+            currentPrice: true,
+          },
+        },
+        installments: {
+          orderBy: { scheduledFor: "desc" },
+          take: 1, // Latest installment
+        },
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    });
+
+    return NextResponse.json({
+      sips: sips.map(sip => ({
+        ...sip,
+        allocations: parseAllocations(sip),
+      })),
+    });
+
+  } catch (error) {
+    console.error("Get SIPs error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Pause, resume or skip the next installment; change amount or end date
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, sipId, action, pausedUntil, amount, endDate } = await request.json();
+
+    if (!userId || !sipId) {
+      return NextResponse.json(
+        { error: "User ID and SIP ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const sip = await updateSipMandate(userId, sipId, { action, pausedUntil, amount, endDate });
+
+    return NextResponse.json({
+      message: "SIP updated successfully",
+      sip,
+    });
+
+  } catch (error) {
+    if (error instanceof SipError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Update SIP error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Cancel a SIP; already invested installments are unaffected
+export async function DELETE(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const sipId = searchParams.get("sipId");
+
+    if (!userId || !sipId) {
+      return NextResponse.json(
+        { error: "User ID and SIP ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const sip = await cancelSipMandate(userId, sipId);
+
+    return NextResponse.json({
+      message: "SIP cancelled successfully",
+      sip,
+    });
+
+  } catch (error) {
+    if (error instanceof SipError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Cancel SIP error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getCapitalGains, getFinancialYearRange } from "@/lib/tax/gains";
+
+// Realised and unrealised capital gains for a financial year (?fy=2024-25)
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const financialYear = searchParams.get("fy") || undefined;
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (financialYear && !getFinancialYearRange(financialYear)) {
+      return NextResponse.json(
+        { error: "Financial year must look like 2024-25" },
+        { status: 400 }
+      );
+    }
+
+    const gains = await getCapitalGains(userId, financialYear);
+
+    return NextResponse.json(gains);
+
+  } catch (error) {
+    console.error("Capital gains fetch error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
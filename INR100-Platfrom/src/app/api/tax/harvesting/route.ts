@@ -0,0 +1,36 @@
+import { NextRequest, NextResponse } from "next/server";
+import { hasPremiumFeature } from "@/lib/premium-features";
+import { getHarvestingSuggestions } from "@/lib/tax/harvesting";
+
+// Tax-loss harvesting suggestions; part of the TAX_OPTIMIZATION premium feature
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (!(await hasPremiumFeature(userId, "TAX_OPTIMIZATION"))) {
+      return NextResponse.json(
+        { error: "Tax optimization is not active for this user", code: "FEATURE_NOT_ACTIVE" },
+        { status: 403 }
+      );
+    }
+
+    const harvesting = await getHarvestingSuggestions(userId);
+
+    return NextResponse.json(harvesting);
+
+  } catch (error) {
+    console.error("Tax harvesting error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,70 @@
+import { NextRequest, NextResponse } from "next/server";
+import { getFinancialYearRange } from "@/lib/tax/gains";
+import {
+  getTaxStatement,
+  renderTaxStatementCsv,
+  renderTaxStatementPdf,
+} from "@/lib/tax/statement";
+
+// Capital gains statement for ITR filing (?fy=2024-25&format=json|csv|pdf)
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const financialYear = searchParams.get("fy") || undefined;
+    const format = (searchParams.get("format") || "json").toLowerCase();
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    if (financialYear && !getFinancialYearRange(financialYear)) {
+      return NextResponse.json(
+        { error: "Financial year must look like 2024-25" },
+        { status: 400 }
+      );
+    }
+
+    if (format !== "json" && format !== "csv" && format !== "pdf") {
+      return NextResponse.json(
+        { error: "Format must be json, csv or pdf" },
+        { status: 400 }
+      );
+    }
+
+    const statement = await getTaxStatement(userId, financialYear);
+
+    if (format === "json") {
+      return NextResponse.json(statement);
+    }
+
+    const filename = `capital-gains-FY${statement.financialYear}`;
+
+    if (format === "csv") {
+      return new NextResponse(renderTaxStatementCsv(statement), {
+        headers: {
+          "Content-Type": "text/csv; charset=utf-8",
+          "Content-Disposition": `attachment; filename="${filename}.csv"`,
+        },
+      });
+    }
+
+    const pdf = renderTaxStatementPdf(statement);
+    return new NextResponse(new Uint8Array(pdf), {
+      headers: {
+        "Content-Type": "application/pdf",
+        "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+      },
+    });
+
+  } catch (error) {
+    console.error("Tax statement error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -1,5 +1,6 @@
 import { NextRequest, NextResponse } from 'next/server';
 import { PrismaClient } from '@prisma/client';
+import { getAvailableBalance } from '@/lib/orders/reservations';
 
 const prisma = new PrismaClient();
 
@@ -87,11 +88,36 @@ export async function GET(request: NextRequest) {
       }
     });
 
+    // Funds blocked by open BUY orders
+    const reservations = await prisma.walletReservation.findMany({
+      where: {
+        walletId: wallet.id,
+        status: 'ACTIVE'
+      },
+      orderBy: { createdAt: 'desc' },
+      include: {
+        order: {
+          select: {
+            id: true,
+            type: true,
+            quantity: true,
+            filledQuantity: true,
+            limitPrice: true,
+            asset: {
+              select: { symbol: true, name: true }
+            }
+          }
+        }
+      }
+    });
+
     return NextResponse.json({
       success: true,
       wallet: {
         id: wallet.id,
         balance: wallet.balance,
+        availableBalance: getAvailableBalance(wallet),
+        blockedBalance: wallet.blockedBalance,
         currency: wallet.currency,
         createdAt: wallet.createdAt,
         updatedAt: wallet.updatedAt,
@@ -99,7 +125,13 @@ export async function GET(request: NextRequest) {
           totalDeposits: totalDeposits._sum.amount || 0,
           totalWithdrawals: totalWithdrawals._sum.amount || 0,
           transactionCount: totalTransactions
-        }
+        },
+        reservations: reservations.map(reservation => ({
+          id: reservation.id,
+          amount: reservation.remainingAmount,
+          createdAt: reservation.createdAt,
+          order: reservation.order
+        }))
       },
       transactions: {
         data: allTransactions,
@@ -144,8 +176,8 @@ export async function POST(request: NextRequest) {
       }
     });
 
-    // For withdrawals, check if user has sufficient balance
-    if (type === 'WITHDRAWAL' && wallet.balance < amount) {
+    // For withdrawals, check if user has sufficient balance not blocked by open orders
+    if (type === 'WITHDRAWAL' && getAvailableBalance(wallet) < amount) {
       return NextResponse.json(
         { error: 'Insufficient balance' },
         { status: 400 }
@@ -0,0 +1,74 @@
+import { NextRequest, NextResponse } from "next/server";
+import { WatchlistError, addWatchlistItem, removeWatchlistItem } from "@/lib/watchlists/watchlists";
+
+// Add an asset to the end of a watchlist
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, watchlistId, assetId } = await request.json();
+
+    if (!userId || !watchlistId || !assetId) {
+      return NextResponse.json(
+        { error: "User ID, watchlist ID and asset ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const watchlist = await addWatchlistItem(userId, watchlistId, assetId);
+
+    return NextResponse.json({
+      message: "Asset added to watchlist",
+      watchlist,
+    });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Add watchlist item error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const watchlistId = searchParams.get("watchlistId");
+    const assetId = searchParams.get("assetId");
+
+    if (!userId || !watchlistId || !assetId) {
+      return NextResponse.json(
+        { error: "User ID, watchlist ID and asset ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const watchlist = await removeWatchlistItem(userId, watchlistId, assetId);
+
+    return NextResponse.json({
+      message: "Asset removed from watchlist",
+      watchlist,
+    });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Remove watchlist item error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,157 @@
+import { NextRequest, NextResponse } from "next/server";
+import {
+  WatchlistError,
+  WatchlistRequest,
+  createWatchlist,
+  deleteWatchlist,
+  getPublicWatchlists,
+  getWatchlist,
+  getWatchlists,
+  updateWatchlist,
+} from "@/lib/watchlists/watchlists";
+
+// The user's watchlists with live quotes; with watchlistId, one watchlist,
+// which anyone can read once it is public; with public=true, recently
+// shared watchlists
+export async function GET(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const watchlistId = searchParams.get("watchlistId");
+
+    if (watchlistId) {
+      return NextResponse.json({ watchlist: await getWatchlist(watchlistId, userId) });
+    }
+
+    if (searchParams.get("public") === "true") {
+      return NextResponse.json({ watchlists: await getPublicWatchlists() });
+    }
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    return NextResponse.json({ watchlists: await getWatchlists(userId) });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Get watchlists error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function POST(request: NextRequest) {
+  try {
+    const { userId, ...body }: WatchlistRequest & { userId: string } = await request.json();
+
+    if (!userId) {
+      return NextResponse.json(
+        { error: "User ID is required" },
+        { status: 400 }
+      );
+    }
+
+    const watchlist = await createWatchlist(userId, body);
+
+    return NextResponse.json({
+      message: "Watchlist created successfully",
+      watchlist,
+    });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Create watchlist error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+// Rename, make public or private, or reorder with every assetId in the new order
+export async function PATCH(request: NextRequest) {
+  try {
+    const { userId, watchlistId, ...body }: WatchlistRequest & { userId: string; watchlistId: string } = await request.json();
+
+    if (!userId || !watchlistId) {
+      return NextResponse.json(
+        { error: "User ID and watchlist ID are required" },
+        { status: 400 }
+      );
+    }
+
+    const watchlist = await updateWatchlist(userId, watchlistId, body);
+
+    return NextResponse.json({
+      message: "Watchlist updated successfully",
+      watchlist,
+    });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Update watchlist error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request: NextRequest) {
+  try {
+    const { searchParams } = new URL(request.url);
+    const userId = searchParams.get("userId");
+    const watchlistId = searchParams.get("watchlistId");
+
+    if (!userId || !watchlistId) {
+      return NextResponse.json(
+        { error: "User ID and watchlist ID are required" },
+        { status: 400 }
+      );
+    }
+
+    await deleteWatchlist(userId, watchlistId);
+
+    return NextResponse.json({
+      message: "Watchlist deleted successfully",
+    });
+
+  } catch (error) {
+    if (error instanceof WatchlistError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: error.status }
+      );
+    }
+
+    console.error("Delete watchlist error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
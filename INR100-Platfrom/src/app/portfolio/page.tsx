@@ -8,7 +8,9 @@ import { Badge } from "@/components/ui/badge";
 import { Progress } from "@/components/ui/progress";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { LivePriceTicker, MarketStatus } from "@/components/market/LivePriceTicker";
+import { ChartConfig, ChartContainer, ChartLegend, ChartLegendContent, ChartTooltip, ChartTooltipContent } from "@/components/ui/chart";
 import { useMarketData } from "@/hooks/useMarketData";
+import { CartesianGrid, Line, LineChart, XAxis, YAxis } from "recharts";
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -26,7 +28,8 @@ import {
   Download,
   RefreshCw,
   Wifi,
-  WifiOff
+  WifiOff,
+  AlertTriangle
 } from "lucide-react";
 
 interface PortfolioHolding {
@@ -54,7 +57,56 @@ interface Portfolio {
   holdings: PortfolioHolding[];
 }
 
+interface PeriodReturn {
+  period: string;
+  from: string;
+  returnPercent: number | null;
+  gain: number;
+  benchmarks: { symbol: string; returnPercent: number | null }[];
+}
+
+interface PortfolioPerformance {
+  xirrPercent: number | null;
+  twrrPercent: number | null;
+  netInvested: number;
+  totalGain: number;
+  periods: PeriodReturn[];
+  benchmarks: { symbol: string; name: string }[];
+  series: { date: string; growth: number; NIFTY: number | null; SENSEX: number | null }[];
+}
+
+interface RiskAnalysis {
+  riskProfile: string | null;
+  riskLevel: number | null;
+  volatilityPercent: number | null;
+  beta: number | null;
+  maxDrawdown: { percent: number | null };
+  valueAtRisk: { confidence: number; percent: number | null; amount: number } | null;
+  concentration: { largestStockPercent: number | null; largestSectorPercent: number | null };
+  warnings: { code: string; message: string }[];
+}
+
+const PERIOD_LABELS: Record<string, string> = {
+  "1D": "1 Day",
+  "1W": "1 Week",
+  "1M": "1 Month",
+  YTD: "Year to Date",
+  ALL: "Since Inception",
+};
+
+// Everything is rebased to 100 on the first day so the lines are comparable
+const performanceChartConfig = {
+  growth: { label: "Portfolio", color: "#16a34a" },
+  NIFTY: { label: "NIFTY 50", color: "#2563eb" },
+  SENSEX: { label: "SENSEX", color: "#9333ea" },
+} satisfies ChartConfig;
+
 export default function PortfolioPage() {
+  // Demo user ID - in real app, get from authentication
+  const userId = "demo-user-id";
+  const [performance, setPerformance] = useState<PortfolioPerformance | null>(null);
+  const [risk, setRisk] = useState<RiskAnalysis | null>(null);
+  const [riskLocked, setRiskLocked] = useState(false);
   const [portfolio, setPortfolio] = useState<Portfolio | null>(null);
   const [loading, setLoading] = useState(true);
   const [selectedTab, setSelectedTab] = useState("overview");
@@ -70,6 +122,8 @@ export default function PortfolioPage() {
 
   useEffect(() => {
     fetchPortfolioData();
+    fetchPerformance();
+    fetchRisk();
   }, []);
 
   useEffect(() => {
@@ -165,6 +219,35 @@ export default function PortfolioPage() {
     }
   };
 
+  const fetchPerformance = async () => {
+    try {
+      const response = await fetch(`/api/portfolio/performance?userId=${userId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        console.error("Failed to fetch portfolio performance:", data.error);
+        return;
+      }
+      setPerformance(data);
+    } catch (error) {
+      console.error("Failed to fetch portfolio performance:", error);
+    }
+  };
+
+  const fetchRisk = async () => {
+    try {
+      const response = await fetch(`/api/portfolio/risk?userId=${userId}`);
+      const data = await response.json();
+      if (!response.ok) {
+        // Risk analysis is a premium feature
+        setRiskLocked(data.code === "FEATURE_NOT_ACTIVE");
+        return;
+      }
+      setRisk(data);
+    } catch (error) {
+      console.error("Failed to fetch risk analysis:", error);
+    }
+  };
+
   const formatCurrency = (amount: number) => {
     return new Intl.NumberFormat('en-IN', {
       style: 'currency',
@@ -342,20 +425,35 @@ export default function PortfolioPage() {
 
         <TabsContent value="overview" className="space-y-6">
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
-            {/* Portfolio Performance Chart Placeholder */}
+            {/* Portfolio Performance Chart */}
             <Card>
               <CardHeader>
                 <CardTitle>Portfolio Performance</CardTitle>
-                <CardDescription>Your portfolio value over time</CardDescription>
+                <CardDescription>Growth of ₹100 against the NIFTY 50 and SENSEX</CardDescription>
               </CardHeader>
               <CardContent>
-                <div className="h-64 bg-gray-50 rounded-lg flex items-center justify-center">
-                  <div className="text-center text-gray-500">
-                    <BarChart3 className="w-12 h-12 mx-auto mb-2" />
-                    <p>Performance Chart</p>
-                    <p className="text-sm">(Chart library integration needed)</p>
+                {performance && performance.series.length > 1 ? (
+                  <ChartContainer config={performanceChartConfig} className="h-64 w-full aspect-auto">
+                    <LineChart data={performance.series} margin={{ left: 0, right: 8 }}>
+                      <CartesianGrid vertical={false} />
+                      <XAxis dataKey="date" tickLine={false} axisLine={false} minTickGap={32} />
+                      <YAxis tickLine={false} axisLine={false} width={40} domain={["auto", "auto"]} />
+                      <ChartTooltip content={<ChartTooltipContent />} />
+                      <ChartLegend content={<ChartLegendContent />} />
+                      <Line dataKey="growth" type="monotone" stroke="var(--color-growth)" strokeWidth={2} dot={false} />
+                      <Line dataKey="NIFTY" type="monotone" stroke="var(--color-NIFTY)" dot={false} connectNulls />
+                      <Line dataKey="SENSEX" type="monotone" stroke="var(--color-SENSEX)" dot={false} connectNulls />
+                    </LineChart>
+                  </ChartContainer>
+                ) : (
+                  <div className="h-64 bg-gray-50 rounded-lg flex items-center justify-center">
+                    <div className="text-center text-gray-500">
+                      <BarChart3 className="w-12 h-12 mx-auto mb-2" />
+                      <p>Performance Chart</p>
+                      <p className="text-sm">History builds up from your first day of investing</p>
+                    </div>
                   </div>
-                </div>
+                )}
               </CardContent>
             </Card>
 
@@ -479,6 +577,22 @@ export default function PortfolioPage() {
                     {formatPercentage(portfolio.returnsPercent)}
                   </span>
                 </div>
+                {performance && (
+                  <>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">XIRR (annualised)</span>
+                      <span className="font-semibold">
+                        {performance.xirrPercent !== null ? formatPercentage(performance.xirrPercent) : "—"}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Time-Weighted Return</span>
+                      <span className="font-semibold">
+                        {performance.twrrPercent !== null ? formatPercentage(performance.twrrPercent) : "—"}
+                      </span>
+                    </div>
+                  </>
+                )}
                 <div className="flex justify-between">
                   <span className="text-gray-600">Best Performer</span>
                   <span className="font-semibold">
@@ -508,29 +622,105 @@ export default function PortfolioPage() {
                 <CardDescription>Portfolio risk assessment</CardDescription>
               </CardHeader>
               <CardContent className="space-y-4">
-                <div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-gray-600">Risk Level</span>
-                    <span className="font-semibold">Moderate</span>
-                  </div>
-                  <Progress value={60} className="h-2" />
-                </div>
-                <div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-gray-600">Diversification</span>
-                    <span className="font-semibold">Good</span>
-                  </div>
-                  <Progress value={75} className="h-2" />
-                </div>
-                <div>
-                  <div className="flex justify-between mb-2">
-                    <span className="text-gray-600">Volatility</span>
-                    <span className="font-semibold">Medium</span>
+                {risk ? (
+                  <>
+                    <div>
+                      <div className="flex justify-between mb-2">
+                        <span className="text-gray-600">Risk Level</span>
+                        <span className="font-semibold">
+                          {risk.riskLevel !== null ? `${risk.riskLevel}/5` : "Not enough history"}
+                        </span>
+                      </div>
+                      <Progress value={(risk.riskLevel || 0) * 20} className="h-2" />
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Volatility (annualised)</span>
+                      <span className="font-semibold">
+                        {risk.volatilityPercent !== null ? `${risk.volatilityPercent.toFixed(2)}%` : "—"}
+                      </span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Beta vs NIFTY 50</span>
+                      <span className="font-semibold">{risk.beta !== null ? risk.beta.toFixed(2) : "—"}</span>
+                    </div>
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Max Drawdown</span>
+                      <span className="font-semibold">
+                        {risk.maxDrawdown.percent !== null ? `${risk.maxDrawdown.percent.toFixed(2)}%` : "—"}
+                      </span>
+                    </div>
+                    {risk.valueAtRisk && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">1-day VaR ({Math.round(risk.valueAtRisk.confidence * 100)}%)</span>
+                        <span className="font-semibold">{formatCurrency(risk.valueAtRisk.amount)}</span>
+                      </div>
+                    )}
+                    <div className="flex justify-between">
+                      <span className="text-gray-600">Largest Stock / Sector</span>
+                      <span className="font-semibold">
+                        {risk.concentration.largestStockPercent ?? 0}% / {risk.concentration.largestSectorPercent ?? 0}%
+                      </span>
+                    </div>
+                    {risk.warnings.map(warning => (
+                      <div key={warning.code} className="flex items-start gap-2 p-3 bg-orange-50 rounded-lg text-sm text-orange-800">
+                        <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                        <span>{warning.message}</span>
+                      </div>
+                    ))}
+                  </>
+                ) : (
+                  <div className="text-center text-gray-500 py-8">
+                    <Activity className="w-10 h-10 mx-auto mb-2" />
+                    <p className="text-sm">
+                      {riskLocked
+                        ? "Upgrade to Risk Analysis to see volatility, beta, drawdown and how your portfolio fits your risk profile."
+                        : "Risk analysis is not available yet"}
+                    </p>
                   </div>
-                  <Progress value={65} className="h-2" />
-                </div>
+                )}
               </CardContent>
             </Card>
+
+            {performance && (
+              <Card className="lg:col-span-2">
+                <CardHeader>
+                  <CardTitle>Period Returns</CardTitle>
+                  <CardDescription>Time-weighted returns against the benchmarks</CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-gray-600">
+                        <th className="py-2 font-medium">Period</th>
+                        <th className="py-2 font-medium text-right">Gain</th>
+                        <th className="py-2 font-medium text-right">Portfolio</th>
+                        {performance.benchmarks.map(benchmark => (
+                          <th key={benchmark.symbol} className="py-2 font-medium text-right">{benchmark.name}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {performance.periods.map(row => (
+                        <tr key={row.period} className="border-t">
+                          <td className="py-2">{PERIOD_LABELS[row.period] || row.period}</td>
+                          <td className={`py-2 text-right ${row.gain >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {formatCurrency(row.gain)}
+                          </td>
+                          <td className={`py-2 text-right font-semibold ${(row.returnPercent || 0) >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                            {row.returnPercent !== null ? formatPercentage(row.returnPercent) : "—"}
+                          </td>
+                          {row.benchmarks.map(benchmark => (
+                            <td key={benchmark.symbol} className="py-2 text-right">
+                              {benchmark.returnPercent !== null ? formatPercentage(benchmark.returnPercent) : "—"}
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </CardContent>
+              </Card>
+            )}
           </div>
         </TabsContent>
 
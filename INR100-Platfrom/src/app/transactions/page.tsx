@@ -1,6 +1,6 @@
 "use client";
 
-import React, { useState } from "react";
+import React, { useEffect, useState } from "react";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
@@ -8,7 +8,6 @@ import { Badge } from "@/components/ui/badge";
 import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
 import { 
   Search, 
-  Filter, 
   Download, 
   ArrowUpRight, 
   ArrowDownLeft,
@@ -22,108 +21,170 @@ import {
   CheckCircle,
   XCircle,
   AlertCircle,
-  Eye
+  Eye,
+  Ban
 } from "lucide-react";
 
+interface OrderHistoryRow {
+  id: string;
+  orderType: "BUY" | "SELL";
+  type: string;
+  status: string;
+  quantity: number;
+  filledQuantity: number;
+  price: number;
+  avgFillPrice: number | null;
+  totalAmount: number;
+  totalFee: number;
+  filledAmount: number;
+  fees: number;
+  netAmount: number;
+  runningNetInvestment: number;
+  createdAt: string;
+  asset: {
+    symbol: string;
+    name: string;
+    type: string;
+  };
+}
+
+interface OrderHistoryTotals {
+  count: number;
+  buyAmount: number;
+  sellAmount: number;
+  fees: number;
+  netInvestment: number;
+  byStatus: Record<string, number>;
+}
+
+const STATUS_FILTERS: Record<string, string> = {
+  completed: "EXECUTED",
+  pending: "PENDING,PARTIALLY_FILLED",
+  failed: "FAILED",
+  cancelled: "CANCELLED",
+};
+
+const DATE_RANGE_DAYS: Record<string, number> = {
+  "7days": 7,
+  "30days": 30,
+  "90days": 90,
+  "1year": 365,
+};
+
+const ASSET_TYPE_LABELS: Record<string, string> = {
+  STOCK: "Stock",
+  MUTUAL_FUND: "Mutual Fund",
+  ETF: "ETF",
+  GOLD: "Gold",
+  GLOBAL: "Global",
+};
+
+const toDisplayStatus = (status: string) => {
+  switch (status) {
+    case "EXECUTED":
+      return "completed";
+    case "PENDING":
+    case "PARTIALLY_FILLED":
+      return "pending";
+    default:
+      return status.toLowerCase();
+  }
+};
+
 export default function TransactionsPage() {
+  // Demo user ID - in real app, get from authentication
+  const userId = "demo-user-id";
+  const [cancellingOrderId, setCancellingOrderId] = useState<string | null>(null);
   const [searchTerm, setSearchTerm] = useState("");
   const [filterType, setFilterType] = useState("all");
   const [filterStatus, setFilterStatus] = useState("all");
+  const [filterAssetType, setFilterAssetType] = useState("all");
   const [dateRange, setDateRange] = useState("30days");
+  const [orders, setOrders] = useState<OrderHistoryRow[]>([]);
+  const [totals, setTotals] = useState<OrderHistoryTotals | null>(null);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loading, setLoading] = useState(true);
+
+  // Filtering, pagination and totals come from the order history API
+  const buildQuery = (extra: Record<string, string> = {}) => {
+    const params = new URLSearchParams({ userId, ...extra });
+    const from = new Date(Date.now() - DATE_RANGE_DAYS[dateRange] * 24 * 60 * 60 * 1000);
+    // The API reads a bare date as an Indian calendar day
+    params.set("from", from.toLocaleDateString("en-CA", { timeZone: "Asia/Kolkata" }));
+    if (searchTerm) params.set("q", searchTerm);
+    if (filterType !== "all") params.set("side", filterType.toUpperCase());
+    if (filterStatus !== "all") params.set("status", STATUS_FILTERS[filterStatus]);
+    if (filterAssetType !== "all") params.set("assetType", filterAssetType);
+    return params.toString();
+  };
+
+  const fetchOrders = async (cursor?: string) => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/api/orders/history?${buildQuery(cursor ? { cursor } : {})}`);
+      const data = await response.json();
+      if (!response.ok) {
+        console.error("Failed to fetch order history:", data.error);
+        return;
+      }
+      setOrders(prev => (cursor ? [...prev, ...data.orders] : data.orders));
+      setTotals(data.totals);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.error("Failed to fetch order history:", error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    // Debounced so typing in the search box does not fire a request per key
+    const timeout = setTimeout(() => fetchOrders(), 300);
+    return () => clearTimeout(timeout);
+  }, [searchTerm, filterType, filterStatus, filterAssetType, dateRange]);
+
+  const handleExport = (format: "csv" | "pdf") => {
+    window.open(`/api/orders/history?${buildQuery({ format })}`, "_blank");
+  };
 
-  // Sample transaction data
-  const transactions = [
-    {
-      id: "TXN001",
-      type: "buy",
-      asset: "RELIANCE",
-      assetType: "Stock",
-      quantity: 10,
-      price: 2500,
-      amount: 25000,
-      fees: 25,
-      total: 25025,
-      status: "completed",
-      date: "2024-12-12T14:30:00Z",
-      orderId: "ORD001",
-      paymentMethod: "UPI"
-    },
-    {
-      id: "TXN002",
-      type: "sell",
-      asset: "TCS",
-      assetType: "Stock",
-      quantity: 5,
-      price: 3200,
-      amount: 16000,
-      fees: 16,
-      total: 15984,
-      status: "completed",
-      date: "2024-12-11T10:15:00Z",
-      orderId: "ORD002",
-      paymentMethod: "Net Banking"
-    },
-    {
-      id: "TXN003",
-      type: "buy",
-      asset: "AXIS Bluechip Fund",
-      assetType: "Mutual Fund",
-      quantity: 100,
-      price: 45,
-      amount: 4500,
-      fees: 0,
-      total: 4500,
-      status: "pending",
-      date: "2024-12-10T16:45:00Z",
-      orderId: "ORD003",
-      paymentMethod: "UPI"
-    },
-    {
-      id: "TXN004",
-      type: "deposit",
-      asset: "Wallet",
-      assetType: "Wallet",
-      quantity: 1,
-      price: 5000,
-      amount: 5000,
-      fees: 0,
-      total: 5000,
-      status: "completed",
-      date: "2024-12-09T09:20:00Z",
-      orderId: "DEP001",
-      paymentMethod: "Credit Card"
-    },
-    {
-      id: "TXN005",
-      type: "buy",
-      asset: "Digital Gold",
-      assetType: "Gold",
-      quantity: 2,
-      price: 6000,
-      amount: 12000,
-      fees: 60,
-      total: 12060,
-      status: "failed",
-      date: "2024-12-08T14:30:00Z",
-      orderId: "ORD004",
-      paymentMethod: "Net Banking"
-    },
-    {
-      id: "TXN006",
-      type: "dividend",
-      asset: "HDFCBANK",
-      assetType: "Stock",
-      quantity: 15,
-      price: 15,
-      amount: 225,
-      fees: 0,
-      total: 225,
-      status: "completed",
-      date: "2024-12-07T12:00:00Z",
-      orderId: "DIV001",
-      paymentMethod: "Bank Transfer"
+  const transactions = orders.map(order => ({
+    id: order.id,
+    type: order.orderType.toLowerCase(),
+    asset: order.asset.symbol,
+    assetType: ASSET_TYPE_LABELS[order.asset.type] || order.asset.type,
+    quantity: order.filledQuantity || order.quantity,
+    price: order.avgFillPrice || order.price,
+    fees: order.fees || order.totalFee,
+    // Filled orders show what was paid or received; open orders their estimate
+    total: order.filledQuantity > 0
+      ? Math.abs(order.netAmount)
+      : order.totalAmount + (order.orderType === "BUY" ? order.totalFee : -order.totalFee),
+    status: toDisplayStatus(order.status),
+    date: order.createdAt,
+    orderId: order.id,
+    runningNetInvestment: order.runningNetInvestment,
+  }));
+
+  const handleCancelOrder = async (orderId: string) => {
+    setCancellingOrderId(orderId);
+    try {
+      const response = await fetch(`/api/orders?orderId=${orderId}&userId=${userId}`, {
+        method: "DELETE",
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        alert(result.error || "Failed to cancel order");
+        return;
+      }
+
+      await fetchOrders();
+    } catch (error) {
+      alert("An error occurred while cancelling the order");
+    } finally {
+      setCancellingOrderId(null);
     }
-  ];
+  };
 
   const getTransactionIcon = (type: string) => {
     switch (type) {
@@ -150,6 +211,8 @@ export default function TransactionsPage() {
         return <Clock className="w-4 h-4 text-yellow-600" />;
       case "failed":
         return <XCircle className="w-4 h-4 text-red-600" />;
+      case "cancelled":
+        return <Ban className="w-4 h-4 text-gray-600" />;
       default:
         return <AlertCircle className="w-4 h-4 text-gray-600" />;
     }
@@ -168,17 +231,9 @@ export default function TransactionsPage() {
     }
   };
 
-  const filteredTransactions = transactions.filter(transaction => {
-    const matchesSearch = transaction.asset.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         transaction.id.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesType = filterType === "all" || transaction.type === filterType;
-    const matchesStatus = filterStatus === "all" || transaction.status === filterStatus;
-    return matchesSearch && matchesType && matchesStatus;
-  });
-
-  const totalAmount = filteredTransactions.reduce((sum, tx) => sum + tx.amount, 0);
-  const completedTransactions = filteredTransactions.filter(tx => tx.status === "completed");
-  const pendingTransactions = filteredTransactions.filter(tx => tx.status === "pending");
+  const totalAmount = totals ? totals.buyAmount + totals.sellAmount : 0;
+  const completedCount = totals?.byStatus.EXECUTED || 0;
+  const pendingCount = (totals?.byStatus.PENDING || 0) + (totals?.byStatus.PARTIALLY_FILLED || 0);
 
   return (
     <div className="container mx-auto px-4 py-8 max-w-6xl">
@@ -196,7 +251,7 @@ export default function TransactionsPage() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Total Transactions</p>
-                <p className="text-2xl font-bold">{filteredTransactions.length}</p>
+                <p className="text-2xl font-bold">{totals?.count || 0}</p>
               </div>
               <Wallet className="w-8 h-8 text-blue-600" />
             </div>
@@ -220,7 +275,7 @@ export default function TransactionsPage() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Completed</p>
-                <p className="text-2xl font-bold text-green-600">{completedTransactions.length}</p>
+                <p className="text-2xl font-bold text-green-600">{completedCount}</p>
               </div>
               <CheckCircle className="w-8 h-8 text-green-600" />
             </div>
@@ -232,7 +287,7 @@ export default function TransactionsPage() {
             <div className="flex items-center justify-between">
               <div>
                 <p className="text-sm font-medium text-gray-600">Pending</p>
-                <p className="text-2xl font-bold text-yellow-600">{pendingTransactions.length}</p>
+                <p className="text-2xl font-bold text-yellow-600">{pendingCount}</p>
               </div>
               <Clock className="w-8 h-8 text-yellow-600" />
             </div>
@@ -248,7 +303,7 @@ export default function TransactionsPage() {
               <div className="relative">
                 <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
                 <Input
-                  placeholder="Search by asset name or transaction ID..."
+                  placeholder="Search by asset or order ID..."
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                   className="pl-10"
@@ -262,12 +317,20 @@ export default function TransactionsPage() {
                 value={filterType}
                 onChange={(e) => setFilterType(e.target.value)}
               >
-                <option value="all">All Types</option>
+                <option value="all">Buy &amp; Sell</option>
                 <option value="buy">Buy</option>
                 <option value="sell">Sell</option>
-                <option value="deposit">Deposit</option>
-                <option value="withdraw">Withdraw</option>
-                <option value="dividend">Dividend</option>
+              </select>
+
+              <select 
+                className="px-3 py-2 border border-gray-300 rounded-md"
+                value={filterAssetType}
+                onChange={(e) => setFilterAssetType(e.target.value)}
+              >
+                <option value="all">All Assets</option>
+                {Object.entries(ASSET_TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
               </select>
 
               <select 
@@ -279,6 +342,7 @@ export default function TransactionsPage() {
                 <option value="completed">Completed</option>
                 <option value="pending">Pending</option>
                 <option value="failed">Failed</option>
+                <option value="cancelled">Cancelled</option>
               </select>
 
               <select 
@@ -292,14 +356,14 @@ export default function TransactionsPage() {
                 <option value="1year">Last year</option>
               </select>
 
-              <Button variant="outline">
-                <Filter className="w-4 h-4 mr-2" />
-                More Filters
+              <Button variant="outline" onClick={() => handleExport("csv")}>
+                <Download className="w-4 h-4 mr-2" />
+                CSV
               </Button>
 
-              <Button variant="outline">
+              <Button variant="outline" onClick={() => handleExport("pdf")}>
                 <Download className="w-4 h-4 mr-2" />
-                Export
+                Contract Note
               </Button>
             </div>
           </div>
@@ -316,7 +380,7 @@ export default function TransactionsPage() {
         </CardHeader>
         <CardContent>
           <div className="space-y-4">
-            {filteredTransactions.map((transaction) => (
+            {transactions.map((transaction) => (
               <div key={transaction.id} className="flex items-center justify-between p-4 border rounded-lg hover:bg-gray-50">
                 <div className="flex items-center gap-4">
                   <div className="flex items-center justify-center w-10 h-10 bg-gray-100 rounded-full">
@@ -333,7 +397,7 @@ export default function TransactionsPage() {
                     <div className="flex items-center gap-4 text-sm text-gray-600">
                       <span>ID: {transaction.id}</span>
                       <span>{new Date(transaction.date).toLocaleDateString()}</span>
-                      <span>{transaction.paymentMethod}</span>
+                      <span>Net invested: ₹{transaction.runningNetInvestment.toLocaleString()}</span>
                     </div>
                   </div>
                 </div>
@@ -361,7 +425,17 @@ export default function TransactionsPage() {
                   </div>
                 </div>
 
-                <div className="ml-4">
+                <div className="ml-4 flex items-center gap-2">
+                  {transaction.status === "pending" && (transaction.type === "buy" || transaction.type === "sell") && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={cancellingOrderId === transaction.orderId}
+                      onClick={() => handleCancelOrder(transaction.orderId)}
+                    >
+                      {cancellingOrderId === transaction.orderId ? "Cancelling..." : "Cancel"}
+                    </Button>
+                  )}
                   <Button variant="ghost" size="sm">
                     <Eye className="w-4 h-4" />
                   </Button>
@@ -370,12 +444,20 @@ export default function TransactionsPage() {
             ))}
           </div>
 
-          {filteredTransactions.length === 0 && (
+          {nextCursor && (
+            <div className="text-center mt-6">
+              <Button variant="outline" disabled={loading} onClick={() => fetchOrders(nextCursor)}>
+                {loading ? "Loading..." : "Load more"}
+              </Button>
+            </div>
+          )}
+
+          {!loading && transactions.length === 0 && (
             <div className="text-center py-12">
               <Wallet className="w-12 h-12 text-gray-400 mx-auto mb-4" />
               <h3 className="text-lg font-medium text-gray-900 mb-2">No transactions found</h3>
               <p className="text-gray-600">
-                {searchTerm || filterType !== "all" || filterStatus !== "all" 
+                {searchTerm || filterType !== "all" || filterStatus !== "all" || filterAssetType !== "all"
                   ? "Try adjusting your search or filter criteria"
                   : "You haven't made any transactions yet"
                 }
@@ -386,7 +468,6 @@ export default function TransactionsPage() {
       </Card>
 
       {/* Transaction Details Modal would go here */}
-      {/* Export functionality would be implemented here */}
     </div>
   );
 }
\ No newline at end of file
@@ -44,6 +44,8 @@ import {
 interface WalletData {
   id: string;
   balance: number;
+  availableBalance: number;
+  blockedBalance: number;
   currency: string;
   createdAt: string;
   updatedAt: string;
@@ -403,6 +405,12 @@ export default function WalletPage() {
                 <div className="text-4xl font-bold">
                   {showBalance ? formatCurrency(walletData?.balance || 0) : '••••••'}
                 </div>
+                {(walletData?.blockedBalance || 0) > 0 && (
+                  <div className="text-sm opacity-90 mt-1">
+                    Available: {showBalance ? formatCurrency(walletData?.availableBalance || 0) : '••••••'}
+                    {' · '}Blocked for open orders: {showBalance ? formatCurrency(walletData?.blockedBalance || 0) : '••••••'}
+                  </div>
+                )}
                 <div className="text-sm opacity-75 mt-1">
                   Last updated: {walletData?.updatedAt ? new Date(walletData.updatedAt).toLocaleTimeString() : 'Never'}
                 </div>
@@ -729,10 +737,10 @@ export default function WalletPage() {
                       value={withdrawAmount}
                       onChange={(e) => setWithdrawAmount(e.target.value)}
                       min={100}
-                      max={walletData.balance}
+                      max={walletData.availableBalance}
                     />
                     <div className="flex justify-between text-xs text-gray-500 mt-1">
-                      <span>Available: {formatCurrency(walletData?.balance || 0)}</span>
+                      <span>Available: {formatCurrency(walletData?.availableBalance || 0)}</span>
                       <span>Min: ₹100</span>
                     </div>
                   </div>
@@ -754,7 +762,7 @@ export default function WalletPage() {
                   <Button 
                     className="w-full bg-red-600 hover:bg-red-700"
                     onClick={handleWithdrawMoney}
-                    disabled={!withdrawAmount || parseInt(withdrawAmount) > (walletData?.balance || 0)}
+                    disabled={!withdrawAmount || parseInt(withdrawAmount) > (walletData?.availableBalance || 0)}
                   >
                     Withdraw ₹{withdrawAmount ? parseInt(withdrawAmount).toLocaleString('en-IN') : '0'}
                   </Button>
@@ -12,9 +12,12 @@ import {
   WifiOff
 } from "lucide-react";
 import { useMarketData, useStockPrice } from "@/hooks/useMarketData";
+import { useWatchlistQuotes } from "@/hooks/useWatchlists";
 
 interface LivePriceTickerProps {
   symbols?: string[];
+  watchlistId?: string; // Shows the watchlist's assets, in its order, instead of `symbols`
+  userId?: string; // Needed when the watchlist is private
   autoScroll?: boolean;
   showVolume?: boolean;
   compact?: boolean;
@@ -22,19 +25,24 @@ interface LivePriceTickerProps {
 
 export function LivePriceTicker({ 
   symbols = ['RELIANCE', 'TCS', 'HDFCBANK', 'INFY', 'ITC'],
+  watchlistId,
+  userId,
   autoScroll = true,
   showVolume = false,
   compact = false
 }: LivePriceTickerProps) {
-  const { data, loading, error, isLive, refetch } = useMarketData({ 
+  const marketData = useMarketData({ 
     symbols, 
     autoRefresh: true, 
-    refreshInterval: 15000 
+    refreshInterval: 15000,
+    enabled: !watchlistId
   });
+  const watchlistQuotes = useWatchlistQuotes(watchlistId, { userId, refreshInterval: 15000 });
+  const { loading, error, isLive, refetch } = watchlistId ? watchlistQuotes : marketData;
   
   const [currentIndex, setCurrentIndex] = useState(0);
 
-  const stocks = data?.stocks || [];
+  const stocks = watchlistId ? watchlistQuotes.quotes : marketData.data?.stocks || [];
 
   // Auto-scroll through stocks
   useEffect(() => {
@@ -67,8 +75,10 @@ export function LivePriceTicker({
     };
   };
 
-  const formatVolume = (volume: number) => {
-    if (volume >= 10000000) {
+  const formatVolume = (volume: number | null) => {
+    if (volume === null) {
+      return '-';
+    } else if (volume >= 10000000) {
       return `${(volume / 10000000).toFixed(1)}Cr`;
     } else if (volume >= 100000) {
       return `${(volume / 100000).toFixed(1)}L`;
@@ -7,6 +7,7 @@ interface MarketDataOptions {
   autoRefresh?: boolean;
   refreshInterval?: number;
   enableWebSocket?: boolean;
+  enabled?: boolean; // False to skip fetching, e.g. while another source feeds the component
 }
 
 interface UseMarketDataReturn {
@@ -22,11 +23,12 @@ export function useMarketData(options: MarketDataOptions = {}): UseMarketDataRet
     symbols = [],
     autoRefresh = true,
     refreshInterval = 30000, // 30 seconds
-    enableWebSocket = false
+    enableWebSocket = false,
+    enabled = true
   } = options;
 
   const [data, setData] = useState<any>(null);
-  const [loading, setLoading] = useState(true);
+  const [loading, setLoading] = useState(enabled);
   const [error, setError] = useState<string | null>(null);
   const [isLive, setIsLive] = useState(false);
 
@@ -57,13 +59,15 @@ export function useMarketData(options: MarketDataOptions = {}): UseMarketDataRet
   }, [symbols]);
 
   useEffect(() => {
+    if (!enabled) return;
+
     fetchData();
 
     if (autoRefresh) {
       const interval = setInterval(fetchData, refreshInterval);
       return () => clearInterval(interval);
     }
-  }, [fetchData, autoRefresh, refreshInterval]);
+  }, [fetchData, autoRefresh, refreshInterval, enabled]);
 
   return {
     data,
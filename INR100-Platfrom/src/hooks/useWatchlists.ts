@@ -0,0 +1,198 @@
+"use client";
+
+import { useState, useEffect, useCallback } from "react";
+
+export interface WatchlistQuote {
+  symbol: string;
+  name: string;
+  type: string;
+  price: number | null;
+  change: number;
+  changePercent: number;
+  volume: number | null;
+  isLive: boolean;
+}
+
+export interface Watchlist {
+  id: string;
+  name: string;
+  isPublic: boolean;
+  isOwner: boolean;
+  createdAt: string;
+  items: { assetId: string; position: number; addedAt: string; quote: WatchlistQuote }[];
+}
+
+interface WatchlistQuotesOptions {
+  userId?: string; // Needed for private watchlists
+  autoRefresh?: boolean;
+  refreshInterval?: number;
+}
+
+// Quotes of one watchlist in its display order, refreshed on an interval.
+// Does nothing until a watchlistId is given.
+export function useWatchlistQuotes(watchlistId: string | null | undefined, options: WatchlistQuotesOptions = {}) {
+  const {
+    userId,
+    autoRefresh = true,
+    refreshInterval = 15000 // 15 seconds, as for individual stocks
+  } = options;
+
+  const [watchlist, setWatchlist] = useState<Watchlist | null>(null);
+  const [loading, setLoading] = useState(!!watchlistId);
+  const [error, setError] = useState<string | null>(null);
+  const [isLive, setIsLive] = useState(false);
+
+  const fetchQuotes = useCallback(async () => {
+    if (!watchlistId) return;
+
+    try {
+      setError(null);
+      const params = new URLSearchParams({ watchlistId });
+      if (userId) params.set("userId", userId);
+
+      const response = await fetch(`/api/watchlists?${params}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setWatchlist(result.watchlist);
+        setIsLive(true);
+      } else {
+        setError(result.error || "Failed to fetch watchlist");
+      }
+    } catch (err) {
+      setError("Network error while fetching watchlist");
+      setIsLive(false);
+    } finally {
+      setLoading(false);
+    }
+  }, [watchlistId, userId]);
+
+  useEffect(() => {
+    if (!watchlistId) return;
+
+    fetchQuotes();
+
+    if (autoRefresh) {
+      const interval = setInterval(fetchQuotes, refreshInterval);
+      return () => clearInterval(interval);
+    }
+  }, [watchlistId, fetchQuotes, autoRefresh, refreshInterval]);
+
+  return {
+    watchlist,
+    // Assets without any price yet are left out
+    quotes: (watchlist?.items || [])
+      .map(item => item.quote)
+      .filter((quote): quote is WatchlistQuote & { price: number } => quote.price !== null),
+    loading,
+    error,
+    refetch: fetchQuotes,
+    isLive
+  };
+}
+
+// The user's watchlists and the calls that change them. Every change
+// refetches the list so positions and quotes stay in step with the server.
+export function useWatchlists(userId: string | null | undefined) {
+  const [watchlists, setWatchlists] = useState<Watchlist[]>([]);
+  const [loading, setLoading] = useState(!!userId);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchWatchlists = useCallback(async () => {
+    if (!userId) return;
+
+    try {
+      setError(null);
+      const response = await fetch(`/api/watchlists?userId=${encodeURIComponent(userId)}`);
+      const result = await response.json();
+
+      if (response.ok) {
+        setWatchlists(result.watchlists);
+      } else {
+        setError(result.error || "Failed to fetch watchlists");
+      }
+    } catch (err) {
+      setError("Network error while fetching watchlists");
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchWatchlists();
+  }, [fetchWatchlists]);
+
+  // Sends a change and refetches; resolves to false with `error` set when it is rejected
+  const send = useCallback(async (url: string, method: string, body?: Record<string, unknown>) => {
+    try {
+      setError(null);
+      const response = await fetch(url, {
+        method,
+        headers: body ? { "Content-Type": "application/json" } : undefined,
+        body: body ? JSON.stringify({ userId, ...body }) : undefined
+      });
+      const result = await response.json();
+
+      if (!response.ok) {
+        setError(result.error || "Failed to update watchlist");
+        return false;
+      }
+
+      await fetchWatchlists();
+      return true;
+    } catch (err) {
+      setError("Network error while updating watchlist");
+      return false;
+    }
+  }, [userId, fetchWatchlists]);
+
+  const createWatchlist = useCallback(
+    (name: string, options: { isPublic?: boolean; assetIds?: string[] } = {}) =>
+      send("/api/watchlists", "POST", { name, ...options }),
+    [send]
+  );
+
+  const updateWatchlist = useCallback(
+    (watchlistId: string, changes: { name?: string; isPublic?: boolean }) =>
+      send("/api/watchlists", "PATCH", { watchlistId, ...changes }),
+    [send]
+  );
+
+  // `assetIds` lists every item of the watchlist in the new order
+  const reorderWatchlist = useCallback(
+    (watchlistId: string, assetIds: string[]) =>
+      send("/api/watchlists", "PATCH", { watchlistId, assetIds }),
+    [send]
+  );
+
+  const deleteWatchlist = useCallback(
+    (watchlistId: string) =>
+      send(`/api/watchlists?${new URLSearchParams({ userId: userId || "", watchlistId })}`, "DELETE"),
+    [send, userId]
+  );
+
+  const addToWatchlist = useCallback(
+    (watchlistId: string, assetId: string) =>
+      send("/api/watchlists/items", "POST", { watchlistId, assetId }),
+    [send]
+  );
+
+  const removeFromWatchlist = useCallback(
+    (watchlistId: string, assetId: string) =>
+      send(`/api/watchlists/items?${new URLSearchParams({ userId: userId || "", watchlistId, assetId })}`, "DELETE"),
+    [send, userId]
+  );
+
+  return {
+    watchlists,
+    loading,
+    error,
+    refetch: fetchWatchlists,
+    createWatchlist,
+    updateWatchlist,
+    reorderWatchlist,
+    deleteWatchlist,
+    addToWatchlist,
+    removeFromWatchlist
+  };
+}
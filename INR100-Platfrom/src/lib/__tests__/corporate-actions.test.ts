@@ -0,0 +1,60 @@
+import { calculateHoldingAdjustment, getShareMultiplier } from '@/lib/corporate-actions';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const action = (overrides: Record<string, unknown>) => ({
+  type: 'SPLIT' as const,
+  ratioFrom: null,
+  ratioTo: null,
+  dividendPerShare: null,
+  cashPerShare: null,
+  ...overrides,
+}) as Parameters<typeof calculateHoldingAdjustment>[0];
+
+describe('calculateHoldingAdjustment', () => {
+  it('multiplies quantity on a split and keeps the cost basis', () => {
+    const result = calculateHoldingAdjustment(action({ type: 'SPLIT', ratioFrom: 1, ratioTo: 5 }), { quantity: 10, avgBuyPrice: 2500 }, 'STOCK');
+
+    expect(result.quantity).toBe(50);
+    expect(result.avgBuyPrice).toBe(500);
+    expect(result.cashAmount).toBe(0);
+  });
+
+  it('adds bonus shares on a 1:2 bonus', () => {
+    // One bonus share for every two held
+    const bonus = action({ type: 'BONUS', ratioFrom: 2, ratioTo: 1 });
+    const result = calculateHoldingAdjustment(bonus, { quantity: 10, avgBuyPrice: 300 }, 'STOCK');
+
+    expect(getShareMultiplier(bonus)).toBe(1.5);
+    expect(result.quantity).toBe(15);
+    expect(result.avgBuyPrice).toBe(200);
+  });
+
+  it('rounds fractional quantities down', () => {
+    const result = calculateHoldingAdjustment(action({ type: 'BONUS', ratioFrom: 3, ratioTo: 1 }), { quantity: 0.5, avgBuyPrice: 120 }, 'STOCK');
+
+    expect(result.quantity).toBe(0.6666);
+    expect(result.avgBuyPrice * result.quantity).toBeCloseTo(60);
+  });
+
+  it('pays dividends on the quantity held', () => {
+    const result = calculateHoldingAdjustment(action({ type: 'DIVIDEND', dividendPerShare: 12.5 }), { quantity: 7.25, avgBuyPrice: 900 }, 'STOCK');
+
+    expect(result.quantity).toBe(7.25);
+    expect(result.avgBuyPrice).toBe(900);
+    expect(result.cashAmount).toBe(90.63);
+  });
+
+  it('converts a merger into target shares and cash', () => {
+    const result = calculateHoldingAdjustment(
+      action({ type: 'MERGER', ratioFrom: 25, ratioTo: 42, cashPerShare: 10 }),
+      { quantity: 100, avgBuyPrice: 1500 },
+      'STOCK'
+    );
+
+    expect(result.quantity).toBe(0);
+    expect(result.targetQuantity).toBe(168);
+    expect(result.avgBuyPrice).toBeCloseTo(150000 / 168);
+    expect(result.cashAmount).toBe(1000);
+  });
+});
@@ -0,0 +1,55 @@
+import { calculateOrderFees, DEFAULT_FEE_SCHEDULE, FeeSchedule } from '@/lib/fees';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const amountOf = (fees: ReturnType<typeof calculateOrderFees>, type: string) =>
+  fees.components.find(component => component.type === type)?.amount ?? 0;
+
+describe('calculateOrderFees', () => {
+  it('adds statutory charges to platform fees', () => {
+    const fees = calculateOrderFees(DEFAULT_FEE_SCHEDULE, 'STOCK', 'BUY', 100000, 'BASIC');
+
+    expect(fees.brokerageFee).toBe(100);
+    expect(fees.spreadFee).toBe(200);
+    expect(amountOf(fees, 'STT')).toBe(100);
+    expect(amountOf(fees, 'STAMP_DUTY')).toBe(15);
+    expect(amountOf(fees, 'EXCHANGE_CHARGES')).toBe(2.97);
+    expect(amountOf(fees, 'SEBI_FEE')).toBe(0.1);
+    // 18% on brokerage, exchange charges and SEBI fee
+    expect(amountOf(fees, 'GST')).toBe(18.55);
+    expect(fees.totalFee).toBe(436.62);
+    expect(fees.statutoryCharges).toBe(136.62);
+  });
+
+  it('charges stamp duty on buys only', () => {
+    const fees = calculateOrderFees(DEFAULT_FEE_SCHEDULE, 'STOCK', 'SELL', 100000, 'BASIC');
+
+    expect(amountOf(fees, 'STAMP_DUTY')).toBe(0);
+    expect(amountOf(fees, 'STT')).toBe(100);
+  });
+
+  it('discounts platform fees but not statutory charges', () => {
+    const basic = calculateOrderFees(DEFAULT_FEE_SCHEDULE, 'STOCK', 'BUY', 100000, 'BASIC');
+    const professional = calculateOrderFees(DEFAULT_FEE_SCHEDULE, 'STOCK', 'BUY', 100000, 'PROFESSIONAL');
+
+    expect(professional.brokerageFee).toBe(50);
+    expect(professional.spreadFee).toBe(100);
+    expect(amountOf(professional, 'STT')).toBe(amountOf(basic, 'STT'));
+    expect(amountOf(professional, 'STAMP_DUTY')).toBe(amountOf(basic, 'STAMP_DUTY'));
+  });
+
+  it('charges with the rates of the given schedule version', () => {
+    const schedule: FeeSchedule = {
+      ...DEFAULT_FEE_SCHEDULE,
+      version: 2,
+      config: {
+        ...DEFAULT_FEE_SCHEDULE.config,
+        brokerage: { ...DEFAULT_FEE_SCHEDULE.config.brokerage, STOCK: { rate: 0.0005, minimum: 0 } },
+      },
+    };
+    const fees = calculateOrderFees(schedule, 'STOCK', 'BUY', 100000, 'BASIC');
+
+    expect(fees.scheduleVersion).toBe(2);
+    expect(fees.brokerageFee).toBe(50);
+  });
+});
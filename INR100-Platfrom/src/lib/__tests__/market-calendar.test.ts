@@ -0,0 +1,60 @@
+import { getMarketStatus, getOrderRouting, MarketCalendar } from '@/lib/market-calendar';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const emptyCalendar: MarketCalendar = { holidays: new Map(), specialSessions: new Map() };
+
+const nseCalendar: MarketCalendar = {
+  holidays: new Map([
+    ['2025-03-14', 'Holi'],
+    ['2025-10-21', 'Diwali Laxmi Pujan'],
+  ]),
+  specialSessions: new Map([
+    ['2025-10-21', { name: 'Muhurat Trading', open: '13:45', close: '14:45' }],
+  ]),
+};
+
+describe('market calendar', () => {
+  it('executes equity orders during the NSE session', () => {
+    // Wednesday 10:00 IST
+    expect(getOrderRouting('STOCK', new Date('2025-01-08T04:30:00Z'), emptyCalendar)).toEqual({ action: 'EXECUTE' });
+  });
+
+  it('queues orders placed during pre-open for the 09:15 open', () => {
+    const status = getMarketStatus('STOCK', new Date('2025-01-08T03:35:00Z'), emptyCalendar);
+
+    expect(status.phase).toBe('PRE_OPEN');
+    expect(status.nextOpen).toEqual(new Date('2025-01-08T03:45:00Z'));
+  });
+
+  it('queues weekend and holiday orders as AMOs for the next session', () => {
+    // Saturday noon IST -> Monday open
+    expect(getOrderRouting('STOCK', new Date('2025-01-11T06:30:00Z'), emptyCalendar)).toEqual({
+      action: 'QUEUE',
+      executeAt: new Date('2025-01-13T03:45:00Z'),
+    });
+    // Holi (Friday) -> Monday open
+    expect(getOrderRouting('ETF', new Date('2025-03-14T05:30:00Z'), nseCalendar)).toEqual({
+      action: 'QUEUE',
+      executeAt: new Date('2025-03-17T03:45:00Z'),
+    });
+  });
+
+  it('opens for the Muhurat session on Diwali', () => {
+    expect(getMarketStatus('STOCK', new Date('2025-10-21T08:30:00Z'), nseCalendar).phase).toBe('OPEN');
+    expect(getMarketStatus('STOCK', new Date('2025-10-21T05:00:00Z'), nseCalendar).nextOpen)
+      .toEqual(new Date('2025-10-21T08:15:00Z'));
+  });
+
+  it('rejects global orders outside US hours with an error code', () => {
+    const routing = getOrderRouting('GLOBAL', new Date('2025-01-11T18:00:00Z'), emptyCalendar);
+
+    expect(routing.action).toBe('REJECT');
+    expect(routing.action === 'REJECT' && routing.code).toBe('MARKET_CLOSED');
+  });
+
+  it('trades gold around the clock', () => {
+    // Sunday 03:00 IST
+    expect(getOrderRouting('GOLD', new Date('2025-01-11T21:30:00Z'), emptyCalendar)).toEqual({ action: 'EXECUTE' });
+  });
+});
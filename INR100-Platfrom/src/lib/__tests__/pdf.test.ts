@@ -0,0 +1,38 @@
+import { formatTableRow, renderTextPdf } from '@/lib/pdf';
+
+describe('renderTextPdf', () => {
+  it('writes a PDF whose xref offsets point at the objects', () => {
+    const pdf = renderTextPdf({ title: 'Statement', lines: ['Net amount: ₹1,000 (approx)'] }).toString('latin1');
+
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Net amount: Rs.1,000 \\(approx\\)) Tj');
+
+    const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)![1]);
+    expect(pdf.slice(xrefOffset, xrefOffset + 4)).toBe('xref');
+
+    const offsets = pdf.slice(xrefOffset).match(/^\d{10} 00000 n $/gm)!.map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => {
+      expect(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true);
+    });
+  });
+
+  it('flows long documents onto further pages', () => {
+    const lines = Array.from({ length: 200 }, (_, i) => `Line ${i}`);
+    const pdf = renderTextPdf({ title: 'Statement', lines }).toString('latin1');
+
+    expect(pdf).toMatch(/\/Count [3-9]/);
+    expect(pdf).toContain('Line 199');
+  });
+});
+
+describe('formatTableRow', () => {
+  it('pads, clips and aligns cells to their columns', () => {
+    const row = formatTableRow(['RELIANCE', 'BUY', '12.50'], [
+      { width: 6 },
+      { width: 4 },
+      { width: 8, align: 'right' },
+    ]);
+
+    expect(row).toBe('RELIAN BUY     12.50');
+  });
+});
@@ -0,0 +1,34 @@
+import { splitBasketAmount } from '@/lib/baskets/baskets';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('splitBasketAmount', () => {
+  it('splits the amount by weight', () => {
+    const legs = splitBasketAmount(
+      [
+        { assetId: 'a', weight: 0.5 },
+        { assetId: 'b', weight: 0.3 },
+        { assetId: 'c', weight: 0.2 },
+      ],
+      1000
+    );
+
+    expect(legs.map(leg => leg.amount)).toEqual([500, 300, 200]);
+  });
+
+  it('gives the rounding remainder to the heaviest leg', () => {
+    const third = 1 / 3;
+    const legs = splitBasketAmount(
+      [
+        { assetId: 'a', weight: third },
+        { assetId: 'b', weight: third + 0.0001 },
+        { assetId: 'c', weight: third - 0.0001 },
+      ],
+      100
+    );
+
+    expect(legs.reduce((sum, leg) => sum + leg.amount, 0)).toBeCloseTo(100, 2);
+    expect(legs[1].amount).toBeGreaterThan(legs[0].amount);
+    legs.forEach(leg => expect(Math.round(leg.amount * 100)).toBeCloseTo(leg.amount * 100, 6));
+  });
+});
@@ -0,0 +1,165 @@
+/** @jest-environment node */
+import { BasketError, getBasket } from '@/lib/baskets/baskets';
+import { placeBasketOrder } from '@/lib/baskets/orders';
+import { db } from '@/lib/db';
+import { OrderError } from '@/lib/orders/errors';
+import { writeOrder } from '@/lib/orders/placement';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+jest.mock('@/lib/baskets/baskets', () => ({
+  ...jest.requireActual('@/lib/baskets/baskets'),
+  getBasket: jest.fn(),
+}));
+jest.mock('@/lib/fees', () => ({
+  ...jest.requireActual('@/lib/fees'),
+  getFeeSchedule: jest.fn(() => Promise.resolve(jest.requireActual('@/lib/fees').DEFAULT_FEE_SCHEDULE)),
+}));
+// Legs are priced at their amount; writing one returns an order named after its asset
+jest.mock('@/lib/orders/placement', () => ({
+  ...jest.requireActual('@/lib/orders/placement'),
+  prepareOrder: jest.fn((request: { amount: number }) => Promise.resolve({ request, totalAmount: request.amount })),
+  writeOrder: jest.fn((tx: unknown, prepared: { request: { assetId: string } }) =>
+    Promise.resolve({ id: `order-${prepared.request.assetId}` })
+  ),
+}));
+
+const basket = {
+  id: 'basket1',
+  items: [
+    { assetId: 'TCS', weight: 0.6, asset: { symbol: 'TCS', type: 'STOCK', isActive: true } },
+    { assetId: 'INFY', weight: 0.4, asset: { symbol: 'INFY', type: 'STOCK', isActive: true } },
+  ],
+};
+
+// Basket orders are kept in memory; the transaction runs its callback against
+// the same client, and a callback that throws leaves no rows behind
+function createDb(balance: number) {
+  const basketOrders: any[] = [];
+  const client: any = {
+    user: { findUnique: jest.fn(() => Promise.resolve({ subscriptionTier: 'FREE' })) },
+    wallet: { findUnique: jest.fn(() => Promise.resolve({ balance, blockedBalance: 0 })) },
+    basketOrder: {
+      findUnique: jest.fn(({ where }) => {
+        const row = where.id
+          ? basketOrders.find(o => o.id === where.id)
+          : basketOrders.find(o =>
+            o.userId === where.userId_idempotencyKey.userId && o.idempotencyKey === where.userId_idempotencyKey.idempotencyKey
+          );
+        return Promise.resolve(row ? { ...row, orders: [] } : null);
+      }),
+      create: jest.fn(({ data }) => {
+        const row = { id: `basket-order${basketOrders.length + 1}`, failureReason: null, ...data };
+        basketOrders.push(row);
+        return Promise.resolve({ ...row });
+      }),
+      update: jest.fn(({ where, data }) => Promise.resolve(Object.assign(basketOrders.find(o => o.id === where.id), data))),
+    },
+  };
+  client.$transaction = jest.fn(async (callback: (tx: unknown) => unknown) => {
+    const rows = basketOrders.length;
+    try {
+      return await callback(client);
+    } catch (error) {
+      basketOrders.splice(rows);
+      throw error;
+    }
+  });
+
+  Object.assign(db, client);
+  return { client, basketOrders };
+}
+
+describe('placeBasketOrder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    (getBasket as jest.Mock).mockResolvedValue(basket);
+  });
+
+  it('places every leg of an ALL_OR_NONE basket in one transaction', async () => {
+    const { basketOrders } = createDb(10000);
+
+    const { basketOrder } = await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000 });
+
+    expect(basketOrder.status).toBe('PLACED');
+    expect(basketOrder.legs.map(leg => [leg.assetId, leg.amount, leg.orderId])).toEqual([
+      ['TCS', 600, 'order-TCS'],
+      ['INFY', 400, 'order-INFY'],
+    ]);
+    expect(basketOrders).toHaveLength(1);
+  });
+
+  it('rolls an ALL_OR_NONE basket back when a leg fails and records no orders', async () => {
+    const { basketOrders } = createDb(10000);
+    (writeOrder as jest.Mock)
+      .mockResolvedValueOnce({ id: 'order-TCS' })
+      .mockRejectedValueOnce(new OrderError('INFY is not tradable'));
+
+    const { basketOrder } = await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000 });
+
+    expect(basketOrder).toMatchObject({ status: 'ROLLED_BACK', failureReason: 'INFY is not tradable' });
+    expect(basketOrder.legs.map(leg => leg.orderId)).toEqual([null, null]);
+    expect(basketOrders).toHaveLength(1);
+  });
+
+  it('checks the balance for the basket total before writing any leg', async () => {
+    createDb(900);
+
+    const { basketOrder } = await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000 });
+
+    expect(basketOrder).toMatchObject({ status: 'ROLLED_BACK', failureReason: 'Insufficient wallet balance' });
+    expect(writeOrder).not.toHaveBeenCalled();
+  });
+
+  it('keeps the legs of a PARTIAL basket that were placed and reports the one that failed', async () => {
+    createDb(10000);
+    (writeOrder as jest.Mock)
+      .mockResolvedValueOnce({ id: 'order-TCS' })
+      .mockRejectedValueOnce(new OrderError('Insufficient wallet balance'));
+
+    const { basketOrder } = await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000, mode: 'PARTIAL' });
+
+    expect(basketOrder).toMatchObject({ status: 'PARTIALLY_PLACED', failureReason: 'Insufficient wallet balance' });
+    expect(basketOrder.legs.map(leg => [leg.orderId, leg.error])).toEqual([
+      ['order-TCS', null],
+      [null, 'Insufficient wallet balance'],
+    ]);
+  });
+
+  it('fails a PARTIAL basket none of whose legs could be placed', async () => {
+    createDb(10000);
+    (writeOrder as jest.Mock)
+      .mockRejectedValueOnce(new OrderError('Insufficient wallet balance'))
+      .mockRejectedValueOnce(new OrderError('Insufficient wallet balance'));
+
+    const { basketOrder } = await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000, mode: 'PARTIAL' });
+
+    expect(basketOrder.status).toBe('FAILED');
+  });
+
+  it('replays a basket order placed with the same idempotency key', async () => {
+    const { basketOrders } = createDb(10000);
+    const body = { userId: 'user1', basketId: 'basket1', amount: 1000 };
+
+    const first = await placeBasketOrder(body, { idempotencyKey: 'key1' });
+    const second = await placeBasketOrder(body, { idempotencyKey: 'key1' });
+
+    expect(second).toEqual({ basketOrder: first.basketOrder, replayed: true });
+    expect(basketOrders).toHaveLength(1);
+    expect(writeOrder).toHaveBeenCalledTimes(2);
+  });
+
+  it('rejects an idempotency key reused for a different basket or amount', async () => {
+    createDb(10000);
+    await placeBasketOrder({ userId: 'user1', basketId: 'basket1', amount: 1000 }, { idempotencyKey: 'key1' });
+
+    for (const body of [
+      { userId: 'user1', basketId: 'basket2', amount: 1000 },
+      { userId: 'user1', basketId: 'basket1', amount: 2000 },
+    ]) {
+      const error = await placeBasketOrder(body, { idempotencyKey: 'key1' }).catch(e => e);
+
+      expect(error).toBeInstanceOf(BasketError);
+      expect(error.status).toBe(422);
+    }
+  });
+});
@@ -0,0 +1,125 @@
+import { AssetCategory } from "@prisma/client";
+import { db } from "@/lib/db";
+import { ClientError } from "@/lib/orders/errors";
+
+export const MAX_BASKET_ITEMS = 20;
+
+export class BasketError extends ClientError {
+  name = "BasketError";
+}
+
+export interface BasketItemInput {
+  assetId: string;
+  weight: number;
+}
+
+export interface BasketRequest {
+  userId: string;
+  name: string;
+  description?: string;
+  category?: AssetCategory;
+  items: BasketItemInput[];
+}
+
+// Rupee amount of each leg. Legs are rounded down to the paisa and the
+// remainder goes to the heaviest leg, so the legs always add up to `amount`.
+export function splitBasketAmount(items: BasketItemInput[], amount: number) {
+  const legs = items.map(item => ({
+    assetId: item.assetId,
+    weight: item.weight,
+    amount: Math.floor(amount * item.weight * 100) / 100,
+  }));
+
+  if (legs.length > 0) {
+    const allocated = legs.reduce((sum, leg) => sum + leg.amount, 0);
+    const heaviest = legs.reduce((max, leg) => (leg.weight > max.weight ? leg : max), legs[0]);
+    heaviest.amount = Math.round((heaviest.amount + amount - allocated) * 100) / 100;
+  }
+
+  return legs;
+}
+
+function validateItems(items: BasketItemInput[]) {
+  if (!Array.isArray(items) || items.length === 0 || items.some(i => !i.assetId || !(i.weight > 0))) {
+    throw new BasketError("Each basket item needs an asset and a positive weight");
+  }
+
+  if (items.length > MAX_BASKET_ITEMS) {
+    throw new BasketError(`A basket can hold at most ${MAX_BASKET_ITEMS} assets`);
+  }
+
+  if (new Set(items.map(i => i.assetId)).size !== items.length) {
+    throw new BasketError("Basket items must not repeat an asset");
+  }
+
+  const totalWeight = items.reduce((sum, i) => sum + i.weight, 0);
+  return items.map(i => ({ assetId: i.assetId, weight: i.weight / totalWeight }));
+}
+
+export async function createBasket(body: BasketRequest) {
+  const { userId, name } = body;
+
+  if (!userId || !name || !body.items) {
+    throw new BasketError("Missing required fields");
+  }
+
+  const items = validateItems(body.items);
+
+  const [user, assets] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { id: true } }),
+    db.asset.findMany({
+      where: { id: { in: items.map(i => i.assetId) }, isActive: true },
+      select: { id: true, type: true },
+    }),
+  ]);
+
+  if (!user || assets.length !== items.length) {
+    throw new BasketError("User or asset not found", 404);
+  }
+
+  // Fund purchases wait for NAV allotment and cannot execute with the other legs
+  if (assets.some(asset => asset.type === "MUTUAL_FUND")) {
+    throw new BasketError("Mutual funds cannot be added to a basket; use a basket SIP instead");
+  }
+
+  return db.basket.create({
+    data: {
+      userId,
+      name,
+      description: body.description || null,
+      category: body.category || null,
+      items: { create: items },
+    },
+    include: { items: true },
+  });
+}
+
+// Curated themes are visible to everyone; other baskets only to their owner
+export async function getBasket(basketId: string, userId: string) {
+  const basket = await db.basket.findUnique({
+    where: { id: basketId },
+    include: {
+      items: { include: { asset: true } },
+    },
+  });
+
+  if (!basket || !basket.isActive || (!basket.isCurated && basket.userId !== userId)) {
+    throw new BasketError("Basket not found", 404);
+  }
+
+  return basket;
+}
+
+export async function deleteBasket(userId: string, basketId: string) {
+  const basket = await db.basket.findUnique({ where: { id: basketId } });
+
+  if (!basket || basket.isCurated || basket.userId !== userId || !basket.isActive) {
+    throw new BasketError("Basket not found", 404);
+  }
+
+  // Soft delete; past basket orders keep pointing at the basket
+  return db.basket.update({
+    where: { id: basketId },
+    data: { isActive: false },
+  });
+}
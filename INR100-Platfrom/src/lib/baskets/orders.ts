@@ -0,0 +1,289 @@
+import { BasketOrder, Order, Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { getFeeSchedule } from "@/lib/fees";
+import { BasketError, getBasket, splitBasketAmount } from "@/lib/baskets/baskets";
+import { OrderError } from "@/lib/orders/errors";
+import {
+  OrderRequest,
+  PreparedOrder,
+  prepareOrder,
+  validateOrderRequest,
+  writeOrder,
+} from "@/lib/orders/placement";
+import { getAvailableBalance } from "@/lib/orders/reservations";
+
+// Same ₹100 floor the product advertises for investing
+export const MIN_BASKET_AMOUNT = 100;
+
+const EXECUTION_MODES = ["ALL_OR_NONE", "PARTIAL"] as const;
+
+export type BasketExecutionMode = typeof EXECUTION_MODES[number];
+
+export interface BasketOrderRequest {
+  userId: string;
+  basketId: string;
+  amount: number;
+  mode?: BasketExecutionMode;
+}
+
+export interface BasketLeg {
+  assetId: string;
+  weight: number;
+  amount: number;
+  orderId: string | null;
+  error: string | null;
+}
+
+// Per-leg view of a basket order, combining the stored split with the current
+// state of each leg's order (AMO legs fill after placement)
+export function formatBasketOrder(basketOrder: BasketOrder & { orders: Order[] }) {
+  const { orders, legs: storedLegs, ...rest } = basketOrder;
+
+  const legs = (JSON.parse(storedLegs) as BasketLeg[]).map(leg => {
+    const order = orders.find(o => o.id === leg.orderId);
+    return {
+      ...leg,
+      orderStatus: order?.status || null,
+      quantity: order?.quantity || 0,
+      filledQuantity: order?.filledQuantity || 0,
+      avgFillPrice: order?.avgFillPrice || null,
+      totalFee: order?.totalFee || 0,
+    };
+  });
+
+  const placed = legs.filter(leg => leg.orderStatus);
+  const executed = placed.filter(leg => leg.orderStatus === "EXECUTED");
+
+  return {
+    ...rest,
+    legs,
+    fillStatus: placed.length === 0
+      ? null
+      : executed.length === placed.length
+        ? "EXECUTED"
+        : executed.length > 0 || placed.some(leg => leg.filledQuantity > 0)
+          ? "PARTIALLY_FILLED"
+          : "PENDING",
+  };
+}
+
+async function findBasketOrder(where: Prisma.BasketOrderWhereUniqueInput) {
+  const basketOrder = await db.basketOrder.findUnique({
+    where,
+    include: { orders: true },
+  });
+  return basketOrder && formatBasketOrder(basketOrder);
+}
+
+async function findIdempotentBasketOrder(userId: string, idempotencyKey: string, body: BasketOrderRequest) {
+  const basketOrder = await findBasketOrder({ userId_idempotencyKey: { userId, idempotencyKey } });
+
+  if (basketOrder && (basketOrder.basketId !== body.basketId || basketOrder.amount !== body.amount)) {
+    throw new BasketError("Idempotency key was already used for a different basket order", 422);
+  }
+  return basketOrder;
+}
+
+// Splits `amount` across the basket and buys every leg with an amount-based
+// MARKET order. ALL_OR_NONE writes every leg in one transaction, so a leg that
+// cannot be placed rolls the whole basket back; PARTIAL places legs one by one
+// and reports the ones that failed. Either way the outcome is recorded.
+export async function placeBasketOrder(body: BasketOrderRequest, options: { idempotencyKey?: string | null } = {}) {
+  const { userId, basketId, amount } = body;
+  const mode = body.mode || "ALL_OR_NONE";
+  const idempotencyKey = options.idempotencyKey || null;
+
+  if (!userId || !basketId || !amount) {
+    throw new BasketError("Missing required fields");
+  }
+
+  if (!EXECUTION_MODES.includes(mode)) {
+    throw new BasketError("Mode must be ALL_OR_NONE or PARTIAL");
+  }
+
+  if (amount < MIN_BASKET_AMOUNT) {
+    throw new BasketError(`Minimum basket investment is ₹${MIN_BASKET_AMOUNT}`);
+  }
+
+  if (idempotencyKey) {
+    const existing = await findIdempotentBasketOrder(userId, idempotencyKey, body);
+    if (existing) {
+      return { basketOrder: existing, replayed: true };
+    }
+  }
+
+  const [user, basket] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { subscriptionTier: true } }),
+    getBasket(basketId, userId),
+  ]);
+
+  if (!user) {
+    throw new BasketError("User not found", 404);
+  }
+
+  const feeSchedule = await getFeeSchedule();
+  const now = new Date();
+
+  // Route and price every leg up front; nothing is written yet
+  const legs: BasketLeg[] = [];
+  const prepared: (PreparedOrder | null)[] = [];
+
+  for (const split of splitBasketAmount(basket.items, amount)) {
+    const item = basket.items.find(i => i.assetId === split.assetId)!;
+    const request: OrderRequest = { userId, assetId: split.assetId, orderType: "BUY", type: "MARKET", amount: split.amount };
+    const leg: BasketLeg = { ...split, orderId: null, error: null };
+
+    try {
+      if (!item.asset.isActive || item.asset.type === "MUTUAL_FUND") {
+        throw new OrderError(`${item.asset.symbol} is not available for basket orders`);
+      }
+      validateOrderRequest(request);
+      prepared.push(await prepareOrder(request, { asset: item.asset, feeSchedule, subscriptionTier: user.subscriptionTier }, now));
+    } catch (error) {
+      if (!(error instanceof OrderError)) throw error;
+      leg.error = error.message;
+      prepared.push(null);
+    }
+    legs.push(leg);
+  }
+
+  try {
+    const basketOrderId = mode === "ALL_OR_NONE"
+      ? await placeAllOrNone(userId, basketId, amount, idempotencyKey, legs, prepared)
+      : await placePartial(userId, basketId, amount, idempotencyKey, legs, prepared);
+
+    return { basketOrder: (await findBasketOrder({ id: basketOrderId }))!, replayed: false };
+  } catch (error) {
+    // A concurrent retry with the same key won the race
+    if (idempotencyKey && error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      const existing = await findIdempotentBasketOrder(userId, idempotencyKey, body);
+      if (existing) {
+        return { basketOrder: existing, replayed: true };
+      }
+    }
+    throw error;
+  }
+}
+
+async function recordRollback(
+  userId: string,
+  basketId: string,
+  amount: number,
+  idempotencyKey: string | null,
+  legs: BasketLeg[],
+  failureReason: string
+) {
+  const basketOrder = await db.basketOrder.create({
+    data: {
+      userId,
+      basketId,
+      amount,
+      mode: "ALL_OR_NONE",
+      status: "ROLLED_BACK",
+      legs: JSON.stringify(legs.map(leg => ({ ...leg, orderId: null }))),
+      failureReason,
+      idempotencyKey,
+    },
+  });
+  return basketOrder.id;
+}
+
+async function placeAllOrNone(
+  userId: string,
+  basketId: string,
+  amount: number,
+  idempotencyKey: string | null,
+  legs: BasketLeg[],
+  prepared: (PreparedOrder | null)[]
+) {
+  const failedLeg = legs.find(leg => leg.error);
+  if (failedLeg) {
+    return recordRollback(userId, basketId, amount, idempotencyKey, legs, failedLeg.error!);
+  }
+
+  try {
+    return await db.$transaction(async (tx) => {
+      const basketOrder = await tx.basketOrder.create({
+        data: {
+          userId,
+          basketId,
+          amount,
+          mode: "ALL_OR_NONE",
+          status: "PLACED",
+          legs: "[]",
+          idempotencyKey,
+        },
+      });
+
+      // Fail fast on the basket total before writing any leg
+      const wallet = await tx.wallet.findUnique({ where: { userId } });
+      const totalAmount = prepared.reduce((sum, leg) => sum + leg!.totalAmount, 0);
+      if (!wallet || getAvailableBalance(wallet) < totalAmount) {
+        throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+      }
+
+      for (let i = 0; i < legs.length; i++) {
+        const order = await writeOrder(tx, prepared[i]!, { basketOrderId: basketOrder.id });
+        legs[i].orderId = order.id;
+      }
+
+      await tx.basketOrder.update({
+        where: { id: basketOrder.id },
+        data: { legs: JSON.stringify(legs) },
+      });
+      return basketOrder.id;
+    });
+  } catch (error) {
+    if (error instanceof OrderError) {
+      return recordRollback(userId, basketId, amount, idempotencyKey, legs, error.message);
+    }
+    throw error;
+  }
+}
+
+async function placePartial(
+  userId: string,
+  basketId: string,
+  amount: number,
+  idempotencyKey: string | null,
+  legs: BasketLeg[],
+  prepared: (PreparedOrder | null)[]
+) {
+  const basketOrder = await db.basketOrder.create({
+    data: {
+      userId,
+      basketId,
+      amount,
+      mode: "PARTIAL",
+      status: "PLACED",
+      legs: JSON.stringify(legs),
+      idempotencyKey,
+    },
+  });
+
+  for (let i = 0; i < legs.length; i++) {
+    if (!prepared[i]) {
+      continue;
+    }
+    try {
+      const order = await db.$transaction(async (tx) => writeOrder(tx, prepared[i]!, { basketOrderId: basketOrder.id }));
+      legs[i].orderId = order.id;
+    } catch (error) {
+      if (!(error instanceof OrderError)) {
+        console.error(`Basket leg error for ${basketOrder.id}:`, error);
+      }
+      legs[i].error = error instanceof OrderError ? error.message : "Order could not be placed";
+    }
+  }
+
+  const placedLegs = legs.filter(leg => leg.orderId).length;
+  await db.basketOrder.update({
+    where: { id: basketOrder.id },
+    data: {
+      status: placedLegs === legs.length ? "PLACED" : placedLegs > 0 ? "PARTIALLY_PLACED" : "FAILED",
+      legs: JSON.stringify(legs),
+      failureReason: legs.find(leg => leg.error)?.error || null,
+    },
+  });
+  return basketOrder.id;
+}
@@ -0,0 +1,150 @@
+import { processCopyTrades } from '@/lib/copy-trading/copying';
+import { db } from '@/lib/db';
+import { updatePortfolioHoldings } from '@/lib/orders/holdings';
+import { placeOrder } from '@/lib/orders/placement';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+jest.mock('@/lib/notifications', () => ({ notifyUser: jest.fn() }));
+jest.mock('@/lib/orders/placement', () => ({
+  placeOrder: jest.fn((body: { assetId: string }) => Promise.resolve({ order: { id: `order-${body.assetId}` } })),
+}));
+jest.mock('@/lib/tax/lots', () => ({
+  addTaxLot: jest.fn(),
+  disposeTaxLots: jest.fn(),
+  reconcileOpeningLot: jest.fn(),
+}));
+
+// In-memory tables for the leader's portfolios and one copy of the public one.
+// The leader also holds WIPRO privately, which the copy must not see.
+// Rows are returned as copies, as Prisma's are.
+function createDb() {
+  const copy = (row: any) => (row ? { ...row } : null);
+  const tables = {
+    portfolios: [
+      { id: 'leader-default', userId: 'leader', isPublic: false },
+      { id: 'leader-public', userId: 'leader', isPublic: true },
+      { id: 'copier-default', userId: 'copier', isPublic: false },
+    ],
+    holdings: [
+      { id: 'h1', portfolioId: 'leader-public', assetId: 'asset-TCS', quantity: 10, avgBuyPrice: 100, currentPrice: 100, totalInvested: 1000 },
+      { id: 'h3', portfolioId: 'leader-default', assetId: 'asset-WIPRO', quantity: 50, avgBuyPrice: 100, currentPrice: 100, totalInvested: 5000 },
+      { id: 'h2', portfolioId: 'copier-default', assetId: 'asset-TCS', quantity: 5, avgBuyPrice: 100, currentPrice: 100, totalInvested: 500 },
+    ] as any[],
+    copies: [{
+      id: 'copy1',
+      userId: 'copier',
+      portfolioId: 'leader-public',
+      status: 'ACTIVE',
+      copiedAt: new Date('2024-06-03T04:00:00Z'),
+      allocatedCapital: 1000,
+      copyDelayMinutes: 0,
+      minOrderAmount: 100,
+      leaderQuantities: JSON.stringify({ 'asset-TCS': 10 }),
+      leaderValueAtSync: 1000,
+      leaderIndex: 1,
+    }] as any[],
+    trades: [] as any[],
+    orders: [{
+      id: 'copy-order1',
+      copiedPortfolioId: 'copy1',
+      assetId: 'asset-TCS',
+      orderType: 'BUY',
+      quantity: 5,
+      filledQuantity: 5,
+      price: 100,
+      avgFillPrice: 100,
+      totalFee: 0,
+      exitLoad: 0,
+      status: 'EXECUTED',
+      createdAt: new Date('2024-06-03T04:00:00Z'),
+      asset: { symbol: 'TCS', type: 'STOCK', currentPrice: 100 },
+    }],
+  };
+  const matches = (row: any, where: any = {}) =>
+    Object.entries(where).every(([key, value]: [string, any]) => {
+      if (value && typeof value === 'object' && 'gt' in value) return row[key] > value.gt;
+      if (value && typeof value === 'object' && 'in' in value) return value.in.includes(row[key]);
+      if (value && typeof value === 'object' && 'lte' in value) return row[key] <= value.lte;
+      if (value && typeof value === 'object' && 'gte' in value) return row[key] >= value.gte;
+      return row[key] === value;
+    });
+  const symbols: Record<string, string> = { 'asset-TCS': 'TCS', 'asset-INFY': 'INFY' };
+
+  return {
+    tables,
+    portfolio: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(copy(tables.portfolios.find(row => matches(row, where))))),
+      findUnique: jest.fn(({ where }) => Promise.resolve(copy(tables.portfolios.find(row => row.id === where.id)))),
+      update: jest.fn(),
+    },
+    holding: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(copy(tables.holdings.find(row => matches(row, where))))),
+      findMany: jest.fn(({ where, include }) => Promise.resolve(
+        tables.holdings
+          .filter(row => matches(row, where))
+          .map(row => ({ ...row, ...(include ? { asset: { symbol: symbols[row.assetId], type: 'STOCK' } } : {}) }))
+      )),
+      create: jest.fn(({ data }) => {
+        tables.holdings.push({ id: `h${tables.holdings.length + 1}`, ...data });
+        return Promise.resolve(copy(data));
+      }),
+      update: jest.fn(({ where, data }) => Promise.resolve(Object.assign(tables.holdings.find(row => row.id === where.id), data))),
+    },
+    asset: { findMany: jest.fn(() => Promise.resolve([])) },
+    wallet: { findUnique: jest.fn(() => Promise.resolve({ balance: 10000, blockedBalance: 0 })) },
+    order: {
+      count: jest.fn(() => Promise.resolve(0)),
+      findMany: jest.fn(({ where }) => Promise.resolve(
+        tables.orders.filter(row => row.copiedPortfolioId === where.copiedPortfolioId && row.filledQuantity > 0)
+      )),
+    },
+    copiedPortfolio: {
+      findMany: jest.fn(() => Promise.resolve(tables.copies.map(copy))),
+      findUniqueOrThrow: jest.fn(({ where }) => Promise.resolve(copy(tables.copies.find(row => row.id === where.id)))),
+      update: jest.fn(({ where, data }) => Promise.resolve(Object.assign(tables.copies.find(row => row.id === where.id), data))),
+    },
+    copyTrade: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(copy(tables.trades.find(row => matches(row, where))))),
+      findMany: jest.fn(({ where }) => Promise.resolve(
+        tables.trades.filter(row => row.status === 'PENDING' && !row.executedAt && row.executeAfter <= where.executeAfter.lte)
+      )),
+      findUniqueOrThrow: jest.fn(({ where }) => Promise.resolve(copy(tables.trades.find(row => row.id === where.id)))),
+      create: jest.fn(({ data }) => {
+        const trade = { id: `trade${tables.trades.length + 1}`, status: 'PENDING', executedAt: null, orders: '[]', ...data };
+        tables.trades.push(trade);
+        return Promise.resolve(copy(trade));
+      }),
+      updateMany: jest.fn(({ where, data }) => {
+        const trade = tables.trades.find(row => row.id === where.id && row.status === 'PENDING' && !row.executedAt);
+        if (trade) Object.assign(trade, data);
+        return Promise.resolve({ count: trade ? 1 : 0 });
+      }),
+      update: jest.fn(({ where, data }) => Promise.resolve(copy(Object.assign(tables.trades.find(row => row.id === where.id), data)))),
+    },
+    $transaction: jest.fn((operations: Promise<unknown>[]) => Promise.all(operations)),
+  };
+}
+
+describe('processCopyTrades', () => {
+  it("mirrors a leader's filled BUY into an order for the copier", async () => {
+    const fake = createDb();
+    Object.assign(db, fake);
+    const now = new Date('2024-06-04T05:00:00Z');
+
+    // The leader buys INFY into the public portfolio
+    await updatePortfolioHoldings('leader', 'asset-INFY', 10, 'BUY', 100, db as any, { portfolioId: 'leader-public' });
+    const summary = await processCopyTrades(now);
+
+    expect(summary).toMatchObject({ recorded: 1, executed: 1, failed: 0 });
+    expect(JSON.parse(fake.tables.trades[0].changes)).toEqual([
+      { assetId: 'asset-INFY', symbol: 'INFY', fromQuantity: 0, toQuantity: 10 },
+    ]);
+    expect(JSON.parse(fake.tables.copies[0].leaderQuantities)).toEqual({ 'asset-TCS': 10, 'asset-INFY': 10 });
+    // Half the leader's value is now in INFY; the copy is worth ₹1,000
+    expect(placeOrder).toHaveBeenCalledTimes(1);
+    expect(placeOrder).toHaveBeenCalledWith(
+      { userId: 'copier', assetId: 'asset-INFY', orderType: 'BUY', type: 'MARKET', amount: 500 },
+      { idempotencyKey: 'copy-trade1-0', copiedPortfolioId: 'copy1' }
+    );
+  });
+});
@@ -0,0 +1,57 @@
+import { CopyHolding, getQuantityChanges, planCopyOrders } from '@/lib/copy-trading/models';
+
+const holding = (symbol: string, quantity: number, price = 100): CopyHolding => ({
+  assetId: `asset-${symbol}`,
+  symbol,
+  type: 'STOCK',
+  quantity,
+  price,
+});
+
+describe('getQuantityChanges', () => {
+  it('reports traded assets but not price moves', () => {
+    const previous = { 'asset-TCS': 10, 'asset-INFY': 5, 'asset-ITC': 20 };
+    const leader = [holding('TCS', 10, 4000), holding('INFY', 8), holding('HDFCBANK', 2)];
+    const symbols = new Map(leader.map(row => [row.assetId, row.symbol]));
+
+    expect(getQuantityChanges(previous, leader, symbols)).toEqual([
+      { assetId: 'asset-INFY', symbol: 'INFY', fromQuantity: 5, toQuantity: 8 },
+      { assetId: 'asset-ITC', symbol: 'asset-ITC', fromQuantity: 20, toQuantity: 0 },
+      { assetId: 'asset-HDFCBANK', symbol: 'HDFCBANK', fromQuantity: 0, toQuantity: 2 },
+    ]);
+  });
+});
+
+describe('planCopyOrders', () => {
+  const leader = [holding('TCS', 60), holding('INFY', 40)];
+
+  it('buys the original\'s weights with the allocated capital', () => {
+    const orders = planCopyOrders(leader, [], 10000, ['asset-TCS', 'asset-INFY'], 100);
+    expect(orders.map(order => [order.symbol, order.side, order.amount])).toEqual([
+      ['TCS', 'BUY', 6000],
+      ['INFY', 'BUY', 4000],
+    ]);
+  });
+
+  it('only trades the assets that changed', () => {
+    // The original sold half its INFY; the copy still holds the old weights
+    const after = [holding('TCS', 60), holding('INFY', 20)];
+    const positions = [holding('TCS', 60), holding('INFY', 40)];
+    const orders = planCopyOrders(after, positions, 0, ['asset-INFY'], 100);
+
+    expect(orders).toHaveLength(1);
+    expect(orders[0]).toMatchObject({ symbol: 'INFY', side: 'SELL', quantity: 15 });
+  });
+
+  it('exits assets the original sold in full, however small', () => {
+    const positions = [holding('TCS', 60), holding('ITC', 0.5)];
+    const orders = planCopyOrders(leader, positions, 0, ['asset-ITC'], 100);
+    expect(orders).toEqual([expect.objectContaining({ symbol: 'ITC', side: 'SELL', quantity: 0.5, amount: 50 })]);
+  });
+
+  it('scales buys to the cash available and drops orders under the minimum', () => {
+    const orders = planCopyOrders([...leader, holding('ITC', 1)], [], 5000, ['asset-TCS', 'asset-INFY', 'asset-ITC'], 100);
+    expect(orders.map(order => order.symbol)).toEqual(['TCS', 'INFY']);
+    expect(orders.reduce((sum, order) => sum + order.amount, 0)).toBeLessThanOrEqual(5000);
+  });
+});
@@ -0,0 +1,543 @@
+import { CopiedPortfolio, CopyTrade } from "@prisma/client";
+import { db } from "@/lib/db";
+import { notifyUser } from "@/lib/notifications";
+import { OrderError } from "@/lib/orders/errors";
+import { placeOrder } from "@/lib/orders/placement";
+import { getAvailableBalance } from "@/lib/orders/reservations";
+import { findDefaultPortfolio, roundAmount } from "@/lib/performance/portfolio";
+import {
+  COPY_TRADING_CONFIG,
+  CopyHolding,
+  CopyOrder,
+  CopyTradingError,
+  QuantityChange,
+  getQuantityChanges,
+  planCopyOrders,
+  valueQuantities,
+} from "@/lib/copy-trading/models";
+
+const MINUTE_MS = 60 * 1000;
+
+export interface CopySettings {
+  allocatedCapital?: number;
+  copyDelayMinutes?: number;
+  minOrderAmount?: number;
+}
+
+export type CopyAction = "PAUSE" | "RESUME" | "STOP" | "UPDATE";
+
+// Validated column values for the settings of a copied portfolio
+export function validateCopySettings(settings: CopySettings) {
+  const data: Partial<Pick<CopiedPortfolio, "allocatedCapital" | "copyDelayMinutes" | "minOrderAmount">> = {};
+
+  if (settings.allocatedCapital !== undefined) {
+    if (!(settings.allocatedCapital >= COPY_TRADING_CONFIG.minAllocatedCapital)) {
+      throw new CopyTradingError(`Allocate at least ₹${COPY_TRADING_CONFIG.minAllocatedCapital} to copy a portfolio`);
+    }
+    data.allocatedCapital = settings.allocatedCapital;
+  }
+
+  if (settings.copyDelayMinutes !== undefined) {
+    const delay = settings.copyDelayMinutes;
+    if (!Number.isInteger(delay) || delay < 0 || delay > COPY_TRADING_CONFIG.maxCopyDelayMinutes) {
+      throw new CopyTradingError(`Copy delay must be between 0 and ${COPY_TRADING_CONFIG.maxCopyDelayMinutes} minutes`);
+    }
+    data.copyDelayMinutes = delay;
+  }
+
+  if (settings.minOrderAmount !== undefined) {
+    if (!(settings.minOrderAmount >= COPY_TRADING_CONFIG.minOrderAmount)) {
+      throw new CopyTradingError(`Minimum order amount must be at least ₹${COPY_TRADING_CONFIG.minOrderAmount}`);
+    }
+    data.minOrderAmount = settings.minOrderAmount;
+  }
+
+  return data;
+}
+
+// The composition of a followed portfolio. Its owner trades it by placing
+// orders into it (Order.portfolioId), so their other portfolios stay private.
+async function loadLeaderHoldings(portfolioId: string): Promise<CopyHolding[]> {
+  const holdings = await db.holding.findMany({
+    where: { portfolioId, quantity: { gt: 0 } },
+    include: { asset: { select: { symbol: true, type: true } } },
+  });
+  return holdings.map(holding => ({
+    assetId: holding.assetId,
+    symbol: holding.asset.symbol,
+    type: holding.asset.type,
+    quantity: holding.quantity,
+    price: holding.currentPrice,
+  }));
+}
+
+// Latest prices of the given assets: marked-to-market holding prices first,
+// then the asset's stored price
+async function loadPrices(assetIds: string[], holdings: CopyHolding[]) {
+  const prices = new Map<string, number>(holdings.map(holding => [holding.assetId, holding.price]));
+  const missing = assetIds.filter(assetId => !prices.has(assetId));
+  if (missing.length > 0) {
+    const assets = await db.asset.findMany({
+      where: { id: { in: missing } },
+      select: { id: true, currentPrice: true },
+    });
+    for (const asset of assets) {
+      prices.set(asset.id, asset.currentPrice || 0);
+    }
+  }
+  return prices;
+}
+
+// What the copy holds and has spent, from the filled part of the orders
+// placed for it since copying (re)started. Positions are capped at what the
+// copier still holds, in case they sold some themselves.
+async function loadCopyBook(copy: CopiedPortfolio) {
+  const [orders, portfolio] = await Promise.all([
+    db.order.findMany({
+      where: { copiedPortfolioId: copy.id, createdAt: { gte: copy.copiedAt }, filledQuantity: { gt: 0 } },
+      include: { asset: { select: { symbol: true, type: true, currentPrice: true } } },
+    }),
+    findDefaultPortfolio(copy.userId),
+  ]);
+  const holdings = portfolio
+    ? await db.holding.findMany({ where: { portfolioId: portfolio.id } })
+    : [];
+
+  let invested = 0;
+  let realised = 0;
+  const positions = new Map<string, CopyHolding>();
+  for (const order of orders) {
+    const filledShare = order.quantity > 0 ? order.filledQuantity / order.quantity : 0;
+    const tradeValue = order.filledQuantity * (order.avgFillPrice ?? order.price);
+    const position = positions.get(order.assetId) || {
+      assetId: order.assetId,
+      symbol: order.asset.symbol,
+      type: order.asset.type,
+      quantity: 0,
+      price: order.asset.currentPrice || order.price,
+    };
+
+    if (order.orderType === "BUY") {
+      invested += tradeValue + order.totalFee * filledShare;
+      position.quantity += order.filledQuantity;
+    } else {
+      realised += tradeValue - order.totalFee * filledShare - order.exitLoad;
+      position.quantity -= order.filledQuantity;
+    }
+    positions.set(order.assetId, position);
+  }
+
+  const rows: CopyHolding[] = [];
+  for (const position of Array.from(positions.values())) {
+    const holding = holdings.find(row => row.assetId === position.assetId);
+    const quantity = Math.min(position.quantity, holding?.quantity || 0);
+    if (quantity > 0) {
+      rows.push({ ...position, quantity, price: holding?.currentPrice || position.price });
+    }
+  }
+
+  return {
+    positions: rows,
+    invested: roundAmount(invested),
+    realised: roundAmount(realised),
+    cash: roundAmount(copy.allocatedCapital - invested + realised),
+  };
+}
+
+function formatCopyTrade(trade: CopyTrade) {
+  return {
+    ...trade,
+    changes: JSON.parse(trade.changes) as QuantityChange[],
+    orders: JSON.parse(trade.orders) as CopyOrder[],
+  };
+}
+
+// The copy against the original since copying began. The original's return
+// is time-weighted over the compositions it held, so its own trades do not
+// count as gains; the copy's is its gain on the capital it invested.
+async function getCopyPerformance(copy: CopiedPortfolio & { portfolio: { name: string } }) {
+  const leaderQuantities: Record<string, number> = copy.leaderQuantities ? JSON.parse(copy.leaderQuantities) : {};
+  const [leader, book] = await Promise.all([loadLeaderHoldings(copy.portfolioId), loadCopyBook(copy)]);
+  const prices = await loadPrices(Object.keys(leaderQuantities), leader);
+
+  const leaderGrowth = copy.leaderValueAtSync > 0
+    ? copy.leaderIndex * (valueQuantities(leaderQuantities, prices) / copy.leaderValueAtSync)
+    : copy.leaderIndex;
+  const currentValue = roundAmount(book.positions.reduce((sum, position) => sum + position.quantity * position.price, 0));
+  const gain = roundAmount(currentValue + book.realised - book.invested);
+
+  const originalReturn = Math.round((leaderGrowth - 1) * 10000) / 100;
+  const copyReturn = book.invested > 0 ? Math.round((gain / book.invested) * 10000) / 100 : null;
+
+  return {
+    original: {
+      portfolioId: copy.portfolioId,
+      name: copy.portfolio.name,
+      returnPercent: originalReturn,
+    },
+    copy: {
+      allocatedCapital: copy.allocatedCapital,
+      invested: book.invested,
+      realised: book.realised,
+      currentValue,
+      unspentCapital: Math.max(book.cash, 0),
+      gain,
+      returnPercent: copyReturn,
+      positions: book.positions.map(position => ({
+        assetId: position.assetId,
+        symbol: position.symbol,
+        quantity: position.quantity,
+        value: roundAmount(position.quantity * position.price),
+      })),
+    },
+    // Negative when the copy lags the original, from the copy delay, skipped
+    // small orders and fees
+    trackingDifference: copyReturn === null ? null : Math.round((copyReturn - originalReturn) * 100) / 100,
+  };
+}
+
+async function getOwnedCopy(userId: string, copiedPortfolioId: string) {
+  const copy = await db.copiedPortfolio.findUnique({
+    where: { id: copiedPortfolioId },
+    include: { portfolio: { select: { name: true } } },
+  });
+  if (!copy || copy.userId !== userId) {
+    throw new CopyTradingError("Copied portfolio not found", 404);
+  }
+  return copy;
+}
+
+export async function getCopiedPortfolio(userId: string, copiedPortfolioId: string) {
+  const copy = await getOwnedCopy(userId, copiedPortfolioId);
+  // leaderQuantities is internal sync state
+  const { portfolio, leaderQuantities, ...rest } = copy;
+  const trades = await db.copyTrade.findMany({
+    where: { copiedPortfolioId },
+    orderBy: { createdAt: "desc" },
+  });
+
+  return {
+    ...rest,
+    portfolioName: portfolio.name,
+    performance: await getCopyPerformance(copy),
+    trades: trades.map(formatCopyTrade),
+  };
+}
+
+export async function getCopiedPortfolios(userId: string) {
+  const copies = await db.copiedPortfolio.findMany({
+    where: { userId },
+    include: { portfolio: { select: { name: true } } },
+    orderBy: { copiedAt: "desc" },
+  });
+
+  return Promise.all(
+    copies.map(async (copy) => {
+      const { portfolio, leaderQuantities, ...rest } = copy;
+      return {
+        ...rest,
+        portfolioName: portfolio.name,
+        performance: await getCopyPerformance(copy),
+      };
+    })
+  );
+}
+
+// Places the orders of a mirroring that is due. Waits while orders of an
+// earlier mirroring are still open, so the copy's book is settled before the
+// next one is planned.
+export async function executeCopyTrade(copyTradeId: string, now: Date = new Date()) {
+  const trade = await db.copyTrade.findUniqueOrThrow({ where: { id: copyTradeId } });
+  const copy = await db.copiedPortfolio.findUniqueOrThrow({ where: { id: trade.copiedPortfolioId } });
+  if (trade.status !== "PENDING" || copy.status !== "ACTIVE") {
+    return formatCopyTrade(trade);
+  }
+
+  const openOrders = await db.order.count({
+    where: { copiedPortfolioId: copy.id, status: { in: ["PENDING", "PARTIALLY_FILLED"] } },
+  });
+  if (openOrders > 0) {
+    return formatCopyTrade(trade);
+  }
+
+  // Claim the trade so a concurrent run cannot place the orders twice
+  const claimed = await db.copyTrade.updateMany({
+    where: { id: trade.id, status: "PENDING", executedAt: null },
+    data: { executedAt: now },
+  });
+  if (claimed.count === 0) {
+    return formatCopyTrade(await db.copyTrade.findUniqueOrThrow({ where: { id: trade.id } }));
+  }
+
+  const [leader, book, wallet] = await Promise.all([
+    loadLeaderHoldings(copy.portfolioId),
+    loadCopyBook(copy),
+    db.wallet.findUnique({ where: { userId: copy.userId } }),
+  ]);
+  const cash = Math.min(book.cash, wallet ? getAvailableBalance(wallet) : 0);
+  const changes = JSON.parse(trade.changes) as QuantityChange[];
+  const orders = planCopyOrders(leader, book.positions, cash, changes.map(change => change.assetId), copy.minOrderAmount);
+
+  for (let i = 0; i < orders.length; i++) {
+    const order = orders[i];
+    try {
+      const result = await placeOrder(
+        {
+          userId: copy.userId,
+          assetId: order.assetId,
+          orderType: order.side,
+          type: "MARKET",
+          ...(order.side === "SELL" ? { quantity: order.quantity! } : { amount: order.amount }),
+        },
+        { idempotencyKey: `copy-${trade.id}-${i}`, copiedPortfolioId: copy.id }
+      );
+      order.orderId = result.order.id;
+    } catch (error) {
+      if (!(error instanceof OrderError)) {
+        console.error(`Copy trade order error for ${trade.id}:`, error);
+      }
+      order.error = error instanceof OrderError ? error.message : "Order could not be placed";
+    }
+  }
+
+  const placed = orders.filter(order => order.orderId).length;
+  const updated = await db.copyTrade.update({
+    where: { id: trade.id },
+    data: {
+      status: orders.length === 0
+        ? "SKIPPED"
+        : placed === orders.length ? "EXECUTED" : placed > 0 ? "PARTIALLY_EXECUTED" : "FAILED",
+      orders: JSON.stringify(orders),
+      failureReason: orders.find(order => order.error)?.error || null,
+    },
+  });
+
+  if (orders.length > 0) {
+    await notifyUser(copy.userId, {
+      type: "COPY_TRADE_EXECUTED",
+      title: "Copied portfolio updated",
+      message: placed === orders.length
+        ? `${placed} order${placed === 1 ? " was" : "s were"} placed to follow changes to the portfolio you copy.`
+        : `${placed} of ${orders.length} orders were placed to follow the portfolio you copy. ${updated.failureReason || ""}`.trim(),
+      metadata: { copiedPortfolioId: copy.id, copyTradeId: trade.id },
+    });
+  }
+  return formatCopyTrade(updated);
+}
+
+// Records the original's current composition as synced, compounding its
+// growth over the composition held since the previous sync
+function getSyncData(copy: CopiedPortfolio, leader: CopyHolding[], prices: Map<string, number>, now: Date) {
+  const previous: Record<string, number> = copy.leaderQuantities ? JSON.parse(copy.leaderQuantities) : {};
+  const current = Object.fromEntries(leader.map(holding => [holding.assetId, holding.quantity]));
+  const leaderIndex = copy.leaderValueAtSync > 0
+    ? copy.leaderIndex * (valueQuantities(previous, prices) / copy.leaderValueAtSync)
+    : copy.leaderIndex;
+
+  return {
+    leaderQuantities: JSON.stringify(current),
+    leaderValueAtSync: valueQuantities(current, prices),
+    leaderIndex,
+    syncedAt: now,
+  };
+}
+
+// Starts copying a public portfolio with `allocatedCapital`, or restarts a
+// stopped copy. The current composition is bought right away; later changes
+// follow after the copy delay.
+export async function startCopying(userId: string, portfolioId: string, settings: CopySettings, now: Date = new Date()) {
+  if (settings.allocatedCapital === undefined) {
+    throw new CopyTradingError("Allocated capital is required");
+  }
+  const data = validateCopySettings(settings);
+
+  const [user, portfolio, existing, wallet] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { id: true } }),
+    db.portfolio.findUnique({ where: { id: portfolioId } }),
+    db.copiedPortfolio.findUnique({ where: { userId_portfolioId: { userId, portfolioId } } }),
+    db.wallet.findUnique({ where: { userId } }),
+  ]);
+
+  if (!user) {
+    throw new CopyTradingError("User not found", 404);
+  }
+  if (!portfolio || !portfolio.isPublic) {
+    throw new CopyTradingError("Public portfolio not found", 404);
+  }
+  if (portfolio.userId === userId) {
+    throw new CopyTradingError("You cannot copy your own portfolio");
+  }
+  if (existing && existing.status !== "STOPPED") {
+    throw new CopyTradingError("You are already copying this portfolio", 409);
+  }
+  if (!wallet || getAvailableBalance(wallet) < data.allocatedCapital!) {
+    throw new CopyTradingError("Insufficient wallet balance for the allocated capital");
+  }
+
+  const leader = await loadLeaderHoldings(portfolioId);
+  if (leader.length === 0) {
+    throw new CopyTradingError("This portfolio has no holdings to copy", 409);
+  }
+
+  const prices = await loadPrices([], leader);
+  const start = {
+    ...data,
+    status: "ACTIVE" as const,
+    isActive: true,
+    copiedAt: now,
+    pausedAt: null,
+    stoppedAt: null,
+    leaderQuantities: null,
+    leaderValueAtSync: 0,
+    leaderIndex: 1,
+  };
+  const copy = existing
+    ? await db.copiedPortfolio.update({ where: { id: existing.id }, data: start })
+    : await db.copiedPortfolio.create({ data: { userId, portfolioId, ...start } });
+
+  const symbols = new Map(leader.map(holding => [holding.assetId, holding.symbol]));
+  const [, trade] = await db.$transaction([
+    db.copiedPortfolio.update({ where: { id: copy.id }, data: getSyncData(copy, leader, prices, now) }),
+    db.copyTrade.create({
+      data: {
+        copiedPortfolioId: copy.id,
+        userId,
+        changes: JSON.stringify(getQuantityChanges({}, leader, symbols)),
+        executeAfter: now,
+      },
+    }),
+  ]);
+
+  await executeCopyTrade(trade.id, now);
+  return getCopiedPortfolio(userId, copy.id);
+}
+
+// Pause (changes are recorded and mirrored on resume), resume, stop (open
+// mirrorings are cancelled; positions stay with the copier) or update the
+// copy settings
+export async function updateCopiedPortfolio(
+  userId: string,
+  copiedPortfolioId: string,
+  action: CopyAction,
+  settings: CopySettings = {},
+  now: Date = new Date()
+) {
+  const copy = await getOwnedCopy(userId, copiedPortfolioId);
+  if (copy.status === "STOPPED") {
+    throw new CopyTradingError("Copying of this portfolio has stopped", 409);
+  }
+
+  switch (action) {
+    case "PAUSE":
+      if (copy.status !== "ACTIVE") {
+        throw new CopyTradingError("Copying is already paused", 409);
+      }
+      await db.copiedPortfolio.update({ where: { id: copy.id }, data: { status: "PAUSED", pausedAt: now } });
+      break;
+    case "RESUME":
+      if (copy.status !== "PAUSED") {
+        throw new CopyTradingError("Copying is not paused", 409);
+      }
+      await db.copiedPortfolio.update({ where: { id: copy.id }, data: { status: "ACTIVE", pausedAt: null } });
+      break;
+    case "STOP":
+      await db.$transaction([
+        db.copiedPortfolio.update({
+          where: { id: copy.id },
+          data: { status: "STOPPED", isActive: false, stoppedAt: now },
+        }),
+        db.copyTrade.updateMany({
+          where: { copiedPortfolioId: copy.id, status: "PENDING", executedAt: null },
+          data: { status: "CANCELLED" },
+        }),
+      ]);
+      break;
+    case "UPDATE":
+      await db.copiedPortfolio.update({ where: { id: copy.id }, data: validateCopySettings(settings) });
+      break;
+    default:
+      throw new CopyTradingError("Action must be PAUSE, RESUME, STOP or UPDATE");
+  }
+
+  return getCopiedPortfolio(userId, copy.id);
+}
+
+// Compares every followed portfolio with its last sync and records the
+// changes for each copy, merged into a mirroring still waiting out its delay.
+// Then places the mirrorings that are due for active copies.
+export async function processCopyTrades(now: Date = new Date()) {
+  const summary = { synced: 0, recorded: 0, executed: 0, skipped: 0, failed: 0 };
+  const copies = await db.copiedPortfolio.findMany({ where: { status: { in: ["ACTIVE", "PAUSED"] } } });
+  const leaders = new Map<string, CopyHolding[]>();
+
+  for (const copy of copies) {
+    try {
+      if (!leaders.has(copy.portfolioId)) {
+        leaders.set(copy.portfolioId, await loadLeaderHoldings(copy.portfolioId));
+      }
+      const leader = leaders.get(copy.portfolioId)!;
+      const previous: Record<string, number> = copy.leaderQuantities ? JSON.parse(copy.leaderQuantities) : {};
+      const symbols = new Map(leader.map(holding => [holding.assetId, holding.symbol]));
+      const changes = getQuantityChanges(previous, leader, symbols);
+      summary.synced++;
+      if (changes.length === 0) {
+        continue;
+      }
+
+      const prices = await loadPrices(Object.keys(previous), leader);
+      const pending = await db.copyTrade.findFirst({
+        where: { copiedPortfolioId: copy.id, status: "PENDING", executedAt: null },
+      });
+
+      let merged = changes;
+      if (pending) {
+        const earlier = JSON.parse(pending.changes) as QuantityChange[];
+        merged = [
+          ...earlier.map(change => {
+            const later = changes.find(row => row.assetId === change.assetId);
+            return later ? { ...change, toQuantity: later.toQuantity } : change;
+          }),
+          ...changes.filter(change => !earlier.some(row => row.assetId === change.assetId)),
+        ];
+      }
+
+      await db.$transaction([
+        db.copiedPortfolio.update({ where: { id: copy.id }, data: getSyncData(copy, leader, prices, now) }),
+        pending
+          ? db.copyTrade.update({ where: { id: pending.id }, data: { changes: JSON.stringify(merged) } })
+          : db.copyTrade.create({
+            data: {
+              copiedPortfolioId: copy.id,
+              userId: copy.userId,
+              changes: JSON.stringify(merged),
+              executeAfter: new Date(now.getTime() + copy.copyDelayMinutes * MINUTE_MS),
+            },
+          }),
+      ]);
+      summary.recorded++;
+    } catch (error) {
+      console.error(`Copy sync failed for copied portfolio ${copy.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  const due = await db.copyTrade.findMany({
+    where: { status: "PENDING", executedAt: null, executeAfter: { lte: now }, copiedPortfolio: { status: "ACTIVE" } },
+    orderBy: { executeAfter: "asc" },
+  });
+  for (const trade of due) {
+    try {
+      const result = await executeCopyTrade(trade.id, now);
+      if (result.status === "SKIPPED") {
+        summary.skipped++;
+      } else if (result.status !== "PENDING") {
+        summary.executed++;
+      }
+    } catch (error) {
+      console.error(`Copy trade ${trade.id} failed:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,114 @@
+import { ClientError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+
+export class CopyTradingError extends ClientError {
+  name = "CopyTradingError";
+}
+
+export const COPY_TRADING_CONFIG = {
+  minAllocatedCapital: 1000,
+  minOrderAmount: 100, // Same ₹100 floor the product advertises for investing
+  maxCopyDelayMinutes: 24 * 60,
+};
+
+export interface CopyHolding {
+  assetId: string;
+  symbol: string;
+  type: string;
+  quantity: number;
+  price: number;
+}
+
+export interface QuantityChange {
+  assetId: string;
+  symbol: string;
+  fromQuantity: number;
+  toQuantity: number;
+}
+
+export interface CopyOrder {
+  assetId: string;
+  symbol: string;
+  side: "BUY" | "SELL";
+  quantity: number | null; // Sells are by quantity
+  amount: number; // Buys are by amount; estimated proceeds for sells
+  orderId: string | null;
+  error: string | null;
+}
+
+const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+export function valueQuantities(quantities: Record<string, number>, prices: Map<string, number>) {
+  return Object.entries(quantities).reduce((sum, [assetId, quantity]) => sum + quantity * (prices.get(assetId) || 0), 0);
+}
+
+// Assets whose quantity in the original differs from the last sync; price
+// moves alone are not changes
+export function getQuantityChanges(
+  previous: Record<string, number>,
+  holdings: CopyHolding[],
+  symbols: Map<string, string>
+): QuantityChange[] {
+  const current = new Map(holdings.map(holding => [holding.assetId, holding.quantity]));
+  const assetIds = Array.from(new Set([...Object.keys(previous), ...Array.from(current.keys())]));
+
+  return assetIds
+    .map(assetId => ({
+      assetId,
+      symbol: symbols.get(assetId) || assetId,
+      fromQuantity: previous[assetId] || 0,
+      toQuantity: current.get(assetId) || 0,
+    }))
+    .filter(change => Math.abs(change.toQuantity - change.fromQuantity) > 1e-9);
+}
+
+// Orders that give each changed asset the same weight in the copy as in the
+// original. The copy is valued at its positions plus its unspent capital;
+// assets the original exited are sold in full. Buys are scaled down to the
+// cash the copy has, and orders under the minimum are dropped.
+export function planCopyOrders(
+  leader: CopyHolding[],
+  positions: CopyHolding[],
+  cash: number,
+  changedAssetIds: string[],
+  minOrderAmount: number
+) {
+  const leaderTotal = leader.reduce((sum, holding) => sum + holding.quantity * holding.price, 0);
+  const available = Math.max(cash, 0);
+  const copyValue = positions.reduce((sum, position) => sum + position.quantity * position.price, 0) + available;
+
+  const sells: CopyOrder[] = [];
+  const buys: CopyOrder[] = [];
+  let proceeds = 0;
+
+  for (const assetId of changedAssetIds) {
+    const original = leader.find(holding => holding.assetId === assetId);
+    const position = positions.find(row => row.assetId === assetId);
+    const weight = original && leaderTotal > 0 ? (original.quantity * original.price) / leaderTotal : 0;
+    const difference = weight * copyValue - (position ? position.quantity * position.price : 0);
+
+    if (difference < 0 && position) {
+      const { decimals } = getQuantityPrecision(position.type);
+      const quantity = weight === 0
+        ? position.quantity
+        : Math.min(position.quantity, roundQuantity(-difference / position.price, decimals, "DOWN"));
+      const amount = roundAmount(quantity * position.price);
+      // Exits go through whatever their size so no remnant is left behind
+      if (quantity > 0 && (weight === 0 || amount >= minOrderAmount)) {
+        sells.push({ assetId, symbol: position.symbol, side: "SELL", quantity, amount, orderId: null, error: null });
+        proceeds += amount;
+      }
+    } else if (difference > 0 && original) {
+      buys.push({ assetId, symbol: original.symbol, side: "BUY", quantity: null, amount: difference, orderId: null, error: null });
+    }
+  }
+
+  const wanted = buys.reduce((sum, order) => sum + order.amount, 0);
+  const scale = wanted > available + proceeds ? (available + proceeds) / wanted : 1;
+  const funded = buys
+    .map(order => ({ ...order, amount: Math.floor(order.amount * scale * 100) / 100 }))
+    .filter(order => order.amount >= minOrderAmount);
+
+  // Sales first so their proceeds fund the purchases
+  return [...sells, ...funded];
+}
@@ -0,0 +1,502 @@
+import { Asset, CorporateAction, CorporateActionType, Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { getZonedParts } from "@/lib/market-calendar";
+import { notifyUser } from "@/lib/notifications";
+import { ClientError, OrderError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+import { refreshPortfolioTotals } from "@/lib/orders/holdings";
+import { cancelOrder } from "@/lib/orders/lifecycle";
+import { adjustTaxLotsForCorporateAction } from "@/lib/tax/lots";
+
+// Ex-dates and payment dates follow the Indian exchange calendar
+const CORPORATE_ACTION_TIME_ZONE = "Asia/Kolkata";
+
+const CORPORATE_ACTION_TYPES: CorporateActionType[] = ["SPLIT", "BONUS", "DIVIDEND", "MERGER"];
+
+// Actions that change the share count invalidate the prices of open orders
+const PRICE_ADJUSTING_TYPES: CorporateActionType[] = ["SPLIT", "BONUS", "MERGER"];
+
+export class CorporateActionError extends ClientError {
+  name = "CorporateActionError";
+}
+
+export interface CorporateActionRequest {
+  assetId: string;
+  type: CorporateActionType;
+  exDate: string;
+  recordDate?: string;
+  paymentDate?: string;
+  ratioFrom?: number;
+  ratioTo?: number;
+  dividendPerShare?: number;
+  targetAssetId?: string;
+  cashPerShare?: number;
+  description?: string;
+}
+
+export interface CorporateActionSummary {
+  processed: number;
+  adjusted: number;
+  ordersCancelled: number;
+  cashCredited: number;
+  failed: number;
+}
+
+type ActionTerms = Pick<CorporateAction, "type" | "ratioFrom" | "ratioTo" | "dividendPerShare" | "cashPerShare">;
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Shares held after the action per share held before (SPLIT and BONUS)
+export function getShareMultiplier(action: ActionTerms) {
+  const from = action.ratioFrom || 1;
+  const to = action.ratioTo || 0;
+
+  switch (action.type) {
+    case "SPLIT":
+      return to / from;
+    case "BONUS":
+      return (from + to) / from;
+    default:
+      return 1;
+  }
+}
+
+// Effect of an action on one holding. Splits and bonuses keep the cost basis
+// and spread it over the new quantity; a merger moves the cost basis to the
+// target asset; dividends and merger cash are paid per share held.
+export function calculateHoldingAdjustment(
+  action: ActionTerms,
+  holding: { quantity: number; avgBuyPrice: number },
+  assetType: string,
+  targetAssetType?: string
+) {
+  const costBasis = holding.avgBuyPrice * holding.quantity;
+  const precision = getQuantityPrecision(assetType);
+
+  switch (action.type) {
+    case "SPLIT":
+    case "BONUS": {
+      const quantity = roundQuantity(holding.quantity * getShareMultiplier(action), precision.decimals, "DOWN");
+      return {
+        quantity,
+        avgBuyPrice: quantity > 0 ? costBasis / quantity : 0,
+        targetQuantity: null,
+        cashAmount: 0,
+      };
+    }
+    case "DIVIDEND":
+      return {
+        quantity: holding.quantity,
+        avgBuyPrice: holding.avgBuyPrice,
+        targetQuantity: null,
+        cashAmount: roundAmount(holding.quantity * (action.dividendPerShare || 0)),
+      };
+    case "MERGER": {
+      const targetPrecision = getQuantityPrecision(targetAssetType || assetType);
+      const targetQuantity = roundQuantity(
+        (holding.quantity * (action.ratioTo || 0)) / (action.ratioFrom || 1),
+        targetPrecision.decimals,
+        "DOWN"
+      );
+      return {
+        quantity: 0,
+        avgBuyPrice: targetQuantity > 0 ? costBasis / targetQuantity : 0,
+        targetQuantity,
+        cashAmount: roundAmount(holding.quantity * (action.cashPerShare || 0)),
+      };
+    }
+  }
+}
+
+function parseActionDate(value: string | undefined, field: string) {
+  if (value === undefined) {
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value))) {
+    throw new CorporateActionError(`${field} must be a YYYY-MM-DD date`);
+  }
+  return value;
+}
+
+function isPositiveInteger(value: number | undefined) {
+  return value !== undefined && Number.isInteger(value) && value > 0;
+}
+
+export async function createCorporateAction(body: CorporateActionRequest) {
+  const { assetId, type } = body;
+
+  if (!assetId || !type || !body.exDate) {
+    throw new CorporateActionError("Missing required fields");
+  }
+
+  if (!CORPORATE_ACTION_TYPES.includes(type)) {
+    throw new CorporateActionError(`Type must be one of ${CORPORATE_ACTION_TYPES.join(", ")}`);
+  }
+
+  const exDate = parseActionDate(body.exDate, "Ex-date")!;
+  const recordDate = parseActionDate(body.recordDate, "Record date");
+  const paymentDate = parseActionDate(body.paymentDate, "Payment date");
+
+  if (paymentDate && paymentDate < exDate) {
+    throw new CorporateActionError("Payment date cannot be before the ex-date");
+  }
+
+  if ((type === "SPLIT" || type === "BONUS") && (!isPositiveInteger(body.ratioFrom) || !isPositiveInteger(body.ratioTo))) {
+    throw new CorporateActionError("Splits and bonuses need a positive whole-number ratio");
+  }
+
+  if (type === "DIVIDEND" && !(body.dividendPerShare! > 0)) {
+    throw new CorporateActionError("Dividends need a positive dividend per share");
+  }
+
+  if (type === "MERGER") {
+    if (!body.targetAssetId || body.targetAssetId === assetId) {
+      throw new CorporateActionError("Mergers need a different target asset");
+    }
+    if (!isPositiveInteger(body.ratioFrom) || !(body.ratioTo! >= 0) || (!body.ratioTo && !(body.cashPerShare! > 0))) {
+      throw new CorporateActionError("Mergers need a share ratio and/or cash per share");
+    }
+  }
+
+  const assets = await db.asset.findMany({
+    where: { id: { in: [assetId, ...(type === "MERGER" ? [body.targetAssetId!] : [])] } },
+    select: { id: true },
+  });
+
+  if (assets.length !== (type === "MERGER" ? 2 : 1)) {
+    throw new CorporateActionError("Asset not found", 404);
+  }
+
+  return db.corporateAction.create({
+    data: {
+      assetId,
+      type,
+      exDate,
+      recordDate,
+      paymentDate: type === "DIVIDEND" ? paymentDate : null,
+      ratioFrom: type === "DIVIDEND" ? null : body.ratioFrom,
+      ratioTo: type === "DIVIDEND" ? null : body.ratioTo,
+      dividendPerShare: type === "DIVIDEND" ? body.dividendPerShare : null,
+      targetAssetId: type === "MERGER" ? body.targetAssetId : null,
+      cashPerShare: type === "MERGER" ? body.cashPerShare || null : null,
+      description: body.description || null,
+    },
+  });
+}
+
+export async function cancelCorporateAction(actionId: string) {
+  const cancelled = await db.corporateAction.updateMany({
+    where: { id: actionId, status: "ANNOUNCED" },
+    data: { status: "CANCELLED" },
+  });
+
+  if (cancelled.count === 0) {
+    throw new CorporateActionError("Only announced corporate actions can be cancelled", 409);
+  }
+
+  return db.corporateAction.findUnique({ where: { id: actionId } });
+}
+
+function describeAction(action: CorporateAction & { asset: Asset; targetAsset: Asset | null }) {
+  switch (action.type) {
+    case "SPLIT":
+      return `${action.asset.symbol} stock split ${action.ratioFrom}:${action.ratioTo}`;
+    case "BONUS":
+      return `${action.asset.symbol} bonus issue ${action.ratioTo}:${action.ratioFrom}`;
+    case "DIVIDEND":
+      return `${action.asset.symbol} dividend of ₹${action.dividendPerShare} per share`;
+    case "MERGER":
+      return `${action.asset.symbol} merger into ${action.targetAsset?.symbol}`;
+  }
+}
+
+// Credits a cash entitlement to the wallet and links the wallet transaction to
+// its audit row. Runs inside the caller's transaction.
+async function creditCash(
+  tx: Prisma.TransactionClient,
+  adjustment: { id: string; userId: string; cashAmount: number },
+  type: "DIVIDEND" | "CORPORATE_ACTION",
+  description: string,
+  corporateActionId: string
+) {
+  const wallet = await tx.wallet.upsert({
+    where: { userId: adjustment.userId },
+    update: { balance: { increment: adjustment.cashAmount } },
+    create: { userId: adjustment.userId, balance: adjustment.cashAmount },
+  });
+
+  const transaction = await tx.transaction.create({
+    data: {
+      userId: adjustment.userId,
+      walletId: wallet.id,
+      type,
+      amount: adjustment.cashAmount,
+      status: "COMPLETED",
+      reference: corporateActionId,
+      description,
+      metadata: JSON.stringify({ corporateActionId, adjustmentId: adjustment.id }),
+    },
+  });
+
+  await tx.corporateActionAdjustment.update({
+    where: { id: adjustment.id },
+    data: { creditedAt: new Date(), transactionId: transaction.id },
+  });
+}
+
+// Open orders on the asset are priced for the old share count; cancel them
+async function cancelOpenOrders(action: CorporateAction, description: string, summary: CorporateActionSummary) {
+  const orders = await db.order.findMany({
+    where: { assetId: action.assetId, status: { in: ["PENDING", "PARTIALLY_FILLED"] } },
+  });
+
+  for (const order of orders) {
+    try {
+      await cancelOrder(order.userId, order.id);
+      summary.ordersCancelled++;
+      await notifyUser(order.userId, {
+        type: "CORPORATE_ACTION_ORDER_CANCELLED",
+        title: "Open order cancelled",
+        message: `Your open ${order.orderType} order was cancelled because of the ${description}. Please place it again at the adjusted price.`,
+        metadata: { corporateActionId: action.id, orderId: order.id },
+      });
+    } catch (error) {
+      // Filled or cancelled in the meantime
+      if (!(error instanceof OrderError)) throw error;
+    }
+  }
+}
+
+async function applyToHolding(
+  action: CorporateAction & { asset: Asset; targetAsset: Asset | null },
+  holding: Prisma.HoldingGetPayload<{ include: { portfolio: { select: { userId: true } } } }>,
+  adjustedPrice: number | null,
+  description: string
+) {
+  const result = calculateHoldingAdjustment(action, holding, action.asset.type, action.targetAsset?.type);
+  const userId = holding.portfolio.userId;
+
+  try {
+    await db.$transaction(async (tx) => {
+      // The unique audit row makes a re-run skip holdings already adjusted
+      const adjustment = await tx.corporateActionAdjustment.create({
+        data: {
+          corporateActionId: action.id,
+          userId,
+          portfolioId: holding.portfolioId,
+          assetId: holding.assetId,
+          quantityBefore: holding.quantity,
+          quantityAfter: result.quantity,
+          avgBuyPriceBefore: holding.avgBuyPrice,
+          avgBuyPriceAfter: result.avgBuyPrice,
+          targetAssetId: action.targetAssetId,
+          targetQuantity: result.targetQuantity,
+          cashAmount: result.cashAmount,
+        },
+      });
+
+      await adjustTaxLotsForCorporateAction(tx, action, userId, holding, result);
+
+      if (action.type === "SPLIT" || action.type === "BONUS") {
+        const price = adjustedPrice ?? holding.currentPrice / getShareMultiplier(action);
+        const totalValue = result.quantity * price;
+        await tx.holding.update({
+          where: { id: holding.id },
+          data: {
+            quantity: result.quantity,
+            avgBuyPrice: result.avgBuyPrice,
+            currentPrice: price,
+            totalValue,
+            returns: totalValue - holding.totalInvested,
+            returnsPercent: holding.totalInvested ? ((totalValue - holding.totalInvested) / holding.totalInvested) * 100 : 0,
+          },
+        });
+      }
+
+      if (action.type === "MERGER") {
+        await tx.holding.delete({ where: { id: holding.id } });
+
+        if (result.targetQuantity && action.targetAsset) {
+          const target = await tx.holding.findUnique({
+            where: { portfolioId_assetId: { portfolioId: holding.portfolioId, assetId: action.targetAsset.id } },
+          });
+          const costBasis = holding.avgBuyPrice * holding.quantity;
+          const quantity = (target?.quantity || 0) + result.targetQuantity;
+          const totalInvested = (target?.totalInvested || 0) + holding.totalInvested;
+          const price = action.targetAsset.currentPrice || target?.currentPrice || result.avgBuyPrice;
+          const totalValue = quantity * price;
+          const values = {
+            quantity,
+            avgBuyPrice: ((target ? target.avgBuyPrice * target.quantity : 0) + costBasis) / quantity,
+            currentPrice: price,
+            totalValue,
+            totalInvested,
+            returns: totalValue - totalInvested,
+            returnsPercent: totalInvested ? ((totalValue - totalInvested) / totalInvested) * 100 : 0,
+          };
+
+          if (target) {
+            await tx.holding.update({ where: { id: target.id }, data: values });
+          } else {
+            await tx.holding.create({
+              data: { portfolioId: holding.portfolioId, assetId: action.targetAsset.id, ...values },
+            });
+          }
+        }
+
+        if (result.cashAmount > 0) {
+          await creditCash(tx, { id: adjustment.id, userId, cashAmount: result.cashAmount }, "CORPORATE_ACTION", `Cash from ${description}`, action.id);
+        }
+      }
+
+      await refreshPortfolioTotals(holding.portfolioId, tx);
+    });
+  } catch (error) {
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      return false;
+    }
+    throw error;
+  }
+
+  const message = action.type === "DIVIDEND"
+    ? `You are entitled to ₹${result.cashAmount} from the ${description} on ${holding.quantity} shares, payable on ${action.paymentDate || action.exDate}.`
+    : action.type === "MERGER"
+      ? `Your ${holding.quantity} ${action.asset.symbol} shares were converted to ${result.targetQuantity} ${action.targetAsset?.symbol} shares${result.cashAmount > 0 ? ` and ₹${result.cashAmount} was credited to your wallet` : ""}.`
+      : `Your ${action.asset.symbol} holding was adjusted from ${holding.quantity} to ${result.quantity} shares; your average buy price is now ₹${roundAmount(result.avgBuyPrice)}.`;
+
+  await notifyUser(userId, {
+    type: "CORPORATE_ACTION",
+    title: description,
+    message,
+    metadata: { corporateActionId: action.id },
+  });
+  return true;
+}
+
+async function applyCorporateAction(
+  action: CorporateAction & { asset: Asset; targetAsset: Asset | null },
+  summary: CorporateActionSummary
+) {
+  const description = describeAction(action);
+  const multiplier = getShareMultiplier(action);
+  const adjustedPrice = action.asset.currentPrice ? action.asset.currentPrice / multiplier : null;
+
+  if (PRICE_ADJUSTING_TYPES.includes(action.type)) {
+    await cancelOpenOrders(action, description, summary);
+  }
+
+  const holdings = await db.holding.findMany({
+    where: { assetId: action.assetId, quantity: { gt: 0 } },
+    include: { portfolio: { select: { userId: true } } },
+  });
+
+  for (const holding of holdings) {
+    if (await applyToHolding(action, holding, adjustedPrice, description)) {
+      summary.adjusted++;
+    }
+  }
+
+  // Close the action; the claim keeps the price adjustment from running twice
+  await db.$transaction(async (tx) => {
+    const claimed = await tx.corporateAction.updateMany({
+      where: { id: action.id, status: "ANNOUNCED" },
+      data: { status: "PROCESSED", processedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      return;
+    }
+
+    if ((action.type === "SPLIT" || action.type === "BONUS") && adjustedPrice !== null) {
+      await tx.asset.update({
+        where: { id: action.assetId },
+        data: {
+          currentPrice: adjustedPrice,
+          previousPrice: action.asset.previousPrice ? action.asset.previousPrice / multiplier : null,
+        },
+      });
+    }
+
+    // The merged company stops trading
+    if (action.type === "MERGER") {
+      await tx.asset.update({
+        where: { id: action.assetId },
+        data: { isActive: false },
+      });
+    }
+  });
+  summary.processed++;
+}
+
+// Pays dividend entitlements whose payment date has arrived
+async function creditDividends(today: string, summary: CorporateActionSummary) {
+  const adjustments = await db.corporateActionAdjustment.findMany({
+    where: {
+      creditedAt: null,
+      cashAmount: { gt: 0 },
+      corporateAction: {
+        type: "DIVIDEND",
+        OR: [
+          { paymentDate: { lte: today } },
+          { paymentDate: null, exDate: { lte: today } },
+        ],
+      },
+    },
+    include: { corporateAction: { include: { asset: true, targetAsset: true } } },
+  });
+
+  for (const adjustment of adjustments) {
+    const description = describeAction(adjustment.corporateAction);
+
+    const credited = await db.$transaction(async (tx) => {
+      // Claim the entitlement so a concurrent run cannot pay it twice
+      const claimed = await tx.corporateActionAdjustment.updateMany({
+        where: { id: adjustment.id, creditedAt: null },
+        data: { creditedAt: new Date() },
+      });
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      await creditCash(tx, adjustment, "DIVIDEND", description, adjustment.corporateActionId);
+      return true;
+    });
+
+    if (credited) {
+      summary.cashCredited++;
+      await notifyUser(adjustment.userId, {
+        type: "DIVIDEND_CREDITED",
+        title: "Dividend credited",
+        message: `₹${adjustment.cashAmount} from the ${description} has been credited to your wallet.`,
+        metadata: { corporateActionId: adjustment.corporateActionId, adjustmentId: adjustment.id },
+      });
+    }
+  }
+}
+
+// Runs once a day: applies every announced action whose ex-date has arrived,
+// in ex-date order, then pays dividends that are due.
+export async function processCorporateActions(now: Date = new Date()): Promise<CorporateActionSummary> {
+  const summary: CorporateActionSummary = { processed: 0, adjusted: 0, ordersCancelled: 0, cashCredited: 0, failed: 0 };
+  const today = getZonedParts(now, CORPORATE_ACTION_TIME_ZONE).date;
+
+  const actions = await db.corporateAction.findMany({
+    where: { status: "ANNOUNCED", exDate: { lte: today } },
+    include: { asset: true, targetAsset: true },
+    orderBy: [{ exDate: "asc" }, { createdAt: "asc" }],
+  });
+
+  for (const action of actions) {
+    try {
+      await applyCorporateAction(action, summary);
+    } catch (error) {
+      console.error(`Corporate action error for ${action.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  await creditDividends(today, summary);
+
+  return summary;
+}
@@ -0,0 +1,9 @@
+// Quotes a CSV cell when it contains a delimiter, quote or newline
+export function escapeCsv(value: string | number) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows: (string | number)[][]) {
+  return rows.map(row => row.map(escapeCsv).join(",")).join("\n") + "\n";
+}
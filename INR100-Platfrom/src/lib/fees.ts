@@ -0,0 +1,235 @@
+import { Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+
+type OrderSide = "BUY" | "SELL";
+
+export interface FeeScheduleConfig {
+  brokerage: Record<string, { rate: number; minimum: number }>;
+  spread: Record<string, { rate: number }>;
+  currencyConversion: { rate: number; assetTypes: string[] };
+  userDiscounts: Record<string, number>; // Off platform fees; statutory charges are never discounted
+  statutory: {
+    stt: Record<string, { buy: number; sell: number }>;
+    stampDuty: Record<string, number>; // BUY side only
+    exchangeCharges: Record<string, number>;
+    sebiFee: Record<string, number>;
+    gst: { rate: number }; // On brokerage, exchange charges and SEBI fee
+  };
+}
+
+export interface FeeSchedule {
+  version: number;
+  effectiveFrom: Date;
+  config: FeeScheduleConfig;
+}
+
+export type FeeComponentType =
+  | "BROKERAGE"
+  | "SPREAD"
+  | "CURRENCY_CONVERSION"
+  | "STT"
+  | "STAMP_DUTY"
+  | "EXCHANGE_CHARGES"
+  | "SEBI_FEE"
+  | "GST";
+
+export interface FeeComponent {
+  type: FeeComponentType;
+  rate: number;
+  amount: number;
+}
+
+export interface OrderFees {
+  scheduleVersion: number;
+  brokerageFee: number;
+  spreadFee: number;
+  currencyConversionFee: number;
+  statutoryCharges: number; // STT, stamp duty, exchange charges, SEBI fee and GST
+  totalFee: number;
+  discountRate: number;
+  components: FeeComponent[];
+}
+
+// Applies until the first FeeSchedule row becomes effective. New rates are
+// rolled out by inserting a FeeSchedule with the next version and a future
+// effectiveFrom; past orders keep the version they were charged with.
+export const DEFAULT_FEE_SCHEDULE: FeeSchedule = {
+  version: 0,
+  effectiveFrom: new Date(0),
+  config: {
+    brokerage: {
+      STOCK: { rate: 0.001, minimum: 10 }, // 0.1% min ₹10
+      MUTUAL_FUND: { rate: 0, minimum: 0 }, // 0% for direct plans
+      ETF: { rate: 0.0025, minimum: 5 }, // 0.25% min ₹5
+      GOLD: { rate: 0.005, minimum: 25 }, // 0.5% min ₹25
+      GLOBAL: { rate: 0.0015, minimum: 15 }, // 0.15% min ₹15
+    },
+    spread: {
+      STOCK: { rate: 0.002 }, // 0.2%
+      MUTUAL_FUND: { rate: 0.001 }, // 0.1%
+      ETF: { rate: 0.0015 }, // 0.15%
+      GOLD: { rate: 0.003 }, // 0.3%
+      GLOBAL: { rate: 0.0025 }, // 0.25%
+    },
+    currencyConversion: {
+      rate: 0.005, // 0.5% for global assets
+      assetTypes: ["GLOBAL"],
+    },
+    userDiscounts: {
+      BASIC: 0, // No discount
+      PREMIUM: 0.25, // 25% discount on fees
+      PROFESSIONAL: 0.5, // 50% discount on fees
+    },
+    statutory: {
+      stt: {
+        STOCK: { buy: 0.001, sell: 0.001 }, // 0.1% on delivery
+        ETF: { buy: 0, sell: 0.00001 },
+        MUTUAL_FUND: { buy: 0, sell: 0.00001 }, // 0.001% on redemption
+      },
+      stampDuty: {
+        STOCK: 0.00015, // 0.015%
+        ETF: 0.00015,
+        MUTUAL_FUND: 0.00005, // 0.005%
+      },
+      exchangeCharges: {
+        STOCK: 0.0000297, // NSE 0.00297%
+        ETF: 0.0000297,
+      },
+      sebiFee: {
+        STOCK: 0.000001, // ₹10 per crore
+        ETF: 0.000001,
+      },
+      gst: { rate: 0.18 },
+    },
+  },
+};
+
+export const FEE_LABELS: Record<FeeComponentType, string> = {
+  BROKERAGE: "Brokerage fee",
+  SPREAD: "Spread fee",
+  CURRENCY_CONVERSION: "Currency conversion fee",
+  STT: "Securities transaction tax",
+  STAMP_DUTY: "Stamp duty",
+  EXCHANGE_CHARGES: "Exchange transaction charges",
+  SEBI_FEE: "SEBI turnover fee",
+  GST: "GST",
+};
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Fee schedule effective at `at`
+export async function getFeeSchedule(at: Date = new Date()): Promise<FeeSchedule> {
+  const schedule = await db.feeSchedule.findFirst({
+    where: { effectiveFrom: { lte: at } },
+    orderBy: { effectiveFrom: "desc" },
+  });
+
+  if (!schedule) {
+    return DEFAULT_FEE_SCHEDULE;
+  }
+
+  return {
+    version: schedule.version,
+    effectiveFrom: schedule.effectiveFrom,
+    config: JSON.parse(schedule.config),
+  };
+}
+
+// The single fee calculation used by order placement and the fee calculator,
+// so a quote always equals the charge under the same schedule.
+export function calculateOrderFees(
+  schedule: FeeSchedule,
+  assetType: string,
+  orderType: OrderSide,
+  amount: number,
+  userTier: string
+): OrderFees {
+  const { config } = schedule;
+  const type = assetType.toUpperCase();
+
+  const brokerageConfig = config.brokerage[type] || config.brokerage.STOCK;
+  const spreadConfig = config.spread[type] || config.spread.STOCK;
+  const conversionRate = config.currencyConversion.assetTypes.includes(type) ? config.currencyConversion.rate : 0;
+  const discountRate = config.userDiscounts[userTier] || 0;
+
+  const brokerageFee = roundAmount(
+    Math.max(amount * brokerageConfig.rate, brokerageConfig.minimum) * (1 - discountRate)
+  );
+  const spreadFee = roundAmount(amount * spreadConfig.rate * (1 - discountRate));
+  const currencyConversionFee = roundAmount(amount * conversionRate * (1 - discountRate));
+
+  const { statutory } = config;
+  const sttRate = statutory.stt[type]?.[orderType === "BUY" ? "buy" : "sell"] || 0;
+  const stampDutyRate = orderType === "BUY" ? statutory.stampDuty[type] || 0 : 0;
+  const exchangeRate = statutory.exchangeCharges[type] || 0;
+  const sebiRate = statutory.sebiFee[type] || 0;
+
+  const exchangeCharges = roundAmount(amount * exchangeRate);
+  const sebiFee = roundAmount(amount * sebiRate);
+
+  const components: FeeComponent[] = [
+    { type: "BROKERAGE", rate: brokerageConfig.rate, amount: brokerageFee },
+    { type: "SPREAD", rate: spreadConfig.rate, amount: spreadFee },
+    { type: "CURRENCY_CONVERSION", rate: conversionRate, amount: currencyConversionFee },
+    { type: "STT", rate: sttRate, amount: roundAmount(amount * sttRate) },
+    { type: "STAMP_DUTY", rate: stampDutyRate, amount: roundAmount(amount * stampDutyRate) },
+    { type: "EXCHANGE_CHARGES", rate: exchangeRate, amount: exchangeCharges },
+    { type: "SEBI_FEE", rate: sebiRate, amount: sebiFee },
+    {
+      type: "GST",
+      rate: statutory.gst.rate,
+      amount: roundAmount((brokerageFee + exchangeCharges + sebiFee) * statutory.gst.rate),
+    },
+  ];
+
+  const totalFee = roundAmount(components.reduce((sum, component) => sum + component.amount, 0));
+
+  return {
+    scheduleVersion: schedule.version,
+    brokerageFee,
+    spreadFee,
+    currencyConversionFee,
+    statutoryCharges: roundAmount(totalFee - brokerageFee - spreadFee - currencyConversionFee),
+    totalFee,
+    discountRate,
+    components,
+  };
+}
+
+// Securities transaction tax charged on an order, or on `share` of it for a
+// partial fill. STT is a trading expense but cannot be deducted from capital
+// gains (Section 48), so tax lots leave it out.
+export async function getOrderStt(tx: Prisma.TransactionClient, orderId: string, share: number = 1) {
+  const stt = await tx.fee.findFirst({
+    where: { reference: orderId, type: "STT" },
+    select: { amount: true },
+  });
+  return roundAmount((stt?.amount || 0) * share);
+}
+
+// Persists one fee row per non-zero component; they are settled (PAID/WAIVED)
+// with the order
+export async function createOrderFeeRecords(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  orderId: string,
+  orderType: OrderSide,
+  fees: OrderFees
+) {
+  await tx.fee.createMany({
+    data: fees.components
+      .filter(component => component.amount > 0)
+      .map(component => ({
+        userId,
+        type: component.type,
+        amount: component.amount,
+        currency: "INR",
+        percentage: component.rate * 100,
+        description: `${FEE_LABELS[component.type]} for ${orderType} order`,
+        reference: orderId,
+        status: "PENDING" as const,
+      })),
+  });
+}
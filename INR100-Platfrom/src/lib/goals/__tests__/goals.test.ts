@@ -0,0 +1,43 @@
+import { db } from '@/lib/db';
+import { createGoal, updateGoal } from '@/lib/goals/goals';
+
+jest.mock('@/lib/db', () => ({
+  db: {
+    user: { findUnique: jest.fn(() => Promise.resolve({ id: 'user1' })) },
+    financialGoal: { findUnique: jest.fn(), create: jest.fn(), update: jest.fn() },
+    sipMandate: { findMany: jest.fn() },
+  },
+}));
+
+const now = new Date('2026-10-19T06:00:00Z');
+
+describe('linking SIPs to a goal', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // Only sip1 is the user's
+    (db.sipMandate.findMany as jest.Mock).mockImplementation(({ where }) =>
+      Promise.resolve(where.id.in.filter((id: string) => id === 'sip1').map((id: string) => ({ id })))
+    );
+  });
+
+  it('saves no goal when a SIP is not found', async () => {
+    await expect(createGoal('user1', {
+      name: 'House',
+      type: 'HOUSE',
+      targetAmount: 500000,
+      targetDate: '2031-10-19',
+      sipIds: ['sip1', 'sip-of-someone-else'],
+    }, now)).rejects.toMatchObject({ message: 'SIP not found', status: 404 });
+
+    expect(db.financialGoal.create).not.toHaveBeenCalled();
+  });
+
+  it('leaves the goal unchanged when a SIP is not found', async () => {
+    (db.financialGoal.findUnique as jest.Mock).mockResolvedValue({ id: 'goal1', userId: 'user1', status: 'ACTIVE' });
+
+    await expect(updateGoal('user1', 'goal1', { name: 'Bigger house', sipIds: ['sip2'] }, now))
+      .rejects.toMatchObject({ status: 404 });
+
+    expect(db.financialGoal.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,76 @@
+import {
+  getDefaultAllocation,
+  getExpectedReturn,
+  getGoalHealth,
+  getMonthlyContribution,
+  getMonthsBetween,
+  getProjection,
+  getRequiredMonthly,
+  projectValue,
+} from '@/lib/goals/planning';
+
+describe('getMonthsBetween', () => {
+  it('counts whole calendar months', () => {
+    expect(getMonthsBetween('2026-10-19', '2027-10-19')).toBe(12);
+    expect(getMonthsBetween('2026-10-19', '2027-10-18')).toBe(11);
+    expect(getMonthsBetween('2026-10-19', '2026-01-01')).toBe(0);
+  });
+});
+
+describe('getDefaultAllocation', () => {
+  it('holds less equity as the target date nears', () => {
+    expect(getDefaultAllocation('HOUSE', 24).EQUITY).toBe(0.2);
+    expect(getDefaultAllocation('EDUCATION', 60).EQUITY).toBe(0.5);
+    expect(getDefaultAllocation('RETIREMENT', 300).EQUITY).toBe(0.7);
+    expect(getDefaultAllocation('EMERGENCY_FUND', 300)).toEqual({ DEBT: 1 });
+  });
+});
+
+describe('getExpectedReturn', () => {
+  it('weights the asset class returns', () => {
+    expect(getExpectedReturn({ EQUITY: 0.5, DEBT: 0.5 })).toBeCloseTo(0.095, 10);
+  });
+});
+
+describe('getMonthlyContribution', () => {
+  it('converts SIP installments to a monthly amount', () => {
+    expect(getMonthlyContribution([
+      { amount: 5000, frequency: 'MONTHLY' },
+      { amount: 1200, frequency: 'WEEKLY' },
+    ])).toBe(10200);
+  });
+});
+
+describe('projections', () => {
+  it('invests the required amount to land on the target', () => {
+    const required = getRequiredMonthly(1000000, 100000, 0.12, 60);
+    expect(projectValue(100000, required, 0.12, 60)).toBeCloseTo(1000000, 4);
+  });
+
+  it('needs nothing more when savings alone grow past the target', () => {
+    expect(getRequiredMonthly(100000, 90000, 0.12, 12)).toBe(0);
+  });
+
+  it('asks for the whole shortfall once the target date has passed', () => {
+    expect(getRequiredMonthly(100000, 80000, 0.12, 0)).toBe(20000);
+  });
+
+  it('handles a zero return', () => {
+    expect(getRequiredMonthly(12000, 0, 0, 12)).toBe(1000);
+    expect(projectValue(0, 1000, 0, 12)).toBe(12000);
+  });
+
+  it('projects year by year up to the target date', () => {
+    const points = getProjection('2026-10-19', 0, 1000, 1000, 0, 30);
+    expect(points.map(point => point.date)).toEqual(['2026-10-19', '2027-10-19', '2028-10-19', '2029-04-19']);
+    expect(points[points.length - 1].projectedValue).toBe(30000);
+  });
+});
+
+describe('getGoalHealth', () => {
+  it('flags goals projected short of the target', () => {
+    expect(getGoalHealth(100000, 100000)).toBe('ON_TRACK');
+    expect(getGoalHealth(95000, 100000)).toBe('AT_RISK');
+    expect(getGoalHealth(80000, 100000)).toBe('OFF_TRACK');
+  });
+});
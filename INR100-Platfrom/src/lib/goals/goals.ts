@@ -0,0 +1,366 @@
+import { FinancialGoal, GoalType } from "@prisma/client";
+import { db } from "@/lib/db";
+import {
+  SLEEVES,
+  TargetAllocation,
+  getSleeve,
+  validateTargetAllocation,
+} from "@/lib/managed-portfolios/models";
+import { notifyUser } from "@/lib/notifications";
+import { roundAmount, toPerformanceDate } from "@/lib/performance/portfolio";
+import {
+  GOAL_CONFIG,
+  GOAL_TYPES,
+  GoalError,
+  getDefaultAllocation,
+  getExpectedReturn,
+  getGoalHealth,
+  getMonthlyContribution,
+  getMonthsBetween,
+  getProjection,
+  getRequiredMonthly,
+  projectValue,
+} from "@/lib/goals/planning";
+
+export interface GoalRequest {
+  name?: string;
+  type?: GoalType;
+  targetAmount?: number;
+  targetDate?: string; // YYYY-MM-DD
+  allocation?: unknown; // Sleeve weights; defaults by goal type and horizon
+  portfolioId?: string | null;
+  portfolioShare?: number;
+  sipIds?: string[]; // SIPs saving towards the goal; replaces the linked set
+}
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validated column values of a new goal or of the fields being changed
+async function validateGoal(userId: string, body: GoalRequest, today: string, goal?: FinancialGoal) {
+  const data: Partial<Pick<FinancialGoal,
+    "name" | "type" | "targetAmount" | "targetDate" | "allocation" | "portfolioId" | "portfolioShare">> = {};
+
+  if (body.name !== undefined) {
+    if (typeof body.name !== "string" || !body.name.trim()) {
+      throw new GoalError("Goal name is required");
+    }
+    data.name = body.name.trim();
+  }
+
+  if (body.type !== undefined) {
+    if (!GOAL_TYPES.includes(body.type)) {
+      throw new GoalError(`Goal type must be one of ${GOAL_TYPES.join(", ")}`);
+    }
+    data.type = body.type;
+  }
+
+  if (body.targetAmount !== undefined) {
+    if (!(body.targetAmount > 0)) {
+      throw new GoalError("Target amount must be greater than zero");
+    }
+    data.targetAmount = body.targetAmount;
+  }
+
+  if (body.targetDate !== undefined) {
+    if (!DATE_PATTERN.test(body.targetDate) || isNaN(new Date(body.targetDate).getTime())) {
+      throw new GoalError("Target date must be a YYYY-MM-DD date");
+    }
+    if (body.targetDate <= today || getMonthsBetween(today, body.targetDate) > GOAL_CONFIG.maxHorizonYears * 12) {
+      throw new GoalError(`Target date must be in the next ${GOAL_CONFIG.maxHorizonYears} years`);
+    }
+    data.targetDate = body.targetDate;
+  }
+
+  if (body.allocation !== undefined) {
+    data.allocation = JSON.stringify(validateTargetAllocation(body.allocation));
+  } else if (!goal) {
+    // New goals without an allocation follow the glide path for their horizon
+    const months = getMonthsBetween(today, data.targetDate!);
+    data.allocation = JSON.stringify(getDefaultAllocation(data.type!, months));
+  }
+
+  if (body.portfolioId !== undefined) {
+    if (body.portfolioId !== null) {
+      const portfolio = await db.portfolio.findUnique({ where: { id: body.portfolioId }, select: { userId: true } });
+      if (!portfolio || portfolio.userId !== userId) {
+        throw new GoalError("Portfolio not found", 404);
+      }
+    }
+    data.portfolioId = body.portfolioId;
+  }
+
+  if (body.portfolioShare !== undefined) {
+    if (!(body.portfolioShare > 0 && body.portfolioShare <= 1)) {
+      throw new GoalError("Portfolio share must be more than 0 and at most 1");
+    }
+    data.portfolioShare = body.portfolioShare;
+  }
+
+  return data;
+}
+
+// The SIPs to link to a goal, checked before the goal is written so that an
+// unknown SIP leaves nothing behind
+async function validateSipIds(userId: string, sipIds: string[]) {
+  if (!Array.isArray(sipIds)) {
+    throw new GoalError("SIP IDs must be a list");
+  }
+  const unique = Array.from(new Set(sipIds));
+  const sips = await db.sipMandate.findMany({
+    where: { id: { in: unique }, userId, status: { in: ["ACTIVE", "PAUSED"] } },
+    select: { id: true },
+  });
+  if (sips.length !== unique.length) {
+    throw new GoalError("SIP not found", 404);
+  }
+  return unique.map(id => ({ id }));
+}
+
+// Sleeve weights of a portfolio's holdings; assets outside the sleeves
+// (crypto, real estate) are assumed to return like equity
+async function getPortfolioAllocation(portfolioId: string) {
+  const holdings = await db.holding.findMany({
+    where: { portfolioId },
+    include: { asset: { select: { type: true, category: true } } },
+  });
+  const total = holdings.reduce((sum, holding) => sum + holding.totalValue, 0);
+  if (total <= 0) {
+    return null;
+  }
+
+  const allocation: TargetAllocation = {};
+  for (const holding of holdings) {
+    const sleeve = getSleeve(holding.asset) || "EQUITY";
+    allocation[sleeve] = (allocation[sleeve] || 0) + holding.totalValue / total;
+  }
+  return allocation;
+}
+
+// Current value of what the goal's SIPs bought
+async function getSipValue(sipIds: string[]) {
+  if (sipIds.length === 0) {
+    return 0;
+  }
+  const orders = await db.order.findMany({
+    where: { orderType: "BUY", filledQuantity: { gt: 0 }, sipInstallment: { mandateId: { in: sipIds } } },
+    include: { asset: { select: { currentPrice: true } } },
+  });
+  return orders.reduce((sum, order) => sum + order.filledQuantity * (order.asset.currentPrice ?? order.avgFillPrice ?? order.price), 0);
+}
+
+// Where the goal stands: what has been saved, what is going in each month,
+// what is needed, and where that leads by the target date. With a linked
+// portfolio, the goal's share of it is the saved amount (SIP units settle
+// there too) and the portfolio's own mix sets the expected return. Without
+// one, the saved amount is what the linked SIPs bought, expected to return
+// like the goal's allocation.
+export async function getGoalProgress(goal: FinancialGoal, now: Date = new Date()) {
+  const today = toPerformanceDate(now);
+  const sips = await db.sipMandate.findMany({
+    where: { goalId: goal.id, status: { in: ["ACTIVE", "PAUSED"] } },
+    select: { id: true, amount: true, frequency: true, status: true },
+  });
+  const portfolio = goal.portfolioId
+    ? await db.portfolio.findUnique({ where: { id: goal.portfolioId }, select: { totalValue: true } })
+    : null;
+
+  const portfolioAllocation = goal.portfolioId ? await getPortfolioAllocation(goal.portfolioId) : null;
+  const allocation = portfolioAllocation || (JSON.parse(goal.allocation) as TargetAllocation);
+  const expectedReturn = getExpectedReturn(allocation);
+
+  const currentValue = roundAmount(portfolio
+    ? portfolio.totalValue * goal.portfolioShare
+    : await getSipValue(sips.map(sip => sip.id)));
+  const monthlyContribution = getMonthlyContribution(sips.filter(sip => sip.status === "ACTIVE"));
+  const months = getMonthsBetween(today, goal.targetDate);
+  const requiredMonthly = roundAmount(getRequiredMonthly(goal.targetAmount, currentValue, expectedReturn, months));
+  const projectedValue = roundAmount(projectValue(currentValue, monthlyContribution, expectedReturn, months));
+
+  return {
+    currentValue,
+    progressPercent: Math.min(Math.round((currentValue / goal.targetAmount) * 10000) / 100, 100),
+    monthsLeft: months,
+    expectedReturnPercent: Math.round(expectedReturn * 10000) / 100,
+    allocation: Object.fromEntries(SLEEVES.filter(sleeve => allocation[sleeve]).map(sleeve => [sleeve, allocation[sleeve]])),
+    allocationSource: portfolioAllocation ? "PORTFOLIO" : "GOAL",
+    monthlyContribution,
+    requiredMonthly,
+    additionalMonthlyNeeded: roundAmount(Math.max(requiredMonthly - monthlyContribution, 0)),
+    projectedValue,
+    health: getGoalHealth(projectedValue, goal.targetAmount),
+    linkedSipIds: sips.map(sip => sip.id),
+    projection: getProjection(today, currentValue, monthlyContribution, requiredMonthly, expectedReturn, months),
+  };
+}
+
+async function getOwnedGoal(userId: string, goalId: string) {
+  const goal = await db.financialGoal.findUnique({ where: { id: goalId } });
+  if (!goal || goal.userId !== userId) {
+    throw new GoalError("Goal not found", 404);
+  }
+  return goal;
+}
+
+async function formatGoal(goal: FinancialGoal, now: Date) {
+  const { allocation, ...rest } = goal;
+  return { ...rest, ...(await getGoalProgress(goal, now)) };
+}
+
+export async function getGoals(userId: string, now: Date = new Date()) {
+  const goals = await db.financialGoal.findMany({
+    where: { userId, status: { not: "CANCELLED" } },
+    orderBy: { targetDate: "asc" },
+  });
+  return Promise.all(goals.map(goal => formatGoal(goal, now)));
+}
+
+// One goal with its tracked history, oldest first
+export async function getGoal(userId: string, goalId: string, now: Date = new Date()) {
+  const goal = await getOwnedGoal(userId, goalId);
+  const history = await db.goalSnapshot.findMany({
+    where: { goalId },
+    orderBy: { date: "asc" },
+  });
+  return {
+    ...(await formatGoal(goal, now)),
+    history: history.map(({ id, goalId: _goalId, createdAt, ...snapshot }) => snapshot),
+  };
+}
+
+export async function createGoal(userId: string, body: GoalRequest, now: Date = new Date()) {
+  if (!body.name || !body.type || !body.targetAmount || !body.targetDate) {
+    throw new GoalError("Name, type, target amount and target date are required");
+  }
+
+  const user = await db.user.findUnique({ where: { id: userId }, select: { id: true } });
+  if (!user) {
+    throw new GoalError("User not found", 404);
+  }
+
+  const data = await validateGoal(userId, body, toPerformanceDate(now));
+  const sips = body.sipIds ? await validateSipIds(userId, body.sipIds) : null;
+  const goal = await db.financialGoal.create({
+    data: {
+      userId,
+      name: data.name!,
+      type: data.type!,
+      targetAmount: data.targetAmount!,
+      targetDate: data.targetDate!,
+      allocation: data.allocation!,
+      portfolioId: data.portfolioId,
+      portfolioShare: data.portfolioShare,
+      ...(sips ? { sipMandates: { connect: sips } } : {}),
+    },
+  });
+
+  return recordGoalProgress(goal, now);
+}
+
+export async function updateGoal(userId: string, goalId: string, body: GoalRequest, now: Date = new Date()) {
+  const goal = await getOwnedGoal(userId, goalId);
+  if (goal.status !== "ACTIVE") {
+    throw new GoalError(`Goal is already ${goal.status.toLowerCase()}`, 409);
+  }
+
+  const data = await validateGoal(userId, body, toPerformanceDate(now), goal);
+  if (Object.keys(data).length === 0 && !body.sipIds) {
+    throw new GoalError("Nothing to update");
+  }
+
+  // The linked set is replaced in the same write as the goal's fields
+  const sips = body.sipIds ? await validateSipIds(userId, body.sipIds) : null;
+  const updated = await db.financialGoal.update({
+    where: { id: goalId },
+    data: { ...data, ...(sips ? { sipMandates: { set: sips } } : {}) },
+  });
+  return recordGoalProgress(updated, now);
+}
+
+// Cancels a goal; its SIPs keep running but no longer count towards it
+export async function cancelGoal(userId: string, goalId: string) {
+  const goal = await getOwnedGoal(userId, goalId);
+  if (goal.status === "CANCELLED") {
+    throw new GoalError("Goal is already cancelled", 409);
+  }
+
+  await db.$transaction([
+    db.sipMandate.updateMany({ where: { goalId }, data: { goalId: null } }),
+    db.financialGoal.update({ where: { id: goalId }, data: { status: "CANCELLED" } }),
+  ]);
+}
+
+// Stores the day's progress and the goal's health; a goal whose saved value
+// reaches the target is achieved
+async function recordGoalProgress(goal: FinancialGoal, now: Date) {
+  const progress = await getGoalProgress(goal, now);
+  const date = toPerformanceDate(now);
+  const snapshot = {
+    currentValue: progress.currentValue,
+    monthlyContribution: progress.monthlyContribution,
+    requiredMonthly: progress.requiredMonthly,
+    projectedValue: progress.projectedValue,
+    health: progress.health,
+  };
+
+  const achieved = progress.currentValue >= goal.targetAmount;
+  await db.$transaction([
+    db.goalSnapshot.upsert({
+      where: { goalId_date: { goalId: goal.id, date } },
+      create: { goalId: goal.id, date, ...snapshot },
+      update: snapshot,
+    }),
+    db.financialGoal.update({
+      where: { id: goal.id },
+      data: {
+        health: progress.health,
+        ...(achieved ? { status: "ACHIEVED" as const, achievedAt: now } : {}),
+      },
+    }),
+  ]);
+
+  const { allocation, ...rest } = goal;
+  return {
+    ...rest,
+    status: achieved ? ("ACHIEVED" as const) : goal.status,
+    ...progress,
+  };
+}
+
+// Tracks every active goal: records the day's progress and tells the user
+// when a goal is reached or falls off track
+export async function processGoalTracking(now: Date = new Date()) {
+  const summary = { tracked: 0, achieved: 0, offTrack: 0, failed: 0 };
+  const goals = await db.financialGoal.findMany({ where: { status: "ACTIVE" } });
+
+  for (const goal of goals) {
+    try {
+      const result = await recordGoalProgress(goal, now);
+      summary.tracked++;
+
+      if (result.status === "ACHIEVED") {
+        summary.achieved++;
+        await notifyUser(goal.userId, {
+          type: "GOAL_ACHIEVED",
+          title: "Goal reached",
+          message: `You have saved ₹${result.currentValue.toFixed(2)} for "${goal.name}", reaching your target.`,
+          metadata: { goalId: goal.id },
+        });
+      } else if (result.health === "OFF_TRACK" && goal.health !== "OFF_TRACK") {
+        summary.offTrack++;
+        await notifyUser(goal.userId, {
+          type: "GOAL_OFF_TRACK",
+          title: "Goal off track",
+          message: result.monthsLeft > 0
+            ? `"${goal.name}" needs ₹${result.additionalMonthlyNeeded.toFixed(2)} more a month to reach its target by ${goal.targetDate}.`
+            : `"${goal.name}" is ₹${result.requiredMonthly.toFixed(2)} short of its target.`,
+          metadata: { goalId: goal.id },
+        });
+      }
+    } catch (error) {
+      console.error(`Goal tracking failed for goal ${goal.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,110 @@
+import { GoalHealth, GoalType } from "@prisma/client";
+import { SLEEVES, Sleeve, TargetAllocation } from "@/lib/managed-portfolios/models";
+import { addMonths } from "@/lib/market-calendar";
+import { ClientError } from "@/lib/orders/errors";
+import { SipFrequency } from "@/lib/sip/schedule";
+
+export class GoalError extends ClientError {
+  name = "GoalError";
+}
+
+export const GOAL_TYPES: GoalType[] = ["HOUSE", "EDUCATION", "RETIREMENT", "EMERGENCY_FUND", "OTHER"];
+
+export const GOAL_CONFIG = {
+  // Long-run annual return assumed for each asset class
+  expectedReturns: { EQUITY: 0.12, DEBT: 0.07, GOLD: 0.08, INTERNATIONAL: 0.1 } as Record<Sleeve, number>,
+  atRiskShortfall: 0.1, // Projected within this share of the target
+  maxHorizonYears: 50,
+  // Default allocation by years to the target date; the closer the goal, the
+  // less equity. Emergency funds stay in debt.
+  glidePath: [
+    { maxYears: 3, allocation: { EQUITY: 0.2, DEBT: 0.8 } },
+    { maxYears: 7, allocation: { EQUITY: 0.5, DEBT: 0.4, GOLD: 0.1 } },
+    { maxYears: Infinity, allocation: { EQUITY: 0.7, DEBT: 0.15, GOLD: 0.05, INTERNATIONAL: 0.1 } },
+  ] as { maxYears: number; allocation: TargetAllocation }[],
+  emergencyFundAllocation: { DEBT: 1 } as TargetAllocation,
+};
+
+// SIP installments per month by frequency; DAILY SIPs run every day
+const INSTALLMENTS_PER_MONTH: Record<SipFrequency, number> = { DAILY: 365 / 12, WEEKLY: 52 / 12, MONTHLY: 1 };
+
+const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+// Whole calendar months from one YYYY-MM-DD date to another; 0 once `to` has passed
+export function getMonthsBetween(from: string, to: string) {
+  const [fromYear, fromMonth, fromDay] = from.split("-").map(Number);
+  const [toYear, toMonth, toDay] = to.split("-").map(Number);
+  const months = (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+  return Math.max(months, 0);
+}
+
+export function getDefaultAllocation(type: GoalType, months: number): TargetAllocation {
+  if (type === "EMERGENCY_FUND") {
+    return GOAL_CONFIG.emergencyFundAllocation;
+  }
+  return GOAL_CONFIG.glidePath.find(step => months <= step.maxYears * 12)!.allocation;
+}
+
+// Weighted annual return of an allocation
+export function getExpectedReturn(allocation: TargetAllocation) {
+  const total = SLEEVES.reduce((sum, sleeve) => sum + (allocation[sleeve] || 0), 0);
+  if (total <= 0) {
+    return 0;
+  }
+  return SLEEVES.reduce((sum, sleeve) => sum + (allocation[sleeve] || 0) * GOAL_CONFIG.expectedReturns[sleeve], 0) / total;
+}
+
+export function getMonthlyContribution(sips: { amount: number; frequency: SipFrequency }[]) {
+  return roundAmount(sips.reduce((sum, sip) => sum + sip.amount * INSTALLMENTS_PER_MONTH[sip.frequency], 0));
+}
+
+const toMonthlyRate = (annualReturn: number) => Math.pow(1 + annualReturn, 1 / 12) - 1;
+
+// Value after `months` of growth at `annualReturn` with `monthly` invested
+// at the end of every month
+export function projectValue(present: number, monthly: number, annualReturn: number, months: number) {
+  const rate = toMonthlyRate(annualReturn);
+  const growth = Math.pow(1 + rate, months);
+  const contributions = rate === 0 ? monthly * months : (monthly * (growth - 1)) / rate;
+  return present * growth + contributions;
+}
+
+// Monthly investment that grows `present` into `target` in `months`; what
+// is still missing when no months are left
+export function getRequiredMonthly(target: number, present: number, annualReturn: number, months: number) {
+  if (months === 0) {
+    return Math.max(target - present, 0);
+  }
+  const rate = toMonthlyRate(annualReturn);
+  const growth = Math.pow(1 + rate, months);
+  const shortfall = target - present * growth;
+  if (shortfall <= 0) {
+    return 0;
+  }
+  return rate === 0 ? shortfall / months : (shortfall * rate) / (growth - 1);
+}
+
+export function getGoalHealth(projected: number, target: number): GoalHealth {
+  if (projected >= target) {
+    return "ON_TRACK";
+  }
+  return projected >= target * (1 - GOAL_CONFIG.atRiskShortfall) ? "AT_RISK" : "OFF_TRACK";
+}
+
+// Year-by-year projection to the target date at the current contribution,
+// next to the path the required contribution would take
+export function getProjection(
+  today: string,
+  present: number,
+  monthly: number,
+  required: number,
+  annualReturn: number,
+  months: number
+) {
+  const steps = Array.from(new Set([...Array.from({ length: Math.floor(months / 12) + 1 }, (_, i) => i * 12), months]));
+  return steps.map(month => ({
+    date: addMonths(today, month),
+    projectedValue: roundAmount(projectValue(present, monthly, annualReturn, month)),
+    requiredPathValue: roundAmount(projectValue(present, required, annualReturn, month)),
+  }));
+}
@@ -0,0 +1,14 @@
+import { NextRequest } from "next/server";
+
+// Background jobs are exposed as API routes under /api/jobs and triggered by an
+// external scheduler (cron, Vercel Cron, etc.) with `Authorization: Bearer <CRON_SECRET>`.
+export function isAuthorizedJobRequest(request: NextRequest): boolean {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    // Allow manual triggering during local development only
+    return process.env.NODE_ENV !== "production";
+  }
+
+  return request.headers.get("authorization") === `Bearer ${secret}`;
+}
@@ -0,0 +1,41 @@
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+import { getAccrualDates, getBillingPeriod, getDailyFee } from '@/lib/managed-portfolios/fees';
+
+// 10:00 IST on the given day
+const at = (date: string) => new Date(`${date}T04:30:00Z`);
+
+describe('getDailyFee', () => {
+  it('charges a 365th of the annual rate on the day\'s AUM', () => {
+    expect(getDailyFee(365000, 0.01)).toBeCloseTo(10, 10);
+  });
+});
+
+describe('getBillingPeriod', () => {
+  it('bills monthly cycles per calendar month', () => {
+    expect(getBillingPeriod('2024-02-15', 'MONTHLY')).toEqual({ key: '2024-02', start: '2024-02-01', end: '2024-02-29' });
+  });
+
+  it('bills quarterly cycles per calendar quarter', () => {
+    expect(getBillingPeriod('2026-08-10', 'QUARTERLY')).toEqual({ key: '2026-Q3', start: '2026-07-01', end: '2026-09-30' });
+    expect(getBillingPeriod('2026-12-31', 'QUARTERLY').key).toBe('2026-Q4');
+  });
+});
+
+describe('getAccrualDates', () => {
+  it('accrues from the start day through yesterday', () => {
+    const managed = { startedAt: at('2026-10-15'), endedAt: null, feesAccruedThrough: null };
+    expect(getAccrualDates(managed, '2026-10-18')).toEqual(['2026-10-15', '2026-10-16', '2026-10-17']);
+  });
+
+  it('continues after the last accrued day', () => {
+    const managed = { startedAt: at('2026-10-01'), endedAt: null, feesAccruedThrough: '2026-10-16' };
+    expect(getAccrualDates(managed, '2026-10-18')).toEqual(['2026-10-17']);
+  });
+
+  it('does not charge the day management ended', () => {
+    const managed = { startedAt: at('2026-10-01'), endedAt: at('2026-10-12'), feesAccruedThrough: '2026-10-09' };
+    expect(getAccrualDates(managed, '2026-10-18')).toEqual(['2026-10-10', '2026-10-11']);
+    expect(getAccrualDates({ ...managed, feesAccruedThrough: '2026-10-11' }, '2026-10-18')).toEqual([]);
+  });
+});
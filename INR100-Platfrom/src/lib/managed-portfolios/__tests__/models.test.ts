@@ -0,0 +1,67 @@
+import {
+  AllocationError,
+  RebalanceHolding,
+  getAllocationDrift,
+  getSleeve,
+  planRebalance,
+  validateTargetAllocation,
+} from '@/lib/managed-portfolios/models';
+
+const holding = (symbol: string, sleeve: RebalanceHolding['sleeve'], value: number, price = 100): RebalanceHolding => ({
+  assetId: `asset-${symbol}`,
+  symbol,
+  type: sleeve === 'GOLD' ? 'GOLD' : 'STOCK',
+  sleeve,
+  quantity: value / price,
+  price,
+  value,
+});
+
+describe('getSleeve', () => {
+  it('classifies assets by what they invest in', () => {
+    expect(getSleeve({ type: 'STOCK', category: null })).toBe('EQUITY');
+    expect(getSleeve({ type: 'MUTUAL_FUND', category: 'DEBT' })).toBe('DEBT');
+    expect(getSleeve({ type: 'ETF', category: 'COMMODITY' })).toBe('GOLD');
+    expect(getSleeve({ type: 'GLOBAL', category: null })).toBe('INTERNATIONAL');
+    expect(getSleeve({ type: 'CRYPTO', category: null })).toBeNull();
+  });
+});
+
+describe('validateTargetAllocation', () => {
+  it('requires weights that add up to 1', () => {
+    expect(validateTargetAllocation({ EQUITY: 0.7, DEBT: 0.3 })).toEqual({ EQUITY: 0.7, DEBT: 0.3 });
+    expect(() => validateTargetAllocation({ EQUITY: 0.7, DEBT: 0.2 })).toThrow(AllocationError);
+    expect(() => validateTargetAllocation({ CRYPTO: 1 })).toThrow(AllocationError);
+  });
+});
+
+describe('planRebalance', () => {
+  const targets = { EQUITY: 0.6, DEBT: 0.4 };
+
+  it('sells the overweight sleeve and buys the underweight one', () => {
+    const holdings = [holding('TCS', 'EQUITY', 60000), holding('INFY', 'EQUITY', 20000), holding('GILT', 'DEBT', 20000)];
+
+    expect(getAllocationDrift(holdings, targets)[0]).toMatchObject({ sleeve: 'EQUITY', current: 0.8 });
+
+    const trades = planRebalance(holdings, targets, {});
+    expect(trades.map(t => [t.side, t.symbol, t.quantity, t.amount])).toEqual([
+      ['SELL', 'TCS', 150, 15000],
+      ['SELL', 'INFY', 50, 5000],
+      ['BUY', 'GILT', null, 20000],
+    ]);
+  });
+
+  it('buys the model asset for a sleeve with no holdings', () => {
+    const trades = planRebalance([holding('TCS', 'EQUITY', 10000)], targets, {
+      DEBT: { assetId: 'asset-LIQUIDBEES', symbol: 'LIQUIDBEES' },
+    });
+
+    expect(trades.find(t => t.side === 'BUY')).toMatchObject({ assetId: 'asset-LIQUIDBEES', amount: 4000, error: null });
+  });
+
+  it('skips drift too small to be worth trading', () => {
+    const trades = planRebalance([holding('TCS', 'EQUITY', 6300), holding('GILT', 'DEBT', 3700)], targets, {});
+
+    expect(trades).toEqual([]);
+  });
+});
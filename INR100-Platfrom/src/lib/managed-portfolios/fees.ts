@@ -0,0 +1,368 @@
+import { FeeBillingCycle, ManagedPortfolio, Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { addDays } from "@/lib/market-calendar";
+import { notifyUser } from "@/lib/notifications";
+import { OrderError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+import { placeOrder } from "@/lib/orders/placement";
+import { getAvailableBalance } from "@/lib/orders/reservations";
+import { findDefaultPortfolio, roundAmount, toPerformanceDate } from "@/lib/performance/portfolio";
+
+export const FEE_BILLING_CYCLES: FeeBillingCycle[] = ["MONTHLY", "QUARTERLY"];
+
+export const FEE_BILLING_CONFIG = {
+  daysPerYear: 365,
+  gstRate: 0.18, // On the management fee
+  // Units sold for an unpaid invoice are sized this much above the shortfall
+  // so selling charges and price moves before the fill do not leave it short
+  saleBuffer: 0.02,
+};
+
+export function isBillingCycle(cycle: unknown): cycle is FeeBillingCycle {
+  return FEE_BILLING_CYCLES.includes(cycle as FeeBillingCycle);
+}
+
+// One day's fee on the day's AUM; feeRate is annual, as stored on the
+// managed portfolio
+export function getDailyFee(aum: number, annualRate: number) {
+  return (aum * annualRate) / FEE_BILLING_CONFIG.daysPerYear;
+}
+
+// Calendar month or quarter a day is billed in
+export function getBillingPeriod(date: string, cycle: FeeBillingCycle) {
+  const [year, month] = date.split("-").map(Number);
+  const firstMonth = cycle === "QUARTERLY" ? month - ((month - 1) % 3) : month;
+  const months = cycle === "QUARTERLY" ? 3 : 1;
+  const start = `${year}-${String(firstMonth).padStart(2, "0")}-01`;
+  const end = new Date(Date.UTC(year, firstMonth - 1 + months, 0)).toISOString().slice(0, 10);
+  const key = cycle === "QUARTERLY" ? `${year}-Q${(firstMonth + 2) / 3}` : start.slice(0, 7);
+  return { key, start, end };
+}
+
+// Days still to accrue: from the day after the last accrual (or the start
+// day) through yesterday. The day management ends is not charged, so fees
+// are pro-rated to the days actually managed.
+export function getAccrualDates(
+  managed: Pick<ManagedPortfolio, "startedAt" | "endedAt" | "feesAccruedThrough">,
+  today: string
+) {
+  const from = managed.feesAccruedThrough
+    ? addDays(managed.feesAccruedThrough, 1)
+    : toPerformanceDate(managed.startedAt);
+  const endDate = managed.endedAt ? toPerformanceDate(managed.endedAt) : today;
+  const through = addDays(endDate < today ? endDate : today, -1);
+
+  const dates: string[] = [];
+  for (let date = from; date <= through; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+}
+
+// Accrues the fee of every day not yet accrued, on the portfolio's snapshot
+// value of the day (carried forward over days without one). Days before the
+// first snapshot have no valuation and accrue nothing.
+async function accrueManagementFees(managed: ManagedPortfolio, today: string) {
+  const dates = getAccrualDates(managed, today);
+  if (dates.length === 0) {
+    return 0;
+  }
+
+  const [previous, snapshots, existing] = await Promise.all([
+    db.portfolioSnapshot.findFirst({
+      where: { portfolioId: managed.portfolioId, date: { lt: dates[0] } },
+      orderBy: { date: "desc" },
+    }),
+    db.portfolioSnapshot.findMany({
+      where: { portfolioId: managed.portfolioId, date: { gte: dates[0], lte: dates[dates.length - 1] } },
+    }),
+    db.managementFeeAccrual.findMany({
+      where: { managedPortfolioId: managed.id, date: { in: dates } },
+      select: { date: true },
+    }),
+  ]);
+  const values = new Map<string, number>(snapshots.map(snapshot => [snapshot.date, snapshot.totalValue]));
+  const accrued = new Set(existing.map(row => row.date));
+
+  let aum: number | null = previous ? previous.totalValue : null;
+  const rows: Prisma.ManagementFeeAccrualCreateManyInput[] = [];
+  for (const date of dates) {
+    aum = values.get(date) ?? aum;
+    if (aum !== null && aum > 0 && !accrued.has(date)) {
+      rows.push({
+        managedPortfolioId: managed.id,
+        date,
+        aum,
+        feeRate: managed.feeRate,
+        amount: getDailyFee(aum, managed.feeRate),
+      });
+    }
+  }
+
+  await db.$transaction(async (tx) => {
+    await tx.managementFeeAccrual.createMany({ data: rows });
+    await tx.managedPortfolio.update({
+      where: { id: managed.id },
+      data: { feesAccruedThrough: dates[dates.length - 1] },
+    });
+  });
+  return rows.length;
+}
+
+// Bills unbilled accruals on one invoice per billing period that has ended,
+// or on a final invoice once management has ended. An invoice is a
+// MANAGEMENT fee plus the GST on it, sharing a reference.
+async function invoiceManagementFees(managed: ManagedPortfolio, today: string) {
+  const accruals = await db.managementFeeAccrual.findMany({
+    where: { managedPortfolioId: managed.id, feeId: null },
+    orderBy: { date: "asc" },
+  });
+
+  const periods = new Map<string, { end: string; accruals: typeof accruals }>();
+  for (const accrual of accruals) {
+    const period = getBillingPeriod(accrual.date, managed.billingCycle);
+    const entry = periods.get(period.key) || { end: period.end, accruals: [] };
+    entry.accruals.push(accrual);
+    periods.set(period.key, entry);
+  }
+
+  let invoiced = 0;
+  for (const [key, period] of Array.from(periods.entries())) {
+    if (managed.isActive && period.end >= today) {
+      continue;
+    }
+
+    const first = period.accruals[0].date;
+    const last = period.accruals[period.accruals.length - 1].date;
+    const amount = roundAmount(period.accruals.reduce((sum, accrual) => sum + accrual.amount, 0));
+    const gst = roundAmount(amount * FEE_BILLING_CONFIG.gstRate);
+    const reference = `management-fee-${managed.id}-${key}`;
+    const status = amount > 0 ? ("PENDING" as const) : ("WAIVED" as const);
+
+    await db.$transaction(async (tx) => {
+      const fee = await tx.fee.create({
+        data: {
+          userId: managed.userId,
+          type: "MANAGEMENT",
+          amount,
+          currency: "INR",
+          percentage: managed.feeRate * 100,
+          description: `Management fee for ${first} to ${last}`,
+          reference,
+          status,
+          managedPortfolioId: managed.id,
+        },
+      });
+      if (gst > 0) {
+        await tx.fee.create({
+          data: {
+            userId: managed.userId,
+            type: "GST",
+            amount: gst,
+            currency: "INR",
+            percentage: FEE_BILLING_CONFIG.gstRate * 100,
+            description: `GST on management fee for ${first} to ${last}`,
+            reference,
+            status,
+            managedPortfolioId: managed.id,
+          },
+        });
+      }
+
+      // Rolls the invoice back if a concurrent run billed these accruals
+      const billed = await tx.managementFeeAccrual.updateMany({
+        where: { id: { in: period.accruals.map(accrual => accrual.id) }, feeId: null },
+        data: { feeId: fee.id },
+      });
+      if (billed.count !== period.accruals.length) {
+        throw new Error(`Management fee accruals for ${reference} were already invoiced`);
+      }
+    });
+    invoiced++;
+  }
+
+  return invoiced;
+}
+
+class InsufficientBalanceError extends Error {}
+
+// Debits an invoice from the wallet and marks its fees paid; false when the
+// wallet's available balance does not cover it
+async function chargeWallet(userId: string, reference: string, feeIds: string[], total: number) {
+  try {
+    await db.$transaction(async (tx) => {
+      const claimed = await tx.fee.updateMany({
+        where: { id: { in: feeIds }, status: "PENDING" },
+        data: { status: "PAID" },
+      });
+      if (claimed.count !== feeIds.length) {
+        throw new Error(`Management fee ${reference} was already collected`);
+      }
+
+      // Debit first so the wallet row is locked, then verify nothing went negative
+      const wallet = await tx.wallet.update({
+        where: { userId },
+        data: { balance: { decrement: total } },
+      });
+      if (getAvailableBalance(wallet) < 0) {
+        throw new InsufficientBalanceError();
+      }
+
+      await tx.transaction.create({
+        data: {
+          userId,
+          walletId: wallet.id,
+          type: "FEE",
+          amount: total,
+          currency: "INR",
+          status: "COMPLETED",
+          reference,
+          description: "Managed portfolio fee",
+          metadata: JSON.stringify({ feeIds }),
+        },
+      });
+    });
+    return true;
+  } catch (error) {
+    if (error instanceof InsufficientBalanceError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+// Sells units of the portfolio's largest holding to raise the part of an
+// invoice the wallet cannot cover; the invoice is charged on a later run
+// once the proceeds are in the wallet. Only one sale per invoice is open at
+// a time. Orders settle into the default portfolio, so a managed portfolio
+// that is not the default one has to be paid from the wallet.
+async function sellUnitsForFee(managed: ManagedPortfolio, reference: string, shortfall: number) {
+  const keyPrefix = `${reference}-sale-`;
+  const sales = await db.order.findMany({
+    where: { userId: managed.userId, idempotencyKey: { startsWith: keyPrefix } },
+    select: { status: true },
+  });
+  if (sales.some(sale => sale.status === "PENDING" || sale.status === "PARTIALLY_FILLED")) {
+    return null;
+  }
+
+  const portfolio = await findDefaultPortfolio(managed.userId);
+  if (portfolio?.id !== managed.portfolioId) {
+    return null;
+  }
+
+  const holding = await db.holding.findFirst({
+    where: { portfolioId: managed.portfolioId, quantity: { gt: 0 }, currentPrice: { gt: 0 } },
+    include: { asset: { select: { symbol: true, type: true } } },
+    orderBy: { totalValue: "desc" },
+  });
+  if (!holding) {
+    return null;
+  }
+
+  const { decimals } = getQuantityPrecision(holding.asset.type);
+  const target = (shortfall * (1 + FEE_BILLING_CONFIG.saleBuffer)) / holding.currentPrice;
+  const quantity = Math.min(holding.quantity, roundQuantity(target + 10 ** -decimals, decimals, "DOWN"));
+  const result = await placeOrder(
+    { userId: managed.userId, assetId: holding.assetId, orderType: "SELL", type: "MARKET", quantity },
+    { idempotencyKey: `${keyPrefix}${sales.length + 1}` }
+  );
+
+  await notifyUser(managed.userId, {
+    type: "MANAGEMENT_FEE_UNITS_SOLD",
+    title: "Units sold to pay your management fee",
+    message: `Your wallet could not cover a management fee of ₹${shortfall.toFixed(2)}, so ${quantity} ${holding.asset.symbol} were sold to pay it.`,
+    metadata: { managedPortfolioId: managed.id, reference, orderId: result.order.id },
+  });
+  return result.order;
+}
+
+// Charges every unpaid invoice of the managed portfolio, oldest first,
+// including the setup fee. The first one the wallet cannot cover triggers a
+// sale of units and stops collection until it is paid.
+async function collectManagementFees(managed: ManagedPortfolio) {
+  const fees = await db.fee.findMany({
+    where: { managedPortfolioId: managed.id, status: "PENDING" },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const invoices = new Map<string, typeof fees>();
+  for (const fee of fees) {
+    const reference = fee.reference || fee.id;
+    invoices.set(reference, [...(invoices.get(reference) || []), fee]);
+  }
+
+  const result = { collected: 0, unitsSold: 0, outstanding: 0 };
+  for (const [reference, invoiceFees] of Array.from(invoices.entries())) {
+    const total = roundAmount(invoiceFees.reduce((sum, fee) => sum + fee.amount, 0));
+    const wallet = await db.wallet.findUnique({ where: { userId: managed.userId } });
+    const available = wallet ? getAvailableBalance(wallet) : 0;
+
+    if (available >= total && await chargeWallet(managed.userId, reference, invoiceFees.map(fee => fee.id), total)) {
+      await notifyUser(managed.userId, {
+        type: "MANAGEMENT_FEE_CHARGED",
+        title: "Management fee charged",
+        message: `₹${total.toFixed(2)} was debited from your wallet for your managed portfolio.`,
+        metadata: { managedPortfolioId: managed.id, reference, amount: total },
+      });
+      result.collected++;
+      continue;
+    }
+
+    try {
+      if (await sellUnitsForFee(managed, reference, roundAmount(total - Math.max(available, 0)))) {
+        result.unitsSold++;
+      }
+    } catch (error) {
+      if (!(error instanceof OrderError)) {
+        throw error;
+      }
+      console.error(`Management fee sale for ${reference} rejected:`, error.message);
+    }
+    result.outstanding = invoices.size - result.collected;
+    break;
+  }
+
+  return result;
+}
+
+// Brings a managed portfolio's fees up to date: accrues the days since the
+// last run, invoices the billing periods that have ended and collects what is
+// unpaid. Once management has ended this issues the final, pro-rated invoice.
+export async function settleManagementFees(managedPortfolioId: string, now: Date = new Date()) {
+  const managed = await db.managedPortfolio.findUniqueOrThrow({ where: { id: managedPortfolioId } });
+  const today = toPerformanceDate(now);
+
+  const accrued = managed.feesClosedAt ? 0 : await accrueManagementFees(managed, today);
+  const invoiced = managed.feesClosedAt ? 0 : await invoiceManagementFees(managed, today);
+  if (!managed.isActive && !managed.feesClosedAt) {
+    await db.managedPortfolio.update({ where: { id: managed.id }, data: { feesClosedAt: now } });
+  }
+
+  return { accrued, invoiced, ...(await collectManagementFees(managed)) };
+}
+
+export async function processManagementFees(now: Date = new Date()) {
+  const summary = { portfolios: 0, accrued: 0, invoiced: 0, collected: 0, unitsSold: 0, outstanding: 0, failed: 0 };
+  const managedPortfolios = await db.managedPortfolio.findMany({
+    where: { OR: [{ feesClosedAt: null }, { fees: { some: { status: "PENDING" } } }] },
+    select: { id: true },
+  });
+
+  for (const managed of managedPortfolios) {
+    try {
+      const result = await settleManagementFees(managed.id, now);
+      summary.portfolios++;
+      summary.accrued += result.accrued;
+      summary.invoiced += result.invoiced;
+      summary.collected += result.collected;
+      summary.unitsSold += result.unitsSold;
+      summary.outstanding += result.outstanding;
+    } catch (error) {
+      console.error(`Management fee settlement failed for managed portfolio ${managed.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,182 @@
+import { AssetCategory, ManagedPortfolioStrategy } from "@prisma/client";
+import { ClientError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+import { isEquityOriented } from "@/lib/tax/gains";
+
+export class RebalanceError extends ClientError {
+  name = "RebalanceError";
+}
+
+// Rejections of a target allocation, which goals validate the same way
+export class AllocationError extends ClientError {
+  name = "AllocationError";
+}
+
+export const SLEEVES = ["EQUITY", "DEBT", "GOLD", "INTERNATIONAL"] as const;
+
+export type Sleeve = typeof SLEEVES[number];
+
+export type TargetAllocation = Partial<Record<Sleeve, number>>;
+
+export const REBALANCE_CONFIG = {
+  // Target weight of each sleeve per strategy; CUSTOM portfolios store their own
+  models: {
+    CONSERVATIVE: { EQUITY: 0.25, DEBT: 0.6, GOLD: 0.1, INTERNATIONAL: 0.05 },
+    BALANCED: { EQUITY: 0.5, DEBT: 0.35, GOLD: 0.1, INTERNATIONAL: 0.05 },
+    AGGRESSIVE: { EQUITY: 0.75, DEBT: 0.1, GOLD: 0.05, INTERNATIONAL: 0.1 },
+  } as Record<Exclude<ManagedPortfolioStrategy, "CUSTOM">, TargetAllocation>,
+  // Bought into a sleeve the portfolio holds nothing in
+  modelAssets: {
+    EQUITY: "NIFTYBEES",
+    DEBT: "LIQUIDBEES",
+    GOLD: "GOLD",
+    INTERNATIONAL: "MON100",
+  } as Record<Sleeve, string>,
+  minTradeAmount: 500, // Smaller trades cost more in fees than the drift they fix
+  proposalValidityDays: 3,
+  minDriftThreshold: 0.01,
+  maxDriftThreshold: 0.25,
+  intervalMonths: [1, 3, 6, 12],
+};
+
+// Sleeve an asset counts towards; null for assets the models do not cover
+// (crypto, real estate), which rebalancing leaves alone
+export function getSleeve(asset: { type: string; category: AssetCategory | null }): Sleeve | null {
+  if (asset.type === "GOLD" || asset.category === "COMMODITY") {
+    return "GOLD";
+  }
+  if (asset.type === "GLOBAL" || asset.category === "INTERNATIONAL") {
+    return "INTERNATIONAL";
+  }
+  if (isEquityOriented(asset)) {
+    return "EQUITY";
+  }
+  if (asset.type === "CRYPTO" || asset.type === "REAL_ESTATE") {
+    return null;
+  }
+  return "DEBT";
+}
+
+// Checks a CUSTOM allocation: known sleeves with weights adding up to 100%
+export function validateTargetAllocation(allocation: unknown): TargetAllocation {
+  if (!allocation || typeof allocation !== "object" || Array.isArray(allocation)) {
+    throw new AllocationError("Target allocation must map sleeves to weights");
+  }
+
+  const entries = Object.entries(allocation as Record<string, unknown>);
+  if (entries.some(([sleeve, weight]) => !SLEEVES.includes(sleeve as Sleeve) || typeof weight !== "number" || weight < 0)) {
+    throw new AllocationError(`Target allocation sleeves must be ${SLEEVES.join(", ")} with non-negative weights`);
+  }
+
+  const total = entries.reduce((sum, [, weight]) => sum + (weight as number), 0);
+  if (Math.abs(total - 1) > 0.001) {
+    throw new AllocationError("Target allocation weights must add up to 1");
+  }
+  return Object.fromEntries(entries) as TargetAllocation;
+}
+
+export function getTargetAllocation(managed: { strategy: ManagedPortfolioStrategy; targetAllocation: string | null }) {
+  if (managed.strategy === "CUSTOM") {
+    if (!managed.targetAllocation) {
+      throw new RebalanceError("Custom managed portfolios need a target allocation");
+    }
+    return validateTargetAllocation(JSON.parse(managed.targetAllocation));
+  }
+  return REBALANCE_CONFIG.models[managed.strategy];
+}
+
+export interface RebalanceHolding {
+  assetId: string;
+  symbol: string;
+  type: string;
+  sleeve: Sleeve;
+  quantity: number;
+  price: number;
+  value: number;
+}
+
+export interface RebalanceTrade {
+  assetId: string | null; // Null when the sleeve's model asset is unavailable
+  symbol: string;
+  side: "BUY" | "SELL";
+  quantity: number | null; // Sells are by quantity
+  amount: number; // Buys are by amount; estimated proceeds for sells
+  orderId: string | null;
+  error: string | null;
+}
+
+const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+// Current against target weight of every sleeve, largest drift first
+export function getAllocationDrift(holdings: RebalanceHolding[], targets: TargetAllocation) {
+  const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+  const sleeves = SLEEVES.filter(sleeve => targets[sleeve] || holdings.some(holding => holding.sleeve === sleeve));
+
+  return sleeves
+    .map(sleeve => {
+      const value = holdings.filter(holding => holding.sleeve === sleeve).reduce((sum, holding) => sum + holding.value, 0);
+      const current = total > 0 ? value / total : 0;
+      const target = targets[sleeve] || 0;
+      return { sleeve, target, current, value: roundAmount(value), drift: current - target };
+    })
+    .sort((a, b) => Math.abs(b.drift) - Math.abs(a.drift));
+}
+
+// Trades that bring every sleeve back to its target weight. Overweight
+// sleeves are sold pro rata across their holdings; underweight ones are
+// bought pro rata into what is already held, or into the sleeve's model asset.
+// Trades under the minimum are dropped.
+export function planRebalance(
+  holdings: RebalanceHolding[],
+  targets: TargetAllocation,
+  modelAssets: Partial<Record<Sleeve, { assetId: string; symbol: string } | null>>
+) {
+  const total = holdings.reduce((sum, holding) => sum + holding.value, 0);
+  const trades: RebalanceTrade[] = [];
+
+  for (const { sleeve, target, value } of getAllocationDrift(holdings, targets)) {
+    const difference = target * total - value;
+    if (Math.abs(difference) < REBALANCE_CONFIG.minTradeAmount) {
+      continue;
+    }
+
+    const sleeveHoldings = holdings.filter(holding => holding.sleeve === sleeve);
+
+    if (difference < 0) {
+      for (const holding of sleeveHoldings) {
+        const amount = (-difference * holding.value) / value;
+        const { decimals } = getQuantityPrecision(holding.type);
+        const quantity = Math.min(holding.quantity, roundQuantity(amount / holding.price, decimals, "DOWN"));
+        const proceeds = roundAmount(quantity * holding.price);
+        if (quantity > 0 && proceeds >= REBALANCE_CONFIG.minTradeAmount) {
+          trades.push({ assetId: holding.assetId, symbol: holding.symbol, side: "SELL", quantity, amount: proceeds, orderId: null, error: null });
+        }
+      }
+      continue;
+    }
+
+    if (sleeveHoldings.length === 0 || value <= 0) {
+      const model = modelAssets[sleeve];
+      trades.push({
+        assetId: model?.assetId || null,
+        symbol: model?.symbol || REBALANCE_CONFIG.modelAssets[sleeve],
+        side: "BUY",
+        quantity: null,
+        amount: roundAmount(difference),
+        orderId: null,
+        error: model ? null : `No ${sleeve.toLowerCase()} asset is available to buy`,
+      });
+      continue;
+    }
+
+    for (const holding of sleeveHoldings) {
+      const amount = roundAmount((difference * holding.value) / value);
+      if (amount >= REBALANCE_CONFIG.minTradeAmount) {
+        trades.push({ assetId: holding.assetId, symbol: holding.symbol, side: "BUY", quantity: null, amount, orderId: null, error: null });
+      }
+    }
+  }
+
+  // Sales first so their proceeds fund the purchases
+  return trades.sort((a, b) => (a.side === b.side ? 0 : a.side === "SELL" ? -1 : 1));
+}
@@ -0,0 +1,407 @@
+import { ManagedPortfolio, PortfolioRebalance, RebalanceMode, RebalanceTrigger } from "@prisma/client";
+import { db } from "@/lib/db";
+import { addMonths } from "@/lib/market-calendar";
+import { notifyUser } from "@/lib/notifications";
+import { OrderError } from "@/lib/orders/errors";
+import { placeOrder } from "@/lib/orders/placement";
+import { findDefaultPortfolio } from "@/lib/performance/portfolio";
+import {
+  REBALANCE_CONFIG,
+  RebalanceError,
+  RebalanceHolding,
+  RebalanceTrade,
+  SLEEVES,
+  Sleeve,
+  getAllocationDrift,
+  getSleeve,
+  getTargetAllocation,
+  planRebalance,
+  validateTargetAllocation,
+} from "@/lib/managed-portfolios/models";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface RebalanceSettings {
+  rebalanceMode?: RebalanceMode;
+  driftThreshold?: number;
+  rebalanceIntervalMonths?: number;
+  targetAllocation?: unknown;
+}
+
+// Validated column values for the rebalancing settings of a managed portfolio
+export function validateRebalanceSettings(settings: RebalanceSettings, strategy: string) {
+  const data: Partial<Pick<ManagedPortfolio, "rebalanceMode" | "driftThreshold" | "rebalanceIntervalMonths" | "targetAllocation">> = {};
+
+  if (settings.rebalanceMode !== undefined) {
+    if (settings.rebalanceMode !== "APPROVAL" && settings.rebalanceMode !== "AUTO") {
+      throw new RebalanceError("Rebalance mode must be APPROVAL or AUTO");
+    }
+    data.rebalanceMode = settings.rebalanceMode;
+  }
+
+  if (settings.driftThreshold !== undefined) {
+    const { minDriftThreshold, maxDriftThreshold } = REBALANCE_CONFIG;
+    if (!(settings.driftThreshold >= minDriftThreshold && settings.driftThreshold <= maxDriftThreshold)) {
+      throw new RebalanceError(`Drift threshold must be between ${minDriftThreshold} and ${maxDriftThreshold}`);
+    }
+    data.driftThreshold = settings.driftThreshold;
+  }
+
+  if (settings.rebalanceIntervalMonths !== undefined) {
+    if (!REBALANCE_CONFIG.intervalMonths.includes(settings.rebalanceIntervalMonths)) {
+      throw new RebalanceError(`Rebalance interval must be one of ${REBALANCE_CONFIG.intervalMonths.join(", ")} months`);
+    }
+    data.rebalanceIntervalMonths = settings.rebalanceIntervalMonths;
+  }
+
+  if (settings.targetAllocation !== undefined) {
+    if (strategy !== "CUSTOM") {
+      throw new RebalanceError("Only CUSTOM managed portfolios take a target allocation");
+    }
+    data.targetAllocation = JSON.stringify(validateTargetAllocation(settings.targetAllocation));
+  }
+
+  return data;
+}
+
+export async function updateRebalanceSettings(userId: string, portfolioId: string, settings: RebalanceSettings) {
+  const managed = await db.managedPortfolio.findFirst({ where: { userId, portfolioId, isActive: true } });
+  if (!managed) {
+    throw new RebalanceError("Active managed portfolio not found", 404);
+  }
+
+  return db.managedPortfolio.update({
+    where: { id: managed.id },
+    data: validateRebalanceSettings(settings, managed.strategy),
+  });
+}
+
+async function getOwnedManagedPortfolio(userId: string, managedPortfolioId: string) {
+  const managed = await db.managedPortfolio.findUnique({ where: { id: managedPortfolioId } });
+  if (!managed || managed.userId !== userId) {
+    throw new RebalanceError("Managed portfolio not found", 404);
+  }
+  if (!managed.isActive) {
+    throw new RebalanceError("Managed portfolio is no longer active", 409);
+  }
+  return managed;
+}
+
+// Orders settle into the user's default portfolio, so that is the only one
+// rebalancing trades can reach
+async function assertRebalanceable(managed: ManagedPortfolio) {
+  const portfolio = await findDefaultPortfolio(managed.userId);
+  if (portfolio?.id !== managed.portfolioId) {
+    throw new RebalanceError("Only the portfolio your orders settle into can be rebalanced", 409);
+  }
+}
+
+async function loadRebalanceHoldings(portfolioId: string) {
+  const holdings = await db.holding.findMany({
+    where: { portfolioId },
+    include: { asset: { select: { symbol: true, type: true, category: true } } },
+  });
+
+  const rows: RebalanceHolding[] = [];
+  for (const holding of holdings) {
+    const sleeve = getSleeve(holding.asset);
+    if (sleeve && holding.quantity > 0 && holding.currentPrice > 0) {
+      rows.push({
+        assetId: holding.assetId,
+        symbol: holding.asset.symbol,
+        type: holding.asset.type,
+        sleeve,
+        quantity: holding.quantity,
+        price: holding.currentPrice,
+        value: holding.totalValue,
+      });
+    }
+  }
+  return rows;
+}
+
+async function findModelAssets() {
+  const assets = await db.asset.findMany({
+    where: { symbol: { in: Object.values(REBALANCE_CONFIG.modelAssets) }, isActive: true },
+    select: { id: true, symbol: true },
+  });
+
+  const modelAssets: Partial<Record<Sleeve, { assetId: string; symbol: string }>> = {};
+  for (const sleeve of SLEEVES) {
+    const asset = assets.find(a => a.symbol === REBALANCE_CONFIG.modelAssets[sleeve]);
+    if (asset) {
+      modelAssets[sleeve] = { assetId: asset.id, symbol: asset.symbol };
+    }
+  }
+  return modelAssets;
+}
+
+// Drift of the portfolio from its strategy and the trades that would fix it
+export async function getRebalancePlan(managed: ManagedPortfolio) {
+  const targets = getTargetAllocation(managed);
+  const [holdings, modelAssets] = await Promise.all([
+    loadRebalanceHoldings(managed.portfolioId),
+    findModelAssets(),
+  ]);
+
+  const allocation = getAllocationDrift(holdings, targets);
+  return {
+    targets,
+    allocation,
+    maxDrift: allocation.reduce((max, row) => Math.max(max, Math.abs(row.drift)), 0),
+    trades: planRebalance(holdings, targets, modelAssets),
+  };
+}
+
+function getNextReviewAt(managed: ManagedPortfolio) {
+  const from = (managed.lastRebalancedAt || managed.startedAt).toISOString().slice(0, 10);
+  return new Date(`${addMonths(from, managed.rebalanceIntervalMonths)}T00:00:00Z`);
+}
+
+function formatRebalance(rebalance: PortfolioRebalance) {
+  return {
+    ...rebalance,
+    allocation: JSON.parse(rebalance.allocation),
+    trades: JSON.parse(rebalance.trades) as RebalanceTrade[],
+  };
+}
+
+// Records a rebalance of the current plan. In APPROVAL mode it waits for the
+// user, replacing any earlier proposal; in AUTO mode the trades are placed now.
+async function createRebalance(
+  managed: ManagedPortfolio,
+  trigger: RebalanceTrigger,
+  plan: Awaited<ReturnType<typeof getRebalancePlan>>,
+  now: Date
+) {
+  await db.portfolioRebalance.updateMany({
+    where: { managedPortfolioId: managed.id, status: "PROPOSED" },
+    data: { status: "EXPIRED", decidedAt: now },
+  });
+
+  const rebalance = await db.portfolioRebalance.create({
+    data: {
+      managedPortfolioId: managed.id,
+      userId: managed.userId,
+      trigger,
+      status: "PROPOSED",
+      maxDrift: plan.maxDrift,
+      allocation: JSON.stringify(plan.allocation),
+      trades: JSON.stringify(plan.trades),
+      expiresAt: new Date(now.getTime() + REBALANCE_CONFIG.proposalValidityDays * DAY_MS),
+    },
+  });
+
+  if (managed.rebalanceMode === "AUTO") {
+    return executeRebalance(rebalance.id, now);
+  }
+
+  await notifyUser(managed.userId, {
+    type: "REBALANCE_PROPOSED",
+    title: "Rebalance ready for approval",
+    message: `Your ${managed.strategy.toLowerCase()} portfolio has drifted from its target. Review and approve ${plan.trades.length} trade${plan.trades.length === 1 ? "" : "s"} within ${REBALANCE_CONFIG.proposalValidityDays} days.`,
+    metadata: { managedPortfolioId: managed.id, rebalanceId: rebalance.id },
+  });
+  return formatRebalance(rebalance);
+}
+
+// Places a proposal's trades as market orders, sales first. The claim on
+// decidedAt makes approval and auto-execution run at most once.
+async function executeRebalance(rebalanceId: string, now: Date) {
+  const claim = await db.portfolioRebalance.updateMany({
+    where: {
+      id: rebalanceId,
+      status: "PROPOSED",
+      decidedAt: null,
+      OR: [{ expiresAt: null }, { expiresAt: { gt: now } }],
+    },
+    data: { decidedAt: now },
+  });
+  if (claim.count === 0) {
+    throw new RebalanceError("Rebalance is no longer open for approval", 409);
+  }
+
+  const rebalance = await db.portfolioRebalance.findUniqueOrThrow({ where: { id: rebalanceId } });
+  const trades = JSON.parse(rebalance.trades) as RebalanceTrade[];
+
+  for (let i = 0; i < trades.length; i++) {
+    const trade = trades[i];
+    if (!trade.assetId || trade.error) {
+      continue;
+    }
+    try {
+      const result = await placeOrder(
+        {
+          userId: rebalance.userId,
+          assetId: trade.assetId,
+          orderType: trade.side,
+          type: "MARKET",
+          ...(trade.side === "SELL" ? { quantity: trade.quantity! } : { amount: trade.amount }),
+        },
+        { idempotencyKey: `rebalance-${rebalance.id}-${i}` }
+      );
+      trade.orderId = result.order.id;
+    } catch (error) {
+      if (!(error instanceof OrderError)) {
+        console.error(`Rebalance trade error for ${rebalance.id}:`, error);
+      }
+      trade.error = error instanceof OrderError ? error.message : "Order could not be placed";
+    }
+  }
+
+  const placed = trades.filter(trade => trade.orderId).length;
+  const updated = await db.portfolioRebalance.update({
+    where: { id: rebalance.id },
+    data: {
+      status: placed === trades.length ? "EXECUTED" : placed > 0 ? "PARTIALLY_EXECUTED" : "FAILED",
+      trades: JSON.stringify(trades),
+      failureReason: trades.find(trade => trade.error)?.error || null,
+      executedAt: now,
+    },
+  });
+  await db.managedPortfolio.update({
+    where: { id: rebalance.managedPortfolioId },
+    data: { lastRebalancedAt: now },
+  });
+
+  await notifyUser(rebalance.userId, {
+    type: "REBALANCE_EXECUTED",
+    title: "Portfolio rebalanced",
+    message: placed === trades.length
+      ? `${placed} rebalancing order${placed === 1 ? " was" : "s were"} placed.`
+      : `${placed} of ${trades.length} rebalancing orders were placed. ${updated.failureReason || ""}`.trim(),
+    metadata: { managedPortfolioId: rebalance.managedPortfolioId, rebalanceId: rebalance.id },
+  });
+  return formatRebalance(updated);
+}
+
+// Current drift, the trades a rebalance would make now and past rebalances
+export async function getRebalanceOverview(userId: string, managedPortfolioId: string) {
+  const managed = await getOwnedManagedPortfolio(userId, managedPortfolioId);
+  const [plan, history] = await Promise.all([
+    getRebalancePlan(managed),
+    db.portfolioRebalance.findMany({
+      where: { managedPortfolioId },
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+
+  return {
+    managedPortfolioId,
+    strategy: managed.strategy,
+    rebalanceMode: managed.rebalanceMode,
+    driftThreshold: managed.driftThreshold,
+    rebalanceIntervalMonths: managed.rebalanceIntervalMonths,
+    lastRebalancedAt: managed.lastRebalancedAt,
+    nextReviewAt: getNextReviewAt(managed),
+    ...plan,
+    needsRebalance: plan.maxDrift >= managed.driftThreshold && plan.trades.length > 0,
+    history: history.map(formatRebalance),
+  };
+}
+
+export async function requestRebalance(userId: string, managedPortfolioId: string, now: Date = new Date()) {
+  const managed = await getOwnedManagedPortfolio(userId, managedPortfolioId);
+  await assertRebalanceable(managed);
+
+  const plan = await getRebalancePlan(managed);
+  if (plan.trades.length === 0) {
+    throw new RebalanceError("Portfolio is already close enough to its target allocation", 409);
+  }
+  return createRebalance(managed, "MANUAL", plan, now);
+}
+
+export async function decideRebalance(
+  userId: string,
+  rebalanceId: string,
+  action: "APPROVE" | "REJECT",
+  now: Date = new Date()
+) {
+  const rebalance = await db.portfolioRebalance.findUnique({ where: { id: rebalanceId } });
+  if (!rebalance || rebalance.userId !== userId) {
+    throw new RebalanceError("Rebalance not found", 404);
+  }
+
+  switch (action) {
+    case "APPROVE":
+      return executeRebalance(rebalanceId, now);
+    case "REJECT": {
+      const result = await db.portfolioRebalance.updateMany({
+        where: { id: rebalanceId, status: "PROPOSED", decidedAt: null },
+        data: { status: "REJECTED", decidedAt: now },
+      });
+      if (result.count === 0) {
+        throw new RebalanceError("Rebalance is no longer open for approval", 409);
+      }
+      return formatRebalance(await db.portfolioRebalance.findUniqueOrThrow({ where: { id: rebalanceId } }));
+    }
+    default:
+      throw new RebalanceError("Action must be APPROVE or REJECT");
+  }
+}
+
+// Expires lapsed proposals, then rebalances every managed portfolio whose
+// scheduled review is due or whose drift crossed its threshold. After any
+// rebalance, drift is not re-proposed until the proposal window has passed.
+export async function processRebalances(now: Date = new Date()) {
+  const expired = await db.portfolioRebalance.updateMany({
+    where: { status: "PROPOSED", expiresAt: { lte: now } },
+    data: { status: "EXPIRED" },
+  });
+
+  const summary = { expired: expired.count, proposed: 0, executed: 0, skipped: 0, failed: 0 };
+  const managedPortfolios = await db.managedPortfolio.findMany({ where: { isActive: true } });
+
+  for (const managed of managedPortfolios) {
+    try {
+      const latest = await db.portfolioRebalance.findFirst({
+        where: { managedPortfolioId: managed.id, status: { not: "SKIPPED" } },
+        orderBy: { createdAt: "desc" },
+      });
+      if (latest?.status === "PROPOSED") {
+        continue;
+      }
+
+      await assertRebalanceable(managed);
+      const plan = await getRebalancePlan(managed);
+      const scheduled = getNextReviewAt(managed) <= now;
+      const coolingOff = latest && now.getTime() - latest.createdAt.getTime() < REBALANCE_CONFIG.proposalValidityDays * DAY_MS;
+      const drifted = plan.maxDrift >= managed.driftThreshold && !coolingOff;
+
+      if (!scheduled && !drifted) {
+        continue;
+      }
+
+      if (plan.trades.length === 0) {
+        // Nothing worth trading; record the review so the schedule moves on
+        await db.portfolioRebalance.create({
+          data: {
+            managedPortfolioId: managed.id,
+            userId: managed.userId,
+            trigger: "SCHEDULED",
+            status: "SKIPPED",
+            maxDrift: plan.maxDrift,
+            allocation: JSON.stringify(plan.allocation),
+            trades: "[]",
+            decidedAt: now,
+          },
+        });
+        await db.managedPortfolio.update({ where: { id: managed.id }, data: { lastRebalancedAt: now } });
+        summary.skipped++;
+        continue;
+      }
+
+      const rebalance = await createRebalance(managed, drifted ? "DRIFT" : "SCHEDULED", plan, now);
+      if (rebalance.status === "PROPOSED") {
+        summary.proposed++;
+      } else {
+        summary.executed++;
+      }
+    } catch (error) {
+      console.error(`Rebalancing failed for managed portfolio ${managed.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,278 @@
+import { db } from "@/lib/db";
+
+export type MarketPhase = "OPEN" | "PRE_OPEN" | "CLOSED";
+
+interface SessionConfig {
+  exchange: string | null; // Holiday calendar (MarketHoliday.exchange); null for 24x7 markets
+  timeZone: string;
+  tradingDays: number[]; // 0 (Sunday) - 6
+  preOpen: string | null; // HH:MM, start of the pre-open call auction
+  open: string | null; // HH:MM; null means the market never closes
+  close: string | null;
+  afterMarketOrders: boolean; // Queue orders placed outside the session for the next open
+}
+
+// Trading sessions per asset type. NSE and BSE share session timings and the
+// holiday calendar, so Indian equities use the NSE calendar.
+export const MARKET_CALENDAR_CONFIG: Record<string, SessionConfig> = {
+  STOCK: {
+    exchange: "NSE",
+    timeZone: "Asia/Kolkata",
+    tradingDays: [1, 2, 3, 4, 5],
+    preOpen: "09:00",
+    open: "09:15",
+    close: "15:30",
+    afterMarketOrders: true,
+  },
+  ETF: {
+    exchange: "NSE",
+    timeZone: "Asia/Kolkata",
+    tradingDays: [1, 2, 3, 4, 5],
+    preOpen: "09:00",
+    open: "09:15",
+    close: "15:30",
+    afterMarketOrders: true,
+  },
+  // Mutual fund orders are accepted at any time and priced at NAV
+  MUTUAL_FUND: {
+    exchange: null,
+    timeZone: "Asia/Kolkata",
+    tradingDays: [0, 1, 2, 3, 4, 5, 6],
+    preOpen: null,
+    open: null,
+    close: null,
+    afterMarketOrders: false,
+  },
+  // Digital gold trades 24x7
+  GOLD: {
+    exchange: null,
+    timeZone: "Asia/Kolkata",
+    tradingDays: [0, 1, 2, 3, 4, 5, 6],
+    preOpen: null,
+    open: null,
+    close: null,
+    afterMarketOrders: false,
+  },
+  GLOBAL: {
+    exchange: "NYSE",
+    timeZone: "America/New_York",
+    tradingDays: [1, 2, 3, 4, 5],
+    preOpen: null,
+    open: "09:30",
+    close: "16:00",
+    afterMarketOrders: false,
+  },
+};
+
+// How far ahead to look for the next session (covers long holiday weekends)
+const MAX_LOOKAHEAD_DAYS = 14;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+export interface MarketCalendar {
+  holidays: Map<string, string>; // YYYY-MM-DD -> holiday name
+  specialSessions: Map<string, { name: string; open: string; close: string }>; // e.g. Muhurat trading
+}
+
+export interface MarketStatus {
+  phase: MarketPhase;
+  holiday: string | null; // Name of today's holiday, if any
+  nextOpen: Date | null; // Start of the next regular or special session
+}
+
+export type OrderRouting =
+  | { action: "EXECUTE" }
+  | { action: "QUEUE"; executeAt: Date }
+  | { action: "REJECT"; code: "MARKET_CLOSED" | "MARKET_HOLIDAY"; message: string };
+
+export function getSessionConfig(assetType: string) {
+  return MARKET_CALENDAR_CONFIG[assetType.toUpperCase()] || MARKET_CALENDAR_CONFIG.STOCK;
+}
+
+export function toMinutes(time: string) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+export function addDays(date: string, days: number) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+export function addMonths(date: string, months: number) {
+  const [year, month, day] = date.split("-").map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1 + months, 1));
+  // Clamp to the last day of the month, e.g. 31 Aug + 6 months = 28/29 Feb
+  const lastDay = new Date(Date.UTC(shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, 0)).getUTCDate();
+  shifted.setUTCDate(Math.min(day, lastDay));
+  return shifted.toISOString().slice(0, 10);
+}
+
+function getWeekday(date: string) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+// Wall-clock date, weekday and minute of day of `date` in `timeZone`
+export function getZonedParts(date: Date, timeZone: string) {
+  const formatter = new Intl.DateTimeFormat("en-GB", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  });
+  const parts = Object.fromEntries(formatter.formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Converts a wall-clock time in `timeZone` to an instant
+export function zonedTimeToDate(date: string, time: string, timeZone: string) {
+  const [year, month, day] = date.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day, 0, toMinutes(time));
+  const zoned = getZonedParts(new Date(guess), timeZone);
+  const [zonedYear, zonedMonth, zonedDay] = zoned.date.split("-").map(Number);
+  const offset = Date.UTC(zonedYear, zonedMonth - 1, zonedDay, 0, zoned.minutes) - guess;
+  return new Date(guess - offset);
+}
+
+function getSession(config: SessionConfig, date: string, calendar: MarketCalendar) {
+  const special = calendar.specialSessions.get(date);
+  if (special) {
+    return { preOpen: null, open: special.open, close: special.close };
+  }
+
+  if (calendar.holidays.has(date) || !config.tradingDays.includes(getWeekday(date))) {
+    return null;
+  }
+
+  return { preOpen: config.preOpen, open: config.open!, close: config.close! };
+}
+
+// Business days (fund NAVs, settlement) are the weekdays the exchange is not
+// closed for a holiday
+export function isBusinessDay(date: string, calendar: MarketCalendar) {
+  const weekday = getWeekday(date);
+  return weekday !== 0 && weekday !== 6 && !calendar.holidays.has(date);
+}
+
+export function addBusinessDays(date: string, days: number, calendar: MarketCalendar) {
+  let current = date;
+  for (let added = 0; added < days;) {
+    current = addDays(current, 1);
+    if (isBusinessDay(current, calendar)) {
+      added++;
+    }
+  }
+  return current;
+}
+
+export function getMarketStatus(assetType: string, now: Date, calendar: MarketCalendar): MarketStatus {
+  const config = getSessionConfig(assetType);
+
+  if (!config.open) {
+    return { phase: "OPEN", holiday: null, nextOpen: now };
+  }
+
+  const today = getZonedParts(now, config.timeZone);
+  const session = getSession(config, today.date, calendar);
+
+  let phase: MarketPhase = "CLOSED";
+  if (session && today.minutes >= toMinutes(session.open) && today.minutes < toMinutes(session.close)) {
+    phase = "OPEN";
+  } else if (session?.preOpen && today.minutes >= toMinutes(session.preOpen) && today.minutes < toMinutes(session.open)) {
+    phase = "PRE_OPEN";
+  }
+
+  let nextOpen: Date | null = null;
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const date = addDays(today.date, offset);
+    const upcoming = getSession(config, date, calendar);
+    if (upcoming && (offset > 0 || today.minutes < toMinutes(upcoming.open))) {
+      nextOpen = zonedTimeToDate(date, upcoming.open, config.timeZone);
+      break;
+    }
+  }
+
+  return {
+    phase,
+    holiday: calendar.specialSessions.has(today.date) ? null : calendar.holidays.get(today.date) || null,
+    nextOpen,
+  };
+}
+
+// Decides what happens to an order placed now: execute it, queue it as an
+// after-market order (AMO) for the next session, or reject it. Orders placed
+// during pre-open are queued for the open.
+export function getOrderRouting(assetType: string, now: Date, calendar: MarketCalendar): OrderRouting {
+  const config = getSessionConfig(assetType);
+  const status = getMarketStatus(assetType, now, calendar);
+
+  if (status.phase === "OPEN") {
+    return { action: "EXECUTE" };
+  }
+
+  if (config.afterMarketOrders && status.nextOpen) {
+    return { action: "QUEUE", executeAt: status.nextOpen };
+  }
+
+  if (status.holiday) {
+    return {
+      action: "REJECT",
+      code: "MARKET_HOLIDAY",
+      message: `Market is closed for ${status.holiday}`,
+    };
+  }
+
+  return {
+    action: "REJECT",
+    code: "MARKET_CLOSED",
+    message: "Market is closed; orders for this asset are accepted during market hours only",
+  };
+}
+
+// Loads holidays and special sessions around `now` for an asset type's exchange.
+// `lookbackDays` also loads past holidays, for checking historical dates.
+export async function loadMarketCalendar(
+  assetType: string,
+  now: Date = new Date(),
+  options: { lookbackDays?: number } = {}
+): Promise<MarketCalendar> {
+  const config = getSessionConfig(assetType);
+  const calendar: MarketCalendar = { holidays: new Map(), specialSessions: new Map() };
+
+  if (!config.exchange) {
+    return calendar;
+  }
+
+  const today = getZonedParts(now, config.timeZone).date;
+  const entries = await db.marketHoliday.findMany({
+    where: {
+      exchange: config.exchange,
+      date: { gte: addDays(today, -(options.lookbackDays || 0)), lte: addDays(today, MAX_LOOKAHEAD_DAYS) },
+    },
+  });
+
+  // A special session day is still a holiday for settlement purposes
+  for (const entry of entries) {
+    calendar.holidays.set(entry.date, entry.name);
+    if (entry.openTime && entry.closeTime) {
+      calendar.specialSessions.set(entry.date, { name: entry.name, open: entry.openTime, close: entry.closeTime });
+    }
+  }
+
+  return calendar;
+}
+
+export async function isMarketOpen(assetType: string, now: Date = new Date()) {
+  const calendar = await loadMarketCalendar(assetType, now);
+  return getMarketStatus(assetType, now, calendar).phase === "OPEN";
+}
@@ -0,0 +1,21 @@
+import { db } from "@/lib/db";
+
+export interface NotificationInput {
+  type: string;
+  title: string;
+  message: string;
+  metadata?: Record<string, unknown>;
+}
+
+// Stores an in-app notification. Email/SMS/push delivery can hook in here.
+export async function notifyUser(userId: string, notification: NotificationInput) {
+  return db.notification.create({
+    data: {
+      userId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message,
+      metadata: notification.metadata ? JSON.stringify(notification.metadata) : null,
+    },
+  });
+}
@@ -0,0 +1,31 @@
+import { DEFAULT_FEE_SCHEDULE } from '@/lib/fees';
+import { convertAmountToQuantity, roundQuantity } from '@/lib/orders/fractional';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('amount-based orders', () => {
+  it('rounds quantities to the configured precision', () => {
+    expect(roundQuantity(0.035928, 4, 'DOWN')).toBe(0.0359);
+    expect(roundQuantity(10.9376, 3, 'NEAREST')).toBe(10.938);
+    expect(roundQuantity(0.3, 4, 'DOWN')).toBe(0.3);
+  });
+
+  it('buys the largest fractional quantity that fits the amount after fees', () => {
+    const conversion = convertAmountToQuantity(DEFAULT_FEE_SCHEDULE, 'STOCK', 100, 2500, 'BASIC');
+
+    expect(conversion.quantity).toBe(0.0351);
+    expect(conversion.totalAmount).toBeLessThanOrEqual(100);
+    expect(conversion.residualAmount).toBeCloseTo(100 - conversion.totalAmount, 2);
+  });
+
+  it('never spends more than the amount when rounding to nearest', () => {
+    const conversion = convertAmountToQuantity(DEFAULT_FEE_SCHEDULE, 'MUTUAL_FUND', 500, 45.67, 'BASIC');
+
+    expect(conversion.quantity).toBeGreaterThan(10.9);
+    expect(conversion.totalAmount).toBeLessThanOrEqual(500);
+  });
+
+  it('returns no quantity when the amount cannot cover the fees', () => {
+    expect(convertAmountToQuantity(DEFAULT_FEE_SCHEDULE, 'GOLD', 20, 6200, 'BASIC').quantity).toBe(0);
+  });
+});
@@ -0,0 +1,119 @@
+import { db } from '@/lib/db';
+import { buildOrderHistoryWhere, getOrderHistory, parseOrderHistoryFilters } from '@/lib/orders/history';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('parseOrderHistoryFilters', () => {
+  it('reads bare dates as whole days in IST', () => {
+    const filters = parseOrderHistoryFilters(new URLSearchParams('userId=user1&from=2024-06-03&to=2024-06-04'));
+
+    expect(filters.from).toEqual(new Date('2024-06-02T18:30:00.000Z'));
+    expect(filters.to).toEqual(new Date('2024-06-04T18:29:59.999Z'));
+  });
+
+  it('keeps timestamps as given', () => {
+    const filters = parseOrderHistoryFilters(new URLSearchParams('userId=user1&from=2024-06-03T10:00:00Z'));
+
+    expect(filters.from).toEqual(new Date('2024-06-03T10:00:00Z'));
+  });
+});
+
+describe('buildOrderHistoryWhere', () => {
+  it('combines every filter', () => {
+    const from = new Date('2024-06-02T18:30:00Z');
+    const to = new Date('2024-06-04T18:29:59.999Z');
+
+    expect(buildOrderHistoryWhere({
+      userId: 'user1',
+      search: 'tcs',
+      assetType: 'STOCK',
+      side: 'BUY',
+      statuses: ['EXECUTED', 'PARTIALLY_FILLED'],
+      from,
+      to,
+      limit: 25,
+    })).toEqual({
+      userId: 'user1',
+      OR: [
+        { id: 'tcs' },
+        { asset: { symbol: { contains: 'TCS' } } },
+        { asset: { name: { contains: 'tcs' } } },
+      ],
+      asset: { type: 'STOCK' },
+      orderType: 'BUY',
+      status: { in: ['EXECUTED', 'PARTIALLY_FILLED'] },
+      createdAt: { gte: from, lte: to },
+    });
+  });
+
+  it('only scopes to the user when nothing else is set', () => {
+    expect(buildOrderHistoryWhere({ userId: 'user1', limit: 25 })).toEqual({ userId: 'user1' });
+  });
+});
+
+describe('getOrderHistory', () => {
+  // Five orders a minute apart, each with one fill; the fourth is a sale
+  const orders = [1, 2, 3, 4, 5].map(n => ({
+    id: `order${n}`,
+    userId: 'user1',
+    orderType: n === 4 ? 'SELL' : 'BUY',
+    status: 'EXECUTED',
+    createdAt: new Date(Date.UTC(2024, 5, 3, 4, n)),
+    fills: [{ amount: 100 * n, fee: 1 }],
+  }));
+
+  // Enough of Prisma's filters for the history queries
+  const matches = (row: any, where: any): boolean =>
+    Object.entries(where).every(([key, value]: [string, any]) => {
+      if (key === 'AND') return value.every((part: any) => matches(row, part));
+      if (key === 'OR') return value.some((part: any) => matches(row, part));
+      if (value instanceof Date) return row[key].getTime() === value.getTime();
+      if (value && typeof value === 'object' && 'lt' in value) return row[key] < value.lt;
+      return row[key] === value;
+    });
+
+  beforeEach(() => {
+    Object.assign(db, {
+      order: {
+        findMany: jest.fn(({ where, take, cursor, skip }) => {
+          const sorted = orders.filter(row => matches(row, where)).reverse();
+          const start = cursor ? sorted.findIndex(row => row.id === cursor.id) + (skip || 0) : 0;
+          return Promise.resolve(sorted.slice(start, start + take));
+        }),
+        groupBy: jest.fn(({ where }) =>
+          Promise.resolve([{ status: 'EXECUTED', _count: { _all: orders.filter(row => matches(row, where)).length } }])
+        ),
+      },
+      orderFill: {
+        aggregate: jest.fn(({ where }) => {
+          const fills = orders.filter(row => matches(row, where.order)).flatMap(row => row.fills);
+          return Promise.resolve({
+            _sum: {
+              amount: fills.reduce((sum, fill) => sum + fill.amount, 0),
+              fee: fills.reduce((sum, fill) => sum + fill.fee, 0),
+            },
+          });
+        }),
+      },
+    });
+  });
+
+  it('carries the running net investment across pages', async () => {
+    const all = await getOrderHistory({ userId: 'user1', limit: 10 });
+
+    const paged: typeof all.orders = [];
+    let cursor: string | undefined;
+    do {
+      const page = await getOrderHistory({ userId: 'user1', limit: 2, cursor });
+      paged.push(...page.orders);
+      cursor = page.nextCursor || undefined;
+    } while (cursor);
+
+    // 101 + 201 + 301 - 399 + 501, newest first
+    expect(all.orders.map(row => row.runningNetInvestment)).toEqual([705, 204, 603, 302, 101]);
+    expect(paged.map(row => [row.id, row.runningNetInvestment])).toEqual(
+      all.orders.map(row => [row.id, row.runningNetInvestment])
+    );
+    expect(all.totals).toMatchObject({ netInvestment: 705, count: 5 });
+  });
+});
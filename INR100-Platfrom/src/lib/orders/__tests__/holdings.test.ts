@@ -0,0 +1,48 @@
+import { updatePortfolioHoldings } from '@/lib/orders/holdings';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+jest.mock('@/lib/tax/lots', () => ({
+  addTaxLot: jest.fn(),
+  disposeTaxLots: jest.fn(),
+  reconcileOpeningLot: jest.fn(),
+}));
+
+function createTx(quantity: number) {
+  return {
+    portfolio: {
+      findFirst: jest.fn(() => Promise.resolve({ id: 'portfolio1' })),
+      update: jest.fn(),
+    },
+    holding: {
+      findFirst: jest.fn(() => Promise.resolve({
+        id: 'holding1',
+        quantity,
+        avgBuyPrice: 100,
+        totalInvested: quantity * 100,
+      })),
+      findMany: jest.fn(() => Promise.resolve([])),
+      update: jest.fn(),
+      delete: jest.fn(),
+    },
+  };
+}
+
+describe('updatePortfolioHoldings', () => {
+  it('deletes a fractional holding sold in full', async () => {
+    const tx = createTx(0.1 + 0.2);
+
+    await updatePortfolioHoldings('user1', 'asset1', 0.3, 'SELL', 110, tx as any);
+
+    expect(tx.holding.delete).toHaveBeenCalledWith({ where: { id: 'holding1' } });
+    expect(tx.holding.update).not.toHaveBeenCalled();
+  });
+
+  it('keeps the rest of a partly sold holding', async () => {
+    const tx = createTx(0.5);
+
+    await updatePortfolioHoldings('user1', 'asset1', 0.3, 'SELL', 110, tx as any);
+
+    expect(tx.holding.delete).not.toHaveBeenCalled();
+    expect(tx.holding.update.mock.calls[0][0].data.quantity).toBeCloseTo(0.2, 9);
+  });
+});
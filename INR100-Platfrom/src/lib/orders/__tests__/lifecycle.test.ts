@@ -0,0 +1,186 @@
+import { db } from '@/lib/db';
+import { DEFAULT_FEE_SCHEDULE, calculateOrderFees, createOrderFeeRecords } from '@/lib/fees';
+import { createBracketOrders } from '@/lib/orders/brackets';
+import { OrderError } from '@/lib/orders/errors';
+import { cancelOrder, modifyOrder } from '@/lib/orders/lifecycle';
+import { matchPendingOrders } from '@/lib/orders/matching';
+import { getSellableQuantity, releaseReservation, resizeReservation } from '@/lib/orders/reservations';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+jest.mock('@/lib/fees', () => ({
+  ...jest.requireActual('@/lib/fees'),
+  getFeeSchedule: jest.fn(() => Promise.resolve(jest.requireActual('@/lib/fees').DEFAULT_FEE_SCHEDULE)),
+  createOrderFeeRecords: jest.fn(),
+}));
+jest.mock('@/lib/market-calendar', () => ({
+  ...jest.requireActual('@/lib/market-calendar'),
+  loadMarketCalendar: jest.fn(() => Promise.resolve({ holidays: new Map(), specialSessions: new Map() })),
+}));
+jest.mock('@/lib/orders/brackets', () => ({ createBracketOrders: jest.fn() }));
+jest.mock('@/lib/orders/matching', () => ({
+  ...jest.requireActual('@/lib/orders/matching'),
+  matchPendingOrders: jest.fn(),
+}));
+jest.mock('@/lib/orders/reservations', () => ({
+  getSellableQuantity: jest.fn(),
+  releaseReservation: jest.fn(),
+  resizeReservation: jest.fn(),
+}));
+
+type Fee = { id: string; reference: string; type: string; amount: number; status: string };
+
+const openOrder = {
+  id: 'order1',
+  userId: 'user1',
+  assetId: 'asset1',
+  type: 'LIMIT',
+  orderType: 'BUY',
+  status: 'PENDING',
+  quantity: 10,
+  filledQuantity: 0,
+  price: 100,
+  limitPrice: 100,
+  stopLossPrice: null as number | null,
+  takeProfitPrice: null as number | null,
+  navDate: null as string | null,
+  totalFee: 20,
+  asset: { type: 'STOCK' },
+  user: { subscriptionTier: 'FREE' },
+};
+
+// Just enough of the client for one order, its fee rows and fills; the
+// transaction runs its callback against the same client
+function createDb(order: typeof openOrder, options: { fillFees?: number } = {}) {
+  const row = { ...order };
+  const fees: Fee[] = [
+    { id: 'f1', reference: order.id, type: 'BROKERAGE', amount: 12, status: 'PENDING' },
+    { id: 'f2', reference: order.id, type: 'SPREAD', amount: 8, status: 'PENDING' },
+  ];
+
+  const client: any = {
+    order: {
+      findUnique: jest.fn(() => Promise.resolve({ ...row })),
+      updateMany: jest.fn(({ where, data }) => {
+        const matches = where.status === row.status &&
+          (where.filledQuantity === undefined || where.filledQuantity === row.filledQuantity);
+        if (matches) Object.assign(row, data);
+        return Promise.resolve({ count: matches ? 1 : 0 });
+      }),
+      update: jest.fn(({ data }) => Promise.resolve(Object.assign(row, data))),
+    },
+    orderFill: {
+      aggregate: jest.fn(() => Promise.resolve({ _sum: { fee: options.fillFees ?? null } })),
+    },
+    fee: {
+      findMany: jest.fn(() => Promise.resolve(fees.map(fee => ({ ...fee })))),
+      update: jest.fn(({ where, data }) => Promise.resolve(Object.assign(fees.find(fee => fee.id === where.id)!, data))),
+      updateMany: jest.fn(({ data }) => {
+        fees.forEach(fee => Object.assign(fee, data));
+        return Promise.resolve({ count: fees.length });
+      }),
+      deleteMany: jest.fn(() => {
+        fees.length = 0;
+        return Promise.resolve({ count: 0 });
+      }),
+    },
+  };
+  client.$transaction = jest.fn((callback: (tx: unknown) => unknown) => callback(client));
+
+  Object.assign(db, client);
+  return { client, row, fees };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('cancelOrder', () => {
+  it('waives the fees of an unfilled order and releases its funds', async () => {
+    const { row, fees } = createDb(openOrder);
+
+    await cancelOrder('user1', 'order1');
+
+    expect(row.status).toBe('CANCELLED');
+    expect(fees.map(fee => fee.status)).toEqual(['WAIVED', 'WAIVED']);
+    expect(releaseReservation).toHaveBeenCalledWith(expect.anything(), 'order1');
+    expect(createBracketOrders).not.toHaveBeenCalled();
+  });
+
+  it('keeps the fees of the filled share and protects it with bracket legs', async () => {
+    const { row, fees } = createDb(
+      { ...openOrder, status: 'PARTIALLY_FILLED', filledQuantity: 4, stopLossPrice: 90 },
+      { fillFees: 8 }
+    );
+
+    await cancelOrder('user1', 'order1');
+
+    expect(row.status).toBe('CANCELLED');
+    expect(fees).toEqual([
+      expect.objectContaining({ amount: 4.8, status: 'PAID' }),
+      expect.objectContaining({ amount: 3.2, status: 'PAID' }),
+    ]);
+    expect(row.totalFee).toBe(8);
+    expect(releaseReservation).toHaveBeenCalledWith(expect.anything(), 'order1');
+    expect(createBracketOrders).toHaveBeenCalledWith(expect.anything(), 'order1');
+  });
+
+  it('rejects with 409 when the order fills while cancelling', async () => {
+    const { client } = createDb(openOrder);
+    client.order.updateMany.mockResolvedValue({ count: 0 });
+
+    const error = await cancelOrder('user1', 'order1').catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderError);
+    expect(error.status).toBe(409);
+    expect(releaseReservation).not.toHaveBeenCalled();
+  });
+
+  it('rejects cancelling a mutual fund order after its NAV cut-off', async () => {
+    const { client } = createDb({ ...openOrder, type: 'MARKET', asset: { type: 'MUTUAL_FUND' }, navDate: '2024-06-03' });
+
+    const error = await cancelOrder('user1', 'order1').catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderError);
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('PAST_NAV_CUT_OFF');
+    expect(client.$transaction).not.toHaveBeenCalled();
+  });
+});
+
+describe('modifyOrder', () => {
+  it('re-quotes the fees and resizes the reservation for the new order value', async () => {
+    const { row, fees } = createDb({ ...openOrder, status: 'PARTIALLY_FILLED', filledQuantity: 4 });
+    const quoted = calculateOrderFees(DEFAULT_FEE_SCHEDULE, 'STOCK', 'BUY', 12 * 110, 'FREE');
+
+    const result = await modifyOrder('user1', 'order1', { quantity: 12, price: 110 });
+
+    expect(result.fees.totalFee).toBe(quoted.totalFee);
+    expect(row).toMatchObject({ quantity: 12, limitPrice: 110, totalAmount: 1320, totalFee: quoted.totalFee });
+    // Old fee rows are replaced by the re-quoted ones
+    expect(fees).toHaveLength(0);
+    expect(createOrderFeeRecords).toHaveBeenCalledWith(expect.anything(), 'user1', 'order1', 'BUY', quoted);
+    // The unfilled 8 units at the new price, with their share of the fees
+    expect(resizeReservation).toHaveBeenCalledWith(
+      expect.anything(), 'user1', 'order1', 8 * 110 + quoted.totalFee * (8 / 12)
+    );
+    expect(matchPendingOrders).toHaveBeenCalledWith({ orderId: 'order1' });
+  });
+
+  it('rejects a SELL amended past the holdings not committed to other orders', async () => {
+    const { client } = createDb({ ...openOrder, orderType: 'SELL' });
+    (getSellableQuantity as jest.Mock).mockResolvedValue(6);
+
+    const error = await modifyOrder('user1', 'order1', { quantity: 8 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderError);
+    expect(error.message).toBe('Insufficient holdings');
+    expect(getSellableQuantity).toHaveBeenCalledWith(expect.anything(), 'user1', 'asset1', { excludeOrderId: 'order1' });
+    expect(client.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('only amends limit orders', async () => {
+    createDb({ ...openOrder, type: 'STOP_LOSS' });
+
+    await expect(modifyOrder('user1', 'order1', { quantity: 5 })).rejects.toThrow('Only limit orders can be modified');
+  });
+});
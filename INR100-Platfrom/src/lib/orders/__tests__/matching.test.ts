@@ -0,0 +1,36 @@
+import {
+  getAvailableLiquidity,
+  getFillPrice,
+  getRemainingQuantity,
+  isLimitCrossed,
+} from '@/lib/orders/matching';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('limit order matching', () => {
+  it('crosses a BUY limit when the market trades at or below it', () => {
+    expect(isLimitCrossed('BUY', 2500, 2490)).toBe(true);
+    expect(isLimitCrossed('BUY', 2500, 2500)).toBe(true);
+    expect(isLimitCrossed('BUY', 2500, 2510)).toBe(false);
+  });
+
+  it('crosses a SELL limit when the market trades at or above it', () => {
+    expect(isLimitCrossed('SELL', 2500, 2510)).toBe(true);
+    expect(isLimitCrossed('SELL', 2500, 2490)).toBe(false);
+  });
+
+  it('fills at the better of the limit and market price', () => {
+    expect(getFillPrice('BUY', 2500, 2480)).toBe(2480);
+    expect(getFillPrice('SELL', 2500, 2520)).toBe(2520);
+  });
+
+  it('tracks the remaining quantity of partially filled orders', () => {
+    expect(getRemainingQuantity({ quantity: 10, filledQuantity: 4 })).toBe(6);
+    expect(getRemainingQuantity({ quantity: 1.5, filledQuantity: 1.4999999999 })).toBe(0);
+  });
+
+  it('caps liquidity to a share of the quoted volume', () => {
+    expect(getAvailableLiquidity(5000000)).toBe(500);
+    expect(getAvailableLiquidity(Number.POSITIVE_INFINITY)).toBe(Number.POSITIVE_INFINITY);
+  });
+});
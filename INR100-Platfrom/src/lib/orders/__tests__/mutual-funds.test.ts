@@ -0,0 +1,44 @@
+import { calculateExitLoad, getApplicableNavDate, isPastNavCutOff } from '@/lib/orders/mutual-funds';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const calendar = {
+  holidays: new Map([['2025-03-14', 'Holi']]),
+  specialSessions: new Map(),
+};
+
+describe('mutual fund orders', () => {
+  it('uses the same day NAV before the 3 PM cut-off', () => {
+    // Wednesday 14:59 IST
+    expect(getApplicableNavDate(new Date('2025-01-08T09:29:00Z'), calendar)).toBe('2025-01-08');
+  });
+
+  it('moves to the next business day after the cut-off, weekends and holidays', () => {
+    // Wednesday 15:01 IST
+    expect(getApplicableNavDate(new Date('2025-01-08T09:31:00Z'), calendar)).toBe('2025-01-09');
+    // Thursday 16:00 IST before Holi (Friday) -> Monday
+    expect(getApplicableNavDate(new Date('2025-03-13T10:30:00Z'), calendar)).toBe('2025-03-17');
+  });
+
+  it('treats an order as committed once the cut-off of its NAV date has passed', () => {
+    // Wednesday 14:59 and 15:01 IST
+    expect(isPastNavCutOff('2025-01-08', new Date('2025-01-08T09:29:00Z'), calendar)).toBe(false);
+    expect(isPastNavCutOff('2025-01-08', new Date('2025-01-08T09:31:00Z'), calendar)).toBe(true);
+    // Placed after Wednesday's cut-off for Thursday's NAV; still open on Wednesday evening
+    expect(isPastNavCutOff('2025-01-09', new Date('2025-01-08T12:00:00Z'), calendar)).toBe(false);
+  });
+
+  it('charges exit load only on units redeemed within the load period, FIFO', () => {
+    const lots = [
+      { units: 10, navDate: '2024-01-01' },
+      { units: 10, navDate: '2024-12-01' },
+    ];
+    const rule = { rate: 0.01, days: 365 };
+
+    // 10 old units are free, 5 recent units carry 1% at NAV 50
+    expect(calculateExitLoad(lots, 0, 15, 50, '2025-03-01', rule)).toBe(2.5);
+    // Earlier redemptions already used the old lot
+    expect(calculateExitLoad(lots, 10, 5, 50, '2025-03-01', rule)).toBe(2.5);
+    expect(calculateExitLoad(lots, 0, 15, 50, '2025-03-01', { rate: 0, days: 0 })).toBe(0);
+  });
+});
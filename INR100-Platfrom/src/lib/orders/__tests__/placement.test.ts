@@ -0,0 +1,108 @@
+/**
+ * @jest-environment node
+ */
+import { Prisma } from '@prisma/client';
+import { db } from '@/lib/db';
+import { OrderError } from '@/lib/orders/errors';
+import { placeOrder } from '@/lib/orders/placement';
+
+jest.mock('@/lib/db', () => ({
+  db: {
+    order: { findUnique: jest.fn() },
+    user: { findUnique: jest.fn() },
+    asset: { findUnique: jest.fn() },
+    $transaction: jest.fn(),
+  },
+}));
+
+jest.mock('@/lib/fees', () => ({
+  ...jest.requireActual('@/lib/fees'),
+  getFeeSchedule: jest.fn(() => Promise.resolve(jest.requireActual('@/lib/fees').DEFAULT_FEE_SCHEDULE)),
+}));
+
+jest.mock('@/lib/market-calendar', () => ({
+  ...jest.requireActual('@/lib/market-calendar'),
+  loadMarketCalendar: jest.fn(() => Promise.resolve({})),
+  getOrderRouting: jest.fn(() => ({ action: 'EXECUTE' })),
+}));
+
+const mockDb = db as unknown as {
+  order: { findUnique: jest.Mock };
+  user: { findUnique: jest.Mock };
+  asset: { findUnique: jest.Mock };
+  $transaction: jest.Mock;
+};
+
+const request = {
+  userId: 'user1',
+  assetId: 'asset1',
+  orderType: 'BUY' as const,
+  type: 'MARKET' as const,
+  quantity: 2,
+};
+
+const placedOrder = {
+  id: 'order1',
+  userId: 'user1',
+  assetId: 'asset1',
+  orderType: 'BUY',
+  type: 'MARKET',
+  quantity: 2,
+  requestedAmount: null,
+  totalAmount: 200,
+  brokerageFee: 1,
+  spreadFee: 0.5,
+  totalFee: 1.5,
+  status: 'EXECUTED',
+};
+
+describe('placeOrder idempotency', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('returns the original order when a key is replayed', async () => {
+    mockDb.order.findUnique.mockResolvedValue(placedOrder);
+
+    const result = await placeOrder(request, { idempotencyKey: 'key1' });
+
+    expect(result.replayed).toBe(true);
+    expect(result.order.id).toBe('order1');
+    expect(result.totalAmount).toBe(201.5);
+    expect(mockDb.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('rejects a key reused for a different order with 422', async () => {
+    mockDb.order.findUnique.mockResolvedValue(placedOrder);
+
+    const error = await placeOrder({ ...request, quantity: 3 }, { idempotencyKey: 'key1' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderError);
+    expect(error.status).toBe(422);
+    expect(mockDb.$transaction).not.toHaveBeenCalled();
+  });
+
+  it('returns the winning order when a concurrent retry hits the unique key', async () => {
+    mockDb.order.findUnique.mockResolvedValueOnce(null).mockResolvedValueOnce(placedOrder);
+    mockDb.user.findUnique.mockResolvedValue({ subscriptionTier: 'FREE' });
+    mockDb.asset.findUnique.mockResolvedValue({ id: 'asset1', symbol: 'TCS', type: 'STOCK', currentPrice: 100 });
+    mockDb.$transaction.mockRejectedValue(
+      new Prisma.PrismaClientKnownRequestError('Unique constraint failed', { code: 'P2002', clientVersion: 'test' })
+    );
+
+    const result = await placeOrder(request, { idempotencyKey: 'key1' });
+
+    expect(result.replayed).toBe(true);
+    expect(result.order.id).toBe('order1');
+    expect(mockDb.order.findUnique).toHaveBeenCalledTimes(2);
+  });
+
+  it('rethrows other write errors', async () => {
+    mockDb.order.findUnique.mockResolvedValue(null);
+    mockDb.user.findUnique.mockResolvedValue({ subscriptionTier: 'FREE' });
+    mockDb.asset.findUnique.mockResolvedValue({ id: 'asset1', symbol: 'TCS', type: 'STOCK', currentPrice: 100 });
+    mockDb.$transaction.mockRejectedValue(new OrderError('Insufficient wallet balance'));
+
+    await expect(placeOrder(request, { idempotencyKey: 'key1' })).rejects.toThrow('Insufficient wallet balance');
+  });
+});
@@ -0,0 +1,106 @@
+import { db } from '@/lib/db';
+import { DEFAULT_FEE_SCHEDULE } from '@/lib/fees';
+import { getOrderRouting } from '@/lib/market-calendar';
+import { priceOrder } from '@/lib/orders/placement';
+import { calculateHoldingImpact, canPlaceOrder, previewOrder } from '@/lib/orders/preview';
+
+jest.mock('@/lib/db', () => ({
+  db: {
+    user: { findUnique: jest.fn() },
+    asset: { findUnique: jest.fn() },
+    wallet: { findUnique: jest.fn() },
+    holding: { findMany: jest.fn(), findFirst: jest.fn() },
+    order: { findMany: jest.fn() },
+  },
+}));
+
+jest.mock('@/lib/fees', () => ({
+  ...jest.requireActual('@/lib/fees'),
+  getFeeSchedule: jest.fn(() => Promise.resolve(jest.requireActual('@/lib/fees').DEFAULT_FEE_SCHEDULE)),
+}));
+
+jest.mock('@/lib/market-calendar', () => ({
+  ...jest.requireActual('@/lib/market-calendar'),
+  loadMarketCalendar: jest.fn(() => Promise.resolve({})),
+  getOrderRouting: jest.fn(),
+}));
+
+const mockDb = db as unknown as Record<string, Record<string, jest.Mock>>;
+const asset = { id: 'asset1', symbol: 'TCS', name: 'TCS', type: 'STOCK', currentPrice: 3000 };
+
+describe('calculateHoldingImpact', () => {
+  it('re-averages the buy price on a BUY', () => {
+    const impact = calculateHoldingImpact({ quantity: 10, avgBuyPrice: 100 }, 'BUY', 10, 120, 5);
+
+    expect(impact.resultingQuantity).toBe(20);
+    expect(impact.newAvgBuyPrice).toBe(110);
+    expect(impact.realisedPnl).toBeNull();
+  });
+
+  it('starts the average at the execution price for a new holding', () => {
+    const impact = calculateHoldingImpact(null, 'BUY', 2.5, 400, 10);
+
+    expect(impact.currentQuantity).toBe(0);
+    expect(impact.avgBuyPrice).toBeNull();
+    expect(impact.newAvgBuyPrice).toBe(400);
+  });
+
+  it('realises P&L net of fees on a SELL and keeps the average', () => {
+    const impact = calculateHoldingImpact({ quantity: 10, avgBuyPrice: 100 }, 'SELL', 4, 150, 12.5);
+
+    expect(impact.resultingQuantity).toBe(6);
+    expect(impact.newAvgBuyPrice).toBe(100);
+    expect(impact.realisedPnl).toBe(187.5);
+  });
+
+  it('clears the average when the whole holding is sold', () => {
+    const impact = calculateHoldingImpact({ quantity: 5, avgBuyPrice: 200 }, 'SELL', 5, 180, 10);
+
+    expect(impact.resultingQuantity).toBe(0);
+    expect(impact.newAvgBuyPrice).toBeNull();
+    expect(impact.realisedPnl).toBe(-110);
+  });
+});
+
+describe('previewOrder', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockDb.user.findUnique.mockResolvedValue({ subscriptionTier: 'FREE' });
+    mockDb.asset.findUnique.mockResolvedValue(asset);
+    mockDb.wallet.findUnique.mockResolvedValue({ balance: 100000, blockedBalance: 0 });
+    mockDb.holding.findMany.mockResolvedValue([]);
+    (getOrderRouting as jest.Mock).mockReturnValue({ action: 'EXECUTE' });
+  });
+
+  it('prices an order the way placement does', async () => {
+    const request = { userId: 'user1', assetId: 'asset1', orderType: 'BUY' as const, type: 'MARKET' as const, amount: 5000 };
+    const prepared = priceOrder(request, { asset: asset as any, feeSchedule: DEFAULT_FEE_SCHEDULE, subscriptionTier: 'FREE' });
+
+    const preview = await previewOrder(request);
+
+    expect(preview.quantity).toBe(prepared.quantity);
+    expect(preview.fees).toEqual(prepared.fees);
+    expect(preview.residualAmount).toBe(prepared.residualAmount);
+    expect(preview.execution.action).toBe('EXECUTE');
+    expect(canPlaceOrder(preview)).toBe(true);
+  });
+
+  it('reports a closed market as a blocking warning and still prices the order', async () => {
+    (getOrderRouting as jest.Mock).mockReturnValue({ action: 'REJECT', code: 'MARKET_HOLIDAY', message: 'Market is closed for Holi' });
+
+    const preview = await previewOrder({ userId: 'user1', assetId: 'asset1', orderType: 'BUY', type: 'MARKET', quantity: 2 });
+
+    expect(preview.execution.action).toBe('REJECT');
+    expect(preview.warnings).toContainEqual({ code: 'MARKET_HOLIDAY', message: 'Market is closed for Holi' });
+    expect(preview.orderAmount).toBe(6000);
+    expect(canPlaceOrder(preview)).toBe(false);
+  });
+
+  it('reports an amount too small to buy anything', async () => {
+    const preview = await previewOrder({ userId: 'user1', assetId: 'asset1', orderType: 'BUY', type: 'MARKET', amount: 0.01 });
+
+    expect(preview.quantity).toBe(0);
+    expect(preview.warnings.map(warning => warning.code)).toContain('AMOUNT_TOO_SMALL');
+    expect(canPlaceOrder(preview)).toBe(false);
+  });
+});
@@ -0,0 +1,216 @@
+import {
+  consumeReservation,
+  getAvailableBalance,
+  getCommittedSellQuantity,
+  getSellableQuantity,
+  releaseReservation,
+  reserveFunds,
+  resizeReservation,
+} from '@/lib/orders/reservations';
+import { OrderError } from '@/lib/orders/errors';
+
+type Reservation = {
+  id: string;
+  walletId: string;
+  userId: string;
+  orderId: string;
+  amount: number;
+  remainingAmount: number;
+  status: string;
+};
+
+// Just enough of a transaction client for the wallet and reservation writes
+function createTx(balance: number) {
+  const wallet = { id: 'wallet1', userId: 'user1', balance, blockedBalance: 0 };
+  const reservations: Reservation[] = [];
+
+  const applyChange = (data: Record<string, any>) => {
+    for (const [field, change] of Object.entries(data)) {
+      const key = field as 'balance' | 'blockedBalance';
+      if (change.increment !== undefined) wallet[key] = Math.round((wallet[key] + change.increment) * 100) / 100;
+      if (change.decrement !== undefined) wallet[key] = Math.round((wallet[key] - change.decrement) * 100) / 100;
+    }
+    return { ...wallet };
+  };
+
+  const tx = {
+    wallet: {
+      update: jest.fn(({ data }) => Promise.resolve(applyChange(data))),
+    },
+    walletReservation: {
+      create: jest.fn(({ data }) => {
+        const reservation = { id: `r${reservations.length + 1}`, ...data };
+        reservations.push(reservation);
+        return Promise.resolve({ ...reservation });
+      }),
+      // Copies, as Prisma returns rows that later writes do not change
+      findFirst: jest.fn(({ where }) => {
+        const reservation = reservations.find(r => r.orderId === where.orderId && r.status === where.status);
+        return Promise.resolve(reservation ? { ...reservation } : null);
+      }),
+      update: jest.fn(({ where, data }) => {
+        const reservation = reservations.find(r => r.id === where.id)!;
+        Object.assign(reservation, data);
+        return Promise.resolve({ ...reservation });
+      }),
+    },
+  };
+
+  return { tx: tx as any, wallet, reservations };
+}
+
+describe('getAvailableBalance', () => {
+  it('is the balance less the blocked funds', () => {
+    expect(getAvailableBalance({ balance: 1000, blockedBalance: 250.5 })).toBe(749.5);
+  });
+});
+
+describe('reserveFunds', () => {
+  it('blocks the amount against the wallet', async () => {
+    const { tx, wallet, reservations } = createTx(1000);
+
+    await reserveFunds(tx, 'user1', 'order1', 400.004);
+
+    expect(wallet.blockedBalance).toBe(400);
+    expect(getAvailableBalance(wallet)).toBe(600);
+    expect(reservations[0]).toMatchObject({ amount: 400, remainingAmount: 400, status: 'ACTIVE' });
+  });
+
+  it('rejects an amount above the available balance', async () => {
+    const { tx } = createTx(1000);
+    await reserveFunds(tx, 'user1', 'order1', 700);
+
+    const error = await reserveFunds(tx, 'user1', 'order2', 400).catch(e => e);
+
+    expect(error).toBeInstanceOf(OrderError);
+    expect(error.code).toBe('INSUFFICIENT_BALANCE');
+    expect(tx.walletReservation.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('consumeReservation', () => {
+  it('unblocks the filled share and consumes the rest on the final fill', async () => {
+    const { tx, wallet, reservations } = createTx(1000);
+    await reserveFunds(tx, 'user1', 'order1', 500);
+
+    expect(await consumeReservation(tx, 'order1', 0.4)).toBe(200);
+    expect(wallet.blockedBalance).toBe(300);
+    expect(reservations[0]).toMatchObject({ remainingAmount: 300, status: 'ACTIVE' });
+
+    expect(await consumeReservation(tx, 'order1', 1)).toBe(300);
+    expect(wallet.blockedBalance).toBe(0);
+    expect(reservations[0]).toMatchObject({ remainingAmount: 0, status: 'CONSUMED' });
+    expect(getAvailableBalance(wallet)).toBeGreaterThanOrEqual(0);
+  });
+
+  it('does nothing without an active reservation', async () => {
+    const { tx, wallet } = createTx(1000);
+
+    expect(await consumeReservation(tx, 'order1', 1)).toBe(0);
+    expect(wallet.blockedBalance).toBe(0);
+  });
+});
+
+describe('releaseReservation', () => {
+  it('unblocks whatever is left when an order is cancelled', async () => {
+    const { tx, wallet, reservations } = createTx(1000);
+    await reserveFunds(tx, 'user1', 'order1', 500);
+    await consumeReservation(tx, 'order1', 0.5);
+
+    expect(await releaseReservation(tx, 'order1')).toBe(250);
+    expect(wallet.blockedBalance).toBe(0);
+    expect(getAvailableBalance(wallet)).toBe(1000);
+    expect(reservations[0]).toMatchObject({ remainingAmount: 0, status: 'RELEASED' });
+
+    // A second release finds nothing left to unblock
+    expect(await releaseReservation(tx, 'order1')).toBe(0);
+    expect(wallet.blockedBalance).toBe(0);
+  });
+});
+
+describe('resizeReservation', () => {
+  it('grows and shrinks the blocked amount when an order is modified', async () => {
+    const { tx, wallet, reservations } = createTx(1000);
+    await reserveFunds(tx, 'user1', 'order1', 500);
+
+    await resizeReservation(tx, 'user1', 'order1', 800);
+    expect(wallet.blockedBalance).toBe(800);
+    expect(reservations[0]).toMatchObject({ amount: 800, remainingAmount: 800 });
+
+    await resizeReservation(tx, 'user1', 'order1', 300);
+    expect(wallet.blockedBalance).toBe(300);
+    expect(reservations[0]).toMatchObject({ amount: 300, remainingAmount: 300 });
+    expect(getAvailableBalance(wallet)).toBe(700);
+  });
+
+  it('rejects growing past the available balance', async () => {
+    const { tx } = createTx(1000);
+    await reserveFunds(tx, 'user1', 'order1', 500);
+
+    await expect(resizeReservation(tx, 'user1', 'order1', 1200)).rejects.toThrow(OrderError);
+  });
+
+  it('reserves afresh when the order has no active reservation', async () => {
+    const { tx, wallet, reservations } = createTx(1000);
+
+    await resizeReservation(tx, 'user1', 'order1', 250);
+
+    expect(wallet.blockedBalance).toBe(250);
+    expect(reservations).toHaveLength(1);
+  });
+});
+
+describe('getCommittedSellQuantity', () => {
+  it('adds up the unfilled part of open SELL orders', () => {
+    const committed = getCommittedSellQuantity([
+      { id: 'o1', quantity: 10, filledQuantity: 4, parentOrderId: null },
+      { id: 'o2', quantity: 2.5, filledQuantity: 0, parentOrderId: null },
+    ]);
+
+    expect(committed).toBe(8.5);
+  });
+
+  it('counts the two legs of a bracket once', () => {
+    const committed = getCommittedSellQuantity([
+      { id: 'sl', quantity: 5, filledQuantity: 0, parentOrderId: 'buy' },
+      { id: 'tp', quantity: 5, filledQuantity: 0, parentOrderId: 'buy' },
+      { id: 'o3', quantity: 1, filledQuantity: 0, parentOrderId: null },
+    ]);
+
+    expect(committed).toBe(6);
+  });
+});
+
+describe('getSellableQuantity', () => {
+  const holdings = [
+    { portfolioId: 'public1', assetId: 'asset1', quantity: 50 },
+    { portfolioId: 'default1', assetId: 'asset1', quantity: 10 },
+  ];
+  const openSells = [
+    { id: 'o1', portfolioId: null, quantity: 4, filledQuantity: 0, parentOrderId: null },
+    { id: 'o2', portfolioId: 'public1', quantity: 20, filledQuantity: 5, parentOrderId: null },
+  ];
+  const client = {
+    portfolio: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(
+        where.id ? (where.id === 'public1' ? { id: 'public1' } : null) : where.isPublic === false ? { id: 'default1' } : null
+      )),
+    },
+    holding: {
+      findFirst: jest.fn(({ where }) => Promise.resolve(
+        holdings.find(row => row.portfolioId === where.portfolioId && row.assetId === where.assetId) || null
+      )),
+    },
+    order: {
+      findMany: jest.fn(({ where }) => Promise.resolve(openSells.filter(row => row.portfolioId === where.portfolioId))),
+    },
+  };
+
+  it('counts only the holding in the portfolio orders settle into', async () => {
+    expect(await getSellableQuantity(client as any, 'user1', 'asset1')).toBe(6);
+  });
+
+  it('counts the holding and open sells of the portfolio an order names', async () => {
+    expect(await getSellableQuantity(client as any, 'user1', 'asset1', { portfolioId: 'public1' })).toBe(35);
+  });
+});
@@ -0,0 +1,27 @@
+import { getTriggeredOrderType, isTriggerHit } from '@/lib/orders/triggers';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('trigger orders', () => {
+  it('fires a SELL stop-loss when the market falls to the trigger', () => {
+    expect(isTriggerHit('STOP_LOSS', 'SELL', 2400, 2390)).toBe(true);
+    expect(isTriggerHit('STOP_LOSS', 'SELL', 2400, 2400)).toBe(true);
+    expect(isTriggerHit('STOP_LOSS', 'SELL', 2400, 2450)).toBe(false);
+  });
+
+  it('fires a BUY stop when the market rises to the trigger', () => {
+    expect(isTriggerHit('STOP_LIMIT', 'BUY', 2600, 2610)).toBe(true);
+    expect(isTriggerHit('STOP_LIMIT', 'BUY', 2600, 2550)).toBe(false);
+  });
+
+  it('fires a SELL take-profit when the market rises to the trigger', () => {
+    expect(isTriggerHit('TAKE_PROFIT', 'SELL', 2700, 2710)).toBe(true);
+    expect(isTriggerHit('TAKE_PROFIT', 'SELL', 2700, 2650)).toBe(false);
+  });
+
+  it('converts stop-limit orders to LIMIT and the rest to MARKET', () => {
+    expect(getTriggeredOrderType('STOP_LIMIT')).toBe('LIMIT');
+    expect(getTriggeredOrderType('STOP_LOSS')).toBe('MARKET');
+    expect(getTriggeredOrderType('TAKE_PROFIT')).toBe('MARKET');
+  });
+});
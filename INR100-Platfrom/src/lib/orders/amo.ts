@@ -0,0 +1,68 @@
+import { db } from "@/lib/db";
+import { isMarketOpen } from "@/lib/market-calendar";
+import { MarketDataService } from "@/lib/market-data";
+import { fillOrder, getRemainingQuantity } from "@/lib/orders/matching";
+
+export interface AmoSummary {
+  checked: number;
+  executed: number;
+  failed: number;
+}
+
+// Executes queued after-market MARKET orders once their session has opened.
+// Queued LIMIT and trigger orders need no release: the matching and trigger
+// jobs pick them up as soon as the market is open.
+export async function releaseAfterMarketOrders(now: Date = new Date()): Promise<AmoSummary> {
+  const summary: AmoSummary = { checked: 0, executed: 0, failed: 0 };
+
+  const orders = await db.order.findMany({
+    where: {
+      type: "MARKET",
+      isAmo: true,
+      status: "PENDING",
+      queuedUntil: { lte: now },
+    },
+    include: {
+      asset: {
+        select: { id: true, symbol: true, type: true, currentPrice: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const marketData = MarketDataService.getInstance();
+  const prices = new Map<string, number | null>();
+  const openMarkets = new Map<string, boolean>();
+
+  for (const order of orders) {
+    summary.checked++;
+
+    if (!openMarkets.has(order.asset.type)) {
+      openMarkets.set(order.asset.type, await isMarketOpen(order.asset.type, now));
+    }
+    if (!openMarkets.get(order.asset.type)) {
+      continue;
+    }
+
+    if (!prices.has(order.assetId)) {
+      const quote = await marketData.getAssetPrice(order.asset.symbol, order.asset.type);
+      prices.set(order.assetId, quote?.price ?? order.asset.currentPrice);
+    }
+    const marketPrice = prices.get(order.assetId);
+
+    if (!marketPrice) {
+      continue;
+    }
+
+    try {
+      const status = await fillOrder(order, getRemainingQuantity(order), marketPrice);
+      if (status === "EXECUTED") summary.executed++;
+      if (status === "FAILED") summary.failed++;
+    } catch (error) {
+      console.error(`AMO release error for order ${order.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,96 @@
+import { Order, Prisma } from "@prisma/client";
+import { calculateOrderFees, createOrderFeeRecords, getFeeSchedule } from "@/lib/fees";
+
+// A bracket order is a BUY carrying stopLossPrice and/or takeProfitPrice. Once
+// the BUY is filled, a SELL STOP_LOSS and a SELL TAKE_PROFIT leg are created for
+// the filled quantity. The legs are one-cancels-other: when one executes the
+// remaining sibling is cancelled.
+
+export async function createBracketOrders(tx: Prisma.TransactionClient, parentOrderId: string) {
+  const parent = await tx.order.findUnique({
+    where: { id: parentOrderId },
+    include: {
+      asset: { select: { type: true } },
+      user: { select: { subscriptionTier: true } },
+    },
+  });
+
+  if (!parent || parent.filledQuantity <= 0) {
+    return [];
+  }
+
+  const legs = [
+    { type: "STOP_LOSS" as const, triggerPrice: parent.stopLossPrice },
+    { type: "TAKE_PROFIT" as const, triggerPrice: parent.takeProfitPrice },
+  ].filter(leg => leg.triggerPrice);
+
+  const feeSchedule = await getFeeSchedule();
+  const children: Order[] = [];
+  for (const leg of legs) {
+    const orderAmount = parent.filledQuantity * leg.triggerPrice!;
+    const fees = calculateOrderFees(
+      feeSchedule,
+      parent.asset.type,
+      "SELL",
+      orderAmount,
+      parent.user.subscriptionTier
+    );
+
+    const child = await tx.order.create({
+      data: {
+        userId: parent.userId,
+        assetId: parent.assetId,
+        type: leg.type,
+        orderType: "SELL",
+        quantity: parent.filledQuantity,
+        price: leg.triggerPrice!,
+        triggerPrice: leg.triggerPrice,
+        totalAmount: orderAmount,
+        brokerageFee: fees.brokerageFee,
+        spreadFee: fees.spreadFee,
+        totalFee: fees.totalFee,
+        feeScheduleVersion: fees.scheduleVersion,
+        status: "PENDING",
+        parentOrderId: parent.id,
+        portfolioId: parent.portfolioId,
+      },
+    });
+
+    await createOrderFeeRecords(tx, parent.userId, child.id, "SELL", fees);
+    children.push(child);
+  }
+
+  return children;
+}
+
+// Cancels the still-pending siblings of an executed bracket leg.
+export async function cancelSiblingOrders(
+  tx: Prisma.TransactionClient,
+  order: { id: string; parentOrderId: string | null }
+) {
+  if (!order.parentOrderId) {
+    return 0;
+  }
+
+  const siblings = await tx.order.findMany({
+    where: {
+      parentOrderId: order.parentOrderId,
+      id: { not: order.id },
+      status: "PENDING",
+    },
+    select: { id: true },
+  });
+
+  for (const sibling of siblings) {
+    await tx.order.update({
+      where: { id: sibling.id },
+      data: { status: "CANCELLED" },
+    });
+    await tx.fee.updateMany({
+      where: { reference: sibling.id },
+      data: { status: "WAIVED" },
+    });
+  }
+
+  return siblings.length;
+}
@@ -0,0 +1,23 @@
+// Base of the errors raised for client-facing rejections; `status` is the HTTP
+// status to return. Each domain subclasses it so its routes can tell their own
+// rejections from unexpected failures.
+export class ClientError extends Error {
+  status: number;
+
+  constructor(message: string, status: number = 400) {
+    super(message);
+    this.name = "ClientError";
+    this.status = status;
+  }
+}
+
+// `code` is an optional machine-readable reason for callers that act on it
+export class OrderError extends ClientError {
+  code?: string;
+
+  constructor(message: string, status: number = 400, code?: string) {
+    super(message, status);
+    this.name = "OrderError";
+    this.code = code;
+  }
+}
@@ -0,0 +1,102 @@
+import { calculateOrderFees, FeeSchedule, OrderFees } from "@/lib/fees";
+
+type QuantityRounding = "DOWN" | "NEAREST";
+
+// Precision (decimal places) and rounding of quantities bought by amount.
+// A rounded quantity that would cost more than the amount is stepped down.
+export const QUANTITY_PRECISION_CONFIG: Record<string, { decimals: number; rounding: QuantityRounding }> = {
+  STOCK: { decimals: 4, rounding: "DOWN" },
+  ETF: { decimals: 4, rounding: "DOWN" },
+  MUTUAL_FUND: { decimals: 3, rounding: "NEAREST" }, // AMCs allot units to 3 decimals
+  GOLD: { decimals: 4, rounding: "DOWN" }, // Grams
+  GLOBAL: { decimals: 6, rounding: "DOWN" },
+};
+
+// Tolerance for floating point quantity comparisons (fractional units)
+export const QUANTITY_EPSILON = 1e-6;
+
+// Bound on the fee/quantity settling loop; it converges in two or three passes
+const MAX_CONVERSION_PASSES = 10;
+
+export interface AmountConversion {
+  quantity: number;
+  orderAmount: number;
+  fees: OrderFees;
+  totalAmount: number; // orderAmount + fees, debited from the wallet
+  residualAmount: number; // Part of the requested amount left in the wallet
+}
+
+export function getQuantityPrecision(assetType: string) {
+  return QUANTITY_PRECISION_CONFIG[assetType.toUpperCase()] || QUANTITY_PRECISION_CONFIG.STOCK;
+}
+
+export function roundQuantity(quantity: number, decimals: number, rounding: QuantityRounding) {
+  const factor = 10 ** decimals;
+  // The small offset absorbs float noise such as 0.30000000000000004
+  const scaled = rounding === "DOWN"
+    ? Math.floor(quantity * factor + 1e-9)
+    : Math.round(quantity * factor);
+  return scaled / factor;
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Converts a rupee amount into the largest quantity whose value plus fees
+// fits in the amount. Returns quantity 0 when the amount cannot cover fees.
+export function convertAmountToQuantity(
+  schedule: FeeSchedule,
+  assetType: string,
+  amount: number,
+  price: number,
+  userTier: string
+): AmountConversion {
+  const { decimals, rounding } = getQuantityPrecision(assetType);
+  const step = 10 ** -decimals;
+  const quoteFees = (value: number) => calculateOrderFees(schedule, assetType, "BUY", value, userTier);
+
+  // Fees depend on the order value, so settle the investable value first
+  let investable = amount;
+  for (let pass = 0; pass < MAX_CONVERSION_PASSES; pass++) {
+    const next = amount - quoteFees(Math.max(investable, 0)).totalFee;
+    if (Math.abs(next - investable) < 0.005) {
+      investable = next;
+      break;
+    }
+    investable = next;
+  }
+
+  let quantity = investable > 0 ? roundQuantity(investable / price, decimals, rounding) : 0;
+  let fees = quoteFees(quantity * price);
+
+  for (let pass = 0; pass < MAX_CONVERSION_PASSES && quantity > 0; pass++) {
+    if (quantity * price + fees.totalFee <= amount) {
+      break;
+    }
+    const reduced = roundQuantity((amount - fees.totalFee) / price, decimals, "DOWN");
+    quantity = Math.max(Math.min(reduced, roundQuantity(quantity - step, decimals, "DOWN")), 0);
+    fees = quoteFees(quantity * price);
+  }
+
+  if (quantity <= 0 || quantity * price + fees.totalFee > amount) {
+    return {
+      quantity: 0,
+      orderAmount: 0,
+      fees: quoteFees(0),
+      totalAmount: 0,
+      residualAmount: amount,
+    };
+  }
+
+  const orderAmount = quantity * price;
+  const totalAmount = orderAmount + fees.totalFee;
+
+  return {
+    quantity,
+    orderAmount,
+    fees,
+    totalAmount,
+    residualAmount: roundAmount(amount - totalAmount),
+  };
+}
@@ -0,0 +1,404 @@
+import { AssetType, OrderStatus, Prisma } from "@prisma/client";
+import { toCsv } from "@/lib/csv";
+import { db } from "@/lib/db";
+import { addDays, getZonedParts, zonedTimeToDate } from "@/lib/market-calendar";
+import { OrderError } from "@/lib/orders/errors";
+import { formatTableRow, renderTextPdf, TableColumn } from "@/lib/pdf";
+
+export const ORDER_HISTORY_PAGE_SIZE = 25;
+export const MAX_ORDER_HISTORY_PAGE_SIZE = 100;
+// Exports are not paginated; a period larger than this must be split
+export const MAX_EXPORT_ROWS = 5000;
+
+const ORDER_STATUSES: OrderStatus[] = ["PENDING", "PARTIALLY_FILLED", "EXECUTED", "CANCELLED", "FAILED"];
+const ASSET_TYPES: AssetType[] = ["STOCK", "MUTUAL_FUND", "ETF", "GOLD", "BOND", "CRYPTO", "GLOBAL", "REAL_ESTATE"];
+
+// Bare dates in filters and contract notes are Indian calendar days
+const HISTORY_TIME_ZONE = "Asia/Kolkata";
+
+// Contract note charge columns; spread and currency conversion are platform charges
+const CHARGE_COLUMNS = [
+  { label: "Brokerage", types: ["BROKERAGE"] },
+  { label: "STT", types: ["STT"] },
+  { label: "Stamp Duty", types: ["STAMP_DUTY"] },
+  { label: "Exchange Charges", types: ["EXCHANGE_CHARGES"] },
+  { label: "SEBI Fee", types: ["SEBI_FEE"] },
+  { label: "GST", types: ["GST"] },
+  { label: "Platform Charges", types: ["SPREAD", "CURRENCY_CONVERSION"] },
+];
+
+export interface OrderHistoryFilters {
+  userId: string;
+  orderId?: string;
+  search?: string; // Order ID, asset symbol or asset name
+  assetId?: string;
+  assetType?: AssetType;
+  side?: "BUY" | "SELL";
+  statuses?: OrderStatus[];
+  from?: Date;
+  to?: Date;
+  cursor?: string;
+  limit: number;
+}
+
+function parseDateParam(value: string, field: string, endOfDay: boolean) {
+  // A bare date covers the whole day in IST
+  const date = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? endOfDay
+      ? new Date(zonedTimeToDate(addDays(value, 1), "00:00", HISTORY_TIME_ZONE).getTime() - 1)
+      : zonedTimeToDate(value, "00:00", HISTORY_TIME_ZONE)
+    : new Date(value);
+
+  if (isNaN(date.getTime())) {
+    throw new OrderError(`Invalid ${field} date`);
+  }
+  return date;
+}
+
+export function parseOrderHistoryFilters(searchParams: URLSearchParams): OrderHistoryFilters {
+  const userId = searchParams.get("userId");
+  if (!userId) {
+    throw new OrderError("User ID is required");
+  }
+
+  const side = searchParams.get("side")?.toUpperCase();
+  if (side && side !== "BUY" && side !== "SELL") {
+    throw new OrderError("Side must be BUY or SELL");
+  }
+
+  const assetType = searchParams.get("assetType")?.toUpperCase();
+  if (assetType && !ASSET_TYPES.includes(assetType as AssetType)) {
+    throw new OrderError(`Asset type must be one of ${ASSET_TYPES.join(", ")}`);
+  }
+
+  // Comma separated, e.g. status=EXECUTED,PARTIALLY_FILLED
+  const statuses = searchParams.get("status")?.toUpperCase().split(",").filter(Boolean);
+  if (statuses?.some(status => !ORDER_STATUSES.includes(status as OrderStatus))) {
+    throw new OrderError(`Status must be one of ${ORDER_STATUSES.join(", ")}`);
+  }
+
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  const limit = Number(searchParams.get("limit") || ORDER_HISTORY_PAGE_SIZE);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ORDER_HISTORY_PAGE_SIZE) {
+    throw new OrderError(`Limit must be between 1 and ${MAX_ORDER_HISTORY_PAGE_SIZE}`);
+  }
+
+  const filters: OrderHistoryFilters = {
+    userId,
+    orderId: searchParams.get("orderId") || undefined,
+    search: searchParams.get("q")?.trim() || undefined,
+    assetId: searchParams.get("assetId") || undefined,
+    assetType: (assetType as AssetType) || undefined,
+    side: (side as "BUY" | "SELL") || undefined,
+    statuses: statuses?.length ? (statuses as OrderStatus[]) : undefined,
+    from: from ? parseDateParam(from, "from", false) : undefined,
+    to: to ? parseDateParam(to, "to", true) : undefined,
+    cursor: searchParams.get("cursor") || undefined,
+    limit,
+  };
+
+  if (filters.from && filters.to && filters.from > filters.to) {
+    throw new OrderError("The from date must be before the to date");
+  }
+
+  return filters;
+}
+
+export function buildOrderHistoryWhere(filters: OrderHistoryFilters): Prisma.OrderWhereInput {
+  return {
+    userId: filters.userId,
+    ...(filters.orderId && { id: filters.orderId }),
+    ...(filters.search && {
+      OR: [
+        { id: filters.search },
+        { asset: { symbol: { contains: filters.search.toUpperCase() } } },
+        { asset: { name: { contains: filters.search } } },
+      ],
+    }),
+    ...(filters.assetId && { assetId: filters.assetId }),
+    ...(filters.assetType && { asset: { type: filters.assetType } }),
+    ...(filters.side && { orderType: filters.side }),
+    ...(filters.statuses && { status: { in: filters.statuses } }),
+    ...((filters.from || filters.to) && {
+      createdAt: {
+        ...(filters.from && { gte: filters.from }),
+        ...(filters.to && { lte: filters.to }),
+      },
+    }),
+  };
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Traded value and charges of the fills of matching orders. Net investment is
+// money paid for buys less money received from sells.
+async function sumFills(where: Prisma.OrderWhereInput) {
+  const [buys, sells] = await Promise.all(
+    (["BUY", "SELL"] as const).map(side =>
+      db.orderFill.aggregate({
+        where: { order: { AND: [where, { orderType: side }] } },
+        _sum: { amount: true, fee: true },
+      })
+    )
+  );
+
+  const buyAmount = buys._sum.amount || 0;
+  const buyFees = buys._sum.fee || 0;
+  const sellAmount = sells._sum.amount || 0;
+  const sellFees = sells._sum.fee || 0;
+
+  return {
+    buyAmount: roundAmount(buyAmount),
+    sellAmount: roundAmount(sellAmount),
+    fees: roundAmount(buyFees + sellFees),
+    netInvestment: roundAmount(buyAmount + buyFees - (sellAmount - sellFees)),
+  };
+}
+
+const orderHistoryInclude = {
+  asset: {
+    select: { id: true, symbol: true, name: true, type: true },
+  },
+  fills: {
+    orderBy: { createdAt: "asc" },
+  },
+} satisfies Prisma.OrderInclude;
+
+type OrderHistoryOrder = Prisma.OrderGetPayload<{ include: typeof orderHistoryInclude }>;
+
+function summarizeFills(order: OrderHistoryOrder) {
+  const filledAmount = roundAmount(order.fills.reduce((sum, fill) => sum + fill.amount, 0));
+  const fees = roundAmount(order.fills.reduce((sum, fill) => sum + fill.fee, 0));
+  return {
+    filledAmount,
+    fees,
+    // Signed wallet effect: negative for money paid, positive for money received
+    netAmount: order.orderType === "BUY" ? -roundAmount(filledAmount + fees) : roundAmount(filledAmount - fees),
+  };
+}
+
+// One page of order history, newest first. Each row carries the running net
+// investment of all matching orders up to and including it, so totals stay
+// correct across pages.
+export async function getOrderHistory(filters: OrderHistoryFilters) {
+  const where = buildOrderHistoryWhere(filters);
+
+  const orders = await db.order.findMany({
+    where,
+    include: orderHistoryInclude,
+    orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+    take: filters.limit + 1,
+    ...(filters.cursor && { cursor: { id: filters.cursor }, skip: 1 }),
+  });
+
+  const hasMore = orders.length > filters.limit;
+  const page = hasMore ? orders.slice(0, filters.limit) : orders;
+  const oldest = page[page.length - 1];
+
+  const [totals, statusCounts, before] = await Promise.all([
+    sumFills(where),
+    db.order.groupBy({
+      by: ["status"],
+      where,
+      _count: { _all: true },
+    }),
+    oldest
+      ? sumFills({
+          AND: [
+            where,
+            {
+              OR: [
+                { createdAt: { lt: oldest.createdAt } },
+                { createdAt: oldest.createdAt, id: { lt: oldest.id } },
+              ],
+            },
+          ],
+        })
+      : null,
+  ]);
+
+  // Accumulate from the oldest row of the page up
+  let running = before?.netInvestment || 0;
+  const rows = page
+    .map(order => ({ ...order, ...summarizeFills(order) }))
+    .reverse()
+    .map(row => {
+      running = roundAmount(running - row.netAmount);
+      return { ...row, runningNetInvestment: running };
+    })
+    .reverse();
+
+  return {
+    orders: rows,
+    nextCursor: hasMore ? page[page.length - 1].id : null,
+    totals: {
+      ...totals,
+      count: statusCounts.reduce((sum, group) => sum + group._count._all, 0),
+      byStatus: Object.fromEntries(statusCounts.map(group => [group.status, group._count._all])),
+    },
+  };
+}
+
+// Executed trades (orders with at least one fill) for a contract note, oldest
+// first, with the settled charges of each order broken down by type
+export async function getContractNoteTrades(filters: OrderHistoryFilters) {
+  const orders = await db.order.findMany({
+    where: { AND: [buildOrderHistoryWhere(filters), { filledQuantity: { gt: 0 } }] },
+    include: orderHistoryInclude,
+    orderBy: [{ createdAt: "asc" }, { id: "asc" }],
+    take: MAX_EXPORT_ROWS + 1,
+  });
+
+  if (orders.length > MAX_EXPORT_ROWS) {
+    throw new OrderError(`Exports are limited to ${MAX_EXPORT_ROWS} trades; narrow the date range`);
+  }
+
+  const fees = await db.fee.findMany({
+    where: {
+      reference: { in: orders.map(order => order.id) },
+      status: { not: "WAIVED" },
+    },
+  });
+
+  return orders.map(order => {
+    const orderFees = fees.filter(fee => fee.reference === order.id);
+    const { filledAmount, fees: totalCharges, netAmount } = summarizeFills(order);
+
+    return {
+      orderId: order.id,
+      tradeDate: order.executedAt || order.fills[order.fills.length - 1]?.createdAt || order.createdAt,
+      symbol: order.asset.symbol,
+      assetName: order.asset.name,
+      assetType: order.asset.type,
+      side: order.orderType,
+      type: order.type,
+      status: order.status,
+      quantity: order.filledQuantity,
+      avgPrice: order.avgFillPrice || order.price,
+      grossAmount: filledAmount,
+      charges: CHARGE_COLUMNS.map(column =>
+        roundAmount(orderFees.filter(fee => column.types.includes(fee.type)).reduce((sum, fee) => sum + fee.amount, 0))
+      ),
+      totalCharges,
+      netAmount,
+    };
+  });
+}
+
+type ContractNoteTrade = Awaited<ReturnType<typeof getContractNoteTrades>>[number];
+
+export function renderContractNoteCsv(trades: ContractNoteTrade[]) {
+  const header = [
+    "Trade Date",
+    "Order ID",
+    "Symbol",
+    "Asset Name",
+    "Asset Type",
+    "Side",
+    "Order Type",
+    "Status",
+    "Quantity",
+    "Avg Price",
+    "Gross Amount",
+    ...CHARGE_COLUMNS.map(column => column.label),
+    "Total Charges",
+    "Net Amount",
+  ];
+
+  const rows = trades.map(trade => [
+    trade.tradeDate.toISOString(),
+    trade.orderId,
+    trade.symbol,
+    trade.assetName,
+    trade.assetType,
+    trade.side,
+    trade.type,
+    trade.status,
+    trade.quantity,
+    trade.avgPrice,
+    trade.grossAmount,
+    ...trade.charges,
+    trade.totalCharges,
+    trade.netAmount,
+  ]);
+
+  return toCsv([header, ...rows]);
+}
+
+function toHistoryDate(date: Date) {
+  return getZonedParts(date, HISTORY_TIME_ZONE).date;
+}
+
+const CONTRACT_NOTE_COLUMNS: (TableColumn & { label: string })[] = [
+  { label: "Date", width: 10 },
+  { label: "Symbol", width: 14 },
+  { label: "Side", width: 4 },
+  { label: "Quantity", width: 10, align: "right" },
+  { label: "Avg Price", width: 10, align: "right" },
+  { label: "Gross", width: 12, align: "right" },
+  { label: "Brokerage", width: 9, align: "right" },
+  { label: "STT", width: 9, align: "right" },
+  { label: "Stamp", width: 8, align: "right" },
+  { label: "Exch+SEBI", width: 9, align: "right" },
+  { label: "GST", width: 8, align: "right" },
+  { label: "Total Chg", width: 10, align: "right" },
+  { label: "Net Amount", width: 12, align: "right" },
+];
+
+export function renderContractNotePdf(
+  trades: ContractNoteTrade[],
+  details: { userId: string; from?: Date; to?: Date }
+) {
+  const period = details.from || details.to
+    ? `${details.from ? toHistoryDate(details.from) : "start"} to ${details.to ? toHistoryDate(details.to) : "today"}`
+    : "All trades";
+  const rule = "-".repeat(CONTRACT_NOTE_COLUMNS.reduce((sum, column) => sum + column.width + 1, 0));
+
+  const total = (pick: (trade: ContractNoteTrade) => number) =>
+    roundAmount(trades.reduce((sum, trade) => sum + pick(trade), 0)).toFixed(2);
+
+  const lines = [
+    "INR100 - CONTRACT NOTE",
+    "",
+    `Client ID:  ${details.userId}`,
+    `Period:     ${period}`,
+    `Generated:  ${new Date().toISOString()}`,
+    `Trades:     ${trades.length}`,
+    "",
+    formatTableRow(CONTRACT_NOTE_COLUMNS.map(column => column.label), CONTRACT_NOTE_COLUMNS),
+    rule,
+    ...trades.map(trade =>
+      formatTableRow(
+        [
+          toHistoryDate(trade.tradeDate),
+          trade.symbol,
+          trade.side,
+          String(trade.quantity),
+          trade.avgPrice.toFixed(2),
+          trade.grossAmount.toFixed(2),
+          trade.charges[0].toFixed(2),
+          trade.charges[1].toFixed(2),
+          trade.charges[2].toFixed(2),
+          (trade.charges[3] + trade.charges[4]).toFixed(2),
+          trade.charges[5].toFixed(2),
+          trade.totalCharges.toFixed(2),
+          trade.netAmount.toFixed(2),
+        ],
+        CONTRACT_NOTE_COLUMNS
+      )
+    ),
+    rule,
+    `Total bought:  ₹${total(trade => (trade.side === "BUY" ? trade.grossAmount : 0))}`,
+    `Total sold:    ₹${total(trade => (trade.side === "SELL" ? trade.grossAmount : 0))}`,
+    `Total charges: ₹${total(trade => trade.totalCharges)}`,
+    `Net amount:    ₹${total(trade => trade.netAmount)}`,
+    "",
+    "Total charges include platform charges (spread, currency conversion) not itemised above.",
+  ];
+
+  return renderTextPdf({ title: "INR100 Contract Note", lines, landscape: true });
+}
@@ -0,0 +1,192 @@
+import { Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { OrderError } from "@/lib/orders/errors";
+import { QUANTITY_EPSILON } from "@/lib/orders/fractional";
+import { LotTrade, addTaxLot, disposeTaxLots, reconcileOpeningLot } from "@/lib/tax/lots";
+
+// Orders settle into the portfolio they name, else the user's first private
+// portfolio
+export function findSettlementPortfolio(
+  userId: string,
+  client: Prisma.TransactionClient = db,
+  portfolioId: string | null = null
+) {
+  return client.portfolio.findFirst({
+    where: portfolioId
+      ? { id: portfolioId, userId }
+      : { userId, isPublic: false },
+  });
+}
+
+// The holding that a SELL of the asset draws on. The same asset held in the
+// user's other portfolios is not sold from.
+export async function findSettlementHolding(
+  userId: string,
+  assetId: string,
+  client: Prisma.TransactionClient = db,
+  portfolioId: string | null = null
+) {
+  const portfolio = await findSettlementPortfolio(userId, client, portfolioId);
+  return portfolio
+    ? client.holding.findFirst({ where: { portfolioId: portfolio.id, assetId } })
+    : null;
+}
+
+// Order.portfolioId for an order placed into `portfolioId`. Orders into the
+// default portfolio store null, so they are found the same way whether or not
+// it was named.
+export async function resolveOrderPortfolioId(userId: string, portfolioId?: string | null) {
+  if (!portfolioId) {
+    return null;
+  }
+
+  const [portfolio, settlement] = await Promise.all([
+    findSettlementPortfolio(userId, db, portfolioId),
+    findSettlementPortfolio(userId),
+  ]);
+  if (!portfolio) {
+    throw new OrderError("Portfolio not found", 404);
+  }
+  return portfolio.id === settlement?.id ? null : portfolio.id;
+}
+
+export interface SettlementTrade extends LotTrade {
+  portfolioId?: string | null; // Order.portfolioId
+}
+
+export async function updatePortfolioHoldings(
+  userId: string,
+  assetId: string,
+  quantity: number,
+  orderType: "BUY" | "SELL",
+  price: number,
+  client: Prisma.TransactionClient = db,
+  trade: SettlementTrade = {}
+) {
+  // Get the order's portfolio or get or create the user's default one
+  let portfolio = await findSettlementPortfolio(userId, client, trade.portfolioId);
+
+  if (!portfolio) {
+    portfolio = await client.portfolio.create({
+      data: {
+        userId,
+        name: "My Portfolio",
+        description: "Default investment portfolio",
+        isPublic: false,
+        totalValue: 0,
+        totalInvested: 0,
+        totalReturns: 0,
+        riskLevel: 3,
+      },
+    });
+  }
+
+  // Update or create holding
+  const existingHolding = await client.holding.findFirst({
+    where: {
+      portfolioId: portfolio.id,
+      assetId,
+    },
+  });
+
+  if (existingHolding) {
+    await reconcileOpeningLot(client, userId, existingHolding);
+
+    if (orderType === "BUY") {
+      const newQuantity = existingHolding.quantity + quantity;
+      const newAvgBuyPrice = (existingHolding.avgBuyPrice * existingHolding.quantity + price * quantity) / newQuantity;
+      const newTotalValue = newQuantity * price;
+      const newTotalInvested = existingHolding.totalInvested + (price * quantity);
+      const newReturns = newTotalValue - newTotalInvested;
+      const newReturnsPercent = (newReturns / newTotalInvested) * 100;
+
+      await client.holding.update({
+        where: { id: existingHolding.id },
+        data: {
+          quantity: newQuantity,
+          avgBuyPrice: newAvgBuyPrice,
+          currentPrice: price,
+          totalValue: newTotalValue,
+          totalInvested: newTotalInvested,
+          returns: newReturns,
+          returnsPercent: newReturnsPercent,
+        },
+      });
+    } else {
+      const newQuantity = existingHolding.quantity - quantity;
+      
+      // Fractional quantities rarely subtract to exactly zero
+      if (newQuantity <= QUANTITY_EPSILON) {
+        await client.holding.delete({
+          where: { id: existingHolding.id },
+        });
+      } else {
+        const newTotalValue = newQuantity * price;
+        const newReturns = newTotalValue - existingHolding.totalInvested;
+        const newReturnsPercent = (newReturns / existingHolding.totalInvested) * 100;
+
+        await client.holding.update({
+          where: { id: existingHolding.id },
+          data: {
+            quantity: newQuantity,
+            currentPrice: price,
+            totalValue: newTotalValue,
+            returns: newReturns,
+            returnsPercent: newReturnsPercent,
+          },
+        });
+      }
+    }
+  } else if (orderType === "BUY") {
+    const totalValue = quantity * price;
+    const totalInvested = quantity * price;
+    const returns = 0;
+    const returnsPercent = 0;
+
+    await client.holding.create({
+      data: {
+        portfolioId: portfolio.id,
+        assetId,
+        quantity,
+        avgBuyPrice: price,
+        currentPrice: price,
+        totalValue,
+        totalInvested,
+        returns,
+        returnsPercent,
+      },
+    });
+  }
+
+  // Tax lots: buys open a lot, sells consume lots FIFO
+  if (orderType === "BUY") {
+    await addTaxLot(client, userId, portfolio.id, assetId, quantity, price, trade);
+  } else if (existingHolding) {
+    await disposeTaxLots(client, userId, portfolio.id, assetId, quantity, price, trade);
+  }
+
+  await refreshPortfolioTotals(portfolio.id, client);
+}
+
+// Recomputes a portfolio's totals from its holdings
+export async function refreshPortfolioTotals(
+  portfolioId: string,
+  client: Prisma.TransactionClient = db
+) {
+  const holdings = await client.holding.findMany({
+    where: { portfolioId },
+  });
+
+  const portfolioTotalValue = holdings.reduce((sum, h) => sum + h.totalValue, 0);
+  const portfolioTotalInvested = holdings.reduce((sum, h) => sum + h.totalInvested, 0);
+  const portfolioTotalReturns = portfolioTotalValue - portfolioTotalInvested;
+
+  await client.portfolio.update({
+    where: { id: portfolioId },
+    data: {
+      totalValue: portfolioTotalValue,
+      totalInvested: portfolioTotalInvested,
+      totalReturns: portfolioTotalReturns,
+    },
+  });
+}
@@ -0,0 +1,182 @@
+import { db } from "@/lib/db";
+import { calculateOrderFees, createOrderFeeRecords, getFeeSchedule } from "@/lib/fees";
+import { loadMarketCalendar } from "@/lib/market-calendar";
+import { createBracketOrders } from "@/lib/orders/brackets";
+import { QUANTITY_EPSILON } from "@/lib/orders/fractional";
+import { getRemainingQuantity, matchPendingOrders, OPEN_ORDER_STATUSES } from "@/lib/orders/matching";
+import { OrderError } from "@/lib/orders/errors";
+import { isPastNavCutOff } from "@/lib/orders/mutual-funds";
+import { getSellableQuantity, releaseReservation, resizeReservation } from "@/lib/orders/reservations";
+
+export interface ModifyOrderRequest {
+  quantity?: number;
+  price?: number; // New limit price
+}
+
+async function getOpenOrder(userId: string, orderId: string) {
+  const order = await db.order.findUnique({
+    where: { id: orderId },
+    include: {
+      asset: { select: { type: true } },
+      user: { select: { subscriptionTier: true } },
+    },
+  });
+
+  if (!order || order.userId !== userId) {
+    throw new OrderError("Order not found", 404);
+  }
+
+  if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+    throw new OrderError(`Order cannot be changed once ${order.status.toLowerCase()}`, 409);
+  }
+
+  return order;
+}
+
+// Cancels the unfilled part of an open order and releases its blocked funds.
+// Fees of a never-filled order are waived; a partially filled order keeps only
+// the fees charged on its fills (and gets its bracket legs for that quantity).
+export async function cancelOrder(userId: string, orderId: string) {
+  const order = await getOpenOrder(userId, orderId);
+
+  // Mutual fund orders are sent to the AMC at the cut-off and cannot be withdrawn after it
+  const now = new Date();
+  if (
+    order.asset.type === "MUTUAL_FUND" &&
+    order.navDate &&
+    isPastNavCutOff(order.navDate, now, await loadMarketCalendar("STOCK", now))
+  ) {
+    throw new OrderError("Mutual fund orders cannot be cancelled after the NAV cut-off", 409, "PAST_NAV_CUT_OFF");
+  }
+
+  return db.$transaction(async (tx) => {
+    // Status guard makes cancellation lose cleanly against a concurrent fill
+    const cancelled = await tx.order.updateMany({
+      where: { id: orderId, status: order.status },
+      data: { status: "CANCELLED" },
+    });
+
+    if (cancelled.count === 0) {
+      throw new OrderError("Order was updated while cancelling, please retry", 409);
+    }
+
+    await releaseReservation(tx, orderId);
+
+    if (order.filledQuantity > 0) {
+      const fills = await tx.orderFill.aggregate({
+        where: { orderId },
+        _sum: { fee: true },
+      });
+      const filledRatio = order.filledQuantity / order.quantity;
+
+      for (const fee of await tx.fee.findMany({ where: { reference: orderId } })) {
+        await tx.fee.update({
+          where: { id: fee.id },
+          data: {
+            amount: Math.round(fee.amount * filledRatio * 100) / 100,
+            status: "PAID",
+          },
+        });
+      }
+
+      await tx.order.update({
+        where: { id: orderId },
+        data: { totalFee: fills._sum.fee || 0 },
+      });
+
+      // Protect the quantity already bought by a bracket order
+      if (order.stopLossPrice || order.takeProfitPrice) {
+        await createBracketOrders(tx, orderId);
+      }
+    } else {
+      await tx.fee.updateMany({
+        where: { reference: orderId },
+        data: { status: "WAIVED" },
+      });
+    }
+
+    return tx.order.findUnique({ where: { id: orderId } });
+  });
+}
+
+// Amends the quantity and/or limit price of an open limit order. Fees are
+// re-quoted on the new order value and the order is re-checked for a match.
+export async function modifyOrder(userId: string, orderId: string, changes: ModifyOrderRequest) {
+  const order = await getOpenOrder(userId, orderId);
+
+  if (order.type !== "LIMIT") {
+    throw new OrderError("Only limit orders can be modified");
+  }
+
+  const quantity = changes.quantity ?? order.quantity;
+  const limitPrice = changes.price ?? order.limitPrice ?? order.price;
+
+  if (changes.quantity === undefined && changes.price === undefined) {
+    throw new OrderError("Nothing to modify");
+  }
+
+  if (quantity <= order.filledQuantity) {
+    throw new OrderError("Quantity must be greater than the already filled quantity");
+  }
+
+  if (limitPrice <= 0) {
+    throw new OrderError("A valid limit price is required for limit orders");
+  }
+
+  const orderAmount = quantity * limitPrice;
+  const fees = calculateOrderFees(
+    await getFeeSchedule(),
+    order.asset.type,
+    order.orderType,
+    orderAmount,
+    order.user.subscriptionTier
+  );
+  const remainingQuantity = getRemainingQuantity({ quantity, filledQuantity: order.filledQuantity });
+
+  if (order.orderType === "SELL") {
+    const sellable = await getSellableQuantity(db, userId, order.assetId, {
+      excludeOrderId: orderId,
+      portfolioId: order.portfolioId,
+    });
+    if (sellable + QUANTITY_EPSILON < remainingQuantity) {
+      throw new OrderError("Insufficient holdings");
+    }
+  }
+
+  await db.$transaction(async (tx) => {
+    const updated = await tx.order.updateMany({
+      where: { id: orderId, status: order.status, filledQuantity: order.filledQuantity },
+      data: {
+        quantity,
+        price: limitPrice,
+        limitPrice,
+        totalAmount: orderAmount,
+        brokerageFee: fees.brokerageFee,
+        spreadFee: fees.spreadFee,
+        totalFee: fees.totalFee,
+        feeScheduleVersion: fees.scheduleVersion,
+      },
+    });
+
+    if (updated.count === 0) {
+      throw new OrderError("Order was updated while modifying, please retry", 409);
+    }
+
+    // Re-quoted fee rows replace the old ones
+    await tx.fee.deleteMany({ where: { reference: orderId } });
+    await createOrderFeeRecords(tx, userId, orderId, order.orderType, fees);
+
+    // Re-block funds for the unfilled part at the new price
+    if (order.orderType === "BUY") {
+      const remainingCost = remainingQuantity * limitPrice + fees.totalFee * (remainingQuantity / quantity);
+      await resizeReservation(tx, userId, orderId, remainingCost);
+    }
+  });
+
+  await matchPendingOrders({ orderId });
+
+  return {
+    order: await db.order.findUnique({ where: { id: orderId } }),
+    fees,
+  };
+}
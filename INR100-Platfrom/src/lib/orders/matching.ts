@@ -0,0 +1,228 @@
+import { db } from "@/lib/db";
+import { getOrderStt } from "@/lib/fees";
+import { isMarketOpen } from "@/lib/market-calendar";
+import { MarketDataService } from "@/lib/market-data";
+import { cancelSiblingOrders, createBracketOrders } from "@/lib/orders/brackets";
+import { QUANTITY_EPSILON } from "@/lib/orders/fractional";
+import { findSettlementHolding, updatePortfolioHoldings } from "@/lib/orders/holdings";
+import { consumeReservation, getAvailableBalance, releaseReservation } from "@/lib/orders/reservations";
+
+type OrderSide = "BUY" | "SELL";
+
+// Share of the quoted daily volume a single matching pass may consume per asset.
+// Orders larger than the available liquidity are filled across several passes.
+const LIQUIDITY_PARTICIPATION_RATE = 0.0001;
+
+export const OPEN_ORDER_STATUSES = ["PENDING", "PARTIALLY_FILLED"];
+
+export interface MatchingSummary {
+  checked: number;
+  filled: number;
+  partiallyFilled: number;
+  failed: number;
+}
+
+export function isLimitCrossed(side: OrderSide, limitPrice: number, marketPrice: number) {
+  return side === "BUY" ? marketPrice <= limitPrice : marketPrice >= limitPrice;
+}
+
+// Limit orders never execute worse than their limit, but get price improvement
+// when the market has moved through it.
+export function getFillPrice(side: OrderSide, limitPrice: number, marketPrice: number) {
+  return side === "BUY"
+    ? Math.min(limitPrice, marketPrice)
+    : Math.max(limitPrice, marketPrice);
+}
+
+export function getAvailableLiquidity(volume: number) {
+  return volume * LIQUIDITY_PARTICIPATION_RATE;
+}
+
+export function getRemainingQuantity(order: { quantity: number; filledQuantity: number }) {
+  const remaining = order.quantity - order.filledQuantity;
+  return remaining > QUANTITY_EPSILON ? remaining : 0;
+}
+
+// Applies one fill to an order: moves cash, updates holdings, records the fill
+// and advances the order status atomically. Fees are charged pro-rata to the
+// filled quantity.
+export async function fillOrder(order: any, fillQuantity: number, fillPrice: number) {
+  const side = order.orderType as OrderSide;
+  const fillAmount = fillQuantity * fillPrice;
+  const fillFee = Math.round((order.totalFee * (fillQuantity / order.quantity)) * 100) / 100;
+  const fillRatio = fillQuantity / (order.quantity - order.filledQuantity);
+
+  return db.$transaction(async (tx) => {
+    // Claim the order row; a concurrent cancel, amend or fill makes this a no-op
+    const claimed = await tx.order.updateMany({
+      where: { id: order.id, status: order.status, filledQuantity: order.filledQuantity },
+      data: { updatedAt: new Date() },
+    });
+    if (claimed.count === 0) {
+      return "SKIPPED" as const;
+    }
+
+    if (side === "BUY") {
+      // Funds reserved for this order are spent first, then free balance
+      await consumeReservation(tx, order.id, fillRatio);
+      const wallet = await tx.wallet.findUnique({ where: { userId: order.userId } });
+      if (!wallet || getAvailableBalance(wallet) < fillAmount + fillFee) {
+        await releaseReservation(tx, order.id);
+        await tx.order.update({
+          where: { id: order.id },
+          data: { status: "FAILED" },
+        });
+        return "FAILED" as const;
+      }
+
+      await tx.wallet.update({
+        where: { userId: order.userId },
+        data: { balance: { decrement: fillAmount + fillFee } },
+      });
+    } else {
+      const holding = await findSettlementHolding(order.userId, order.assetId, tx, order.portfolioId);
+      if (!holding || holding.quantity + QUANTITY_EPSILON < fillQuantity) {
+        await tx.order.update({
+          where: { id: order.id },
+          data: { status: "FAILED" },
+        });
+        return "FAILED" as const;
+      }
+
+      await tx.wallet.update({
+        where: { userId: order.userId },
+        data: { balance: { increment: fillAmount - fillFee } },
+      });
+    }
+
+    await tx.orderFill.create({
+      data: {
+        orderId: order.id,
+        quantity: fillQuantity,
+        price: fillPrice,
+        amount: Math.round(fillAmount * 100) / 100,
+        fee: fillFee,
+      },
+    });
+
+    const filledQuantity = order.filledQuantity + fillQuantity;
+    const avgFillPrice =
+      ((order.avgFillPrice || 0) * order.filledQuantity + fillPrice * fillQuantity) / filledQuantity;
+    const isComplete = getRemainingQuantity({ quantity: order.quantity, filledQuantity }) === 0;
+
+    await tx.order.update({
+      where: { id: order.id },
+      data: {
+        filledQuantity,
+        avgFillPrice,
+        status: isComplete ? "EXECUTED" : "PARTIALLY_FILLED",
+        ...(isComplete && { executedAt: new Date() }),
+      },
+    });
+
+    await updatePortfolioHoldings(order.userId, order.assetId, fillQuantity, side, fillPrice, tx, {
+      orderId: order.id,
+      fee: fillFee,
+      stt: await getOrderStt(tx, order.id, fillQuantity / order.quantity),
+      portfolioId: order.portfolioId,
+    });
+
+    if (isComplete) {
+      await tx.fee.updateMany({
+        where: { reference: order.id },
+        data: { status: "PAID" },
+      });
+
+      if (order.stopLossPrice || order.takeProfitPrice) {
+        await createBracketOrders(tx, order.id);
+      }
+      await cancelSiblingOrders(tx, order);
+    }
+
+    return isComplete ? ("EXECUTED" as const) : ("PARTIALLY_FILLED" as const);
+  });
+}
+
+// Matches open LIMIT orders against the latest MarketDataService prices.
+// Orders are processed per asset in time priority, sharing the asset's liquidity.
+// Assets whose market is closed are left for the next session.
+export async function matchPendingOrders(options: { orderId?: string } = {}): Promise<MatchingSummary> {
+  const summary: MatchingSummary = { checked: 0, filled: 0, partiallyFilled: 0, failed: 0 };
+
+  const orders = await db.order.findMany({
+    where: {
+      type: "LIMIT",
+      status: { in: OPEN_ORDER_STATUSES as any },
+      ...(options.orderId && { id: options.orderId }),
+    },
+    include: {
+      asset: {
+        select: { id: true, symbol: true, type: true, currentPrice: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const ordersByAsset = new Map<string, typeof orders>();
+  for (const order of orders) {
+    const assetOrders = ordersByAsset.get(order.assetId) || [];
+    assetOrders.push(order);
+    ordersByAsset.set(order.assetId, assetOrders);
+  }
+
+  const marketData = MarketDataService.getInstance();
+  const openMarkets = new Map<string, boolean>();
+
+  for (const assetOrders of ordersByAsset.values()) {
+    const { asset } = assetOrders[0];
+
+    if (!openMarkets.has(asset.type)) {
+      openMarkets.set(asset.type, await isMarketOpen(asset.type));
+    }
+    if (!openMarkets.get(asset.type)) {
+      continue;
+    }
+
+    const quote = await marketData.getAssetPrice(asset.symbol, asset.type);
+    const marketPrice = quote?.price ?? asset.currentPrice;
+
+    if (!marketPrice) {
+      continue;
+    }
+
+    let liquidity = getAvailableLiquidity(quote?.volume ?? Number.POSITIVE_INFINITY);
+
+    for (const order of assetOrders) {
+      summary.checked++;
+
+      const limitPrice = order.limitPrice ?? order.price;
+      const remaining = getRemainingQuantity(order);
+
+      if (remaining === 0 || liquidity <= QUANTITY_EPSILON) {
+        continue;
+      }
+      if (!isLimitCrossed(order.orderType as OrderSide, limitPrice, marketPrice)) {
+        continue;
+      }
+
+      const fillQuantity = Math.min(remaining, liquidity);
+      const fillPrice = getFillPrice(order.orderType as OrderSide, limitPrice, marketPrice);
+
+      try {
+        const status = await fillOrder(order, fillQuantity, fillPrice);
+        if (status === "EXECUTED") summary.filled++;
+        if (status === "PARTIALLY_FILLED") summary.partiallyFilled++;
+        if (status === "FAILED") summary.failed++;
+        if (status === "FAILED" || status === "SKIPPED") {
+          continue;
+        }
+        liquidity -= fillQuantity;
+      } catch (error) {
+        console.error(`Order matching error for order ${order.id}:`, error);
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,490 @@
+import { Asset } from "@prisma/client";
+import { db } from "@/lib/db";
+import { calculateOrderFees, createOrderFeeRecords, FeeSchedule, getOrderStt } from "@/lib/fees";
+import {
+  addBusinessDays,
+  getZonedParts,
+  isBusinessDay,
+  loadMarketCalendar,
+  MarketCalendar,
+  toMinutes,
+  zonedTimeToDate,
+} from "@/lib/market-calendar";
+import { MarketDataService } from "@/lib/market-data";
+import { notifyUser } from "@/lib/notifications";
+import { OrderError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+import { findSettlementHolding, updatePortfolioHoldings } from "@/lib/orders/holdings";
+import { consumeReservation, getAvailableBalance, getSellableQuantity, reserveFunds } from "@/lib/orders/reservations";
+
+// Mutual fund orders are not executed on placement. They wait for the NAV of
+// their applicable date (same day before the cut-off, else the next business
+// day), are allotted when that NAV is published, and redemption proceeds reach
+// the wallet after the settlement period.
+export const MUTUAL_FUND_CONFIG = {
+  timeZone: "Asia/Kolkata",
+  cutOffTime: "15:00",
+  navPublishTime: "21:00", // AMCs publish the day's NAV in the evening
+  settlementDays: {
+    DEBT: 1,
+    default: 2,
+  } as Record<string, number>,
+  settlementTime: "09:00", // Redemption proceeds are credited from this time on T+N
+  exitLoad: {
+    DEBT: { rate: 0, days: 0 },
+    default: { rate: 0.01, days: 365 }, // 1% on units redeemed within a year
+  } as Record<string, { rate: number; days: number }>,
+};
+
+export interface MutualFundOrderRequest {
+  userId: string;
+  orderType: "BUY" | "SELL";
+  type: string;
+  quantity?: number; // Units, redemptions only
+  amount?: number; // Rupees, purchases only
+  stopLossPrice?: number;
+  takeProfitPrice?: number;
+  portfolioId?: string | null; // Order.portfolioId, see resolveOrderPortfolioId
+}
+
+export interface MutualFundOrderContext {
+  asset: Asset;
+  feeSchedule: FeeSchedule;
+  subscriptionTier: string;
+  idempotencyKey: string | null;
+  sipInstallmentId?: string;
+  copiedPortfolioId?: string;
+}
+
+export interface MutualFundSummary {
+  navsPublished: number;
+  allotted: number;
+  failed: number;
+  settled: number;
+}
+
+export function getApplicableNavDate(now: Date, calendar: MarketCalendar) {
+  const today = getZonedParts(now, MUTUAL_FUND_CONFIG.timeZone);
+
+  if (isBusinessDay(today.date, calendar) && today.minutes < toMinutes(MUTUAL_FUND_CONFIG.cutOffTime)) {
+    return today.date;
+  }
+  return addBusinessDays(today.date, 1, calendar);
+}
+
+// An order is committed to its NAV once that date's cut-off has passed, i.e.
+// an order placed now would get a later NAV
+export function isPastNavCutOff(navDate: string, now: Date, calendar: MarketCalendar) {
+  return getApplicableNavDate(now, calendar) > navDate;
+}
+
+export function getExitLoadRule(asset: { category: string | null; exitLoadRate: number | null; exitLoadDays: number | null }) {
+  const fallback = MUTUAL_FUND_CONFIG.exitLoad[asset.category || ""] || MUTUAL_FUND_CONFIG.exitLoad.default;
+  return {
+    rate: asset.exitLoadRate ?? fallback.rate,
+    days: asset.exitLoadDays ?? fallback.days,
+  };
+}
+
+function daysBetween(from: string, to: string) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+// Exit load on redeeming `units`, matching them FIFO against purchase lots
+// after skipping the units earlier redemptions already used. Units not covered
+// by lots (e.g. transferred in) are treated as old holdings.
+export function calculateExitLoad(
+  lots: { units: number; navDate: string }[],
+  previouslyRedeemed: number,
+  units: number,
+  nav: number,
+  redemptionDate: string,
+  rule: { rate: number; days: number }
+) {
+  if (!rule.rate || !rule.days) {
+    return 0;
+  }
+
+  let toSkip = previouslyRedeemed;
+  let remaining = units;
+  let loadedUnits = 0;
+
+  for (const lot of lots) {
+    let available = lot.units;
+    const skipped = Math.min(available, toSkip);
+    available -= skipped;
+    toSkip -= skipped;
+
+    if (available <= 0) {
+      continue;
+    }
+
+    const redeemed = Math.min(available, remaining);
+    remaining -= redeemed;
+    if (daysBetween(lot.navDate, redemptionDate) < rule.days) {
+      loadedUnits += redeemed;
+    }
+
+    if (remaining <= 0) {
+      break;
+    }
+  }
+
+  return Math.round(loadedUnits * nav * rule.rate * 100) / 100;
+}
+
+// Units redeemable now: holdings less units already in pending redemptions
+export async function getRedeemableUnits(userId: string, assetId: string, portfolioId: string | null = null) {
+  return getSellableQuantity(db, userId, assetId, { portfolioId });
+}
+
+export function validateMutualFundOrder(body: MutualFundOrderRequest) {
+  if (body.type !== "MARKET") {
+    throw new OrderError("Mutual fund orders are executed at NAV; use a MARKET order");
+  }
+
+  if (body.stopLossPrice || body.takeProfitPrice) {
+    throw new OrderError("Bracket orders are not available for mutual funds");
+  }
+
+  if (body.orderType === "BUY" && !body.amount) {
+    throw new OrderError("Mutual fund purchases must specify an amount");
+  }
+}
+
+// Records a purchase (by amount) or redemption (by units) request against the
+// applicable NAV date. Purchase money is blocked until allotment.
+export async function placeMutualFundOrder(body: MutualFundOrderRequest, context: MutualFundOrderContext) {
+  const { userId, orderType, quantity, amount } = body;
+  const portfolioId = body.portfolioId ?? null;
+  const { asset, feeSchedule, subscriptionTier, idempotencyKey } = context;
+
+  validateMutualFundOrder(body);
+
+  const now = new Date();
+  const navDate = getApplicableNavDate(now, await loadMarketCalendar("STOCK", now));
+  // Indicative NAV; the order is re-priced at allotment
+  const indicativeNav = asset.currentPrice || 0;
+
+  if (orderType === "SELL" && (await getRedeemableUnits(userId, asset.id, portfolioId)) < quantity!) {
+    throw new OrderError("Insufficient holdings");
+  }
+
+  const fees = calculateOrderFees(
+    feeSchedule,
+    asset.type,
+    orderType,
+    orderType === "BUY" ? amount! : quantity! * indicativeNav,
+    subscriptionTier
+  );
+  // Purchases invest the amount net of fees
+  const orderAmount = orderType === "BUY" ? amount! - fees.totalFee : quantity! * indicativeNav;
+  const units = orderType === "BUY"
+    ? (indicativeNav > 0 ? orderAmount / indicativeNav : 0)
+    : quantity!;
+
+  const order = await db.$transaction(async (tx) => {
+    if (orderType === "BUY") {
+      const wallet = await tx.wallet.findUnique({ where: { userId } });
+      if (!wallet || getAvailableBalance(wallet) < amount!) {
+        throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+      }
+    }
+
+    const createdOrder = await tx.order.create({
+      data: {
+        userId,
+        assetId: asset.id,
+        type: "MARKET",
+        orderType,
+        quantity: units,
+        requestedAmount: orderType === "BUY" ? amount : null,
+        price: indicativeNav,
+        totalAmount: orderAmount,
+        brokerageFee: fees.brokerageFee,
+        spreadFee: fees.spreadFee,
+        totalFee: fees.totalFee,
+        feeScheduleVersion: fees.scheduleVersion,
+        status: "PENDING",
+        idempotencyKey,
+        sipInstallmentId: context.sipInstallmentId,
+        copiedPortfolioId: context.copiedPortfolioId,
+        portfolioId,
+        navDate,
+      },
+    });
+
+    await createOrderFeeRecords(tx, userId, createdOrder.id, orderType, fees);
+
+    if (orderType === "BUY") {
+      await reserveFunds(tx, userId, createdOrder.id, amount!);
+    }
+
+    return createdOrder;
+  });
+
+  return {
+    order,
+    fees,
+    totalAmount: orderType === "BUY" ? amount! : orderAmount - fees.totalFee,
+    residualAmount: null,
+    replayed: false,
+  };
+}
+
+// Stores today's NAVs once they are published and marks them as the funds'
+// current price
+async function publishNavs(now: Date, calendar: MarketCalendar) {
+  const today = getZonedParts(now, MUTUAL_FUND_CONFIG.timeZone);
+
+  if (!isBusinessDay(today.date, calendar) || today.minutes < toMinutes(MUTUAL_FUND_CONFIG.navPublishTime)) {
+    return 0;
+  }
+
+  const funds = await db.asset.findMany({
+    where: {
+      type: "MUTUAL_FUND",
+      isActive: true,
+      navs: { none: { navDate: today.date } },
+    },
+  });
+
+  const marketData = MarketDataService.getInstance();
+  let published = 0;
+
+  for (const fund of funds) {
+    const quote = await marketData.getAssetPrice(fund.symbol, fund.type);
+    const nav = quote?.price ?? fund.currentPrice;
+    if (!nav) {
+      continue;
+    }
+
+    await db.mutualFundNav.create({
+      data: { assetId: fund.id, navDate: today.date, nav },
+    });
+    await db.asset.update({
+      where: { id: fund.id },
+      data: { previousPrice: fund.currentPrice, currentPrice: nav },
+    });
+    published++;
+  }
+
+  return published;
+}
+
+async function allotPurchase(order: any, nav: number, now: Date) {
+  const { decimals, rounding } = getQuantityPrecision("MUTUAL_FUND");
+  let units = roundQuantity(order.totalAmount / nav, decimals, rounding);
+  if (units * nav > order.totalAmount) {
+    units = roundQuantity(order.totalAmount / nav, decimals, "DOWN");
+  }
+  const cost = Math.round(units * nav * 100) / 100;
+
+  return db.$transaction(async (tx) => {
+    const allotted = await tx.order.updateMany({
+      where: { id: order.id, status: "PENDING" },
+      data: {
+        status: "EXECUTED",
+        quantity: units,
+        filledQuantity: units,
+        price: nav,
+        avgFillPrice: nav,
+        totalAmount: cost,
+        executedAt: now,
+      },
+    });
+    if (allotted.count === 0) {
+      return false;
+    }
+
+    // The reservation covers the full purchase amount
+    await consumeReservation(tx, order.id, 1);
+    await tx.wallet.update({
+      where: { userId: order.userId },
+      data: { balance: { decrement: cost + order.totalFee } },
+    });
+
+    await tx.orderFill.create({
+      data: { orderId: order.id, quantity: units, price: nav, amount: cost, fee: order.totalFee },
+    });
+    await updatePortfolioHoldings(order.userId, order.assetId, units, "BUY", nav, tx, {
+      orderId: order.id,
+      fee: order.totalFee,
+      stt: await getOrderStt(tx, order.id),
+      portfolioId: order.portfolioId,
+    });
+    await tx.fee.updateMany({
+      where: { reference: order.id },
+      data: { status: "PAID" },
+    });
+
+    return true;
+  });
+}
+
+async function allotRedemption(order: any, nav: number, now: Date, calendar: MarketCalendar) {
+  const units = order.quantity;
+  const grossAmount = Math.round(units * nav * 100) / 100;
+
+  const [purchases, redeemed, holding] = await Promise.all([
+    db.order.findMany({
+      where: { userId: order.userId, assetId: order.assetId, orderType: "BUY", status: "EXECUTED", navDate: { not: null } },
+      select: { filledQuantity: true, navDate: true },
+      orderBy: { navDate: "asc" },
+    }),
+    db.order.aggregate({
+      where: { userId: order.userId, assetId: order.assetId, orderType: "SELL", status: "EXECUTED", navDate: { not: null } },
+      _sum: { filledQuantity: true },
+    }),
+    findSettlementHolding(order.userId, order.assetId, db, order.portfolioId),
+  ]);
+
+  if (!holding || holding.quantity < units) {
+    await db.order.updateMany({
+      where: { id: order.id, status: "PENDING" },
+      data: { status: "FAILED" },
+    });
+    return false;
+  }
+
+  const exitLoad = calculateExitLoad(
+    purchases.map(p => ({ units: p.filledQuantity, navDate: p.navDate! })),
+    redeemed._sum.filledQuantity || 0,
+    units,
+    nav,
+    order.navDate,
+    getExitLoadRule(order.asset)
+  );
+  const settlementDate = zonedTimeToDate(
+    addBusinessDays(order.navDate, MUTUAL_FUND_CONFIG.settlementDays[order.asset.category] ?? MUTUAL_FUND_CONFIG.settlementDays.default, calendar),
+    MUTUAL_FUND_CONFIG.settlementTime,
+    MUTUAL_FUND_CONFIG.timeZone
+  );
+
+  return db.$transaction(async (tx) => {
+    const allotted = await tx.order.updateMany({
+      where: { id: order.id, status: "PENDING" },
+      data: {
+        status: "EXECUTED",
+        filledQuantity: units,
+        price: nav,
+        avgFillPrice: nav,
+        totalAmount: grossAmount,
+        exitLoad,
+        settlementDate,
+        executedAt: now,
+      },
+    });
+    if (allotted.count === 0) {
+      return false;
+    }
+
+    await tx.orderFill.create({
+      data: { orderId: order.id, quantity: units, price: nav, amount: grossAmount, fee: order.totalFee },
+    });
+    // Exit load is a transfer expense for capital gains
+    await updatePortfolioHoldings(order.userId, order.assetId, units, "SELL", nav, tx, {
+      orderId: order.id,
+      fee: order.totalFee + exitLoad,
+      stt: await getOrderStt(tx, order.id),
+      portfolioId: order.portfolioId,
+    });
+
+    return true;
+  });
+}
+
+// Credits redemption proceeds (less exit load and fees) once settlement is due
+async function settleRedemptions(now: Date) {
+  const orders = await db.order.findMany({
+    where: {
+      orderType: "SELL",
+      status: "EXECUTED",
+      settledAt: null,
+      settlementDate: { lte: now },
+    },
+    include: { asset: { select: { name: true } } },
+  });
+
+  let settled = 0;
+  for (const order of orders) {
+    const proceeds = Math.round((order.totalAmount - order.exitLoad - order.totalFee) * 100) / 100;
+
+    const credited = await db.$transaction(async (tx) => {
+      const claimed = await tx.order.updateMany({
+        where: { id: order.id, settledAt: null },
+        data: { settledAt: now },
+      });
+      if (claimed.count === 0) {
+        return false;
+      }
+
+      await tx.wallet.update({
+        where: { userId: order.userId },
+        data: { balance: { increment: proceeds } },
+      });
+      await tx.fee.updateMany({
+        where: { reference: order.id },
+        data: { status: "PAID" },
+      });
+      return true;
+    });
+
+    if (credited) {
+      await notifyUser(order.userId, {
+        type: "MF_REDEMPTION_SETTLED",
+        title: "Redemption proceeds credited",
+        message: `₹${proceeds.toLocaleString("en-IN")} from your ${order.asset.name} redemption has been credited to your wallet.`,
+        metadata: { orderId: order.id },
+      });
+      settled++;
+    }
+  }
+
+  return settled;
+}
+
+// One pass of the mutual fund job: publish NAVs, allot pending orders at the
+// first NAV on or after their NAV date and settle due redemptions.
+export async function processMutualFundOrders(now: Date = new Date()): Promise<MutualFundSummary> {
+  const calendar = await loadMarketCalendar("STOCK", now);
+  const summary: MutualFundSummary = { navsPublished: 0, allotted: 0, failed: 0, settled: 0 };
+
+  summary.navsPublished = await publishNavs(now, calendar);
+
+  const orders = await db.order.findMany({
+    where: {
+      status: "PENDING",
+      navDate: { not: null },
+      asset: { type: "MUTUAL_FUND" },
+    },
+    include: {
+      asset: { select: { category: true, exitLoadRate: true, exitLoadDays: true } },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  for (const order of orders) {
+    const nav = await db.mutualFundNav.findFirst({
+      where: { assetId: order.assetId, navDate: { gte: order.navDate! } },
+      orderBy: { navDate: "asc" },
+    });
+    if (!nav) {
+      continue;
+    }
+
+    try {
+      const allotted = order.orderType === "BUY"
+        ? await allotPurchase(order, nav.nav, now)
+        : await allotRedemption(order, nav.nav, now, calendar);
+      if (allotted) summary.allotted++;
+    } catch (error) {
+      console.error(`Mutual fund allotment error for order ${order.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  summary.settled = await settleRedemptions(now);
+
+  return summary;
+}
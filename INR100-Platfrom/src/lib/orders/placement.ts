@@ -0,0 +1,450 @@
+import { Asset, Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import {
+  calculateOrderFees,
+  createOrderFeeRecords,
+  FeeSchedule,
+  getFeeSchedule,
+  OrderFees,
+} from "@/lib/fees";
+import { getOrderRouting, loadMarketCalendar } from "@/lib/market-calendar";
+import { createBracketOrders } from "@/lib/orders/brackets";
+import { OrderError } from "@/lib/orders/errors";
+import { convertAmountToQuantity, QUANTITY_EPSILON } from "@/lib/orders/fractional";
+import { resolveOrderPortfolioId, updatePortfolioHoldings } from "@/lib/orders/holdings";
+import { matchPendingOrders } from "@/lib/orders/matching";
+import { placeMutualFundOrder } from "@/lib/orders/mutual-funds";
+import { getAvailableBalance, getSellableQuantity, reserveFunds } from "@/lib/orders/reservations";
+import { evaluateTriggerOrders, TRIGGER_ORDER_TYPES, TriggerOrderType } from "@/lib/orders/triggers";
+
+export interface OrderRequest {
+  userId: string;
+  assetId: string;
+  orderType: "BUY" | "SELL";
+  type: "MARKET" | "LIMIT" | TriggerOrderType;
+  quantity?: number; // Units to trade; either quantity or amount is required
+  amount?: number; // Rupees to invest, BUY only; converted to a fractional quantity after fees
+  price?: number; // Limit price, required for LIMIT and STOP_LIMIT orders
+  triggerPrice?: number; // Required for STOP_LOSS, STOP_LIMIT and TAKE_PROFIT orders
+  stopLossPrice?: number; // Bracket leg, BUY orders only
+  takeProfitPrice?: number; // Bracket leg, BUY orders only
+  portfolioId?: string | null; // Portfolio to settle into, one of the user's; defaults to their first private one
+}
+
+export interface PlaceOrderOptions {
+  idempotencyKey?: string | null;
+  sipInstallmentId?: string; // Links orders generated by the SIP scheduler
+  basketOrderId?: string; // Links the legs of a basket order
+  copiedPortfolioId?: string; // Links orders mirroring a copied portfolio
+}
+
+// Rejects malformed order requests; shared by placement and order preview
+export function validateOrderRequest(body: OrderRequest) {
+  const { userId, assetId, orderType, type, amount, price, triggerPrice, stopLossPrice, takeProfitPrice } = body;
+  const isAmountOrder = amount !== undefined && amount !== null;
+  const isTriggerOrder = TRIGGER_ORDER_TYPES.includes(type as TriggerOrderType);
+  const hasLimitPrice = type === "LIMIT" || type === "STOP_LIMIT";
+
+  if (!userId || !assetId || !orderType || !type || (!body.quantity && !isAmountOrder)) {
+    throw new OrderError("Missing required fields");
+  }
+
+  if (isAmountOrder) {
+    if (body.quantity) {
+      throw new OrderError("Provide either quantity or amount, not both");
+    }
+    if (orderType !== "BUY") {
+      throw new OrderError("Amount-based orders are only supported for BUY orders");
+    }
+    if (amount <= 0) {
+      throw new OrderError("Amount must be greater than zero");
+    }
+  } else if (body.quantity! <= 0) {
+    throw new OrderError("Quantity must be greater than zero");
+  }
+
+  if (hasLimitPrice && (!price || price <= 0)) {
+    throw new OrderError("A valid limit price is required for limit orders");
+  }
+
+  if (isTriggerOrder && (!triggerPrice || triggerPrice <= 0)) {
+    throw new OrderError("A valid trigger price is required for stop-loss and take-profit orders");
+  }
+
+  if (stopLossPrice || takeProfitPrice) {
+    if (orderType !== "BUY" || (type !== "MARKET" && type !== "LIMIT")) {
+      throw new OrderError("Bracket orders must be MARKET or LIMIT BUY orders");
+    }
+    if (stopLossPrice && takeProfitPrice && stopLossPrice >= takeProfitPrice) {
+      throw new OrderError("Stop-loss price must be below the take-profit price");
+    }
+  }
+}
+
+export interface OrderPricingContext {
+  asset: Asset;
+  feeSchedule: FeeSchedule;
+  subscriptionTier: string;
+}
+
+export interface PreparedOrder {
+  request: OrderRequest;
+  asset: Asset;
+  quantity: number;
+  price: number; // Execution price for MARKET orders, else the limit or trigger price
+  orderAmount: number;
+  fees: OrderFees;
+  totalAmount: number; // BUY: debited incl. fees; SELL: credited net of fees
+  residualAmount: number | null;
+  isAmo: boolean;
+  queuedUntil: Date | null;
+}
+
+// Routes and prices a validated, non-mutual-fund order without writing
+// anything: market-hours routing, valuation price, amount conversion and fees
+export async function prepareOrder(
+  body: OrderRequest,
+  context: OrderPricingContext,
+  now: Date = new Date()
+): Promise<PreparedOrder> {
+  // Outside market hours orders are queued for the next session or rejected
+  const routing = getOrderRouting(context.asset.type, now, await loadMarketCalendar(context.asset.type, now));
+  if (routing.action === "REJECT") {
+    throw new OrderError(routing.message, 400, routing.code);
+  }
+
+  return {
+    ...priceOrder(body, context),
+    isAmo: routing.action === "QUEUE",
+    queuedUntil: routing.action === "QUEUE" ? routing.executeAt : null,
+  };
+}
+
+// The pricing half of prepareOrder, for an order that executes now
+export function priceOrder(body: OrderRequest, context: OrderPricingContext): PreparedOrder {
+  const { orderType, type, amount, price, triggerPrice } = body;
+  const { asset, feeSchedule, subscriptionTier } = context;
+  const isAmountOrder = amount !== undefined && amount !== null;
+  const isTriggerOrder = TRIGGER_ORDER_TYPES.includes(type as TriggerOrderType);
+  const hasLimitPrice = type === "LIMIT" || type === "STOP_LIMIT";
+
+  // Pending orders are valued (and reserved) at their limit or trigger price
+  const currentPrice = hasLimitPrice
+    ? price!
+    : isTriggerOrder
+      ? triggerPrice!
+      : asset.currentPrice || (price || 0);
+
+  let quantity = body.quantity!;
+  let residualAmount: number | null = null;
+
+  if (isAmountOrder) {
+    if (!currentPrice || currentPrice <= 0) {
+      throw new OrderError("Price is not available for this asset");
+    }
+
+    const conversion = convertAmountToQuantity(feeSchedule, asset.type, amount, currentPrice, subscriptionTier);
+    if (conversion.quantity <= 0) {
+      throw new OrderError("Amount is too small to cover the fees for this asset", 400, "AMOUNT_TOO_SMALL");
+    }
+    quantity = conversion.quantity;
+    residualAmount = conversion.residualAmount;
+  }
+
+  const orderAmount = quantity * currentPrice;
+
+  // Calculate fees
+  const fees = calculateOrderFees(
+    feeSchedule,
+    asset.type,
+    orderType,
+    orderAmount,
+    subscriptionTier
+  );
+
+  const totalAmount = orderType === "BUY"
+    ? orderAmount + fees.totalFee
+    : orderAmount - fees.totalFee;
+
+  return {
+    request: body,
+    asset,
+    quantity,
+    price: currentPrice,
+    orderAmount,
+    fees,
+    totalAmount,
+    residualAmount,
+    isAmo: false,
+    queuedUntil: null,
+  };
+}
+
+// Writes a prepared order inside the caller's transaction: balance and holdings
+// checks, the order and fee rows, then either a reservation (pending orders and
+// AMOs) or the wallet debit/credit, fill and holdings update (MARKET orders).
+// The request's portfolioId is stored as given (see resolveOrderPortfolioId).
+export async function writeOrder(
+  tx: Prisma.TransactionClient,
+  prepared: PreparedOrder,
+  options: PlaceOrderOptions = {}
+) {
+  const { userId, assetId, orderType, type, amount, price, triggerPrice, stopLossPrice, takeProfitPrice } = prepared.request;
+  const portfolioId = prepared.request.portfolioId ?? null;
+  const { quantity, orderAmount, fees, totalAmount, isAmo } = prepared;
+  const currentPrice = prepared.price;
+  const isTriggerOrder = TRIGGER_ORDER_TYPES.includes(type as TriggerOrderType);
+  const hasLimitPrice = type === "LIMIT" || type === "STOP_LIMIT";
+
+  // Check wallet balance for BUY orders, excluding funds blocked by open orders
+  if (orderType === "BUY") {
+    const wallet = await tx.wallet.findUnique({ where: { userId } });
+    if (!wallet || getAvailableBalance(wallet) < totalAmount) {
+      throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+    }
+  }
+
+  // Check if user has enough holdings for SELL orders, excluding units
+  // already committed to open SELL orders
+  if (orderType === "SELL") {
+    if ((await getSellableQuantity(tx, userId, assetId, { portfolioId })) + QUANTITY_EPSILON < quantity) {
+      throw new OrderError("Insufficient holdings");
+    }
+  }
+
+  const createdOrder = await tx.order.create({
+    data: {
+      userId,
+      assetId,
+      type,
+      orderType,
+      quantity,
+      requestedAmount: amount ?? null,
+      price: currentPrice,
+      limitPrice: hasLimitPrice ? price : null,
+      triggerPrice: isTriggerOrder ? triggerPrice : null,
+      stopLossPrice: stopLossPrice || null,
+      takeProfitPrice: takeProfitPrice || null,
+      totalAmount: orderAmount,
+      brokerageFee: fees.brokerageFee,
+      spreadFee: fees.spreadFee,
+      totalFee: fees.totalFee,
+      feeScheduleVersion: fees.scheduleVersion,
+      status: "PENDING",
+      idempotencyKey: options.idempotencyKey || null,
+      sipInstallmentId: options.sipInstallmentId,
+      basketOrderId: options.basketOrderId,
+      copiedPortfolioId: options.copiedPortfolioId,
+      portfolioId,
+      isAmo,
+      queuedUntil: prepared.queuedUntil,
+    },
+  });
+
+  await createOrderFeeRecords(tx, userId, createdOrder.id, orderType, fees);
+
+  if (type !== "MARKET" || isAmo) {
+    // Block the funds until the order fills or is cancelled
+    if (orderType === "BUY") {
+      await reserveFunds(tx, userId, createdOrder.id, totalAmount);
+    }
+    return createdOrder;
+  }
+
+  if (orderType === "BUY") {
+    // Debit first so the wallet row is locked, then verify nothing went negative
+    const wallet = await tx.wallet.update({
+      where: { userId },
+      data: { balance: { decrement: totalAmount } },
+    });
+    if (getAvailableBalance(wallet) < 0) {
+      throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+    }
+  } else {
+    await tx.wallet.update({
+      where: { userId },
+      data: { balance: { increment: totalAmount } },
+    });
+  }
+
+  const executedOrder = await tx.order.update({
+    where: { id: createdOrder.id },
+    data: {
+      status: "EXECUTED",
+      filledQuantity: quantity,
+      avgFillPrice: currentPrice,
+      executedAt: new Date(),
+    },
+  });
+
+  await tx.orderFill.create({
+    data: {
+      orderId: createdOrder.id,
+      quantity,
+      price: currentPrice,
+      amount: orderAmount,
+      fee: fees.totalFee,
+    },
+  });
+
+  await updatePortfolioHoldings(userId, assetId, quantity, orderType, currentPrice, tx, {
+    orderId: createdOrder.id,
+    fee: fees.totalFee,
+    stt: fees.components.find(component => component.type === "STT")?.amount || 0,
+    portfolioId,
+  });
+
+  await tx.fee.updateMany({
+    where: { reference: createdOrder.id },
+    data: { status: "PAID" },
+  });
+
+  if (stopLossPrice || takeProfitPrice) {
+    await createBracketOrders(tx, createdOrder.id);
+  }
+
+  return executedOrder;
+}
+
+// Creates an order and, for market orders during market hours, executes it.
+// Everything from the order row to the wallet debit and holdings update commits
+// in one transaction. Outside market hours the order is queued as an AMO.
+// A repeated idempotency key returns the originally placed order instead.
+export async function placeOrder(body: OrderRequest, options: PlaceOrderOptions = {}) {
+  const { userId, assetId, type } = body;
+  const idempotencyKey = options.idempotencyKey || null;
+
+  validateOrderRequest(body);
+
+  if (idempotencyKey) {
+    const existingOrder = await findIdempotentOrder(userId, idempotencyKey, body);
+    if (existingOrder) {
+      return existingOrder;
+    }
+  }
+
+  // Get user and asset details
+  const [user, asset] = await Promise.all([
+    db.user.findUnique({
+      where: { id: userId },
+      select: { subscriptionTier: true },
+    }),
+    db.asset.findUnique({
+      where: { id: assetId },
+    }),
+  ]);
+
+  if (!user || !asset) {
+    throw new OrderError("User or asset not found", 404);
+  }
+
+  const request = { ...body, portfolioId: await resolveOrderPortfolioId(userId, body.portfolioId) };
+
+  const feeSchedule = await getFeeSchedule();
+
+  // Mutual funds are priced at the applicable NAV and allotted later
+  if (asset.type === "MUTUAL_FUND") {
+    try {
+      return await placeMutualFundOrder(request, {
+        asset,
+        feeSchedule,
+        subscriptionTier: user.subscriptionTier,
+        idempotencyKey,
+        sipInstallmentId: options.sipInstallmentId,
+        copiedPortfolioId: options.copiedPortfolioId,
+      });
+    } catch (error) {
+      return recoverIdempotentRace(error, userId, idempotencyKey, body);
+    }
+  }
+
+  const prepared = await prepareOrder(request, { asset, feeSchedule, subscriptionTier: user.subscriptionTier });
+
+  let order;
+  try {
+    order = await db.$transaction(async (tx) => writeOrder(tx, prepared, options));
+  } catch (error) {
+    return recoverIdempotentRace(error, userId, idempotencyKey, body);
+  }
+
+  // Marketable limit orders and already-hit triggers act right away; the rest
+  // (and every AMO) wait for the order matching job
+  if (type === "LIMIT" && !prepared.isAmo) {
+    await matchPendingOrders({ orderId: order.id });
+    order = (await db.order.findUnique({ where: { id: order.id } })) || order;
+  } else if (TRIGGER_ORDER_TYPES.includes(type as TriggerOrderType) && !prepared.isAmo) {
+    await evaluateTriggerOrders({ orderId: order.id });
+    order = (await db.order.findUnique({ where: { id: order.id } })) || order;
+  }
+
+  return {
+    order,
+    fees: prepared.fees,
+    totalAmount: prepared.totalAmount,
+    residualAmount: prepared.residualAmount,
+    replayed: false,
+  };
+}
+
+// A concurrent retry with the same key won the race; return its order
+async function recoverIdempotentRace(
+  error: unknown,
+  userId: string,
+  idempotencyKey: string | null,
+  body: OrderRequest
+) {
+  if (
+    idempotencyKey &&
+    error instanceof Prisma.PrismaClientKnownRequestError &&
+    error.code === "P2002"
+  ) {
+    const existingOrder = await findIdempotentOrder(userId, idempotencyKey, body);
+    if (existingOrder) {
+      return existingOrder;
+    }
+  }
+  throw error;
+}
+
+async function findIdempotentOrder(userId: string, idempotencyKey: string, body: OrderRequest) {
+  const order = await db.order.findUnique({
+    where: {
+      userId_idempotencyKey: { userId, idempotencyKey },
+    },
+  });
+
+  if (!order) {
+    return null;
+  }
+
+  const samePayload =
+    order.assetId === body.assetId &&
+    order.orderType === body.orderType &&
+    order.type === body.type &&
+    (order.requestedAmount !== null
+      ? order.requestedAmount === body.amount
+      : order.quantity === body.quantity);
+
+  if (!samePayload) {
+    throw new OrderError("Idempotency key was already used for a different order", 422);
+  }
+
+  const fees = {
+    brokerageFee: order.brokerageFee,
+    spreadFee: order.spreadFee,
+    totalFee: order.totalFee,
+  };
+  const totalAmount = order.orderType === "BUY"
+    ? order.totalAmount + order.totalFee
+    : order.totalAmount - order.totalFee;
+
+  return {
+    order,
+    fees,
+    totalAmount,
+    residualAmount: order.requestedAmount !== null
+      ? Math.round((order.requestedAmount - totalAmount) * 100) / 100
+      : null,
+    replayed: true,
+  };
+}
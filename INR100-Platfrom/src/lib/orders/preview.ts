@@ -0,0 +1,337 @@
+import { db } from "@/lib/db";
+import { calculateOrderFees, FeeSchedule, getFeeSchedule, OrderFees } from "@/lib/fees";
+import { loadMarketCalendar } from "@/lib/market-calendar";
+import { OrderError } from "@/lib/orders/errors";
+import { resolveOrderPortfolioId } from "@/lib/orders/holdings";
+import {
+  getApplicableNavDate,
+  getRedeemableUnits,
+  validateMutualFundOrder,
+} from "@/lib/orders/mutual-funds";
+import {
+  OrderPricingContext,
+  OrderRequest,
+  PreparedOrder,
+  prepareOrder,
+  priceOrder,
+  validateOrderRequest,
+} from "@/lib/orders/placement";
+import { getAvailableBalance, getSellableQuantity } from "@/lib/orders/reservations";
+import { TRIGGER_ORDER_TYPES, TriggerOrderType } from "@/lib/orders/triggers";
+
+// Warn when a BUY would leave more than this share of the portfolio in one asset
+export const CONCENTRATION_WARNING_THRESHOLD = 0.25;
+
+export type PreviewWarningCode =
+  | "INSUFFICIENT_BALANCE"
+  | "INSUFFICIENT_HOLDINGS"
+  | "MARKET_CLOSED"
+  | "MARKET_HOLIDAY"
+  | "AFTER_MARKET_ORDER"
+  | "PENDING_EXECUTION"
+  | "INDICATIVE_PRICE"
+  | "CONCENTRATION_RISK"
+  | "AMOUNT_TOO_SMALL";
+
+export interface PreviewWarning {
+  code: PreviewWarningCode;
+  message: string;
+}
+
+export interface HoldingImpact {
+  currentQuantity: number;
+  resultingQuantity: number;
+  avgBuyPrice: number | null;
+  newAvgBuyPrice: number | null;
+  realisedPnl: number | null; // SELL only, net of this order's fees
+}
+
+// Warnings for conditions that make placeOrder reject the order
+export const BLOCKING_WARNING_CODES: PreviewWarningCode[] = [
+  "INSUFFICIENT_BALANCE",
+  "INSUFFICIENT_HOLDINGS",
+  "MARKET_CLOSED",
+  "MARKET_HOLIDAY",
+  "AMOUNT_TOO_SMALL",
+];
+
+export function canPlaceOrder(preview: { warnings: PreviewWarning[] }) {
+  return !preview.warnings.some(warning => BLOCKING_WARNING_CODES.includes(warning.code));
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Effect of a fill on a holding, using the same average-cost rules as
+// updatePortfolioHoldings: buys re-average at the execution price, sells keep
+// the average and realise (price - average) on the units sold.
+export function calculateHoldingImpact(
+  holding: { quantity: number; avgBuyPrice: number } | null,
+  orderType: "BUY" | "SELL",
+  quantity: number,
+  price: number,
+  fees: number
+): HoldingImpact {
+  const currentQuantity = holding?.quantity || 0;
+  const avgBuyPrice = holding ? holding.avgBuyPrice : null;
+
+  if (orderType === "BUY") {
+    const resultingQuantity = currentQuantity + quantity;
+    return {
+      currentQuantity,
+      resultingQuantity,
+      avgBuyPrice,
+      newAvgBuyPrice: resultingQuantity > 0
+        ? roundAmount(((avgBuyPrice || 0) * currentQuantity + price * quantity) / resultingQuantity)
+        : avgBuyPrice,
+      realisedPnl: null,
+    };
+  }
+
+  const soldQuantity = Math.min(quantity, currentQuantity);
+  const resultingQuantity = Math.max(currentQuantity - quantity, 0);
+  return {
+    currentQuantity,
+    resultingQuantity,
+    avgBuyPrice,
+    newAvgBuyPrice: resultingQuantity > 0 ? avgBuyPrice : null,
+    realisedPnl: holding ? roundAmount((price - holding.avgBuyPrice) * soldQuantity - fees) : null,
+  };
+}
+
+function isPreviewWarningCode(code: string | undefined): code is PreviewWarningCode {
+  return code === "MARKET_CLOSED" || code === "MARKET_HOLIDAY" || code === "AMOUNT_TOO_SMALL";
+}
+
+// Prices an order placeOrder would reject for market hours; an amount too
+// small to buy anything is reported and priced as empty
+function tryPriceOrder(body: OrderRequest, context: OrderPricingContext, warnings: PreviewWarning[]) {
+  try {
+    return priceOrder(body, context);
+  } catch (error) {
+    if (!(error instanceof OrderError) || error.code !== "AMOUNT_TOO_SMALL") {
+      throw error;
+    }
+    warnings.push({ code: error.code, message: error.message });
+    return null;
+  }
+}
+
+// An amount-based order too small to buy a unit: nothing is traded
+function emptyPricing(body: OrderRequest, assetType: string, price: number, feeSchedule: FeeSchedule, subscriptionTier: string) {
+  return {
+    quantity: 0,
+    executionPrice: price,
+    orderAmount: 0,
+    fees: calculateOrderFees(feeSchedule, assetType, body.orderType, 0, subscriptionTier),
+    totalAmount: 0,
+    residualAmount: body.amount ?? null,
+  };
+}
+
+// Mutual funds are priced at the latest NAV as an indication; purchases
+// invest the amount net of fees, as placeMutualFundOrder does
+function priceMutualFundOrder(
+  body: OrderRequest,
+  assetType: string,
+  nav: number,
+  feeSchedule: FeeSchedule,
+  subscriptionTier: string
+) {
+  if (!nav || nav <= 0) {
+    throw new OrderError("Price is not available for this asset");
+  }
+
+  if (body.orderType === "BUY") {
+    const fees = calculateOrderFees(feeSchedule, assetType, "BUY", body.amount!, subscriptionTier);
+    const orderAmount = body.amount! - fees.totalFee;
+    return {
+      quantity: Math.max(orderAmount / nav, 0),
+      executionPrice: nav,
+      orderAmount,
+      fees,
+      totalAmount: body.amount!,
+      residualAmount: null,
+    };
+  }
+
+  const orderAmount = body.quantity! * nav;
+  const fees = calculateOrderFees(feeSchedule, assetType, "SELL", orderAmount, subscriptionTier);
+  return {
+    quantity: body.quantity!,
+    executionPrice: nav,
+    orderAmount,
+    fees,
+    totalAmount: orderAmount - fees.totalFee,
+    residualAmount: null,
+  };
+}
+
+// Prices an order exactly as placeOrder would and reports its costs and its
+// effect on the wallet and holding, without writing anything. Malformed
+// requests throw like placeOrder; conditions that would make the order fail
+// or wait (funds, holdings, market hours) are returned as warnings instead.
+export async function previewOrder(body: OrderRequest) {
+  validateOrderRequest(body);
+
+  const { userId, assetId, orderType, type, amount, price, triggerPrice } = body;
+  const isAmountOrder = amount !== undefined && amount !== null;
+  const isTriggerOrder = TRIGGER_ORDER_TYPES.includes(type as TriggerOrderType);
+
+  const [user, asset, wallet, holdings] = await Promise.all([
+    db.user.findUnique({
+      where: { id: userId },
+      select: { subscriptionTier: true },
+    }),
+    db.asset.findUnique({
+      where: { id: assetId },
+    }),
+    db.wallet.findUnique({ where: { userId } }),
+    db.holding.findMany({
+      where: { portfolio: { userId } },
+      include: { asset: { select: { currentPrice: true } } },
+    }),
+  ]);
+
+  if (!user || !asset) {
+    throw new OrderError("User or asset not found", 404);
+  }
+
+  const warnings: PreviewWarning[] = [];
+  const now = new Date();
+  const feeSchedule = await getFeeSchedule(now);
+  const isMutualFund = asset.type === "MUTUAL_FUND";
+
+  let execution: { action: "EXECUTE" | "QUEUE" | "PENDING" | "REJECT"; executeAt: Date | null; navDate: string | null };
+  let pricing: { quantity: number; executionPrice: number; orderAmount: number; fees: OrderFees; totalAmount: number; residualAmount: number | null };
+
+  if (isMutualFund) {
+    validateMutualFundOrder(body);
+    const navDate = getApplicableNavDate(now, await loadMarketCalendar("STOCK", now));
+    execution = { action: "PENDING", executeAt: null, navDate };
+    warnings.push({
+      code: "INDICATIVE_PRICE",
+      message: `Mutual fund orders are allotted at the NAV of ${navDate}; the price shown is the latest NAV`,
+    });
+    pricing = priceMutualFundOrder(body, asset.type, asset.currentPrice || 0, feeSchedule, user.subscriptionTier);
+  } else {
+    const context = { asset, feeSchedule, subscriptionTier: user.subscriptionTier };
+    let prepared: PreparedOrder | null = null;
+    execution = { action: "EXECUTE", executeAt: null, navDate: null };
+
+    // placeOrder's own routing and pricing; what it would reject the order
+    // for becomes a warning, and a closed market still gets the order priced
+    try {
+      prepared = await prepareOrder(body, context, now);
+    } catch (error) {
+      if (!(error instanceof OrderError) || !isPreviewWarningCode(error.code)) {
+        throw error;
+      }
+      warnings.push({ code: error.code, message: error.message });
+      if (error.code !== "AMOUNT_TOO_SMALL") {
+        execution = { action: "REJECT", executeAt: null, navDate: null };
+        prepared = tryPriceOrder(body, context, warnings);
+      }
+    }
+
+    if (prepared?.isAmo) {
+      execution = { action: "QUEUE", executeAt: prepared.queuedUntil, navDate: null };
+      warnings.push({
+        code: "AFTER_MARKET_ORDER",
+        message: "Market is closed; the order will be queued for the next session and executed at the opening price",
+      });
+    } else if (prepared && type !== "MARKET") {
+      execution = { action: "PENDING", executeAt: null, navDate: null };
+    }
+
+    if (type !== "MARKET") {
+      warnings.push({
+        code: "PENDING_EXECUTION",
+        message: isTriggerOrder
+          ? `Order executes only once the price reaches the trigger price of ₹${triggerPrice}`
+          : `Order executes only at the limit price of ₹${price} or better`,
+      });
+    }
+
+    pricing = prepared
+      ? {
+        quantity: prepared.quantity,
+        executionPrice: prepared.price,
+        orderAmount: prepared.orderAmount,
+        fees: prepared.fees,
+        totalAmount: prepared.totalAmount,
+        residualAmount: prepared.residualAmount,
+      }
+      : emptyPricing(body, asset.type, asset.currentPrice || 0, feeSchedule, user.subscriptionTier);
+  }
+
+  const { quantity, executionPrice, orderAmount, fees, totalAmount, residualAmount } = pricing;
+
+  const availableBalance = wallet ? getAvailableBalance(wallet) : 0;
+  const resultingBalance = orderType === "BUY" ? availableBalance - totalAmount : availableBalance + totalAmount;
+
+  if (orderType === "BUY" && resultingBalance < 0) {
+    warnings.push({
+      code: "INSUFFICIENT_BALANCE",
+      message: `Insufficient wallet balance; add ₹${roundAmount(-resultingBalance)} to place this order`,
+    });
+  }
+
+  const holding = holdings.find(h => h.assetId === assetId) || null;
+
+  if (orderType === "SELL") {
+    const portfolioId = await resolveOrderPortfolioId(userId, body.portfolioId);
+    const sellableQuantity = isMutualFund
+      ? await getRedeemableUnits(userId, assetId, portfolioId)
+      : await getSellableQuantity(db, userId, assetId, { portfolioId });
+    if (sellableQuantity < quantity) {
+      warnings.push({
+        code: "INSUFFICIENT_HOLDINGS",
+        message: `Insufficient holdings; ${sellableQuantity} units available to sell`,
+      });
+    }
+  }
+
+  const impact = calculateHoldingImpact(holding, orderType, quantity, executionPrice, fees.totalFee);
+
+  if (orderType === "BUY") {
+    const otherValue = holdings
+      .filter(h => h.assetId !== assetId)
+      .reduce((sum, h) => sum + h.quantity * (h.asset.currentPrice || h.currentPrice), 0);
+    const assetValue = impact.resultingQuantity * executionPrice;
+    const share = assetValue / (otherValue + assetValue);
+    // Skip portfolios holding nothing else, where any asset is the whole portfolio
+    if (otherValue > 0 && share > CONCENTRATION_WARNING_THRESHOLD) {
+      warnings.push({
+        code: "CONCENTRATION_RISK",
+        message: `${asset.symbol} would make up ${Math.round(share * 100)}% of your portfolio`,
+      });
+    }
+  }
+
+  return {
+    asset: {
+      id: asset.id,
+      symbol: asset.symbol,
+      name: asset.name,
+      type: asset.type,
+    },
+    orderType,
+    type,
+    quantity,
+    requestedAmount: isAmountOrder ? amount : null,
+    executionPrice,
+    orderAmount: roundAmount(orderAmount),
+    fees,
+    totalAmount: roundAmount(totalAmount),
+    residualAmount,
+    execution,
+    wallet: {
+      availableBalance,
+      resultingBalance: roundAmount(resultingBalance),
+    },
+    holding: impact,
+    warnings,
+  };
+}
@@ -0,0 +1,184 @@
+import { Prisma } from "@prisma/client";
+import { OrderError } from "@/lib/orders/errors";
+import { findSettlementHolding } from "@/lib/orders/holdings";
+
+// Funds blocked for open BUY orders live in Wallet.blockedBalance (the sum of
+// ACTIVE reservations). Wallet.balance remains the total cash held, so the
+// spendable amount is always balance - blockedBalance.
+
+export function getAvailableBalance(wallet: { balance: number; blockedBalance: number }) {
+  return Math.round((wallet.balance - wallet.blockedBalance) * 100) / 100;
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+// Holdings are not blocked in a column of their own: the units committed to
+// open SELL orders are derived from the orders. Bracket legs are
+// one-cancels-other, so each bracket commits its units once.
+export function getCommittedSellQuantity(
+  orders: { id: string; quantity: number; filledQuantity: number; parentOrderId: string | null }[]
+) {
+  const committed = new Map<string, number>();
+  for (const order of orders) {
+    const key = order.parentOrderId || order.id;
+    const remaining = Math.max(order.quantity - order.filledQuantity, 0);
+    committed.set(key, Math.max(committed.get(key) || 0, remaining));
+  }
+  return Array.from(committed.values()).reduce((sum, quantity) => sum + quantity, 0);
+}
+
+// Units of an asset the user can still sell from a portfolio (Order.portfolioId;
+// the default one if null): the holding less what open SELL orders from it
+// (other than `excludeOrderId`, e.g. an order being amended) will take
+export async function getSellableQuantity(
+  client: Prisma.TransactionClient,
+  userId: string,
+  assetId: string,
+  options: { excludeOrderId?: string; portfolioId?: string | null } = {}
+) {
+  const portfolioId = options.portfolioId ?? null;
+  const [holding, openSells] = await Promise.all([
+    findSettlementHolding(userId, assetId, client, portfolioId),
+    client.order.findMany({
+      where: {
+        userId,
+        assetId,
+        portfolioId,
+        orderType: "SELL",
+        status: { in: ["PENDING", "PARTIALLY_FILLED"] },
+        ...(options.excludeOrderId && { id: { not: options.excludeOrderId } }),
+      },
+      select: { id: true, quantity: true, filledQuantity: true, parentOrderId: true },
+    }),
+  ]);
+
+  return Math.max((holding?.quantity || 0) - getCommittedSellQuantity(openSells), 0);
+}
+
+// Blocks funds for an order. Must run inside the transaction that creates the order.
+export async function reserveFunds(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  orderId: string,
+  amount: number
+) {
+  const reserved = roundAmount(amount);
+
+  // Increment first so the wallet row is locked before the availability check
+  const wallet = await tx.wallet.update({
+    where: { userId },
+    data: { blockedBalance: { increment: reserved } },
+  });
+
+  if (getAvailableBalance(wallet) < 0) {
+    throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+  }
+
+  return tx.walletReservation.create({
+    data: {
+      walletId: wallet.id,
+      userId,
+      orderId,
+      amount: reserved,
+      remainingAmount: reserved,
+      status: "ACTIVE",
+    },
+  });
+}
+
+// Unblocks the share of a reservation that a fill of `fillRatio` (fill quantity
+// over the order's remaining quantity) uses up. Returns the released amount.
+export async function consumeReservation(
+  tx: Prisma.TransactionClient,
+  orderId: string,
+  fillRatio: number
+) {
+  const reservation = await tx.walletReservation.findFirst({
+    where: { orderId, status: "ACTIVE" },
+  });
+
+  if (!reservation) {
+    return 0;
+  }
+
+  const isFinal = fillRatio >= 1;
+  const released = isFinal
+    ? reservation.remainingAmount
+    : roundAmount(reservation.remainingAmount * fillRatio);
+
+  await tx.walletReservation.update({
+    where: { id: reservation.id },
+    data: {
+      remainingAmount: roundAmount(reservation.remainingAmount - released),
+      ...(isFinal && { status: "CONSUMED" }),
+    },
+  });
+
+  await tx.wallet.update({
+    where: { id: reservation.walletId },
+    data: { blockedBalance: { decrement: released } },
+  });
+
+  return released;
+}
+
+// Releases whatever is still blocked for an order (cancellation, failure).
+export async function releaseReservation(tx: Prisma.TransactionClient, orderId: string) {
+  const reservation = await tx.walletReservation.findFirst({
+    where: { orderId, status: "ACTIVE" },
+  });
+
+  if (!reservation) {
+    return 0;
+  }
+
+  await tx.walletReservation.update({
+    where: { id: reservation.id },
+    data: { remainingAmount: 0, status: "RELEASED" },
+  });
+
+  await tx.wallet.update({
+    where: { id: reservation.walletId },
+    data: { blockedBalance: { decrement: reservation.remainingAmount } },
+  });
+
+  return reservation.remainingAmount;
+}
+
+// Re-sizes the blocked amount after an order is amended.
+export async function resizeReservation(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  orderId: string,
+  remainingAmount: number
+) {
+  const reservation = await tx.walletReservation.findFirst({
+    where: { orderId, status: "ACTIVE" },
+  });
+
+  if (!reservation) {
+    return reserveFunds(tx, userId, orderId, remainingAmount);
+  }
+
+  const target = roundAmount(remainingAmount);
+  const delta = roundAmount(target - reservation.remainingAmount);
+
+  const wallet = await tx.wallet.update({
+    where: { id: reservation.walletId },
+    data: { blockedBalance: { increment: delta } },
+  });
+
+  if (delta > 0 && getAvailableBalance(wallet) < 0) {
+    throw new OrderError("Insufficient wallet balance", 400, "INSUFFICIENT_BALANCE");
+  }
+
+  return tx.walletReservation.update({
+    where: { id: reservation.id },
+    data: {
+      amount: roundAmount(reservation.amount + delta),
+      remainingAmount: target,
+    },
+  });
+}
@@ -0,0 +1,121 @@
+import { db } from "@/lib/db";
+import { isMarketOpen } from "@/lib/market-calendar";
+import { MarketDataService } from "@/lib/market-data";
+import { fillOrder, getRemainingQuantity, matchPendingOrders } from "@/lib/orders/matching";
+
+type OrderSide = "BUY" | "SELL";
+export type TriggerOrderType = "STOP_LOSS" | "STOP_LIMIT" | "TAKE_PROFIT";
+
+export const TRIGGER_ORDER_TYPES: TriggerOrderType[] = ["STOP_LOSS", "STOP_LIMIT", "TAKE_PROFIT"];
+
+export interface TriggerSummary {
+  checked: number;
+  triggered: number;
+  executed: number;
+  failed: number;
+}
+
+// Stops fire when the price moves against the position (a SELL stop below the
+// market, a BUY stop above it); take-profits fire when it moves in favour.
+export function isTriggerHit(
+  type: TriggerOrderType,
+  side: OrderSide,
+  triggerPrice: number,
+  marketPrice: number
+) {
+  const fallsThrough = marketPrice <= triggerPrice;
+  const risesThrough = marketPrice >= triggerPrice;
+
+  if (type === "TAKE_PROFIT") {
+    return side === "SELL" ? risesThrough : fallsThrough;
+  }
+  return side === "SELL" ? fallsThrough : risesThrough;
+}
+
+// STOP_LIMIT becomes a LIMIT order at its limit price; STOP_LOSS and
+// TAKE_PROFIT become MARKET orders.
+export function getTriggeredOrderType(type: TriggerOrderType) {
+  return type === "STOP_LIMIT" ? "LIMIT" : "MARKET";
+}
+
+// Evaluates pending trigger orders against MarketDataService prices and
+// converts the ones whose trigger price has been reached. Triggers only fire
+// while the asset's market is open.
+export async function evaluateTriggerOrders(options: { orderId?: string } = {}): Promise<TriggerSummary> {
+  const summary: TriggerSummary = { checked: 0, triggered: 0, executed: 0, failed: 0 };
+
+  const orders = await db.order.findMany({
+    where: {
+      type: { in: TRIGGER_ORDER_TYPES },
+      status: "PENDING",
+      ...(options.orderId && { id: options.orderId }),
+    },
+    include: {
+      asset: {
+        select: { id: true, symbol: true, type: true, currentPrice: true },
+      },
+    },
+    orderBy: { createdAt: "asc" },
+  });
+
+  const marketData = MarketDataService.getInstance();
+  const prices = new Map<string, number | null>();
+  const openMarkets = new Map<string, boolean>();
+
+  for (const order of orders) {
+    summary.checked++;
+
+    if (!openMarkets.has(order.asset.type)) {
+      openMarkets.set(order.asset.type, await isMarketOpen(order.asset.type));
+    }
+    if (!openMarkets.get(order.asset.type)) {
+      continue;
+    }
+
+    if (!prices.has(order.assetId)) {
+      const quote = await marketData.getAssetPrice(order.asset.symbol, order.asset.type);
+      prices.set(order.assetId, quote?.price ?? order.asset.currentPrice);
+    }
+    const marketPrice = prices.get(order.assetId);
+
+    if (!marketPrice || !order.triggerPrice) {
+      continue;
+    }
+
+    const type = order.type as TriggerOrderType;
+    if (!isTriggerHit(type, order.orderType as OrderSide, order.triggerPrice, marketPrice)) {
+      continue;
+    }
+
+    try {
+      const convertedType = getTriggeredOrderType(type);
+      const converted = await db.order.updateMany({
+        where: { id: order.id, type, status: "PENDING" },
+        data: { type: convertedType, triggeredAt: new Date() },
+      });
+
+      if (converted.count === 0) {
+        continue;
+      }
+      summary.triggered++;
+
+      if (convertedType === "LIMIT") {
+        await matchPendingOrders({ orderId: order.id });
+        continue;
+      }
+
+      const status = await fillOrder(
+        { ...order, type: convertedType },
+        getRemainingQuantity(order),
+        marketPrice
+      );
+      if (status === "EXECUTED") summary.executed++;
+      if (status === "FAILED") summary.failed++;
+    } catch (error) {
+      console.error(`Trigger evaluation error for order ${order.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
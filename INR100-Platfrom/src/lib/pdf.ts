@@ -0,0 +1,98 @@
+// Minimal PDF writer for plain-text documents such as contract notes and
+// statements. Text is set in Courier so fixed-width columns stay aligned, and
+// lines flow onto as many pages as needed.
+
+export interface TextPdfOptions {
+  title: string;
+  lines: string[];
+  landscape?: boolean;
+  fontSize?: number;
+}
+
+const A4 = { width: 595, height: 842 };
+const MARGIN = 36;
+
+// The standard fonts only cover WinAnsi; spell out the rupee sign and drop
+// anything else outside Latin-1
+function toPdfText(text: string) {
+  return text
+    .replace(/₹/g, "Rs.")
+    .replace(/[^\x20-\xff]/g, "?")
+    .replace(/([\\()])/g, "\\$1");
+}
+
+export function renderTextPdf({ title, lines, landscape = false, fontSize = 8 }: TextPdfOptions) {
+  const width = landscape ? A4.height : A4.width;
+  const height = landscape ? A4.width : A4.height;
+  const leading = fontSize * 1.25;
+  // Leave room for the page footer
+  const linesPerPage = Math.max(Math.floor((height - 2 * MARGIN) / leading) - 2, 1);
+
+  const pages: string[][] = [];
+  for (let i = 0; i < Math.max(lines.length, 1); i += linesPerPage) {
+    pages.push(lines.slice(i, i + linesPerPage));
+  }
+
+  // Objects 1-4 are fixed; each page adds a page and a content stream object
+  const objects: string[] = [];
+  const pageIds = pages.map((_, index) => 5 + index * 2);
+
+  objects[1] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`;
+  objects[3] = "<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>";
+  objects[4] = `<< /Title (${toPdfText(title)}) /Producer (INR100) >>`;
+
+  pages.forEach((pageLines, index) => {
+    const footer = `${title} - Page ${index + 1} of ${pages.length}`;
+    const stream = [
+      "BT",
+      `/F1 ${fontSize} Tf`,
+      `${leading} TL`,
+      `${MARGIN} ${height - MARGIN - fontSize} Td`,
+      ...pageLines.map(line => `(${toPdfText(line)}) Tj T*`),
+      "ET",
+      "BT",
+      `/F1 ${fontSize} Tf`,
+      `${MARGIN} ${MARGIN / 2} Td`,
+      `(${toPdfText(footer)}) Tj`,
+      "ET",
+    ].join("\n");
+
+    objects[pageIds[index]] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+      `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`;
+    objects[pageIds[index] + 1] = `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = "%PDF-1.4\n";
+  const offsets: number[] = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, "latin1");
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, "latin1");
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 4 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, "latin1");
+}
+
+export interface TableColumn {
+  width: number;
+  align?: "left" | "right";
+}
+
+// Fixed-width table row for renderTextPdf; cells are clipped to their column
+export function formatTableRow(cells: string[], columns: TableColumn[]) {
+  return cells
+    .map((cell, index) => {
+      const { width, align = "left" } = columns[index];
+      const text = cell.length > width ? cell.slice(0, width) : cell;
+      return align === "right" ? text.padStart(width) : text.padEnd(width);
+    })
+    .join(" ");
+}
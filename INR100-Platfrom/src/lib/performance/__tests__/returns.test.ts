@@ -0,0 +1,73 @@
+import { getGrowthIndex, getPeriodBaseline, getSeriesReturn, twrr, xirr } from '@/lib/performance/returns';
+
+describe('xirr', () => {
+  it('matches a simple one-year return', () => {
+    const rate = xirr([
+      { date: new Date('2024-01-01'), amount: -10000 },
+      { date: new Date('2024-12-31'), amount: 11000 },
+    ]);
+
+    expect(rate).toBeCloseTo(0.1, 3);
+  });
+
+  it('weights money by the time it was invested', () => {
+    // The second ₹10,000 was only invested for half the year
+    const rate = xirr([
+      { date: new Date('2024-01-01'), amount: -10000 },
+      { date: new Date('2024-07-01'), amount: -10000 },
+      { date: new Date('2024-12-31'), amount: 21500 },
+    ]);
+
+    expect(rate).toBeGreaterThan(0.09);
+    expect(rate).toBeLessThan(0.11);
+  });
+
+  it('returns null when the flows never change sign', () => {
+    expect(xirr([{ date: new Date('2024-01-01'), amount: -100 }])).toBeNull();
+  });
+});
+
+describe('twrr', () => {
+  it('ignores deposits when chaining daily returns', () => {
+    const points = [
+      { date: '2024-01-01', value: 1000, netFlow: 1000 },
+      { date: '2024-01-02', value: 1100, netFlow: 0 },
+      // ₹1,000 deposited and the portfolio flat
+      { date: '2024-01-03', value: 2100, netFlow: 1000 },
+      { date: '2024-01-04', value: 2310, netFlow: 0 },
+    ];
+
+    expect(twrr(points)).toBeCloseTo(0.21, 6);
+    expect(getGrowthIndex(points)[2]).toBeCloseTo(110, 6);
+  });
+
+  it('does not count the first investment as growth', () => {
+    const points = [
+      { date: '2024-01-01', value: 0, netFlow: 0 },
+      { date: '2024-01-02', value: 500, netFlow: 500 },
+      { date: '2024-01-03', value: 550, netFlow: 0 },
+    ];
+
+    expect(twrr(points)).toBeCloseTo(0.1, 6);
+  });
+});
+
+describe('period helpers', () => {
+  it('finds the baseline close of each period', () => {
+    expect(getPeriodBaseline('1D', '2025-03-03')).toBe('2025-03-02');
+    expect(getPeriodBaseline('1M', '2025-03-31')).toBe('2025-02-28');
+    expect(getPeriodBaseline('YTD', '2025-03-03')).toBe('2024-12-31');
+    expect(getPeriodBaseline('ALL', '2025-03-03')).toBeNull();
+  });
+
+  it('measures a series from its baseline', () => {
+    const series = [
+      { date: '2024-12-30', value: 100 },
+      { date: '2024-12-31', value: 110 },
+      { date: '2025-01-02', value: 121 },
+    ];
+
+    expect(getSeriesReturn(series, '2024-12-31')).toBeCloseTo(0.1, 6);
+    expect(getSeriesReturn(series, null)).toBeCloseTo(0.21, 6);
+  });
+});
@@ -0,0 +1,41 @@
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+import { downsampleSnapshots, getAutoInterval } from '@/lib/performance/snapshots';
+
+const point = (date: string, totalValue: number, netFlow = 0) => ({
+  date,
+  totalValue,
+  totalInvested: 1000,
+  netFlow,
+});
+
+describe('getAutoInterval', () => {
+  it('keeps daily points up to a year and coarsens longer ranges', () => {
+    expect(getAutoInterval('2024-01-01', '2024-12-31')).toBe('day');
+    expect(getAutoInterval('2022-01-01', '2024-12-31')).toBe('week');
+    expect(getAutoInterval('2015-01-01', '2024-12-31')).toBe('month');
+  });
+});
+
+describe('downsampleSnapshots', () => {
+  it('keeps the last value of each week and sums its flows', () => {
+    // 2024-06-03 is a Monday
+    const points = [
+      point('2024-06-03', 1000, 1000),
+      point('2024-06-05', 1500, 400),
+      point('2024-06-09', 1600),
+      point('2024-06-10', 1700, -100),
+    ];
+
+    expect(downsampleSnapshots(points, 'week')).toEqual([
+      point('2024-06-09', 1600, 1400),
+      point('2024-06-10', 1700, -100),
+    ]);
+  });
+
+  it('buckets by calendar month', () => {
+    const points = [point('2024-01-15', 100), point('2024-01-31', 110), point('2024-02-01', 120)];
+
+    expect(downsampleSnapshots(points, 'month').map(p => p.date)).toEqual(['2024-01-31', '2024-02-01']);
+  });
+});
@@ -0,0 +1,205 @@
+import { db } from "@/lib/db";
+import { getZonedParts } from "@/lib/market-calendar";
+import {
+  CashFlow,
+  PERFORMANCE_PERIODS,
+  ValuationPoint,
+  findBaselineIndex,
+  getGrowthIndex,
+  getPeriodBaseline,
+  getSeriesReturn,
+  xirr,
+} from "@/lib/performance/returns";
+
+export const PERFORMANCE_TIME_ZONE = "Asia/Kolkata";
+
+export const BENCHMARKS = [
+  { symbol: "NIFTY", name: "NIFTY 50" },
+  { symbol: "SENSEX", name: "BSE SENSEX" },
+];
+
+// Money moving into (+) or out of (-) a user's investments
+export interface PortfolioFlow {
+  userId: string;
+  portfolioId: string | null; // Order.portfolioId; null for the default portfolio
+  date: Date;
+  amount: number;
+}
+
+export function toPerformanceDate(date: Date) {
+  return getZonedParts(date, PERFORMANCE_TIME_ZONE).date;
+}
+
+const toPercent = (rate: number | null) => (rate === null ? null : Math.round(rate * 10000) / 100);
+export const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+// Buys bring money in with their charges, sales take the proceeds out net of
+// charges and exit load, and dividends or merger cash paid to the wallet are
+// withdrawals from the portfolio. `portfolioId` keeps the flows of one
+// portfolio (null: the default one, which also receives every payout).
+export async function getPortfolioFlows(where: { userId?: string; portfolioId?: string | null; from?: Date; to?: Date }) {
+  const createdAt = { ...(where.from && { gte: where.from }), ...(where.to && { lt: where.to }) };
+  const order = {
+    ...(where.userId && { userId: where.userId }),
+    ...(where.portfolioId !== undefined && { portfolioId: where.portfolioId }),
+  };
+
+  const [fills, payouts] = await Promise.all([
+    db.orderFill.findMany({
+      where: { createdAt, order },
+      include: { order: { select: { userId: true, portfolioId: true, orderType: true, quantity: true, exitLoad: true } } },
+      orderBy: { createdAt: "asc" },
+    }),
+    where.portfolioId ? [] : db.transaction.findMany({
+      where: {
+        createdAt,
+        ...(where.userId && { userId: where.userId }),
+        type: { in: ["DIVIDEND", "CORPORATE_ACTION"] },
+        status: "COMPLETED",
+      },
+      select: { userId: true, amount: true, createdAt: true },
+    }),
+  ]);
+
+  const flows: PortfolioFlow[] = fills.map(fill => {
+    const exitLoad = fill.order.quantity > 0 ? (fill.order.exitLoad * fill.quantity) / fill.order.quantity : 0;
+    return {
+      userId: fill.order.userId,
+      portfolioId: fill.order.portfolioId,
+      date: fill.createdAt,
+      amount: fill.order.orderType === "BUY" ? fill.amount + fill.fee : -(fill.amount - fill.fee - exitLoad),
+    };
+  });
+  for (const payout of payouts) {
+    flows.push({ userId: payout.userId, portfolioId: null, date: payout.createdAt, amount: -payout.amount });
+  }
+  return flows;
+}
+
+// Orders settle into the user's first private portfolio unless they name
+// another (see updatePortfolioHoldings); that is the one whose performance is
+// tracked
+export async function findDefaultPortfolio(userId: string) {
+  return db.portfolio.findFirst({ where: { userId, isPublic: false } });
+}
+
+// Net flow of each valuation point: everything after the previous point up
+// to and including its own day, so days without a snapshot lose no flows
+function attachFlows(points: { date: string; value: number }[], flows: PortfolioFlow[]): ValuationPoint[] {
+  const byDate = new Map<string, number>();
+  for (const flow of flows) {
+    const date = toPerformanceDate(flow.date);
+    byDate.set(date, (byDate.get(date) || 0) + flow.amount);
+  }
+  const flowDates = Array.from(byDate.keys()).sort();
+
+  return points.map((point, i) => {
+    const after = i > 0 ? points[i - 1].date : "";
+    const netFlow = flowDates
+      .filter(date => date > after && date <= point.date)
+      .reduce((sum, date) => sum + (byDate.get(date) || 0), 0);
+    return { ...point, netFlow };
+  });
+}
+
+// Closing index value on each portfolio date, carried forward over gaps
+function alignSeries(series: { date: string; value: number }[], dates: string[]) {
+  let i = -1;
+  return dates.map(date => {
+    while (i + 1 < series.length && series[i + 1].date <= date) {
+      i++;
+    }
+    return i >= 0 ? series[i].value : null;
+  });
+}
+
+export async function getPortfolioPerformance(userId: string, now: Date = new Date()) {
+  const portfolio = await findDefaultPortfolio(userId);
+  if (!portfolio) {
+    return null;
+  }
+
+  const today = toPerformanceDate(now);
+  const [snapshots, flows, benchmarkRows] = await Promise.all([
+    db.portfolioSnapshot.findMany({
+      where: { portfolioId: portfolio.id, date: { lt: today } },
+      orderBy: { date: "asc" },
+    }),
+    getPortfolioFlows({ userId, portfolioId: null, to: now }),
+    db.benchmarkSnapshot.findMany({
+      where: { symbol: { in: BENCHMARKS.map(benchmark => benchmark.symbol) }, date: { lte: today } },
+      orderBy: { date: "asc" },
+    }),
+  ]);
+
+  // Today's point is live from the portfolio's current totals
+  const points = attachFlows(
+    [
+      ...snapshots.map(snapshot => ({ date: snapshot.date, value: snapshot.totalValue })),
+      { date: today, value: portfolio.totalValue },
+    ],
+    flows
+  );
+  const dates = points.map(point => point.date);
+  const index = getGrowthIndex(points);
+
+  const benchmarkSeries = BENCHMARKS.map(benchmark => ({
+    ...benchmark,
+    series: benchmarkRows
+      .filter(row => row.symbol === benchmark.symbol)
+      .map(row => ({ date: row.date, value: row.value })),
+  }));
+
+  const periods = PERFORMANCE_PERIODS.map(period => {
+    const baseline = findBaselineIndex(points, getPeriodBaseline(period, today));
+    const start = points[baseline];
+    const netFlow = points.slice(baseline + 1).reduce((sum, point) => sum + point.netFlow, 0);
+    return {
+      period,
+      from: start.date,
+      returnPercent: toPercent(index[index.length - 1] / index[baseline] - 1),
+      gain: roundAmount(portfolio.totalValue - start.value - netFlow),
+      benchmarks: benchmarkSeries.map(benchmark => ({
+        symbol: benchmark.symbol,
+        returnPercent: toPercent(getSeriesReturn(benchmark.series, start.date)),
+      })),
+    };
+  });
+
+  // Investor's view for XIRR: money in is negative, the current value is
+  // what they would receive today
+  const cashFlows: CashFlow[] = flows.map(flow => ({ date: flow.date, amount: -flow.amount }));
+  if (portfolio.totalValue > 0) {
+    cashFlows.push({ date: now, amount: portfolio.totalValue });
+  }
+
+  // Benchmarks rebased to 100 on the first portfolio date so they share the
+  // growth index's scale
+  const aligned = benchmarkSeries.map(benchmark => {
+    const values = alignSeries(benchmark.series, dates);
+    const base = values.find((value): value is number => value !== null) || null;
+    return values.map(value => (value !== null && base ? Math.round((value / base) * 10000) / 100 : null));
+  });
+
+  const netInvested = flows.reduce((sum, flow) => sum + flow.amount, 0);
+
+  return {
+    portfolioId: portfolio.id,
+    asOf: now.toISOString(),
+    currentValue: roundAmount(portfolio.totalValue),
+    totalInvested: roundAmount(portfolio.totalInvested),
+    netInvested: roundAmount(netInvested),
+    totalGain: roundAmount(portfolio.totalValue - netInvested),
+    xirrPercent: toPercent(xirr(cashFlows)),
+    twrrPercent: toPercent(index[index.length - 1] / 100 - 1),
+    periods,
+    benchmarks: BENCHMARKS,
+    series: points.map((point, i) => ({
+      date: point.date,
+      value: roundAmount(point.value),
+      netFlow: roundAmount(point.netFlow),
+      growth: Math.round(index[i] * 100) / 100,
+      ...Object.fromEntries(BENCHMARKS.map((benchmark, b) => [benchmark.symbol, aligned[b][i]])),
+    })),
+  };
+}
@@ -0,0 +1,129 @@
+import { addDays, addMonths } from "@/lib/market-calendar";
+
+export const PERFORMANCE_PERIODS = ["1D", "1W", "1M", "YTD", "ALL"] as const;
+
+export type PerformancePeriod = typeof PERFORMANCE_PERIODS[number];
+
+// Investor's view: money invested is negative, money received positive
+export interface CashFlow {
+  date: Date;
+  amount: number;
+}
+
+export interface ValuationPoint {
+  date: string; // YYYY-MM-DD
+  value: number;
+  netFlow: number; // Money added (+) or taken out (-) during the day
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Annualised internal rate of return of irregular cash flows, as Excel's
+// XIRR. Newton's method with a bisection fallback; null when the flows never
+// change sign or no rate solves them.
+export function xirr(flows: CashFlow[], guess: number = 0.1): number | null {
+  if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+    return null;
+  }
+
+  const start = Math.min(...flows.map(flow => flow.date.getTime()));
+  const years = flows.map(flow => (flow.date.getTime() - start) / (365 * DAY_MS));
+  const npv = (rate: number) =>
+    flows.reduce((sum, flow, i) => sum + flow.amount / Math.pow(1 + rate, years[i]), 0);
+  const derivative = (rate: number) =>
+    flows.reduce((sum, flow, i) => sum - (years[i] * flow.amount) / Math.pow(1 + rate, years[i] + 1), 0);
+
+  let rate = guess;
+  for (let i = 0; i < 50; i++) {
+    const slope = derivative(rate);
+    const next = rate - npv(rate) / slope;
+    if (!slope || !isFinite(next) || next <= -1) {
+      break;
+    }
+    if (Math.abs(next - rate) < 1e-9) {
+      return next;
+    }
+    rate = next;
+  }
+
+  // Newton diverged; bisect between -99.99% and +1000%
+  let low = -0.9999;
+  let high = 10;
+  let lowValue = npv(low);
+  if (lowValue * npv(high) > 0) {
+    return null;
+  }
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const mid = (low + high) / 2;
+    const midValue = npv(mid);
+    if (lowValue * midValue <= 0) {
+      high = mid;
+    } else {
+      low = mid;
+      lowValue = midValue;
+    }
+  }
+  return (low + high) / 2;
+}
+
+// Growth of ₹100 under time-weighted returns: each day's return is
+// (value - flow) / previous value, so money added or withdrawn does not count
+// as performance. Flows are taken to happen at the day's close. Days after a
+// zero value (nothing invested yet) do not move the index.
+export function getGrowthIndex(points: ValuationPoint[]) {
+  const index = [100];
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1].value;
+    const growth = previous > 0 ? (points[i].value - points[i].netFlow) / previous : 1;
+    index.push(index[i - 1] * growth);
+  }
+  return index;
+}
+
+export function twrr(points: ValuationPoint[]) {
+  if (points.length < 2) {
+    return 0;
+  }
+  const index = getGrowthIndex(points);
+  return index[index.length - 1] / 100 - 1;
+}
+
+// Last date before the period starts, whose close is the period's baseline;
+// null for since-inception
+export function getPeriodBaseline(period: PerformancePeriod, today: string) {
+  switch (period) {
+    case "1D":
+      return addDays(today, -1);
+    case "1W":
+      return addDays(today, -7);
+    case "1M":
+      return addMonths(today, -1);
+    case "YTD":
+      return `${Number(today.slice(0, 4)) - 1}-12-31`;
+    default:
+      return null;
+  }
+}
+
+// Index of the last point on or before `date`, or 0 when history starts later
+export function findBaselineIndex(points: { date: string }[], date: string | null) {
+  if (!date) {
+    return 0;
+  }
+  let found = 0;
+  points.forEach((point, i) => {
+    if (point.date <= date) {
+      found = i;
+    }
+  });
+  return found;
+}
+
+// Simple return of a price series (e.g. a benchmark index) since `baseline`
+export function getSeriesReturn(series: { date: string; value: number }[], baseline: string | null) {
+  if (series.length === 0) {
+    return null;
+  }
+  const start = series[findBaselineIndex(series, baseline)].value;
+  return start > 0 ? series[series.length - 1].value / start - 1 : null;
+}
@@ -0,0 +1,427 @@
+import { SnapshotSource } from "@prisma/client";
+import { db } from "@/lib/db";
+import { MarketDataService } from "@/lib/market-data";
+import { addDays, getMarketStatus, loadMarketCalendar, zonedTimeToDate } from "@/lib/market-calendar";
+import { refreshPortfolioTotals } from "@/lib/orders/holdings";
+import {
+  BENCHMARKS,
+  PERFORMANCE_TIME_ZONE,
+  PortfolioFlow,
+  findDefaultPortfolio,
+  getPortfolioFlows,
+  roundAmount,
+  toPerformanceDate,
+} from "@/lib/performance/portfolio";
+import { refreshRiskLevels } from "@/lib/risk/analytics";
+import { LOT_QUANTITY_EPSILON } from "@/lib/tax/gains";
+
+export const SNAPSHOT_INTERVALS = ["day", "week", "month"] as const;
+
+export type SnapshotInterval = typeof SNAPSHOT_INTERVALS[number];
+
+export interface SnapshotPoint {
+  date: string; // YYYY-MM-DD
+  totalValue: number;
+  totalInvested: number;
+  netFlow: number;
+}
+
+// Daily points up to a year, weekly up to five years, monthly beyond
+export function getAutoInterval(from: string, to: string): SnapshotInterval {
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+  if (days <= 366) {
+    return "day";
+  }
+  return days <= 5 * 366 ? "week" : "month";
+}
+
+function getBucket(date: string, interval: SnapshotInterval) {
+  switch (interval) {
+    case "week": {
+      // Weeks start on Monday
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+      return addDays(date, -((weekday + 6) % 7));
+    }
+    case "month":
+      return date.slice(0, 7);
+    default:
+      return date;
+  }
+}
+
+// Keeps each bucket's last value (its close) and sums the flows within it,
+// so time-weighted returns over the coarser series stay correct
+export function downsampleSnapshots(points: SnapshotPoint[], interval: SnapshotInterval) {
+  const buckets = new Map<string, SnapshotPoint>();
+  for (const point of points) {
+    const key = getBucket(point.date, interval);
+    const previous = buckets.get(key);
+    buckets.set(key, { ...point, netFlow: roundAmount((previous?.netFlow || 0) + point.netFlow) });
+  }
+  return Array.from(buckets.values());
+}
+
+// Revalues every holding at the latest quote, falling back to the asset's
+// stored price when the feed has none, and records the day's price of each
+// held asset
+export async function markHoldingsToMarket(now: Date = new Date()) {
+  const holdings = await db.holding.findMany({
+    include: { asset: { select: { symbol: true, type: true, currentPrice: true } } },
+  });
+
+  const market = MarketDataService.getInstance();
+  const prices = new Map<string, number>();
+  const portfolioIds = new Set<string>();
+
+  for (const holding of holdings) {
+    if (!prices.has(holding.assetId)) {
+      const quote = await market.getAssetPrice(holding.asset.symbol, holding.asset.type);
+      prices.set(holding.assetId, quote?.price ?? holding.asset.currentPrice ?? holding.currentPrice);
+    }
+
+    const price = prices.get(holding.assetId)!;
+    const totalValue = holding.quantity * price;
+    const returns = totalValue - holding.totalInvested;
+
+    await db.holding.update({
+      where: { id: holding.id },
+      data: {
+        currentPrice: price,
+        totalValue,
+        returns,
+        returnsPercent: holding.totalInvested ? (returns / holding.totalInvested) * 100 : 0,
+      },
+    });
+    portfolioIds.add(holding.portfolioId);
+  }
+
+  for (const portfolioId of Array.from(portfolioIds)) {
+    await refreshPortfolioTotals(portfolioId);
+  }
+
+  const date = toPerformanceDate(now);
+  for (const [assetId, price] of Array.from(prices.entries())) {
+    await db.assetPriceSnapshot.upsert({
+      where: { assetId_date: { assetId, date } },
+      create: { assetId, date, price },
+      update: { price },
+    });
+  }
+
+  return { holdings: holdings.length, portfolios: portfolioIds.size };
+}
+
+// A run before the day's equity session has finished is provisional; the
+// end-of-session run replaces it with the close
+async function getSnapshotSource(now: Date): Promise<SnapshotSource> {
+  const calendar = await loadMarketCalendar("STOCK", now);
+  const status = getMarketStatus("STOCK", now, calendar);
+  const sessionLaterToday = status.nextOpen && toPerformanceDate(status.nextOpen) === toPerformanceDate(now);
+  return status.phase !== "CLOSED" || sessionLaterToday ? "INTRADAY" : "CLOSE";
+}
+
+// Marks holdings to market, then records the day's value of every private
+// portfolio, of each user's portfolios combined and of the benchmark indices.
+// Safe to re-run: a later run overwrites the day's rows.
+export async function recordValuationSnapshots(now: Date = new Date()) {
+  const marked = await markHoldingsToMarket(now);
+  const source = await getSnapshotSource(now);
+
+  const date = toPerformanceDate(now);
+  const from = zonedTimeToDate(date, "00:00", PERFORMANCE_TIME_ZONE);
+  const to = zonedTimeToDate(addDays(date, 1), "00:00", PERFORMANCE_TIME_ZONE);
+
+  const [portfolios, flows] = await Promise.all([
+    db.portfolio.findMany({ where: { isPublic: false } }),
+    getPortfolioFlows({ from, to }),
+  ]);
+
+  // Flows belong to the portfolio the order settled into
+  const defaultPortfolioIds = new Map<string, string>();
+  for (const portfolio of portfolios) {
+    if (!defaultPortfolioIds.has(portfolio.userId)) {
+      defaultPortfolioIds.set(portfolio.userId, portfolio.id);
+    }
+  }
+
+  const netFlows = new Map<string, number>();
+  for (const flow of flows) {
+    const portfolioId = flow.portfolioId ?? defaultPortfolioIds.get(flow.userId);
+    if (portfolioId) {
+      netFlows.set(portfolioId, (netFlows.get(portfolioId) || 0) + flow.amount);
+    }
+  }
+
+  const users = new Map<string, SnapshotPoint>();
+  for (const portfolio of portfolios) {
+    const data = {
+      totalValue: portfolio.totalValue,
+      totalInvested: portfolio.totalInvested,
+      netFlow: roundAmount(netFlows.get(portfolio.id) || 0),
+      source,
+    };
+    await db.portfolioSnapshot.upsert({
+      where: { portfolioId_date: { portfolioId: portfolio.id, date } },
+      create: { portfolioId: portfolio.id, userId: portfolio.userId, date, ...data },
+      update: data,
+    });
+
+    const user = users.get(portfolio.userId) || { date, totalValue: 0, totalInvested: 0, netFlow: 0 };
+    users.set(portfolio.userId, {
+      date,
+      totalValue: user.totalValue + data.totalValue,
+      totalInvested: user.totalInvested + data.totalInvested,
+      netFlow: roundAmount(user.netFlow + data.netFlow),
+    });
+  }
+
+  for (const [userId, point] of Array.from(users.entries())) {
+    const data = { totalValue: point.totalValue, totalInvested: point.totalInvested, netFlow: point.netFlow, source };
+    await db.userSnapshot.upsert({
+      where: { userId_date: { userId, date } },
+      create: { userId, date, ...data },
+      update: data,
+    });
+  }
+
+  const indices = await MarketDataService.getInstance().getIndices();
+  let benchmarks = 0;
+  for (const benchmark of BENCHMARKS) {
+    const index = indices.find(row => row.symbol === benchmark.symbol);
+    if (!index) {
+      continue;
+    }
+    await db.benchmarkSnapshot.upsert({
+      where: { symbol_date: { symbol: benchmark.symbol, date } },
+      create: { symbol: benchmark.symbol, date, value: index.value },
+      update: { value: index.value },
+    });
+    benchmarks++;
+  }
+
+  const riskLevels = await refreshRiskLevels(now);
+
+  return {
+    date,
+    source,
+    holdings: marked.holdings,
+    portfolioSnapshots: portfolios.length,
+    userSnapshots: users.size,
+    benchmarks,
+    riskLevels,
+  };
+}
+
+function groupByDate<T>(rows: T[], getDate: (row: T) => string) {
+  const grouped = new Map<string, T[]>();
+  for (const row of rows) {
+    const date = getDate(row);
+    const group = grouped.get(date);
+    if (group) {
+      group.push(row);
+    } else {
+      grouped.set(date, [row]);
+    }
+  }
+  return grouped;
+}
+
+// Rebuilds the days the snapshot job never recorded, from the user's first
+// fill up to yesterday. Holdings are replayed from fills and corporate action
+// adjustments, mirroring updatePortfolioHoldings, and valued at the last price
+// traded on the platform (the NAV for mutual funds). Recorded snapshots are
+// never overwritten.
+export async function backfillValuationSnapshots(userId: string, now: Date = new Date()) {
+  const portfolio = await findDefaultPortfolio(userId);
+  if (!portfolio) {
+    return { portfolioSnapshots: 0, userSnapshots: 0 };
+  }
+
+  const today = toPerformanceDate(now);
+  const startOfToday = zonedTimeToDate(today, "00:00", PERFORMANCE_TIME_ZONE);
+
+  const [fills, adjustments, flows] = await Promise.all([
+    db.orderFill.findMany({
+      where: { order: { userId, portfolioId: null }, createdAt: { lt: startOfToday } },
+      include: { order: { select: { assetId: true, orderType: true } } },
+      orderBy: { createdAt: "asc" },
+    }),
+    db.corporateActionAdjustment.findMany({
+      where: { portfolioId: portfolio.id },
+      include: { corporateAction: { select: { type: true, exDate: true } } },
+    }),
+    getPortfolioFlows({ userId, portfolioId: null, to: startOfToday }),
+  ]);
+  if (fills.length === 0) {
+    return { portfolioSnapshots: 0, userSnapshots: 0 };
+  }
+
+  const assetIds = Array.from(
+    new Set<string>([
+      ...fills.map(fill => fill.order.assetId),
+      ...adjustments.flatMap(adjustment => (adjustment.targetAssetId ? [adjustment.targetAssetId] : [])),
+    ])
+  );
+
+  const [trades, navs, assets, recordedPortfolio, recordedUser] = await Promise.all([
+    db.orderFill.findMany({
+      where: { order: { assetId: { in: assetIds } }, createdAt: { lt: startOfToday } },
+      select: { price: true, createdAt: true, order: { select: { assetId: true } } },
+      orderBy: { createdAt: "asc" },
+    }),
+    db.mutualFundNav.findMany({
+      where: { assetId: { in: assetIds }, navDate: { lt: today } },
+      orderBy: { navDate: "asc" },
+    }),
+    db.asset.findMany({ where: { id: { in: assetIds } }, select: { id: true, currentPrice: true } }),
+    db.portfolioSnapshot.findMany({ where: { portfolioId: portfolio.id }, select: { date: true } }),
+    db.userSnapshot.findMany({ where: { userId }, select: { date: true } }),
+  ]);
+
+  const fillsByDate = groupByDate<typeof fills[number]>(fills, fill => toPerformanceDate(fill.createdAt));
+  const tradesByDate = groupByDate<typeof trades[number]>(trades, trade => toPerformanceDate(trade.createdAt));
+  const navsByDate = groupByDate<typeof navs[number]>(navs, nav => nav.navDate);
+  const adjustmentsByDate = groupByDate<typeof adjustments[number]>(adjustments, adjustment => adjustment.corporateAction.exDate);
+  const flowsByDate = groupByDate<PortfolioFlow>(flows, flow => toPerformanceDate(flow.date));
+  const portfolioDates = new Set(recordedPortfolio.map(snapshot => snapshot.date));
+  const userDates = new Set(recordedUser.map(snapshot => snapshot.date));
+
+  const quantities = new Map<string, number>();
+  const invested = new Map<string, number>();
+  const prices = new Map<string, number>();
+  const points: SnapshotPoint[] = [];
+
+  for (let date = toPerformanceDate(fills[0].createdAt); date < today; date = addDays(date, 1)) {
+    // Corporate actions apply before the ex-date's session
+    for (const adjustment of adjustmentsByDate.get(date) || []) {
+      const { assetId } = adjustment;
+      if (adjustment.corporateAction.type === "MERGER") {
+        if (adjustment.targetAssetId && adjustment.targetQuantity) {
+          const target = adjustment.targetAssetId;
+          quantities.set(target, (quantities.get(target) || 0) + adjustment.targetQuantity);
+          invested.set(target, (invested.get(target) || 0) + (invested.get(assetId) || 0));
+        }
+        quantities.delete(assetId);
+        invested.delete(assetId);
+      } else if (adjustment.quantityAfter !== adjustment.quantityBefore) {
+        quantities.set(assetId, adjustment.quantityAfter);
+        const price = prices.get(assetId);
+        if (price !== undefined && adjustment.quantityAfter > 0) {
+          prices.set(assetId, (price * adjustment.quantityBefore) / adjustment.quantityAfter);
+        }
+      }
+    }
+
+    for (const fill of fillsByDate.get(date) || []) {
+      const { assetId, orderType } = fill.order;
+      if (orderType === "BUY") {
+        quantities.set(assetId, (quantities.get(assetId) || 0) + fill.quantity);
+        invested.set(assetId, (invested.get(assetId) || 0) + fill.price * fill.quantity);
+      } else {
+        const quantity = (quantities.get(assetId) || 0) - fill.quantity;
+        if (quantity <= LOT_QUANTITY_EPSILON) {
+          quantities.delete(assetId);
+          invested.delete(assetId);
+        } else {
+          quantities.set(assetId, quantity);
+        }
+      }
+    }
+
+    for (const trade of tradesByDate.get(date) || []) {
+      prices.set(trade.order.assetId, trade.price);
+    }
+    for (const nav of navsByDate.get(date) || []) {
+      prices.set(nav.assetId, nav.nav);
+    }
+
+    let totalValue = 0;
+    for (const [assetId, quantity] of Array.from(quantities.entries())) {
+      const price = prices.get(assetId) ?? assets.find(asset => asset.id === assetId)?.currentPrice ?? 0;
+      totalValue += quantity * price;
+    }
+
+    points.push({
+      date,
+      totalValue: roundAmount(totalValue),
+      totalInvested: roundAmount(Array.from(invested.values()).reduce((sum, amount) => sum + amount, 0)),
+      netFlow: roundAmount((flowsByDate.get(date) || []).reduce((sum, flow) => sum + flow.amount, 0)),
+    });
+  }
+
+  const portfolioRows = points.filter(point => !portfolioDates.has(point.date));
+  const userRows = points.filter(point => !userDates.has(point.date));
+
+  await db.portfolioSnapshot.createMany({
+    data: portfolioRows.map(point => ({ ...point, portfolioId: portfolio.id, userId, source: "BACKFILL" as const })),
+  });
+  await db.userSnapshot.createMany({
+    data: userRows.map(point => ({ ...point, userId, source: "BACKFILL" as const })),
+  });
+
+  return { portfolioSnapshots: portfolioRows.length, userSnapshots: userRows.length };
+}
+
+export async function backfillAllValuationSnapshots(now: Date = new Date()) {
+  const users = await db.order.findMany({
+    where: { fills: { some: {} } },
+    select: { userId: true },
+    distinct: ["userId"],
+  });
+
+  const summary = { users: 0, portfolioSnapshots: 0, userSnapshots: 0, failed: 0 };
+  for (const { userId } of users) {
+    try {
+      const result = await backfillValuationSnapshots(userId, now);
+      summary.users++;
+      summary.portfolioSnapshots += result.portfolioSnapshots;
+      summary.userSnapshots += result.userSnapshots;
+    } catch (error) {
+      console.error(`Snapshot backfill failed for user ${userId}:`, error);
+      summary.failed++;
+    }
+  }
+  return summary;
+}
+
+// A user's daily values, or one portfolio's when portfolioId is given; null
+// when the portfolio is not the user's
+export async function getValuationHistory(
+  userId: string,
+  options: { portfolioId?: string; from?: string; to?: string; interval?: SnapshotInterval } = {}
+) {
+  const date = { ...(options.from && { gte: options.from }), ...(options.to && { lte: options.to }) };
+
+  let rows;
+  if (options.portfolioId) {
+    const portfolio = await db.portfolio.findFirst({ where: { id: options.portfolioId, userId } });
+    if (!portfolio) {
+      return null;
+    }
+    rows = await db.portfolioSnapshot.findMany({
+      where: { portfolioId: portfolio.id, date },
+      orderBy: { date: "asc" },
+    });
+  } else {
+    rows = await db.userSnapshot.findMany({
+      where: { userId, date },
+      orderBy: { date: "asc" },
+    });
+  }
+
+  const points: SnapshotPoint[] = rows.map(row => ({
+    date: row.date,
+    totalValue: row.totalValue,
+    totalInvested: row.totalInvested,
+    netFlow: row.netFlow,
+  }));
+  const interval =
+    options.interval || (points.length > 0 ? getAutoInterval(points[0].date, points[points.length - 1].date) : "day");
+
+  return {
+    portfolioId: options.portfolioId || null,
+    interval,
+    count: points.length,
+    points: downsampleSnapshots(points, interval),
+  };
+}
@@ -0,0 +1,43 @@
+import { PremiumFeatureType } from "@prisma/client";
+import { db } from "@/lib/db";
+
+// Premium features bundled with each subscription tier
+export function getIncludedFeatures(subscriptionTier: string): string[] {
+  switch (subscriptionTier) {
+    case "BASIC":
+      return [];
+    case "PREMIUM":
+      return ["ADVANCED_ANALYTICS", "PRIORITY_SUPPORT"];
+    case "PROFESSIONAL":
+      return [
+        "AI_ADVISOR",
+        "MARKET_PREDICTIONS", 
+        "RISK_ANALYSIS",
+        "ADVANCED_ANALYTICS",
+        "PRIORITY_SUPPORT",
+        "API_ACCESS",
+      ];
+    default:
+      return [];
+  }
+}
+
+// True when the user bought the feature or their subscription includes it
+export async function hasPremiumFeature(userId: string, type: PremiumFeatureType, now: Date = new Date()) {
+  const [user, purchased] = await Promise.all([
+    db.user.findUnique({
+      where: { id: userId },
+      select: { subscriptionTier: true },
+    }),
+    db.userPremiumFeature.findFirst({
+      where: {
+        userId,
+        status: "ACTIVE",
+        endDate: { gte: now },
+        feature: { type },
+      },
+    }),
+  ]);
+
+  return !!purchased || getIncludedFeatures(user?.subscriptionTier || "BASIC").includes(type);
+}
@@ -0,0 +1,88 @@
+import {
+  alignReturns,
+  beta,
+  correlation,
+  getDailyReturns,
+  getTradingDayPoints,
+  maxDrawdown,
+  valueAtRisk,
+} from '@/lib/risk/metrics';
+
+describe('getDailyReturns', () => {
+  it('excludes money added during the day from the return', () => {
+    const returns = getDailyReturns([
+      { date: '2024-06-03', value: 1000, netFlow: 1000 },
+      { date: '2024-06-04', value: 2100, netFlow: 1000 },
+    ]);
+
+    expect(returns).toHaveLength(1);
+    expect(returns[0].value).toBeCloseTo(0.1, 6);
+  });
+});
+
+describe('getTradingDayPoints', () => {
+  it('drops weekend closes and carries their flows to the next trading day', () => {
+    const isWeekday = (date: string) => ![0, 6].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+    const points = getTradingDayPoints([
+      { date: '2024-06-07', value: 1000, netFlow: 0 }, // Friday
+      { date: '2024-06-08', value: 1500, netFlow: 500 },
+      { date: '2024-06-09', value: 1500, netFlow: 0 },
+      { date: '2024-06-10', value: 1650, netFlow: 0 }, // Monday
+    ], isWeekday);
+
+    expect(points.map(point => point.date)).toEqual(['2024-06-07', '2024-06-10']);
+    expect(points[1].netFlow).toBe(500);
+    expect(getDailyReturns(points)[0].value).toBeCloseTo(0.15, 6);
+  });
+});
+
+describe('beta and correlation', () => {
+  it('measures a portfolio moving twice as much as the index', () => {
+    const index = [0.01, -0.02, 0.015, 0.005, -0.01];
+    const portfolio = index.map(value => value * 2);
+
+    expect(beta(portfolio, index)).toBeCloseTo(2, 6);
+    expect(correlation(portfolio, index)).toBeCloseTo(1, 6);
+  });
+
+  it('pairs returns only on shared dates', () => {
+    const [left, right] = alignReturns(
+      [{ date: '2024-06-03', value: 0.01 }, { date: '2024-06-04', value: 0.02 }],
+      [{ date: '2024-06-04', value: 0.03 }]
+    );
+
+    expect(left).toEqual([0.02]);
+    expect(right).toEqual([0.03]);
+  });
+});
+
+describe('maxDrawdown', () => {
+  it('finds the largest fall from a peak', () => {
+    const drawdown = maxDrawdown([
+      { date: '2024-06-03', value: 100 },
+      { date: '2024-06-04', value: 120 },
+      { date: '2024-06-05', value: 90 },
+      { date: '2024-06-06', value: 130 },
+      { date: '2024-06-07', value: 110 },
+    ]);
+
+    expect(drawdown.drawdown).toBeCloseTo(0.25, 6);
+    expect(drawdown.peakDate).toBe('2024-06-04');
+    expect(drawdown.troughDate).toBe('2024-06-05');
+  });
+});
+
+describe('valueAtRisk', () => {
+  it('uses the empirical quantile once there is enough history', () => {
+    const returns = Array.from({ length: 100 }, (_, i) => (i - 50) / 1000);
+
+    expect(valueAtRisk(returns, 0.95, 60)).toEqual({ fraction: 0.045, method: 'HISTORICAL' });
+  });
+
+  it('falls back to a normal estimate with short history', () => {
+    const risk = valueAtRisk([0.01, -0.01, 0.01, -0.01], 0.95, 60);
+
+    expect(risk?.method).toBe('PARAMETRIC');
+    expect(risk?.fraction).toBeGreaterThan(0.015);
+  });
+});
@@ -0,0 +1,273 @@
+import { RiskProfile } from "@prisma/client";
+import { db } from "@/lib/db";
+import { addDays, isBusinessDay, loadMarketCalendar } from "@/lib/market-calendar";
+import { findDefaultPortfolio, roundAmount, toPerformanceDate } from "@/lib/performance/portfolio";
+import { getGrowthIndex } from "@/lib/performance/returns";
+import {
+  alignReturns,
+  annualisedVolatility,
+  beta,
+  correlation,
+  getDailyReturns,
+  getPriceReturns,
+  getTradingDayPoints,
+  maxDrawdown,
+  valueAtRisk,
+} from "@/lib/risk/metrics";
+
+export const RISK_CONFIG = {
+  lookbackDays: 365,
+  tradingDaysPerYear: 252,
+  varConfidence: 0.95,
+  minHistoricalObservations: 60, // Below this VaR is parametric
+  minObservations: 20, // Below this volatility-based checks are skipped
+  correlationHoldings: 10, // Largest holdings included in the matrix
+  benchmark: "NIFTY",
+  // Upper annualised volatility of risk levels 1-4; anything above is 5
+  riskLevelBands: [0.08, 0.12, 0.18, 0.25],
+  profiles: {
+    CONSERVATIVE: { maxRiskLevel: 2, maxDrawdown: 0.1, maxSingleStock: 0.1, maxSector: 0.25 },
+    MODERATE: { maxRiskLevel: 3, maxDrawdown: 0.2, maxSingleStock: 0.15, maxSector: 0.35 },
+    AGGRESSIVE: { maxRiskLevel: 5, maxDrawdown: 0.35, maxSingleStock: 0.25, maxSector: 0.5 },
+  } as Record<RiskProfile, { maxRiskLevel: number; maxDrawdown: number; maxSingleStock: number; maxSector: number }>,
+};
+
+export type RiskWarningCode =
+  | "RISK_LEVEL_ABOVE_PROFILE"
+  | "DRAWDOWN_ABOVE_PROFILE"
+  | "SINGLE_STOCK_CONCENTRATION"
+  | "SECTOR_CONCENTRATION";
+
+// Maps annualised volatility onto the 1-5 scale stored on Portfolio.riskLevel
+export function getRiskLevel(volatility: number) {
+  const band = RISK_CONFIG.riskLevelBands.findIndex(limit => volatility <= limit);
+  return band === -1 ? 5 : band + 1;
+}
+
+const toPercent = (fraction: number | null) => (fraction === null ? null : Math.round(fraction * 10000) / 100);
+const round = (value: number | null, decimals: number) =>
+  value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+// Stocks are grouped by sector; funds and other assets by category or type
+function getSectorLabel(asset: { type: string; category: string | null; sector: string | null }) {
+  return asset.sector || asset.category || asset.type;
+}
+
+type SnapshotPoint = { date: string; totalValue: number; netFlow: number };
+
+// Daily returns of a portfolio. Snapshots are taken every calendar day, so
+// volatility, VaR and beta use trading-day closes only to match the
+// trading-day annualisation.
+function getSnapshotReturns(snapshots: SnapshotPoint[], isTradingDay: (date: string) => boolean) {
+  const points = snapshots.map(snapshot => ({
+    date: snapshot.date,
+    value: snapshot.totalValue,
+    netFlow: snapshot.netFlow,
+  }));
+  return { points, returns: getDailyReturns(getTradingDayPoints(points, isTradingDay)) };
+}
+
+// Risk level implied by the volatility of `returnValues`; null until there is
+// enough history
+function getReturnsRiskLevel(returnValues: number[]) {
+  const volatility = annualisedVolatility(returnValues, RISK_CONFIG.tradingDaysPerYear);
+  return returnValues.length >= RISK_CONFIG.minObservations && volatility !== null ? getRiskLevel(volatility) : null;
+}
+
+// Recomputes the stored risk level of every private portfolio from its last
+// year of snapshots. Run by the snapshot job once the day's snapshots are in.
+export async function refreshRiskLevels(now: Date = new Date()) {
+  const from = addDays(toPerformanceDate(now), -RISK_CONFIG.lookbackDays);
+  const [portfolios, snapshots, calendar] = await Promise.all([
+    db.portfolio.findMany({ where: { isPublic: false }, select: { id: true, riskLevel: true } }),
+    db.portfolioSnapshot.findMany({
+      where: { date: { gte: from } },
+      select: { portfolioId: true, date: true, totalValue: true, netFlow: true },
+      orderBy: { date: "asc" },
+    }),
+    loadMarketCalendar("STOCK", now, { lookbackDays: RISK_CONFIG.lookbackDays }),
+  ]);
+  const isTradingDay = (date: string) => isBusinessDay(date, calendar);
+
+  const byPortfolio = new Map<string, SnapshotPoint[]>();
+  for (const snapshot of snapshots) {
+    const rows = byPortfolio.get(snapshot.portfolioId) || [];
+    rows.push(snapshot);
+    byPortfolio.set(snapshot.portfolioId, rows);
+  }
+
+  let updated = 0;
+  for (const portfolio of portfolios) {
+    const { returns } = getSnapshotReturns(byPortfolio.get(portfolio.id) || [], isTradingDay);
+    const riskLevel = getReturnsRiskLevel(returns.map(row => row.value));
+    if (riskLevel !== null && riskLevel !== portfolio.riskLevel) {
+      await db.portfolio.update({ where: { id: portfolio.id }, data: { riskLevel } });
+      updated++;
+    }
+  }
+  return updated;
+}
+
+// Computed risk metrics of the user's portfolio over the last year of daily
+// snapshots, checked against the limits of their KYC risk profile
+export async function getRiskAnalysis(userId: string, now: Date = new Date()) {
+  const [user, portfolio] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { riskProfile: true } }),
+    findDefaultPortfolio(userId),
+  ]);
+  if (!user || !portfolio) {
+    return null;
+  }
+
+  const from = addDays(toPerformanceDate(now), -RISK_CONFIG.lookbackDays);
+  const holdings = await db.holding.findMany({
+    where: { portfolioId: portfolio.id },
+    include: { asset: { select: { symbol: true, name: true, type: true, category: true, sector: true } } },
+    orderBy: { totalValue: "desc" },
+  });
+  const correlated = holdings.slice(0, RISK_CONFIG.correlationHoldings);
+
+  const [snapshots, benchmarkRows, priceRows, calendar] = await Promise.all([
+    db.portfolioSnapshot.findMany({
+      where: { portfolioId: portfolio.id, date: { gte: from } },
+      orderBy: { date: "asc" },
+    }),
+    db.benchmarkSnapshot.findMany({
+      where: { symbol: RISK_CONFIG.benchmark, date: { gte: from } },
+      orderBy: { date: "asc" },
+    }),
+    db.assetPriceSnapshot.findMany({
+      where: { assetId: { in: correlated.map(holding => holding.assetId) }, date: { gte: from } },
+      orderBy: { date: "asc" },
+    }),
+    loadMarketCalendar("STOCK", now, { lookbackDays: RISK_CONFIG.lookbackDays }),
+  ]);
+
+  // Return-based metrics
+  const isTradingDay = (date: string) => isBusinessDay(date, calendar);
+  const { points, returns } = getSnapshotReturns(snapshots, isTradingDay);
+  const returnValues = returns.map(row => row.value);
+  const benchmarkReturns = getPriceReturns(
+    benchmarkRows.filter(row => isTradingDay(row.date)).map(row => ({ date: row.date, value: row.value }))
+  );
+  const [alignedPortfolio, alignedBenchmark] = alignReturns(returns, benchmarkReturns);
+  const enoughHistory = returns.length >= RISK_CONFIG.minObservations;
+
+  const volatility = annualisedVolatility(returnValues, RISK_CONFIG.tradingDaysPerYear);
+  const index = getGrowthIndex(points);
+  const drawdown = maxDrawdown(points.map((point, i) => ({ date: point.date, value: index[i] })));
+  const risk = valueAtRisk(returnValues, RISK_CONFIG.varConfidence, RISK_CONFIG.minHistoricalObservations);
+  const riskLevel = getReturnsRiskLevel(returnValues);
+
+  // Concentration
+  const totalValue = holdings.reduce((sum, holding) => sum + holding.totalValue, 0);
+  const weight = (value: number) => (totalValue > 0 ? value / totalValue : 0);
+
+  const topHoldings = holdings.slice(0, 5).map(holding => ({
+    symbol: holding.asset.symbol,
+    name: holding.asset.name,
+    type: holding.asset.type,
+    weightPercent: toPercent(weight(holding.totalValue)),
+  }));
+
+  const sectorValues = new Map<string, number>();
+  for (const holding of holdings) {
+    const sector = getSectorLabel(holding.asset);
+    sectorValues.set(sector, (sectorValues.get(sector) || 0) + holding.totalValue);
+  }
+  const sectorWeights = Array.from(sectorValues.entries())
+    .map(([sector, value]) => ({ sector, weight: weight(value) }))
+    .sort((a, b) => b.weight - a.weight);
+  const sectors = sectorWeights.map(row => ({ sector: row.sector, weightPercent: toPercent(row.weight) }));
+
+  // Funds are diversified in themselves, so only direct stock holdings count
+  // towards single-stock concentration
+  const largestStock = holdings.find(holding => holding.asset.type === "STOCK");
+  const largestStockWeight = largestStock ? weight(largestStock.totalValue) : 0;
+  const largestSectorWeight = sectorWeights[0]?.weight || 0;
+
+  // Correlation of the largest holdings' daily price returns
+  const assetReturns = correlated.map(holding =>
+    getPriceReturns(
+      priceRows
+        .filter(row => row.assetId === holding.assetId && isTradingDay(row.date))
+        .map(row => ({ date: row.date, value: row.price }))
+    )
+  );
+  const matrix = assetReturns.map((rowReturns, i) =>
+    assetReturns.map((columnReturns, j) => {
+      if (i === j) {
+        return 1;
+      }
+      return round(correlation(...alignReturns(rowReturns, columnReturns)), 2);
+    })
+  );
+
+  // Drift from the KYC risk profile
+  const limits = user.riskProfile ? RISK_CONFIG.profiles[user.riskProfile] : null;
+  const warnings: { code: RiskWarningCode; message: string }[] = [];
+  if (limits && user.riskProfile) {
+    const profile = user.riskProfile.toLowerCase();
+    if (riskLevel !== null && riskLevel > limits.maxRiskLevel) {
+      warnings.push({
+        code: "RISK_LEVEL_ABOVE_PROFILE",
+        message: `Your portfolio's risk level is ${riskLevel}/5, above the ${limits.maxRiskLevel}/5 suited to a ${profile} investor.`,
+      });
+    }
+    if (enoughHistory && drawdown.drawdown > limits.maxDrawdown) {
+      warnings.push({
+        code: "DRAWDOWN_ABOVE_PROFILE",
+        message: `Your portfolio fell ${toPercent(drawdown.drawdown)}% from its peak in the last year, more than the ${toPercent(limits.maxDrawdown)}% a ${profile} investor should expect.`,
+      });
+    }
+    if (largestStock && largestStockWeight > limits.maxSingleStock) {
+      warnings.push({
+        code: "SINGLE_STOCK_CONCENTRATION",
+        message: `${largestStock.asset.symbol} is ${toPercent(largestStockWeight)}% of your portfolio; keep single stocks under ${toPercent(limits.maxSingleStock)}%.`,
+      });
+    }
+    if (sectorWeights[0] && largestSectorWeight > limits.maxSector) {
+      warnings.push({
+        code: "SECTOR_CONCENTRATION",
+        message: `${sectorWeights[0].sector} is ${toPercent(largestSectorWeight)}% of your portfolio; keep any one sector under ${toPercent(limits.maxSector)}%.`,
+      });
+    }
+  }
+
+  return {
+    portfolioId: portfolio.id,
+    asOf: now.toISOString(),
+    from,
+    observations: returns.length,
+    riskProfile: user.riskProfile,
+    riskLevel,
+    withinProfile: warnings.length === 0,
+    limits,
+    volatilityPercent: toPercent(volatility),
+    beta: round(beta(alignedPortfolio, alignedBenchmark), 2),
+    benchmark: RISK_CONFIG.benchmark,
+    maxDrawdown: {
+      percent: toPercent(drawdown.drawdown),
+      peakDate: drawdown.peakDate,
+      troughDate: drawdown.troughDate,
+    },
+    valueAtRisk: risk && {
+      confidence: RISK_CONFIG.varConfidence,
+      horizonDays: 1,
+      method: risk.method,
+      percent: toPercent(risk.fraction),
+      amount: roundAmount(risk.fraction * totalValue),
+    },
+    concentration: {
+      largestStockPercent: toPercent(largestStockWeight),
+      largestSectorPercent: toPercent(largestSectorWeight),
+      topHoldings,
+      sectors,
+    },
+    correlation: {
+      symbols: correlated.map(holding => holding.asset.symbol),
+      matrix,
+    },
+    warnings,
+  };
+}
@@ -0,0 +1,136 @@
+import { ValuationPoint, getGrowthIndex } from "@/lib/performance/returns";
+
+export interface DatedReturn {
+  date: string; // YYYY-MM-DD, the day the return was earned
+  value: number;
+}
+
+// Keeps only the closes of trading days, so returns and their annualisation
+// count trading days. Money moved on a closed day counts towards the next
+// trading day's flow.
+export function getTradingDayPoints(points: ValuationPoint[], isTradingDay: (date: string) => boolean) {
+  const kept: ValuationPoint[] = [];
+  let carriedFlow = 0;
+  for (const point of points) {
+    if (isTradingDay(point.date)) {
+      kept.push({ ...point, netFlow: point.netFlow + carriedFlow });
+      carriedFlow = 0;
+    } else {
+      carriedFlow += point.netFlow;
+    }
+  }
+  return kept;
+}
+
+// Flow-adjusted daily returns of a valuation series, as used for the growth
+// index. Days starting from a zero value are skipped.
+export function getDailyReturns(points: ValuationPoint[]): DatedReturn[] {
+  const index = getGrowthIndex(points);
+  const returns: DatedReturn[] = [];
+  for (let i = 1; i < points.length; i++) {
+    if (points[i - 1].value > 0) {
+      returns.push({ date: points[i].date, value: index[i] / index[i - 1] - 1 });
+    }
+  }
+  return returns;
+}
+
+// Daily returns of a price series (an index or an asset's closes)
+export function getPriceReturns(series: { date: string; value: number }[]): DatedReturn[] {
+  const returns: DatedReturn[] = [];
+  for (let i = 1; i < series.length; i++) {
+    if (series[i - 1].value > 0) {
+      returns.push({ date: series[i].date, value: series[i].value / series[i - 1].value - 1 });
+    }
+  }
+  return returns;
+}
+
+// Pairs two return series on the dates both have
+export function alignReturns(a: DatedReturn[], b: DatedReturn[]) {
+  const byDate = new Map(b.map(row => [row.date, row.value]));
+  const left: number[] = [];
+  const right: number[] = [];
+  for (const row of a) {
+    const other = byDate.get(row.date);
+    if (other !== undefined) {
+      left.push(row.value);
+      right.push(other);
+    }
+  }
+  return [left, right] as const;
+}
+
+const mean = (values: number[]) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Sample covariance; null with fewer than two observations
+export function covariance(a: number[], b: number[]) {
+  if (a.length < 2 || a.length !== b.length) {
+    return null;
+  }
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1);
+}
+
+export function standardDeviation(values: number[]) {
+  const variance = covariance(values, values);
+  return variance === null ? null : Math.sqrt(variance);
+}
+
+export function annualisedVolatility(returns: number[], periodsPerYear: number) {
+  const deviation = standardDeviation(returns);
+  return deviation === null ? null : deviation * Math.sqrt(periodsPerYear);
+}
+
+export function beta(returns: number[], benchmarkReturns: number[]) {
+  const variance = covariance(benchmarkReturns, benchmarkReturns);
+  const shared = covariance(returns, benchmarkReturns);
+  return variance && shared !== null ? shared / variance : null;
+}
+
+export function correlation(a: number[], b: number[]) {
+  const shared = covariance(a, b);
+  const deviationA = standardDeviation(a);
+  const deviationB = standardDeviation(b);
+  return shared !== null && deviationA && deviationB ? shared / (deviationA * deviationB) : null;
+}
+
+// Largest peak-to-trough fall of a value or growth index series, as a
+// positive fraction
+export function maxDrawdown(series: { date: string; value: number }[]) {
+  let peak = series[0];
+  let worst = { drawdown: 0, peakDate: null as string | null, troughDate: null as string | null };
+  for (const point of series) {
+    if (point.value > peak.value) {
+      peak = point;
+    }
+    const drawdown = peak.value > 0 ? 1 - point.value / peak.value : 0;
+    if (drawdown > worst.drawdown) {
+      worst = { drawdown, peakDate: peak.date, troughDate: point.date };
+    }
+  }
+  return worst;
+}
+
+// Standard normal quantiles for the supported VaR confidence levels
+const Z_SCORES: Record<string, number> = { "0.9": 1.2816, "0.95": 1.6449, "0.99": 2.3263 };
+
+// One-day Value-at-Risk as a positive fraction of the portfolio: the loss
+// not exceeded on `confidence` of days. Historical (the empirical quantile)
+// once there is enough history, parametric (normal) before that.
+export function valueAtRisk(returns: number[], confidence: number, minHistorical: number) {
+  if (returns.length < 2) {
+    return null;
+  }
+
+  if (returns.length >= minHistorical) {
+    const sorted = [...returns].sort((a, b) => a - b);
+    const quantile = sorted[Math.floor((1 - confidence) * sorted.length)];
+    return { fraction: Math.max(0, -quantile), method: "HISTORICAL" as const };
+  }
+
+  const deviation = standardDeviation(returns) || 0;
+  const z = Z_SCORES[String(confidence)] || Z_SCORES["0.95"];
+  return { fraction: Math.max(0, z * deviation - mean(returns)), method: "PARAMETRIC" as const };
+}
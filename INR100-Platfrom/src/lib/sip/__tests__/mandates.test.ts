@@ -0,0 +1,83 @@
+/** @jest-environment node */
+import { Prisma } from '@prisma/client';
+import { db } from '@/lib/db';
+import { SipError, updateSipMandate } from '@/lib/sip/mandates';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const runDate = new Date('2024-01-04T18:30:00Z'); // 5 Jan, midnight IST
+
+function createDb() {
+  const mandate = {
+    id: 'sip1',
+    userId: 'user1',
+    amount: 500,
+    frequency: 'MONTHLY',
+    dayOfMonth: 5,
+    dayOfWeek: null,
+    status: 'ACTIVE',
+    nextRunDate: runDate,
+  };
+  const installments: any[] = [];
+  const client: any = {
+    sipMandate: {
+      findUnique: jest.fn(() => Promise.resolve({ ...mandate })),
+      findUniqueOrThrow: jest.fn(() => Promise.resolve({ ...mandate })),
+      updateMany: jest.fn(({ where, data }) => {
+        const matches = where.nextRunDate.getTime() === mandate.nextRunDate.getTime();
+        if (matches) Object.assign(mandate, data);
+        return Promise.resolve({ count: matches ? 1 : 0 });
+      }),
+      update: jest.fn(),
+    },
+    sipInstallment: {
+      create: jest.fn(({ data }) => {
+        installments.push(data);
+        return Promise.resolve(data);
+      }),
+    },
+  };
+  client.$transaction = jest.fn((callback: (tx: unknown) => unknown) => callback(client));
+
+  Object.assign(db, client);
+  return { client, mandate, installments };
+}
+
+describe('skipping the next SIP installment', () => {
+  it('records the skipped installment and moves the mandate to the following run', async () => {
+    const { mandate, installments } = createDb();
+
+    await updateSipMandate('user1', 'sip1', { action: 'SKIP' });
+
+    expect(installments).toEqual([expect.objectContaining({ scheduledFor: runDate, status: 'SKIPPED' })]);
+    expect(mandate.nextRunDate).toEqual(new Date('2024-02-04T18:30:00Z'));
+  });
+
+  it('rejects with 409 when the run date moved since it was read', async () => {
+    const { client, mandate, installments } = createDb();
+    client.sipMandate.findUnique.mockImplementation(() => {
+      const read = { ...mandate };
+      // The scheduler creates this installment before the skip is written
+      mandate.nextRunDate = new Date('2024-02-04T18:30:00Z');
+      return Promise.resolve(read);
+    });
+
+    const error = await updateSipMandate('user1', 'sip1', { action: 'SKIP' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SipError);
+    expect(error.status).toBe(409);
+    expect(installments).toHaveLength(0);
+  });
+
+  it('rejects with 409 when the installment already exists', async () => {
+    const { client } = createDb();
+    client.sipInstallment.create.mockRejectedValue(
+      new Prisma.PrismaClientKnownRequestError('Unique constraint failed', { code: 'P2002', clientVersion: 'test' })
+    );
+
+    const error = await updateSipMandate('user1', 'sip1', { action: 'SKIP' }).catch(e => e);
+
+    expect(error).toBeInstanceOf(SipError);
+    expect(error.status).toBe(409);
+  });
+});
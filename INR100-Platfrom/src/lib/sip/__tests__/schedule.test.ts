@@ -0,0 +1,36 @@
+import { getNextRunDate, getRunDateOnOrAfter } from '@/lib/sip/schedule';
+
+// Midnight IST on the given day
+const ist = (date: string) => new Date(`${date}T00:00:00+05:30`);
+
+describe('SIP schedule', () => {
+  it('runs monthly SIPs on the chosen day, rolling into the next month', () => {
+    const schedule = { frequency: 'MONTHLY' as const, dayOfMonth: 5 };
+
+    expect(getRunDateOnOrAfter(schedule, ist('2024-01-03'))).toEqual(ist('2024-01-05'));
+    expect(getRunDateOnOrAfter(schedule, ist('2024-01-10'))).toEqual(ist('2024-02-05'));
+    expect(getNextRunDate(schedule, ist('2024-12-05'))).toEqual(ist('2025-01-05'));
+  });
+
+  it('runs weekly SIPs on the chosen weekday', () => {
+    const schedule = { frequency: 'WEEKLY' as const, dayOfWeek: 1 };
+
+    // 2024-01-03 is a Wednesday
+    expect(getRunDateOnOrAfter(schedule, ist('2024-01-03'))).toEqual(ist('2024-01-08'));
+    expect(getNextRunDate(schedule, ist('2024-01-08'))).toEqual(ist('2024-01-15'));
+  });
+
+  it('runs daily SIPs every day', () => {
+    expect(getNextRunDate({ frequency: 'DAILY' }, new Date('2024-02-29T10:00:00+05:30'))).toEqual(ist('2024-03-01'));
+  });
+
+  it('counts days in IST rather than UTC', () => {
+    const schedule = { frequency: 'MONTHLY' as const, dayOfMonth: 5 };
+
+    // 01:00 IST on the 5th is still the 4th in UTC
+    expect(getRunDateOnOrAfter(schedule, new Date('2024-01-04T19:30:00Z'))).toEqual(ist('2024-01-05'));
+    // 23:00 IST on the 5th is still the 5th
+    expect(getRunDateOnOrAfter({ frequency: 'DAILY' }, new Date('2024-01-05T17:30:00Z'))).toEqual(ist('2024-01-05'));
+    expect(getNextRunDate({ frequency: 'DAILY' }, new Date('2024-01-05T17:30:00Z'))).toEqual(ist('2024-01-06'));
+  });
+});
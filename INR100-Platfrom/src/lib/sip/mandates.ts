@@ -0,0 +1,288 @@
+import { Prisma, SipMandate } from "@prisma/client";
+import { db } from "@/lib/db";
+import { ClientError } from "@/lib/orders/errors";
+import {
+  getNextRunDate,
+  getRunDateOnOrAfter,
+  getSipDay,
+  MAX_SIP_DAY_OF_MONTH,
+  SipFrequency,
+} from "@/lib/sip/schedule";
+
+// Same ₹100 floor the product advertises for investing
+export const MIN_SIP_AMOUNT = 100;
+
+const SIP_FREQUENCIES: SipFrequency[] = ["DAILY", "WEEKLY", "MONTHLY"];
+
+export class SipError extends ClientError {
+  name = "SipError";
+}
+
+export interface SipAllocation {
+  assetId: string;
+  weight: number; // Share of the installment amount, normalised to sum to 1
+}
+
+export interface SipMandateRequest {
+  userId: string;
+  assetId?: string; // Single-asset SIP
+  allocations?: SipAllocation[]; // Basket SIP
+  amount: number;
+  frequency: SipFrequency;
+  dayOfMonth?: number;
+  dayOfWeek?: number;
+  startDate?: string;
+  endDate?: string;
+}
+
+export interface SipMandateUpdate {
+  action?: "PAUSE" | "RESUME" | "SKIP";
+  pausedUntil?: string; // PAUSE: resume automatically on this date
+  amount?: number;
+  endDate?: string | null;
+}
+
+export function parseAllocations(mandate: { assetId: string | null; allocations: string | null }) {
+  if (mandate.assetId) {
+    return [{ assetId: mandate.assetId, weight: 1 }];
+  }
+  return mandate.allocations ? (JSON.parse(mandate.allocations) as SipAllocation[]) : [];
+}
+
+// Splits an installment amount across the mandate's assets (rupee legs)
+export function getInstallmentLegs(
+  mandate: { assetId: string | null; allocations: string | null },
+  amount: number
+) {
+  return parseAllocations(mandate).map(allocation => ({
+    assetId: allocation.assetId,
+    amount: Math.round(amount * allocation.weight * 100) / 100,
+  }));
+}
+
+function validateAllocations(allocations: SipAllocation[]) {
+  if (allocations.length === 0 || allocations.some(a => !a.assetId || !(a.weight > 0))) {
+    throw new SipError("Each basket allocation needs an asset and a positive weight");
+  }
+
+  const assetIds = new Set(allocations.map(a => a.assetId));
+  if (assetIds.size !== allocations.length) {
+    throw new SipError("Basket allocations must not repeat an asset");
+  }
+
+  const totalWeight = allocations.reduce((sum, a) => sum + a.weight, 0);
+  return allocations.map(a => ({ assetId: a.assetId, weight: a.weight / totalWeight }));
+}
+
+function parseDate(value: string, field: string) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new SipError(`Invalid ${field}`);
+  }
+  return date;
+}
+
+export async function createSipMandate(body: SipMandateRequest) {
+  const { userId, assetId, amount, frequency } = body;
+
+  if (!userId || !amount || !frequency || (!assetId && !body.allocations)) {
+    throw new SipError("Missing required fields");
+  }
+
+  if (assetId && body.allocations) {
+    throw new SipError("Provide either assetId or allocations, not both");
+  }
+
+  if (!SIP_FREQUENCIES.includes(frequency)) {
+    throw new SipError("Frequency must be DAILY, WEEKLY or MONTHLY");
+  }
+
+  if (amount < MIN_SIP_AMOUNT) {
+    throw new SipError(`Minimum SIP amount is ₹${MIN_SIP_AMOUNT}`);
+  }
+
+  if (body.dayOfMonth !== undefined && (body.dayOfMonth < 1 || body.dayOfMonth > MAX_SIP_DAY_OF_MONTH)) {
+    throw new SipError(`Day of month must be between 1 and ${MAX_SIP_DAY_OF_MONTH}`);
+  }
+
+  if (body.dayOfWeek !== undefined && (body.dayOfWeek < 0 || body.dayOfWeek > 6)) {
+    throw new SipError("Day of week must be between 0 (Sunday) and 6");
+  }
+
+  const allocations = body.allocations ? validateAllocations(body.allocations) : null;
+  const assetIds = assetId ? [assetId] : allocations!.map(a => a.assetId);
+
+  const [user, assets] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { id: true } }),
+    db.asset.findMany({ where: { id: { in: assetIds }, isActive: true }, select: { id: true } }),
+  ]);
+
+  if (!user || assets.length !== assetIds.length) {
+    throw new SipError("User or asset not found", 404);
+  }
+
+  const startDate = body.startDate ? parseDate(body.startDate, "start date") : new Date();
+  const endDate = body.endDate ? parseDate(body.endDate, "end date") : null;
+
+  if (endDate && endDate <= startDate) {
+    throw new SipError("End date must be after the start date");
+  }
+
+  // Pin the run day to the start date unless one was chosen
+  const startDay = getSipDay(startDate);
+  const schedule = {
+    frequency,
+    dayOfMonth: frequency === "MONTHLY"
+      ? body.dayOfMonth ?? Math.min(startDay.dayOfMonth, MAX_SIP_DAY_OF_MONTH)
+      : null,
+    dayOfWeek: frequency === "WEEKLY" ? body.dayOfWeek ?? startDay.weekday : null,
+  };
+
+  return db.sipMandate.create({
+    data: {
+      userId,
+      assetId: assetId || null,
+      allocations: allocations ? JSON.stringify(allocations) : null,
+      amount,
+      ...schedule,
+      startDate,
+      endDate,
+      nextRunDate: getRunDateOnOrAfter(schedule, startDate),
+      status: "ACTIVE",
+    },
+  });
+}
+
+async function getOwnedMandate(userId: string, sipId: string) {
+  const mandate = await db.sipMandate.findUnique({ where: { id: sipId } });
+
+  if (!mandate || mandate.userId !== userId) {
+    throw new SipError("SIP not found", 404);
+  }
+
+  if (mandate.status === "CANCELLED" || mandate.status === "COMPLETED") {
+    throw new SipError(`SIP is already ${mandate.status.toLowerCase()}`, 409);
+  }
+
+  return mandate;
+}
+
+// Installments still waiting on a (re)try are dropped when a SIP stops running
+async function skipOpenInstallments(mandateId: string, reason: string) {
+  await db.sipInstallment.updateMany({
+    where: { mandateId, status: { in: ["PENDING", "RETRYING"] } },
+    data: { status: "SKIPPED", nextAttemptAt: null, failureReason: reason },
+  });
+}
+
+// Pauses, resumes or skips the next installment of a SIP, and/or changes its
+// amount or end date.
+export async function updateSipMandate(userId: string, sipId: string, changes: SipMandateUpdate) {
+  const mandate = await getOwnedMandate(userId, sipId);
+  const data: Record<string, unknown> = {};
+
+  if (changes.amount !== undefined) {
+    if (changes.amount < MIN_SIP_AMOUNT) {
+      throw new SipError(`Minimum SIP amount is ₹${MIN_SIP_AMOUNT}`);
+    }
+    data.amount = changes.amount;
+  }
+
+  if (changes.endDate !== undefined) {
+    const endDate = changes.endDate ? parseDate(changes.endDate, "end date") : null;
+    if (endDate && endDate <= new Date()) {
+      throw new SipError("End date must be in the future");
+    }
+    data.endDate = endDate;
+  }
+
+  switch (changes.action) {
+    case "PAUSE": {
+      if (mandate.status === "PAUSED") {
+        throw new SipError("SIP is already paused", 409);
+      }
+      data.status = "PAUSED";
+      data.pausedUntil = changes.pausedUntil ? parseDate(changes.pausedUntil, "pause date") : null;
+      await skipOpenInstallments(sipId, "SIP paused");
+      break;
+    }
+    case "RESUME": {
+      if (mandate.status !== "PAUSED") {
+        throw new SipError("SIP is not paused", 409);
+      }
+      // Installments missed while paused are not made up
+      const from = mandate.nextRunDate > new Date() ? mandate.nextRunDate : new Date();
+      data.status = "ACTIVE";
+      data.pausedUntil = null;
+      data.nextRunDate = getRunDateOnOrAfter(mandate, from);
+      break;
+    }
+    case "SKIP": {
+      data.nextRunDate = getNextRunDate(mandate, mandate.nextRunDate);
+      break;
+    }
+    case undefined:
+      break;
+    default:
+      throw new SipError("Action must be PAUSE, RESUME or SKIP");
+  }
+
+  if (Object.keys(data).length === 0) {
+    throw new SipError("Nothing to update");
+  }
+
+  if (changes.action === "SKIP") {
+    return skipNextInstallment(mandate, data);
+  }
+
+  return db.sipMandate.update({
+    where: { id: sipId },
+    data,
+  });
+}
+
+// Records the next installment as skipped and moves the mandate past it. Both
+// writes are guarded on the run date read, so a scheduler run or another skip
+// landing in between fails the request instead of skipping the wrong date.
+async function skipNextInstallment(mandate: SipMandate, data: Record<string, unknown>) {
+  try {
+    return await db.$transaction(async (tx) => {
+      const { count } = await tx.sipMandate.updateMany({
+        where: { id: mandate.id, nextRunDate: mandate.nextRunDate },
+        data,
+      });
+      if (count === 0) {
+        throw new SipError("SIP was updated while skipping, please retry", 409);
+      }
+
+      await tx.sipInstallment.create({
+        data: {
+          mandateId: mandate.id,
+          userId: mandate.userId,
+          amount: mandate.amount,
+          scheduledFor: mandate.nextRunDate,
+          status: "SKIPPED",
+          failureReason: "Skipped by user",
+        },
+      });
+
+      return tx.sipMandate.findUniqueOrThrow({ where: { id: mandate.id } });
+    });
+  } catch (error) {
+    // The installment for this date was already created
+    if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+      throw new SipError("This installment has already been processed", 409);
+    }
+    throw error;
+  }
+}
+
+export async function cancelSipMandate(userId: string, sipId: string) {
+  await getOwnedMandate(userId, sipId);
+  await skipOpenInstallments(sipId, "SIP cancelled");
+
+  return db.sipMandate.update({
+    where: { id: sipId },
+    data: { status: "CANCELLED", pausedUntil: null },
+  });
+}
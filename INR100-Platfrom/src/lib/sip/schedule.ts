@@ -0,0 +1,49 @@
+import { addDays, addMonths, getZonedParts, zonedTimeToDate } from "@/lib/market-calendar";
+
+export type SipFrequency = "DAILY" | "WEEKLY" | "MONTHLY";
+
+export interface SipSchedule {
+  frequency: SipFrequency;
+  dayOfMonth?: number | null; // MONTHLY: 1-28
+  dayOfWeek?: number | null; // WEEKLY: 0 (Sunday) - 6
+}
+
+// Monthly SIPs are limited to days every month has
+export const MAX_SIP_DAY_OF_MONTH = 28;
+
+// Installments fall due at midnight IST on their run day, wherever the server runs
+export const SIP_TIME_ZONE = "Asia/Kolkata";
+
+// Run day and weekday of `date` in IST
+export function getSipDay(date: Date) {
+  const { date: day, weekday } = getZonedParts(date, SIP_TIME_ZONE);
+  return { date: day, weekday, dayOfMonth: Number(day.slice(8, 10)) };
+}
+
+function startOfSipDay(day: string) {
+  return zonedTimeToDate(day, "00:00", SIP_TIME_ZONE);
+}
+
+// First run date of the schedule falling on or after `date`
+export function getRunDateOnOrAfter(schedule: SipSchedule, date: Date) {
+  const day = getSipDay(date);
+
+  if (schedule.frequency === "WEEKLY") {
+    const dayOfWeek = schedule.dayOfWeek ?? day.weekday;
+    return startOfSipDay(addDays(day.date, (dayOfWeek - day.weekday + 7) % 7));
+  }
+
+  if (schedule.frequency === "MONTHLY") {
+    const dayOfMonth = schedule.dayOfMonth ?? Math.min(day.dayOfMonth, MAX_SIP_DAY_OF_MONTH);
+    const runDay = `${day.date.slice(0, 8)}${String(dayOfMonth).padStart(2, "0")}`;
+    return startOfSipDay(runDay < day.date ? addMonths(runDay, 1) : runDay);
+  }
+
+  return startOfSipDay(day.date);
+}
+
+// Run date following `runDate`
+export function getNextRunDate(schedule: SipSchedule, runDate: Date) {
+  const nextDay = addDays(getSipDay(runDate).date, 1);
+  return getRunDateOnOrAfter(schedule, startOfSipDay(nextDay));
+}
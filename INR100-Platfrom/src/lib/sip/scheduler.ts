@@ -0,0 +1,229 @@
+import { Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { notifyUser } from "@/lib/notifications";
+import { OrderError } from "@/lib/orders/errors";
+import { placeOrder } from "@/lib/orders/placement";
+import { getInstallmentLegs } from "@/lib/sip/mandates";
+import { getNextRunDate } from "@/lib/sip/schedule";
+
+// Hours to wait before retrying an installment after its 1st, 2nd, ... failed
+// attempt. An installment fails for good once the delays are exhausted.
+export const SIP_RETRY_DELAYS_HOURS = [4, 24];
+
+export interface SipRunSummary {
+  created: number;
+  executed: number;
+  retrying: number;
+  failed: number;
+  completed: number;
+}
+
+function formatAmount(amount: number) {
+  return `₹${amount.toLocaleString("en-IN")}`;
+}
+
+// Paused SIPs with a resume date come back on their next run date
+async function resumePausedMandates(now: Date) {
+  const mandates = await db.sipMandate.findMany({
+    where: { status: "PAUSED", pausedUntil: { lte: now } },
+  });
+
+  for (const mandate of mandates) {
+    let nextRunDate = mandate.nextRunDate;
+    while (nextRunDate < now) {
+      nextRunDate = getNextRunDate(mandate, nextRunDate);
+    }
+
+    await db.sipMandate.update({
+      where: { id: mandate.id },
+      data: { status: "ACTIVE", pausedUntil: null, nextRunDate },
+    });
+  }
+}
+
+// Creates the installment of every mandate that is due and moves the mandate
+// to its next run date. Runs missed while the scheduler was down are not
+// made up; only the earliest one is invested.
+async function createDueInstallments(now: Date, summary: SipRunSummary) {
+  const mandates = await db.sipMandate.findMany({
+    where: { status: "ACTIVE", nextRunDate: { lte: now } },
+  });
+
+  for (const mandate of mandates) {
+    if (mandate.endDate && mandate.nextRunDate > mandate.endDate) {
+      await db.sipMandate.update({
+        where: { id: mandate.id },
+        data: { status: "COMPLETED" },
+      });
+      summary.completed++;
+      continue;
+    }
+
+    let nextRunDate = getNextRunDate(mandate, mandate.nextRunDate);
+    while (nextRunDate <= now) {
+      nextRunDate = getNextRunDate(mandate, nextRunDate);
+    }
+    const isLastRun = mandate.endDate !== null && nextRunDate > mandate.endDate;
+
+    try {
+      await db.$transaction(async (tx) => {
+        await tx.sipInstallment.create({
+          data: {
+            mandateId: mandate.id,
+            userId: mandate.userId,
+            amount: mandate.amount,
+            scheduledFor: mandate.nextRunDate,
+            status: "PENDING",
+            nextAttemptAt: now,
+          },
+        });
+
+        await tx.sipMandate.update({
+          where: { id: mandate.id },
+          data: {
+            nextRunDate,
+            ...(isLastRun && { status: "COMPLETED" }),
+          },
+        });
+      });
+      summary.created++;
+      if (isLastRun) summary.completed++;
+    } catch (error) {
+      // A concurrent run already created this installment
+      if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+// Places the orders of one installment through the regular order path. Each
+// leg uses an idempotency key, so a retry only places the legs still missing.
+async function processInstallment(
+  installment: Prisma.SipInstallmentGetPayload<{ include: { mandate: true } }>,
+  now: Date,
+  summary: SipRunSummary
+) {
+  // Claim the installment; nextAttemptAt is cleared so no other run picks it up
+  const claimed = await db.sipInstallment.updateMany({
+    where: { id: installment.id, attempts: installment.attempts, status: installment.status },
+    data: { attempts: { increment: 1 }, nextAttemptAt: null },
+  });
+  if (claimed.count === 0) {
+    return;
+  }
+
+  const attempts = installment.attempts + 1;
+  const legs = getInstallmentLegs(installment.mandate, installment.amount);
+  let placedLegs = 0;
+  let retryable = false;
+  let failureReason: string | null = null;
+
+  for (const leg of legs) {
+    try {
+      await placeOrder(
+        {
+          userId: installment.userId,
+          assetId: leg.assetId,
+          orderType: "BUY",
+          type: "MARKET",
+          amount: leg.amount,
+        },
+        {
+          idempotencyKey: `sip-${installment.id}-${leg.assetId}`,
+          sipInstallmentId: installment.id,
+        }
+      );
+      placedLegs++;
+    } catch (error) {
+      if (error instanceof OrderError) {
+        failureReason = error.message;
+        retryable = retryable || error.code === "INSUFFICIENT_BALANCE";
+      } else {
+        console.error(`SIP order error for installment ${installment.id}:`, error);
+        failureReason = "Order could not be placed";
+        retryable = true;
+      }
+    }
+  }
+
+  if (placedLegs === legs.length) {
+    await db.sipInstallment.update({
+      where: { id: installment.id },
+      data: { status: "EXECUTED", executedAt: now, failureReason: null },
+    });
+    await notifyUser(installment.userId, {
+      type: "SIP_EXECUTED",
+      title: "SIP installment placed",
+      message: `Your SIP installment of ${formatAmount(installment.amount)} has been placed.`,
+      metadata: { sipId: installment.mandateId, installmentId: installment.id },
+    });
+    summary.executed++;
+    return;
+  }
+
+  const retryDelay = SIP_RETRY_DELAYS_HOURS[attempts - 1];
+  if (retryable && retryDelay !== undefined) {
+    const nextAttemptAt = new Date(now.getTime() + retryDelay * 60 * 60 * 1000);
+    await db.sipInstallment.update({
+      where: { id: installment.id },
+      data: { status: "RETRYING", nextAttemptAt, failureReason },
+    });
+    await notifyUser(installment.userId, {
+      type: "SIP_RETRY",
+      title: "SIP installment could not be invested",
+      message: `${failureReason}. Add funds to your wallet; we will retry your SIP of ${formatAmount(installment.amount)} in ${retryDelay} hours.`,
+      metadata: { sipId: installment.mandateId, installmentId: installment.id, nextAttemptAt },
+    });
+    summary.retrying++;
+    return;
+  }
+
+  await db.sipInstallment.update({
+    where: { id: installment.id },
+    data: {
+      status: placedLegs > 0 ? "PARTIALLY_EXECUTED" : "FAILED",
+      failureReason,
+      ...(placedLegs > 0 && { executedAt: now }),
+    },
+  });
+  await notifyUser(installment.userId, {
+    type: "SIP_FAILED",
+    title: "SIP installment failed",
+    message: placedLegs > 0
+      ? `Only part of your SIP installment of ${formatAmount(installment.amount)} was invested: ${failureReason}.`
+      : `Your SIP installment of ${formatAmount(installment.amount)} failed: ${failureReason}.`,
+    metadata: { sipId: installment.mandateId, installmentId: installment.id },
+  });
+  summary.failed++;
+}
+
+// Runs one pass of the SIP scheduler: resumes paused SIPs, creates due
+// installments and (re)tries every installment whose attempt is due.
+export async function runSipScheduler(now: Date = new Date()): Promise<SipRunSummary> {
+  const summary: SipRunSummary = { created: 0, executed: 0, retrying: 0, failed: 0, completed: 0 };
+
+  await resumePausedMandates(now);
+  await createDueInstallments(now, summary);
+
+  const installments = await db.sipInstallment.findMany({
+    where: {
+      status: { in: ["PENDING", "RETRYING"] },
+      nextAttemptAt: { lte: now },
+    },
+    include: { mandate: true },
+    orderBy: { scheduledFor: "asc" },
+  });
+
+  for (const installment of installments) {
+    try {
+      await processInstallment(installment, now, summary);
+    } catch (error) {
+      console.error(`SIP installment error for ${installment.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,98 @@
+import {
+  allocateFifo,
+  calculateDisposal,
+  classifyGainTerm,
+  getFinancialYear,
+  getFinancialYearRange,
+} from '@/lib/tax/gains';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const stock = { type: 'STOCK', category: null, grandfatheredFmv: null };
+// Midday IST so the calendar date is unambiguous
+const ist = (date: string) => new Date(`${date}T12:00:00+05:30`);
+
+describe('getFinancialYear', () => {
+  it('runs from April to March in IST', () => {
+    expect(getFinancialYear(ist('2024-04-01'))).toBe('2024-25');
+    expect(getFinancialYear(ist('2025-03-31'))).toBe('2024-25');
+    // 31 Mar 19:00 UTC is already 1 April in India
+    expect(getFinancialYear(new Date('2025-03-31T19:00:00Z'))).toBe('2025-26');
+  });
+
+  it('rejects malformed financial years', () => {
+    expect(getFinancialYearRange('2024-25')?.from.toISOString()).toBe('2024-03-31T18:30:00.000Z');
+    expect(getFinancialYearRange('2024-26')).toBeNull();
+    expect(getFinancialYearRange('2024')).toBeNull();
+  });
+});
+
+describe('classifyGainTerm', () => {
+  it('treats equity held more than 12 months as long term', () => {
+    expect(classifyGainTerm(stock, ist('2023-06-15'), ist('2024-06-15'))).toBe('SHORT_TERM');
+    expect(classifyGainTerm(stock, ist('2023-06-15'), ist('2024-06-16'))).toBe('LONG_TERM');
+  });
+
+  it('uses 24 months for gold and non-equity funds', () => {
+    const gold = { type: 'GOLD', category: null };
+    const hybrid = { type: 'MUTUAL_FUND', category: 'HYBRID' as const };
+
+    expect(classifyGainTerm(gold, ist('2023-01-10'), ist('2024-06-10'))).toBe('SHORT_TERM');
+    expect(classifyGainTerm(gold, ist('2023-01-10'), ist('2025-01-11'))).toBe('LONG_TERM');
+    expect(classifyGainTerm(hybrid, ist('2022-01-10'), ist('2024-06-10'))).toBe('LONG_TERM');
+  });
+
+  it('keeps debt funds bought after March 2023 short term', () => {
+    const debt = { type: 'MUTUAL_FUND', category: 'DEBT' as const };
+
+    expect(classifyGainTerm(debt, ist('2023-04-01'), ist('2026-04-01'))).toBe('SHORT_TERM');
+    expect(classifyGainTerm(debt, ist('2022-04-01'), ist('2025-04-01'))).toBe('LONG_TERM');
+  });
+});
+
+describe('allocateFifo', () => {
+  it('consumes the oldest lots first', () => {
+    const lots = [
+      { id: 'b', acquiredAt: ist('2024-02-01'), remainingQuantity: 5, costPerUnit: 120 },
+      { id: 'a', acquiredAt: ist('2024-01-01'), remainingQuantity: 3, costPerUnit: 100 },
+    ];
+    const { allocations, shortfall } = allocateFifo(lots, 4.5);
+
+    expect(allocations.map(a => [a.lot.id, a.quantity])).toEqual([['a', 3], ['b', 1.5]]);
+    expect(shortfall).toBe(0);
+    expect(allocateFifo(lots, 10).shortfall).toBe(2);
+  });
+});
+
+describe('calculateDisposal', () => {
+  it('deducts sell charges from the sale value', () => {
+    const lot = { acquiredAt: ist('2024-01-01'), costPerUnit: 100 };
+    const disposal = calculateDisposal(stock, lot, 10, 150, 0.5, ist('2024-07-01'));
+
+    expect(disposal.saleValue).toBe(1495);
+    expect(disposal.transferExpenses).toBe(5);
+    expect(disposal.costOfAcquisition).toBe(1000);
+    expect(disposal.gain).toBe(495);
+    expect(disposal.term).toBe('SHORT_TERM');
+    expect(disposal.financialYear).toBe('2024-25');
+  });
+
+  it('grandfathers pre-2018 equity at the 31 Jan 2018 value', () => {
+    const asset = { ...stock, grandfatheredFmv: 400 };
+    const lot = { acquiredAt: ist('2015-05-01'), costPerUnit: 100 };
+
+    const aboveFmv = calculateDisposal(asset, lot, 10, 500, 0, ist('2024-07-01'));
+    expect(aboveFmv.costPerUnit).toBe(400);
+    expect(aboveFmv.grandfathered).toBe(true);
+    expect(aboveFmv.gain).toBe(1000);
+    expect(aboveFmv.actualCost).toBe(1000);
+
+    // Below the FMV the sale price caps the cost, so there is no artificial loss
+    const belowFmv = calculateDisposal(asset, lot, 10, 300, 0, ist('2024-07-01'));
+    expect(belowFmv.costPerUnit).toBe(300);
+    expect(belowFmv.gain).toBe(0);
+
+    const afterCutoff = calculateDisposal(asset, { ...lot, acquiredAt: ist('2018-02-01') }, 10, 500, 0, ist('2024-07-01'));
+    expect(afterCutoff.grandfathered).toBe(false);
+  });
+});
@@ -0,0 +1,54 @@
+import { findGainHarvest, findLossHarvest } from '@/lib/tax/harvesting';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const lot = (acquiredAt: string, remainingQuantity: number, gain: number, term: 'SHORT_TERM' | 'LONG_TERM') => ({
+  acquiredAt: new Date(acquiredAt),
+  remainingQuantity,
+  gain,
+  term,
+});
+
+describe('findLossHarvest', () => {
+  it('sells the oldest lots up to the largest net loss', () => {
+    const lots = [
+      lot('2024-03-01', 5, -800, 'SHORT_TERM'),
+      lot('2023-01-01', 10, 300, 'LONG_TERM'),
+      lot('2024-06-01', 4, 200, 'SHORT_TERM'),
+    ];
+
+    expect(findLossHarvest(lots)).toEqual({ quantity: 15, shortTermGain: -800, longTermGain: 300 });
+  });
+
+  it('returns null when every FIFO prefix is a gain', () => {
+    const lots = [
+      lot('2023-01-01', 10, 1000, 'LONG_TERM'),
+      lot('2024-06-01', 4, -200, 'SHORT_TERM'),
+    ];
+
+    expect(findLossHarvest(lots)).toBeNull();
+  });
+});
+
+describe('findGainHarvest', () => {
+  it('books long-term gains up to the exemption', () => {
+    const lots = [
+      lot('2022-01-01', 10, 50000, 'LONG_TERM'),
+      lot('2022-06-01', 20, 100000, 'LONG_TERM'),
+    ];
+
+    // 75,000 left: all of the first lot and 5 units (25,000) of the second
+    expect(findGainHarvest(lots, 75000, 4)).toEqual({ quantity: 15, longTermGain: 75000 });
+  });
+
+  it('stops at the first lot FIFO would sell at a loss or short term', () => {
+    const lots = [
+      lot('2022-01-01', 10, 5000, 'LONG_TERM'),
+      lot('2022-06-01', 10, -2000, 'LONG_TERM'),
+      lot('2023-01-01', 10, 8000, 'LONG_TERM'),
+    ];
+
+    expect(findGainHarvest(lots, 125000, 4)).toEqual({ quantity: 10, longTermGain: 5000 });
+    expect(findGainHarvest([lot('2025-01-01', 10, 5000, 'SHORT_TERM')], 125000, 4)).toBeNull();
+  });
+});
@@ -0,0 +1,50 @@
+import { addTaxLot, disposeTaxLots } from '@/lib/tax/lots';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const acquiredAt = new Date('2025-01-10T04:00:00Z');
+
+function createTx() {
+  return {
+    asset: {
+      findUniqueOrThrow: jest.fn(() => Promise.resolve({ type: 'STOCK', category: 'LARGE_CAP', grandfatheredFmv: null })),
+    },
+    taxLot: {
+      create: jest.fn(({ data }) => Promise.resolve(data)),
+      findMany: jest.fn(() => Promise.resolve([
+        { id: 'lot1', acquiredAt, quantity: 10, remainingQuantity: 10, costPerUnit: 100 },
+      ])),
+      update: jest.fn(),
+    },
+    taxLotDisposal: {
+      create: jest.fn(),
+    },
+  };
+}
+
+describe('tax lots and STT', () => {
+  it('leaves the STT on a purchase out of the cost of acquisition', async () => {
+    const tx = createTx();
+
+    await addTaxLot(tx as any, 'user1', 'portfolio1', 'asset1', 10, 100, { fee: 5, stt: 1 });
+
+    expect(tx.taxLot.create.mock.calls[0][0].data.costPerUnit).toBeCloseTo(100.4, 9);
+  });
+
+  it('keeps the STT on a sale in the gain', async () => {
+    const tx = createTx();
+
+    // ₹5 of charges, ₹1.10 of which is STT
+    await disposeTaxLots(tx as any, 'user1', 'portfolio1', 'asset1', 10, 110, {
+      fee: 5,
+      stt: 1.1,
+      executedAt: new Date('2025-06-10T04:00:00Z'),
+    });
+
+    const disposal = tx.taxLotDisposal.create.mock.calls[0][0].data;
+    expect(disposal.transferExpenses).toBe(3.9);
+    expect(disposal.saleValue).toBe(1096.1);
+    // 1100 - 1000 less the deductible ₹3.90; the STT is not deducted
+    expect(disposal.gain).toBe(96.1);
+  });
+});
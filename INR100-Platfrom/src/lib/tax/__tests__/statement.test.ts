@@ -0,0 +1,39 @@
+import { estimateEquityTax, getScheduleCgSection } from '@/lib/tax/statement';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+describe('getScheduleCgSection', () => {
+  it('separates equity, other assets and crypto', () => {
+    expect(getScheduleCgSection({ type: 'STOCK', category: null }, 'SHORT_TERM')).toBe('STCG_111A');
+    expect(getScheduleCgSection({ type: 'MUTUAL_FUND', category: 'EQUITY' }, 'LONG_TERM')).toBe('LTCG_112A');
+    expect(getScheduleCgSection({ type: 'MUTUAL_FUND', category: 'DEBT' }, 'SHORT_TERM')).toBe('STCG_OTHER');
+    expect(getScheduleCgSection({ type: 'GOLD', category: null }, 'LONG_TERM')).toBe('LTCG_OTHER');
+    expect(getScheduleCgSection({ type: 'CRYPTO', category: null }, 'SHORT_TERM')).toBe('VDA');
+  });
+});
+
+describe('estimateEquityTax', () => {
+  it('applies the 112A exemption before taxing long-term gains', () => {
+    const estimate = estimateEquityTax('2025-26', 50000, 200000);
+
+    expect(estimate.stcgTax).toBe(10000);
+    expect(estimate.ltcgTax).toBe(9375);
+    expect(estimate.ltcgExemptionUsed).toBe(125000);
+    expect(estimate.ltcgExemptionRemaining).toBe(0);
+  });
+
+  it('sets short-term losses off against long-term gains', () => {
+    const estimate = estimateEquityTax('2025-26', -30000, 100000);
+
+    expect(estimate.stcgTax).toBe(0);
+    expect(estimate.ltcgTax).toBe(0);
+    expect(estimate.ltcgExemptionRemaining).toBe(55000);
+  });
+
+  it('uses the rates of earlier financial years', () => {
+    const estimate = estimateEquityTax('2023-24', 10000, 150000);
+
+    expect(estimate.stcgTax).toBe(1500);
+    expect(estimate.ltcgTax).toBe(5000);
+  });
+});
@@ -0,0 +1,326 @@
+import { AssetCategory, CapitalGainTerm } from "@prisma/client";
+import { db } from "@/lib/db";
+import { addMonths, getZonedParts, zonedTimeToDate } from "@/lib/market-calendar";
+
+export const TAX_CONFIG = {
+  timeZone: "Asia/Kolkata",
+  // Listed equity held more than 12 months is long term
+  equityHoldingMonths: 12,
+  // Everything else, by asset type; CRYPTO is never long term
+  holdingPeriodMonths: {
+    BOND: 12,
+    ETF: 24,
+    MUTUAL_FUND: 24,
+    GOLD: 24,
+    GLOBAL: 24,
+    REAL_ESTATE: 24,
+  } as Record<string, number>,
+  // Equity acquired on or before this date is grandfathered (Section 112A)
+  grandfatheringDate: "2018-01-31",
+  // Debt funds bought from this date are always short term (Section 50AA)
+  specifiedFundDate: "2023-04-01",
+  // Section 111A/112A rates and the yearly 112A exemption, newest first. The
+  // Finance Act 2024 rates applied from 23 Jul 2024; estimates use them for
+  // all of FY 2024-25.
+  equityTaxRates: [
+    { fromFinancialYear: "2024-25", stcg: 0.2, ltcg: 0.125, ltcgExemption: 125000 },
+    { fromFinancialYear: "2018-19", stcg: 0.15, ltcg: 0.1, ltcgExemption: 100000 },
+  ],
+};
+
+const EQUITY_FUND_CATEGORIES: AssetCategory[] = ["EQUITY", "INDEX", "SECTORAL", "THEME"];
+const NON_EQUITY_ETF_CATEGORIES: AssetCategory[] = ["DEBT", "COMMODITY", "INTERNATIONAL"];
+
+// Lot quantities are kept to 6 decimals so float noise cannot leave dust lots
+export const LOT_QUANTITY_EPSILON = 1e-6;
+
+export interface TaxAsset {
+  type: string;
+  category: AssetCategory | null;
+  grandfatheredFmv: number | null;
+}
+
+export interface TaxLotPosition {
+  id: string;
+  acquiredAt: Date;
+  remainingQuantity: number;
+  costPerUnit: number;
+}
+
+export function roundLotQuantity(quantity: number) {
+  return Math.round(quantity * 1e6) / 1e6;
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+export function toTaxDate(date: Date) {
+  return getZonedParts(date, TAX_CONFIG.timeZone).date;
+}
+
+// Indian financial year (April to March) of `date`, e.g. "2024-25"
+export function getFinancialYear(date: Date) {
+  const [year, month] = toTaxDate(date).split("-").map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+// [from, to) instants of a financial year, or null when it is malformed
+export function getFinancialYearRange(financialYear: string) {
+  const match = /^(\d{4})-(\d{2})$/.exec(financialYear);
+  if (!match || (Number(match[1]) + 1) % 100 !== Number(match[2])) {
+    return null;
+  }
+
+  const start = Number(match[1]);
+  return {
+    from: zonedTimeToDate(`${start}-04-01`, "00:00", TAX_CONFIG.timeZone),
+    to: zonedTimeToDate(`${start + 1}-04-01`, "00:00", TAX_CONFIG.timeZone),
+  };
+}
+
+export function getEquityTaxRates(financialYear: string) {
+  return TAX_CONFIG.equityTaxRates.find(rates => financialYear >= rates.fromFinancialYear)
+    || TAX_CONFIG.equityTaxRates[TAX_CONFIG.equityTaxRates.length - 1];
+}
+
+// Listed shares, equity ETFs and equity-oriented funds (Sections 111A/112A)
+export function isEquityOriented(asset: Pick<TaxAsset, "type" | "category">) {
+  switch (asset.type) {
+    case "STOCK":
+      return true;
+    case "ETF":
+      return !asset.category || !NON_EQUITY_ETF_CATEGORIES.includes(asset.category);
+    case "MUTUAL_FUND":
+      return !!asset.category && EQUITY_FUND_CATEGORIES.includes(asset.category);
+    default:
+      return false;
+  }
+}
+
+// Months an asset must be held for gains to be long term; null when they
+// are always short term
+export function getHoldingPeriodMonths(asset: Pick<TaxAsset, "type" | "category">, acquiredAt: Date) {
+  if (isEquityOriented(asset)) {
+    return TAX_CONFIG.equityHoldingMonths;
+  }
+  if (asset.type === "MUTUAL_FUND" && asset.category === "DEBT" && toTaxDate(acquiredAt) >= TAX_CONFIG.specifiedFundDate) {
+    return null;
+  }
+  return TAX_CONFIG.holdingPeriodMonths[asset.type] ?? null;
+}
+
+export function classifyGainTerm(asset: Pick<TaxAsset, "type" | "category">, acquiredAt: Date, disposedAt: Date): CapitalGainTerm {
+  const months = getHoldingPeriodMonths(asset, acquiredAt);
+  if (months === null) {
+    return "SHORT_TERM";
+  }
+  return toTaxDate(disposedAt) > addMonths(toTaxDate(acquiredAt), months) ? "LONG_TERM" : "SHORT_TERM";
+}
+
+// Section 112A: long-term equity bought on or before 31 Jan 2018 takes the
+// higher of its actual cost and the lower of the 2018 FMV and the sale price
+export function getCostOfAcquisition(asset: TaxAsset, lot: Pick<TaxLotPosition, "acquiredAt" | "costPerUnit">, salePrice: number, term: CapitalGainTerm) {
+  const grandfathered =
+    term === "LONG_TERM" &&
+    asset.grandfatheredFmv !== null &&
+    isEquityOriented(asset) &&
+    toTaxDate(lot.acquiredAt) <= TAX_CONFIG.grandfatheringDate;
+
+  if (!grandfathered) {
+    return { costPerUnit: lot.costPerUnit, grandfathered: false };
+  }
+
+  const costPerUnit = Math.max(lot.costPerUnit, Math.min(asset.grandfatheredFmv!, salePrice));
+  return { costPerUnit, grandfathered: costPerUnit !== lot.costPerUnit };
+}
+
+// Splits `quantity` across lots oldest first. `shortfall` is the part no lot covers.
+export function allocateFifo(lots: TaxLotPosition[], quantity: number) {
+  const ordered = [...lots].sort((a, b) => a.acquiredAt.getTime() - b.acquiredAt.getTime());
+  const allocations: { lot: TaxLotPosition; quantity: number }[] = [];
+  let remaining = quantity;
+
+  for (const lot of ordered) {
+    if (remaining <= LOT_QUANTITY_EPSILON) {
+      break;
+    }
+    const used = roundLotQuantity(Math.min(lot.remainingQuantity, remaining));
+    if (used <= 0) {
+      continue;
+    }
+    allocations.push({ lot, quantity: used });
+    remaining = roundLotQuantity(remaining - used);
+  }
+
+  return { allocations, shortfall: remaining > LOT_QUANTITY_EPSILON ? remaining : 0 };
+}
+
+// Realised gain on selling `quantity` of a lot at `price`; `feePerUnit` (sell
+// charges, exit load) comes off the sale value
+export function calculateDisposal(
+  asset: TaxAsset,
+  lot: Pick<TaxLotPosition, "acquiredAt" | "costPerUnit">,
+  quantity: number,
+  price: number,
+  feePerUnit: number,
+  disposedAt: Date
+) {
+  const term = classifyGainTerm(asset, lot.acquiredAt, disposedAt);
+  const { costPerUnit, grandfathered } = getCostOfAcquisition(asset, lot, price, term);
+  const salePricePerUnit = price - feePerUnit;
+  const costOfAcquisition = roundAmount(costPerUnit * quantity);
+  const saleValue = roundAmount(salePricePerUnit * quantity);
+
+  return {
+    quantity,
+    acquiredAt: lot.acquiredAt,
+    disposedAt,
+    costPerUnit,
+    salePricePerUnit,
+    actualCost: roundAmount(lot.costPerUnit * quantity),
+    costOfAcquisition,
+    saleValue,
+    transferExpenses: roundAmount(feePerUnit * quantity),
+    gain: roundAmount(saleValue - costOfAcquisition),
+    term,
+    grandfathered,
+    financialYear: getFinancialYear(disposedAt),
+  };
+}
+
+interface GainTotals {
+  value: number;
+  cost: number;
+  gain: number;
+}
+
+function sumGains(rows: GainTotals[]) {
+  return rows.reduce<GainTotals>(
+    (totals, row) => ({
+      value: roundAmount(totals.value + row.value),
+      cost: roundAmount(totals.cost + row.cost),
+      gain: roundAmount(totals.gain + row.gain),
+    }),
+    { value: 0, cost: 0, gain: 0 }
+  );
+}
+
+// Open lots valued at current prices. Holdings that predate lot tracking
+// contribute an opening lot for the quantity no lot covers.
+export async function getUnrealisedLots(userId: string, now: Date = new Date()) {
+  const [holdings, lots] = await Promise.all([
+    db.holding.findMany({
+      where: { portfolio: { userId }, quantity: { gt: 0 } },
+      include: { asset: true },
+    }),
+    db.taxLot.findMany({
+      where: { userId, remainingQuantity: { gt: 0 } },
+      orderBy: { acquiredAt: "asc" },
+    }),
+  ]);
+
+  return holdings.flatMap(holding => {
+    const holdingLots = lots.filter(lot => lot.portfolioId === holding.portfolioId && lot.assetId === holding.assetId);
+    const covered = holdingLots.reduce((sum, lot) => sum + lot.remainingQuantity, 0);
+    const positions = holdingLots.map(lot => ({
+      id: lot.id,
+      source: lot.source,
+      acquiredAt: lot.acquiredAt,
+      remainingQuantity: lot.remainingQuantity,
+      costPerUnit: lot.costPerUnit,
+    }));
+
+    const shortfall = roundLotQuantity(holding.quantity - covered);
+    if (shortfall > LOT_QUANTITY_EPSILON) {
+      positions.unshift({
+        id: `opening-${holding.id}`,
+        source: "OPENING",
+        acquiredAt: holding.createdAt,
+        remainingQuantity: shortfall,
+        costPerUnit: holding.avgBuyPrice,
+      });
+    }
+
+    const price = holding.asset.currentPrice ?? holding.currentPrice;
+    return positions.map(position => {
+      const term = classifyGainTerm(holding.asset, position.acquiredAt, now);
+      const { costPerUnit, grandfathered } = getCostOfAcquisition(holding.asset, position, price, term);
+      const marketValue = roundAmount(position.remainingQuantity * price);
+      const cost = roundAmount(position.remainingQuantity * costPerUnit);
+
+      return {
+        ...position,
+        assetId: holding.assetId,
+        symbol: holding.asset.symbol,
+        name: holding.asset.name,
+        assetType: holding.asset.type,
+        assetCategory: holding.asset.category,
+        currentPrice: price,
+        marketValue,
+        cost,
+        gain: roundAmount(marketValue - cost),
+        term,
+        grandfathered,
+      };
+    });
+  });
+}
+
+// Realised gains for a financial year (default: the current one) split into
+// short and long term. Unrealised gains are only meaningful at current
+// prices, so they are reported for the current financial year alone.
+export async function getCapitalGains(userId: string, financialYear?: string, now: Date = new Date()) {
+  const currentFinancialYear = getFinancialYear(now);
+  const year = financialYear || currentFinancialYear;
+
+  const [disposals, years] = await Promise.all([
+    db.taxLotDisposal.findMany({
+      where: { userId, financialYear: year },
+      include: { taxLot: { select: { source: true, asset: { select: { id: true, symbol: true, name: true, type: true } } } } },
+      orderBy: { disposedAt: "asc" },
+    }),
+    db.taxLotDisposal.findMany({
+      where: { userId },
+      select: { financialYear: true },
+      distinct: ["financialYear"],
+    }),
+  ]);
+
+  const realised = disposals.map(({ taxLot, ...disposal }) => ({
+    ...disposal,
+    source: taxLot.source,
+    asset: taxLot.asset,
+  }));
+  const realisedTotals = (term: CapitalGainTerm) =>
+    sumGains(realised
+      .filter(row => row.term === term)
+      .map(row => ({ value: row.saleValue, cost: row.costOfAcquisition, gain: row.gain })));
+
+  let unrealised: { shortTerm: GainTotals; longTerm: GainTotals; lots: Awaited<ReturnType<typeof getUnrealisedLots>> } | null = null;
+  if (year === currentFinancialYear) {
+    const lots = await getUnrealisedLots(userId, now);
+    const unrealisedTotals = (term: CapitalGainTerm) =>
+      sumGains(lots
+        .filter(lot => lot.term === term)
+        .map(lot => ({ value: lot.marketValue, cost: lot.cost, gain: lot.gain })));
+
+    unrealised = {
+      shortTerm: unrealisedTotals("SHORT_TERM"),
+      longTerm: unrealisedTotals("LONG_TERM"),
+      lots,
+    };
+  }
+
+  return {
+    financialYear: year,
+    financialYears: Array.from(new Set([currentFinancialYear, ...years.map(y => y.financialYear)])).sort().reverse(),
+    realised: {
+      shortTerm: realisedTotals("SHORT_TERM"),
+      longTerm: realisedTotals("LONG_TERM"),
+      disposals: realised,
+    },
+    unrealised,
+  };
+}
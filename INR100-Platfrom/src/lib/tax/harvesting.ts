@@ -0,0 +1,217 @@
+import { CapitalGainTerm } from "@prisma/client";
+import { OrderError } from "@/lib/orders/errors";
+import { getQuantityPrecision, roundQuantity } from "@/lib/orders/fractional";
+import { OrderRequest } from "@/lib/orders/placement";
+import { canPlaceOrder, previewOrder } from "@/lib/orders/preview";
+import { getUnrealisedLots, isEquityOriented, roundLotQuantity } from "@/lib/tax/gains";
+import { estimateEquityTax, getTaxStatement } from "@/lib/tax/statement";
+
+export interface HarvestLot {
+  acquiredAt: Date;
+  remainingQuantity: number;
+  gain: number;
+  term: CapitalGainTerm;
+}
+
+export type HarvestType = "LOSS_HARVEST" | "GAIN_HARVEST";
+
+interface HarvestPlanItem {
+  type: HarvestType;
+  lots: Awaited<ReturnType<typeof getUnrealisedLots>>;
+  quantity: number;
+  shortTermGain: number;
+  longTermGain: number;
+  estimatedTaxSaved: number;
+}
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+function oldestFirst<T extends HarvestLot>(lots: T[]) {
+  return [...lots].sort((a, b) => a.acquiredAt.getTime() - b.acquiredAt.getTime());
+}
+
+// Sells consume lots FIFO, so only the oldest N lots can be sold. Returns the
+// quantity of the prefix with the largest net loss, or null when every
+// prefix is a gain.
+export function findLossHarvest(lots: HarvestLot[]) {
+  let quantity = 0;
+  let shortTermGain = 0;
+  let longTermGain = 0;
+  let best: { quantity: number; shortTermGain: number; longTermGain: number } | null = null;
+
+  for (const lot of oldestFirst(lots)) {
+    quantity += lot.remainingQuantity;
+    if (lot.term === "SHORT_TERM") {
+      shortTermGain += lot.gain;
+    } else {
+      longTermGain += lot.gain;
+    }
+
+    if (shortTermGain + longTermGain < (best ? best.shortTermGain + best.longTermGain : 0)) {
+      best = {
+        quantity: roundLotQuantity(quantity),
+        shortTermGain: roundAmount(shortTermGain),
+        longTermGain: roundAmount(longTermGain),
+      };
+    }
+  }
+
+  return best;
+}
+
+// Quantity of the oldest long-term lots in profit whose gain fits in the
+// unused LTCG exemption. Selling and buying back steps the cost up tax free.
+// Stops at the first short-term or loss-making lot, which FIFO would sell next.
+export function findGainHarvest(lots: HarvestLot[], exemption: number, decimals: number) {
+  let quantity = 0;
+  let gain = 0;
+
+  for (const lot of oldestFirst(lots)) {
+    if (lot.term !== "LONG_TERM" || lot.gain <= 0) {
+      break;
+    }
+    if (gain + lot.gain <= exemption) {
+      quantity += lot.remainingQuantity;
+      gain += lot.gain;
+      continue;
+    }
+
+    const gainPerUnit = lot.gain / lot.remainingQuantity;
+    const partial = roundQuantity((exemption - gain) / gainPerUnit, decimals, "DOWN");
+    quantity += partial;
+    gain += partial * gainPerUnit;
+    break;
+  }
+
+  return quantity > 0 ? { quantity: roundLotQuantity(quantity), longTermGain: roundAmount(gain) } : null;
+}
+
+async function previewHarvestOrder(request: OrderRequest) {
+  try {
+    const preview = await previewOrder(request);
+    return { request, preview, canPlace: canPlaceOrder(preview), error: null };
+  } catch (error) {
+    if (!(error instanceof OrderError)) throw error;
+    return { request, preview: null, canPlace: false, error: error.message };
+  }
+}
+
+// Attaches previews of the sell and buy-back orders to a planned harvest
+async function previewSuggestion(userId: string, { lots, ...item }: HarvestPlanItem) {
+  const { assetId, symbol, name, assetType, currentPrice } = lots[0];
+  const sell: OrderRequest = { userId, assetId, orderType: "SELL", type: "MARKET", quantity: item.quantity };
+  // Mutual fund purchases are by amount
+  const rebuy: OrderRequest = assetType === "MUTUAL_FUND"
+    ? { userId, assetId, orderType: "BUY", type: "MARKET", amount: roundAmount(item.quantity * currentPrice) }
+    : { userId, assetId, orderType: "BUY", type: "MARKET", quantity: item.quantity };
+
+  return {
+    ...item,
+    asset: { id: assetId, symbol, name, type: assetType },
+    currentPrice,
+    orders: {
+      sell: await previewHarvestOrder(sell),
+      rebuy: await previewHarvestOrder(rebuy),
+    },
+  };
+}
+
+// Tax-loss harvesting for the current financial year (TAX_OPTIMIZATION).
+// Losses are harvested only while they cut the Section 111A/112A estimate, so
+// long-term losses are skipped when gains already fit in the exemption; any
+// exemption left is then used to book long-term gains tax free. Every
+// suggestion comes with previews of its sell and buy-back orders.
+export async function getHarvestingSuggestions(userId: string, now: Date = new Date()) {
+  const [statement, unrealisedLots] = await Promise.all([
+    getTaxStatement(userId, undefined, now),
+    getUnrealisedLots(userId, now),
+  ]);
+  const { financialYear } = statement;
+  const sectionGain = (section: string) => statement.capitalGains.sections.find(s => s.section === section)!.gain;
+
+  let shortTermGain = sectionGain("STCG_111A");
+  let longTermGain = sectionGain("LTCG_112A");
+  const before = estimateEquityTax(financialYear, shortTermGain, longTermGain);
+
+  // Other assets are taxed at slab rates, which we cannot estimate
+  const holdings = new Map<string, typeof unrealisedLots>();
+  for (const lot of unrealisedLots) {
+    if (isEquityOriented({ type: lot.assetType, category: lot.assetCategory })) {
+      holdings.set(lot.assetId, [...(holdings.get(lot.assetId) || []), lot]);
+    }
+  }
+
+  const candidates = Array.from(holdings.values())
+    .map(lots => ({ lots, harvest: findLossHarvest(lots) }))
+    .filter(candidate => candidate.harvest)
+    .map(candidate => ({
+      ...candidate,
+      standaloneSaving: before.totalTax - estimateEquityTax(
+        financialYear,
+        shortTermGain + candidate.harvest!.shortTermGain,
+        longTermGain + candidate.harvest!.longTermGain
+      ).totalTax,
+    }))
+    .sort((a, b) => b.standaloneSaving - a.standaloneSaving);
+
+  const plan: HarvestPlanItem[] = [];
+
+  let current = before;
+  for (const { lots, harvest } of candidates) {
+    const next = estimateEquityTax(financialYear, shortTermGain + harvest!.shortTermGain, longTermGain + harvest!.longTermGain);
+    const saved = roundAmount(current.totalTax - next.totalTax);
+    if (saved <= 0) {
+      continue;
+    }
+    shortTermGain += harvest!.shortTermGain;
+    longTermGain += harvest!.longTermGain;
+    current = next;
+    plan.push({ type: "LOSS_HARVEST", lots, ...harvest!, estimatedTaxSaved: saved });
+  }
+
+  let exemption = current.ltcgExemptionRemaining;
+  for (const lots of Array.from(holdings.values())) {
+    if (exemption <= 0) {
+      break;
+    }
+    if (plan.some(item => item.lots === lots)) {
+      continue;
+    }
+
+    const harvest = findGainHarvest(lots, exemption, getQuantityPrecision(lots[0].assetType).decimals);
+    if (harvest) {
+      exemption -= harvest.longTermGain;
+      longTermGain += harvest.longTermGain;
+      plan.push({
+        type: "GAIN_HARVEST",
+        lots,
+        quantity: harvest.quantity,
+        shortTermGain: 0,
+        longTermGain: harvest.longTermGain,
+        // Tax avoided when the units are eventually sold
+        estimatedTaxSaved: roundAmount(harvest.longTermGain * current.rates.ltcg),
+      });
+    }
+  }
+
+  const suggestions: Awaited<ReturnType<typeof previewSuggestion>>[] = [];
+  for (const item of plan) {
+    suggestions.push(await previewSuggestion(userId, item));
+  }
+
+  const after = estimateEquityTax(financialYear, shortTermGain, longTermGain);
+
+  return {
+    financialYear,
+    realised: {
+      shortTermGain: sectionGain("STCG_111A"),
+      longTermGain: sectionGain("LTCG_112A"),
+    },
+    taxBefore: before,
+    taxAfter: after,
+    estimatedTaxSaved: roundAmount(before.totalTax - after.totalTax),
+    suggestions,
+  };
+}
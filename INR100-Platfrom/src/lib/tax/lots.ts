@@ -0,0 +1,176 @@
+import { CorporateAction, Holding, Prisma } from "@prisma/client";
+import { zonedTimeToDate } from "@/lib/market-calendar";
+import {
+  LOT_QUANTITY_EPSILON,
+  TAX_CONFIG,
+  allocateFifo,
+  calculateDisposal,
+  roundLotQuantity,
+} from "@/lib/tax/gains";
+
+export interface LotTrade {
+  orderId?: string | null;
+  fee?: number; // Buy charges are added to the cost, sell charges come off the sale value
+  stt?: number; // Part of `fee`; not deductible (Section 48), so neither cost nor transfer expense
+  executedAt?: Date;
+}
+
+function getDeductibleFee(trade: LotTrade) {
+  return Math.max((trade.fee || 0) - (trade.stt || 0), 0);
+}
+
+async function findOpenLots(tx: Prisma.TransactionClient, portfolioId: string, assetId: string) {
+  return tx.taxLot.findMany({
+    where: { portfolioId, assetId, remainingQuantity: { gt: 0 } },
+    orderBy: { acquiredAt: "asc" },
+  });
+}
+
+// Holdings bought before lot tracking have no lots. Cover the difference with
+// an opening lot at the average buy price so FIFO always has lots to consume.
+export async function reconcileOpeningLot(tx: Prisma.TransactionClient, userId: string, holding: Holding) {
+  const lots = await tx.taxLot.aggregate({
+    where: { portfolioId: holding.portfolioId, assetId: holding.assetId, remainingQuantity: { gt: 0 } },
+    _sum: { remainingQuantity: true },
+  });
+
+  const shortfall = roundLotQuantity(holding.quantity - (lots._sum.remainingQuantity || 0));
+  if (shortfall <= LOT_QUANTITY_EPSILON) {
+    return;
+  }
+
+  await tx.taxLot.create({
+    data: {
+      userId,
+      portfolioId: holding.portfolioId,
+      assetId: holding.assetId,
+      source: "OPENING",
+      acquiredAt: holding.createdAt,
+      quantity: shortfall,
+      remainingQuantity: shortfall,
+      costPerUnit: holding.avgBuyPrice,
+    },
+  });
+}
+
+export async function addTaxLot(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  portfolioId: string,
+  assetId: string,
+  quantity: number,
+  price: number,
+  trade: LotTrade = {}
+) {
+  return tx.taxLot.create({
+    data: {
+      userId,
+      portfolioId,
+      assetId,
+      orderId: trade.orderId || null,
+      acquiredAt: trade.executedAt || new Date(),
+      quantity,
+      remainingQuantity: quantity,
+      costPerUnit: price + getDeductibleFee(trade) / quantity,
+    },
+  });
+}
+
+// Consumes lots oldest first and records the realised gain on each
+export async function disposeTaxLots(
+  tx: Prisma.TransactionClient,
+  userId: string,
+  portfolioId: string,
+  assetId: string,
+  quantity: number,
+  price: number,
+  trade: LotTrade = {}
+) {
+  const [asset, lots] = await Promise.all([
+    tx.asset.findUniqueOrThrow({
+      where: { id: assetId },
+      select: { type: true, category: true, grandfatheredFmv: true },
+    }),
+    findOpenLots(tx, portfolioId, assetId),
+  ]);
+
+  const disposedAt = trade.executedAt || new Date();
+  const feePerUnit = getDeductibleFee(trade) / quantity;
+  const { allocations } = allocateFifo(lots, quantity);
+
+  for (const allocation of allocations) {
+    const disposal = calculateDisposal(asset, allocation.lot, allocation.quantity, price, feePerUnit, disposedAt);
+
+    await tx.taxLotDisposal.create({
+      data: {
+        userId,
+        taxLotId: allocation.lot.id,
+        assetId,
+        orderId: trade.orderId || null,
+        ...disposal,
+      },
+    });
+    await tx.taxLot.update({
+      where: { id: allocation.lot.id },
+      data: { remainingQuantity: roundLotQuantity(allocation.lot.remainingQuantity - allocation.quantity) },
+    });
+  }
+}
+
+// Mirrors a corporate action in the holding's lots. Splits and mergers keep
+// the acquisition date and total cost; bonus shares are a new lot at nil cost
+// acquired on the ex-date; a cash-only merger disposes of the lots.
+export async function adjustTaxLotsForCorporateAction(
+  tx: Prisma.TransactionClient,
+  action: CorporateAction,
+  userId: string,
+  holding: Holding,
+  result: { quantity: number; targetQuantity: number | null }
+) {
+  if (action.type === "DIVIDEND") {
+    return;
+  }
+
+  await reconcileOpeningLot(tx, userId, holding);
+  const exDate = zonedTimeToDate(action.exDate, "00:00", TAX_CONFIG.timeZone);
+
+  if (action.type === "BONUS") {
+    const bonusQuantity = roundLotQuantity(result.quantity - holding.quantity);
+    if (bonusQuantity > 0) {
+      await tx.taxLot.create({
+        data: {
+          userId,
+          portfolioId: holding.portfolioId,
+          assetId: holding.assetId,
+          corporateActionId: action.id,
+          source: "BONUS",
+          acquiredAt: exDate,
+          quantity: bonusQuantity,
+          remainingQuantity: bonusQuantity,
+          costPerUnit: 0,
+        },
+      });
+    }
+    return;
+  }
+
+  if (action.type === "MERGER" && !result.targetQuantity) {
+    await disposeTaxLots(tx, userId, holding.portfolioId, holding.assetId, holding.quantity, action.cashPerShare || 0, {
+      executedAt: exDate,
+    });
+    return;
+  }
+
+  const multiplier = (action.ratioTo || 0) / (action.ratioFrom || 1);
+  for (const lot of await findOpenLots(tx, holding.portfolioId, holding.assetId)) {
+    await tx.taxLot.update({
+      where: { id: lot.id },
+      data: {
+        quantity: roundLotQuantity(lot.quantity * multiplier),
+        remainingQuantity: roundLotQuantity(lot.remainingQuantity * multiplier),
+        costPerUnit: lot.costPerUnit / multiplier,
+        ...(action.type === "MERGER" && { assetId: action.targetAssetId!, corporateActionId: action.id }),
+      },
+    });
+  }
+}
@@ -0,0 +1,346 @@
+import { AssetCategory, CapitalGainTerm } from "@prisma/client";
+import { toCsv } from "@/lib/csv";
+import { db } from "@/lib/db";
+import { FEE_LABELS, FeeComponentType } from "@/lib/fees";
+import { formatTableRow, renderTextPdf, TableColumn } from "@/lib/pdf";
+import { hasPremiumFeature } from "@/lib/premium-features";
+import {
+  getEquityTaxRates,
+  getFinancialYear,
+  getFinancialYearRange,
+  isEquityOriented,
+  toTaxDate,
+} from "@/lib/tax/gains";
+
+export type ScheduleCgSection = "STCG_111A" | "STCG_OTHER" | "LTCG_112A" | "LTCG_OTHER" | "VDA";
+
+export const SCHEDULE_CG_SECTIONS: Record<ScheduleCgSection, string> = {
+  STCG_111A: "Short-term, equity with STT paid (Section 111A)",
+  STCG_OTHER: "Short-term, other assets (slab rates)",
+  LTCG_112A: "Long-term, equity with STT paid (Section 112A)",
+  LTCG_OTHER: "Long-term, other assets (Section 112)",
+  VDA: "Virtual digital assets (Schedule VDA)",
+};
+
+// Trading charges; Fee records of these types reference an order
+const TRADING_EXPENSE_TYPES: FeeComponentType[] = [
+  "BROKERAGE",
+  "SPREAD",
+  "CURRENCY_CONVERSION",
+  "STT",
+  "STAMP_DUTY",
+  "EXCHANGE_CHARGES",
+  "SEBI_FEE",
+  "GST",
+];
+
+function roundAmount(amount: number) {
+  return Math.round(amount * 100) / 100;
+}
+
+export function getScheduleCgSection(asset: { type: string; category: AssetCategory | null }, term: CapitalGainTerm): ScheduleCgSection {
+  if (asset.type === "CRYPTO") {
+    return "VDA";
+  }
+  const equity = isEquityOriented(asset);
+  if (term === "SHORT_TERM") {
+    return equity ? "STCG_111A" : "STCG_OTHER";
+  }
+  return equity ? "LTCG_112A" : "LTCG_OTHER";
+}
+
+// Tax on equity gains under Sections 111A and 112A, before surcharge and
+// cess. Short-term equity losses are set off against long-term equity gains
+// first and the 112A exemption comes off what is left. Other sections are
+// taxed at slab rates, so they are not estimated.
+export function estimateEquityTax(financialYear: string, stcg111A: number, ltcg112A: number) {
+  const rates = getEquityTaxRates(financialYear);
+  const shortTerm = Math.max(stcg111A, 0);
+  const longTerm = Math.max(ltcg112A + Math.min(stcg111A, 0), 0);
+  const exemptionUsed = Math.min(longTerm, rates.ltcgExemption);
+  const stcgTax = roundAmount(shortTerm * rates.stcg);
+  const ltcgTax = roundAmount((longTerm - exemptionUsed) * rates.ltcg);
+
+  return {
+    rates,
+    stcgTax,
+    ltcgTax,
+    totalTax: roundAmount(stcgTax + ltcgTax),
+    ltcgExemptionUsed: roundAmount(exemptionUsed),
+    ltcgExemptionRemaining: roundAmount(rates.ltcgExemption - exemptionUsed),
+  };
+}
+
+// Tax P&L for one financial year: capital gains by Schedule CG section and
+// asset class, trading expenses, and dividend income. The tax estimate is
+// part of the TAX_OPTIMIZATION premium feature.
+export async function getTaxStatement(userId: string, financialYear?: string, now: Date = new Date()) {
+  const year = financialYear || getFinancialYear(now);
+  const range = getFinancialYearRange(year)!;
+  const period = { gte: range.from, lt: range.to };
+
+  const [disposals, fees, exitLoads, dividends, taxOptimization] = await Promise.all([
+    db.taxLotDisposal.findMany({
+      where: { userId, financialYear: year },
+      include: { taxLot: { select: { source: true } } },
+      orderBy: { disposedAt: "asc" },
+    }),
+    db.fee.groupBy({
+      by: ["type"],
+      where: { userId, status: "PAID", type: { in: TRADING_EXPENSE_TYPES }, createdAt: period },
+      _sum: { amount: true },
+    }),
+    db.order.aggregate({
+      where: { userId, executedAt: period, exitLoad: { gt: 0 } },
+      _sum: { exitLoad: true },
+    }),
+    db.transaction.findMany({
+      where: { userId, type: "DIVIDEND", status: "COMPLETED", createdAt: period },
+      orderBy: { createdAt: "asc" },
+    }),
+    hasPremiumFeature(userId, "TAX_OPTIMIZATION", now),
+  ]);
+
+  // Disposals keep the asset sold, which a merger may since have retired
+  const [assets, dividendActions] = await Promise.all([
+    db.asset.findMany({
+      where: { id: { in: Array.from(new Set(disposals.map(d => d.assetId))) } },
+      select: { id: true, symbol: true, name: true, type: true, category: true, grandfatheredFmv: true },
+    }),
+    db.corporateAction.findMany({
+      where: { id: { in: dividends.map(d => d.reference).filter((id): id is string => !!id) } },
+      select: { id: true, asset: { select: { id: true, symbol: true, name: true } } },
+    }),
+  ]);
+
+  const transactions = disposals.map(disposal => {
+    const asset = assets.find(a => a.id === disposal.assetId)!;
+    return {
+      id: disposal.id,
+      section: getScheduleCgSection(asset, disposal.term),
+      symbol: asset.symbol,
+      name: asset.name,
+      assetType: asset.type,
+      source: disposal.taxLot.source,
+      term: disposal.term,
+      quantity: disposal.quantity,
+      acquiredOn: toTaxDate(disposal.acquiredAt),
+      soldOn: toTaxDate(disposal.disposedAt),
+      fullValueOfConsideration: roundAmount(disposal.saleValue + disposal.transferExpenses),
+      actualCost: disposal.actualCost,
+      costOfAcquisition: disposal.costOfAcquisition,
+      fairMarketValue2018: disposal.grandfathered ? roundAmount(asset.grandfatheredFmv! * disposal.quantity) : null,
+      transferExpenses: disposal.transferExpenses,
+      gain: disposal.gain,
+    };
+  });
+
+  const total = (rows: typeof transactions, pick: (row: (typeof transactions)[number]) => number) =>
+    roundAmount(rows.reduce((sum, row) => sum + pick(row), 0));
+  const summarise = (rows: typeof transactions) => ({
+    count: rows.length,
+    fullValueOfConsideration: total(rows, row => row.fullValueOfConsideration),
+    costOfAcquisition: total(rows, row => row.costOfAcquisition),
+    transferExpenses: total(rows, row => row.transferExpenses),
+    gain: total(rows, row => row.gain),
+  });
+
+  const sections = (Object.keys(SCHEDULE_CG_SECTIONS) as ScheduleCgSection[]).map(section => ({
+    section,
+    label: SCHEDULE_CG_SECTIONS[section],
+    ...summarise(transactions.filter(row => row.section === section)),
+  }));
+
+  const assetClasses: string[] = Array.from(new Set(transactions.map(row => `${row.assetType}:${row.term}`)));
+  const byAssetClass = assetClasses.sort().map(key => {
+    const [assetType, term] = key.split(":");
+    return {
+      assetType,
+      term,
+      ...summarise(transactions.filter(row => row.assetType === assetType && row.term === term)),
+    };
+  });
+
+  const expenseItems = fees
+    .map(fee => ({
+      type: fee.type as string,
+      label: FEE_LABELS[fee.type as FeeComponentType],
+      amount: roundAmount(fee._sum.amount || 0),
+    }))
+    .concat(exitLoads._sum.exitLoad ? [{ type: "EXIT_LOAD", label: "Mutual fund exit load", amount: roundAmount(exitLoads._sum.exitLoad) }] : [])
+    .filter(item => item.amount > 0);
+
+  const dividendItems = dividends.map(dividend => {
+    const action = dividendActions.find(a => a.id === dividend.reference);
+    return {
+      creditedOn: toTaxDate(dividend.createdAt),
+      symbol: action?.asset.symbol || null,
+      name: action?.asset.name || dividend.description || "Dividend",
+      amount: dividend.amount,
+    };
+  });
+
+  const sectionGain = (section: ScheduleCgSection) => sections.find(s => s.section === section)!.gain;
+
+  return {
+    userId,
+    financialYear: year,
+    period: { from: toTaxDate(range.from), to: toTaxDate(new Date(range.to.getTime() - 1)) },
+    generatedAt: now,
+    capitalGains: {
+      sections,
+      byAssetClass,
+      shortTermGain: roundAmount(sectionGain("STCG_111A") + sectionGain("STCG_OTHER")),
+      longTermGain: roundAmount(sectionGain("LTCG_112A") + sectionGain("LTCG_OTHER")),
+      transactions,
+    },
+    expenses: {
+      items: expenseItems,
+      total: roundAmount(expenseItems.reduce((sum, item) => sum + item.amount, 0)),
+    },
+    dividends: {
+      items: dividendItems,
+      total: roundAmount(dividendItems.reduce((sum, item) => sum + item.amount, 0)),
+    },
+    taxEstimate: taxOptimization ? estimateEquityTax(year, sectionGain("STCG_111A"), sectionGain("LTCG_112A")) : null,
+  };
+}
+
+export type TaxStatement = Awaited<ReturnType<typeof getTaxStatement>>;
+
+// Transactions in the column order of Schedule CG / Schedule 112A, followed by
+// section totals, expenses and dividends
+export function renderTaxStatementCsv(statement: TaxStatement) {
+  const rows: (string | number)[][] = [
+    [
+      "Section",
+      "Symbol",
+      "Name",
+      "Asset Type",
+      "Term",
+      "Quantity",
+      "Date of Acquisition",
+      "Date of Transfer",
+      "Full Value of Consideration",
+      "Actual Cost",
+      "FMV on 31-Jan-2018",
+      "Cost of Acquisition",
+      "Transfer Expenses",
+      "Gain",
+    ],
+    ...statement.capitalGains.transactions.map(row => [
+      row.section,
+      row.symbol,
+      row.name,
+      row.assetType,
+      row.term,
+      row.quantity,
+      row.acquiredOn,
+      row.soldOn,
+      row.fullValueOfConsideration,
+      row.actualCost,
+      row.fairMarketValue2018 ?? "",
+      row.costOfAcquisition,
+      row.transferExpenses,
+      row.gain,
+    ]),
+    [],
+    ["Section", "Description", "Transactions", "Full Value of Consideration", "Cost of Acquisition", "Transfer Expenses", "Gain"],
+    ...statement.capitalGains.sections.map(section => [
+      section.section,
+      section.label,
+      section.count,
+      section.fullValueOfConsideration,
+      section.costOfAcquisition,
+      section.transferExpenses,
+      section.gain,
+    ]),
+    [],
+    ["Expense", "Amount"],
+    ...statement.expenses.items.map(item => [item.label, item.amount]),
+    ["Total", statement.expenses.total],
+    [],
+    ["Dividend Credited On", "Symbol", "Name", "Amount"],
+    ...statement.dividends.items.map(item => [item.creditedOn, item.symbol || "", item.name, item.amount]),
+    ["Total", "", "", statement.dividends.total],
+  ];
+
+  return toCsv(rows);
+}
+
+const STATEMENT_COLUMNS: (TableColumn & { label: string })[] = [
+  { label: "Section", width: 10 },
+  { label: "Symbol", width: 14 },
+  { label: "Quantity", width: 10, align: "right" },
+  { label: "Acquired", width: 10 },
+  { label: "Sold", width: 10 },
+  { label: "Sale Value", width: 12, align: "right" },
+  { label: "Cost", width: 12, align: "right" },
+  { label: "Expenses", width: 9, align: "right" },
+  { label: "Gain", width: 12, align: "right" },
+];
+
+export function renderTaxStatementPdf(statement: TaxStatement) {
+  const rule = "-".repeat(STATEMENT_COLUMNS.reduce((sum, column) => sum + column.width + 1, 0));
+  const amount = (value: number) => `₹${value.toFixed(2)}`;
+  const { capitalGains, expenses, dividends, taxEstimate } = statement;
+
+  const lines = [
+    `INR100 - CAPITAL GAINS STATEMENT FY ${statement.financialYear}`,
+    "",
+    `Client ID:  ${statement.userId}`,
+    `Period:     ${statement.period.from} to ${statement.period.to}`,
+    `Generated:  ${statement.generatedAt.toISOString()}`,
+    "",
+    "SUMMARY (SCHEDULE CG)",
+    ...capitalGains.sections.map(section => `${section.label.padEnd(50)} ${amount(section.gain).padStart(16)}`),
+    `${"Dividend income".padEnd(50)} ${amount(dividends.total).padStart(16)}`,
+    `${"Trading expenses".padEnd(50)} ${amount(expenses.total).padStart(16)}`,
+    "",
+    "TRANSACTIONS",
+    formatTableRow(STATEMENT_COLUMNS.map(column => column.label), STATEMENT_COLUMNS),
+    rule,
+    ...capitalGains.transactions.map(row =>
+      formatTableRow(
+        [
+          row.section,
+          row.symbol,
+          String(row.quantity),
+          row.acquiredOn,
+          row.soldOn,
+          row.fullValueOfConsideration.toFixed(2),
+          row.costOfAcquisition.toFixed(2),
+          row.transferExpenses.toFixed(2),
+          row.gain.toFixed(2),
+        ],
+        STATEMENT_COLUMNS
+      )
+    ),
+    rule,
+    "",
+    "EXPENSES",
+    ...expenses.items.map(item => `${item.label.padEnd(50)} ${amount(item.amount).padStart(16)}`),
+    "",
+    "DIVIDENDS",
+    ...dividends.items.map(item => `${item.creditedOn}  ${(item.symbol || item.name).padEnd(38)} ${amount(item.amount).padStart(16)}`),
+  ];
+
+  if (taxEstimate) {
+    lines.push(
+      "",
+      "ESTIMATED TAX ON EQUITY GAINS (before surcharge and cess)",
+      `${`Section 111A at ${taxEstimate.rates.stcg * 100}%`.padEnd(50)} ${amount(taxEstimate.stcgTax).padStart(16)}`,
+      `${`Section 112A at ${taxEstimate.rates.ltcg * 100}% after exemption`.padEnd(50)} ${amount(taxEstimate.ltcgTax).padStart(16)}`,
+      `${"LTCG exemption remaining".padEnd(50)} ${amount(taxEstimate.ltcgExemptionRemaining).padStart(16)}`
+    );
+  }
+
+  lines.push(
+    "",
+    "Cost of acquisition includes buy charges; sale value is net of sell charges and exit load.",
+    "Grandfathered equity uses the 31 Jan 2018 fair market value under Section 112A.",
+    "Please verify with your tax advisor before filing."
+  );
+
+  return renderTextPdf({ title: `Capital Gains Statement FY ${statement.financialYear}`, lines });
+}
@@ -0,0 +1,49 @@
+import { WatchlistError, getReorderedPositions, toWatchlistQuote } from '@/lib/watchlists/watchlists';
+
+jest.mock('@/lib/db', () => ({ db: {} }));
+
+const asset = {
+  id: 'a1',
+  symbol: 'GOLDBEES',
+  name: 'Gold BeES',
+  type: 'GOLD' as const,
+  currentPrice: 60,
+  previousPrice: 50,
+  change24h: 1.5,
+  changePercent: 2.5,
+  volume24h: 1000,
+};
+
+describe('getReorderedPositions', () => {
+  it('numbers the items in the new order', () => {
+    const positions = getReorderedPositions(['a', 'b', 'c'], ['c', 'a', 'b']);
+
+    expect(Array.from(positions.entries())).toEqual([['c', 0], ['a', 1], ['b', 2]]);
+  });
+
+  it('rejects an order that leaves out, repeats or adds an item', () => {
+    expect(() => getReorderedPositions(['a', 'b'], ['a'])).toThrow(WatchlistError);
+    expect(() => getReorderedPositions(['a', 'b'], ['a', 'a'])).toThrow(WatchlistError);
+    expect(() => getReorderedPositions(['a', 'b'], ['a', 'x'])).toThrow(WatchlistError);
+  });
+});
+
+describe('toWatchlistQuote', () => {
+  it('uses the day change the feed reports', () => {
+    const quote = toWatchlistQuote(asset, { price: 62, volume: 500, change: 1, changePercent: 1.64 });
+
+    expect(quote).toMatchObject({ price: 62, change: 1, changePercent: 1.64, volume: 500, isLive: true });
+  });
+
+  it('measures the change from the previous close when the feed only has a price', () => {
+    const quote = toWatchlistQuote(asset, { price: 55, volume: Number.POSITIVE_INFINITY });
+
+    expect(quote).toMatchObject({ price: 55, change: 5, changePercent: 10, volume: null, isLive: true });
+  });
+
+  it('falls back to the stored price without a feed quote', () => {
+    const quote = toWatchlistQuote(asset, null);
+
+    expect(quote).toMatchObject({ price: 60, change: 1.5, changePercent: 2.5, volume: 1000, isLive: false });
+  });
+});
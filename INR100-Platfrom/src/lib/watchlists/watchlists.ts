@@ -0,0 +1,351 @@
+import { Asset, Prisma } from "@prisma/client";
+import { db } from "@/lib/db";
+import { MarketDataService } from "@/lib/market-data";
+import { ClientError } from "@/lib/orders/errors";
+
+export const WATCHLIST_CONFIG = {
+  maxWatchlists: 10,
+  maxItems: 50,
+  maxNameLength: 50,
+  publicListLimit: 20,
+};
+
+export class WatchlistError extends ClientError {
+  name = "WatchlistError";
+}
+
+export interface WatchlistRequest {
+  name?: string;
+  isPublic?: boolean;
+  assetIds?: string[]; // On create, the starting items; on update, every item in the new order
+}
+
+export interface WatchlistQuote {
+  symbol: string;
+  name: string;
+  type: string;
+  price: number | null;
+  change: number;
+  changePercent: number;
+  volume: number | null;
+  isLive: boolean; // False when the feed had no quote and the stored price is shown
+}
+
+type QuotedAsset = Pick<Asset, "id" | "symbol" | "name" | "type" | "currentPrice" | "previousPrice" | "change24h" | "changePercent" | "volume24h">;
+
+// Exchange-traded assets are quoted in one batch with their day change;
+// everything else goes through the per-type price lookup
+const BATCH_QUOTED_TYPES = ["STOCK", "ETF"];
+
+const watchlistInclude = {
+  items: {
+    orderBy: [{ position: "asc" }, { addedAt: "asc" }],
+    include: { asset: true },
+  },
+} satisfies Prisma.WatchlistInclude;
+
+type WatchlistWithItems = Prisma.WatchlistGetPayload<{ include: typeof watchlistInclude }>;
+
+const roundAmount = (amount: number) => Math.round(amount * 100) / 100;
+
+// Position of each item once the list is put in `order`, which must name
+// every item exactly once
+export function getReorderedPositions(assetIds: string[], order: string[]) {
+  const current = new Set(assetIds);
+  if (
+    !Array.isArray(order) ||
+    order.length !== current.size ||
+    new Set(order).size !== order.length ||
+    order.some(assetId => !current.has(assetId))
+  ) {
+    throw new WatchlistError("The new order must list every item in the watchlist exactly once");
+  }
+  return new Map(order.map((assetId, position) => [assetId, position]));
+}
+
+// Quote for an asset from the feed's price, with the day change measured
+// against the previous close; the stored price and change when there is no feed price
+export function toWatchlistQuote(
+  asset: QuotedAsset,
+  feed: { price: number; volume?: number; change?: number; changePercent?: number } | null
+): WatchlistQuote {
+  const base = { symbol: asset.symbol, name: asset.name, type: asset.type };
+
+  if (!feed) {
+    return {
+      ...base,
+      price: asset.currentPrice ?? null,
+      change: asset.change24h ?? 0,
+      changePercent: asset.changePercent ?? 0,
+      volume: asset.volume24h ?? null,
+      isLive: false,
+    };
+  }
+
+  let { change, changePercent } = feed;
+  if (change === undefined || changePercent === undefined) {
+    const previous = asset.previousPrice || asset.currentPrice;
+    change = previous ? roundAmount(feed.price - previous) : 0;
+    changePercent = previous ? roundAmount((change / previous) * 100) : 0;
+  }
+
+  return {
+    ...base,
+    price: feed.price,
+    change,
+    changePercent,
+    // Funds and gold report unlimited liquidity rather than a traded volume
+    volume: feed.volume !== undefined && Number.isFinite(feed.volume) ? feed.volume : null,
+    isLive: true,
+  };
+}
+
+// Live quotes keyed by asset id. A failed feed falls back to the stored
+// prices rather than failing the watchlist.
+export async function getWatchlistQuotes(assets: QuotedAsset[]) {
+  const marketData = MarketDataService.getInstance();
+  const unique = Array.from(new Map(assets.map(asset => [asset.id, asset])).values());
+  const batched = unique.filter(asset => BATCH_QUOTED_TYPES.includes(asset.type));
+  const others = unique.filter(asset => !BATCH_QUOTED_TYPES.includes(asset.type));
+
+  const [stockQuotes, otherPrices] = await Promise.all([
+    batched.length > 0
+      ? marketData
+        .getStockData(batched.map(asset => asset.symbol))
+        .then(rows => rows as Array<{ symbol: string; price: number; volume: number; change: number; changePercent: number }>)
+        .catch(error => {
+          console.error("Watchlist quote error:", error);
+          return [];
+        })
+      : Promise.resolve([]),
+    Promise.all(others.map(asset =>
+      marketData.getAssetPrice(asset.symbol, asset.type).catch(error => {
+        console.error("Watchlist quote error:", error);
+        return null;
+      })
+    )),
+  ]);
+
+  const quotes = new Map<string, WatchlistQuote>();
+  for (const asset of batched) {
+    quotes.set(asset.id, toWatchlistQuote(asset, stockQuotes.find(row => row.symbol === asset.symbol) || null));
+  }
+  others.forEach((asset, index) => quotes.set(asset.id, toWatchlistQuote(asset, otherPrices[index])));
+
+  return quotes;
+}
+
+function formatWatchlist(watchlist: WatchlistWithItems, quotes: Map<string, WatchlistQuote>, userId: string | null) {
+  return {
+    id: watchlist.id,
+    name: watchlist.name,
+    isPublic: watchlist.isPublic,
+    isOwner: watchlist.userId === userId,
+    createdAt: watchlist.createdAt,
+    items: watchlist.items.map(item => ({
+      assetId: item.assetId,
+      position: item.position,
+      addedAt: item.addedAt,
+      quote: quotes.get(item.assetId) || toWatchlistQuote(item.asset, null),
+    })),
+  };
+}
+
+async function withQuotes(watchlists: WatchlistWithItems[], userId: string | null) {
+  const quotes = await getWatchlistQuotes(watchlists.flatMap(watchlist => watchlist.items.map(item => item.asset)));
+  return watchlists.map(watchlist => formatWatchlist(watchlist, quotes, userId));
+}
+
+// Owners can change their watchlists; public ones can also be read by anyone
+async function findWatchlist(watchlistId: string, userId: string | null, options: { write?: boolean } = {}) {
+  const watchlist = await db.watchlist.findUnique({
+    where: { id: watchlistId },
+    include: watchlistInclude,
+  });
+
+  const isOwner = !!watchlist && !!userId && watchlist.userId === userId;
+  if (!watchlist || (!isOwner && (options.write || !watchlist.isPublic))) {
+    throw new WatchlistError("Watchlist not found", 404);
+  }
+
+  return watchlist;
+}
+
+function validateName(name: unknown) {
+  if (typeof name !== "string" || !name.trim()) {
+    throw new WatchlistError("Watchlist name is required");
+  }
+  if (name.trim().length > WATCHLIST_CONFIG.maxNameLength) {
+    throw new WatchlistError(`Watchlist names can be at most ${WATCHLIST_CONFIG.maxNameLength} characters`);
+  }
+  return name.trim();
+}
+
+async function assertNameAvailable(userId: string, name: string, watchlistId?: string) {
+  const existing = await db.watchlist.findFirst({
+    where: { userId, name, ...(watchlistId ? { id: { not: watchlistId } } : {}) },
+    select: { id: true },
+  });
+  if (existing) {
+    throw new WatchlistError("You already have a watchlist with this name");
+  }
+}
+
+async function findAssets(assetIds: string[]) {
+  const unique = Array.from(new Set(assetIds));
+  const assets = await db.asset.findMany({
+    where: { id: { in: unique }, isActive: true },
+    select: { id: true },
+  });
+  if (assets.length !== unique.length) {
+    throw new WatchlistError("Asset not found", 404);
+  }
+  return unique;
+}
+
+export async function getWatchlists(userId: string) {
+  const watchlists = await db.watchlist.findMany({
+    where: { userId },
+    include: watchlistInclude,
+    orderBy: { createdAt: "asc" },
+  });
+  return withQuotes(watchlists, userId);
+}
+
+export async function getWatchlist(watchlistId: string, userId: string | null) {
+  const [watchlist] = await withQuotes([await findWatchlist(watchlistId, userId)], userId);
+  return watchlist;
+}
+
+// Recently shared watchlists, without quotes; open one by id to see prices
+export async function getPublicWatchlists() {
+  const watchlists = await db.watchlist.findMany({
+    where: { isPublic: true },
+    include: {
+      user: { select: { name: true } },
+      items: {
+        orderBy: [{ position: "asc" }, { addedAt: "asc" }],
+        select: { asset: { select: { symbol: true } } },
+      },
+    },
+    orderBy: { createdAt: "desc" },
+    take: WATCHLIST_CONFIG.publicListLimit,
+  });
+
+  return watchlists.map(watchlist => ({
+    id: watchlist.id,
+    name: watchlist.name,
+    ownerName: watchlist.user.name,
+    createdAt: watchlist.createdAt,
+    itemCount: watchlist.items.length,
+    symbols: watchlist.items.map(item => item.asset.symbol),
+  }));
+}
+
+export async function createWatchlist(userId: string, body: WatchlistRequest) {
+  const name = validateName(body.name);
+  const assetIds = body.assetIds ?? [];
+
+  if (!Array.isArray(assetIds) || assetIds.length > WATCHLIST_CONFIG.maxItems) {
+    throw new WatchlistError(`A watchlist can hold at most ${WATCHLIST_CONFIG.maxItems} assets`);
+  }
+
+  const [user, count] = await Promise.all([
+    db.user.findUnique({ where: { id: userId }, select: { id: true } }),
+    db.watchlist.count({ where: { userId } }),
+  ]);
+
+  if (!user) {
+    throw new WatchlistError("User not found", 404);
+  }
+  if (count >= WATCHLIST_CONFIG.maxWatchlists) {
+    throw new WatchlistError(`You can have at most ${WATCHLIST_CONFIG.maxWatchlists} watchlists`);
+  }
+
+  await assertNameAvailable(userId, name);
+  const items = await findAssets(assetIds);
+
+  const watchlist = await db.watchlist.create({
+    data: {
+      userId,
+      name,
+      isPublic: body.isPublic === true,
+      items: { create: items.map((assetId, position) => ({ assetId, position })) },
+    },
+    include: watchlistInclude,
+  });
+
+  const [created] = await withQuotes([watchlist], userId);
+  return created;
+}
+
+// Rename, share or unshare, or reorder the items
+export async function updateWatchlist(userId: string, watchlistId: string, body: WatchlistRequest) {
+  const watchlist = await findWatchlist(watchlistId, userId, { write: true });
+  const data: Prisma.WatchlistUpdateInput = {};
+
+  if (body.name !== undefined) {
+    data.name = validateName(body.name);
+    await assertNameAvailable(userId, data.name, watchlistId);
+  }
+
+  if (body.isPublic !== undefined) {
+    if (typeof body.isPublic !== "boolean") {
+      throw new WatchlistError("isPublic must be true or false");
+    }
+    data.isPublic = body.isPublic;
+  }
+
+  const positions = body.assetIds !== undefined
+    ? getReorderedPositions(watchlist.items.map(item => item.assetId), body.assetIds)
+    : null;
+
+  await db.$transaction([
+    db.watchlist.update({ where: { id: watchlistId }, data }),
+    ...watchlist.items
+      .filter(item => positions && positions.get(item.assetId) !== item.position)
+      .map(item => db.watchlistItem.update({
+        where: { id: item.id },
+        data: { position: positions!.get(item.assetId)! },
+      })),
+  ]);
+
+  return getWatchlist(watchlistId, userId);
+}
+
+export async function deleteWatchlist(userId: string, watchlistId: string) {
+  await findWatchlist(watchlistId, userId, { write: true });
+  await db.watchlist.delete({ where: { id: watchlistId } });
+}
+
+// New items go to the end of the list
+export async function addWatchlistItem(userId: string, watchlistId: string, assetId: string) {
+  const watchlist = await findWatchlist(watchlistId, userId, { write: true });
+
+  if (watchlist.items.some(item => item.assetId === assetId)) {
+    throw new WatchlistError("Asset is already in this watchlist");
+  }
+  if (watchlist.items.length >= WATCHLIST_CONFIG.maxItems) {
+    throw new WatchlistError(`A watchlist can hold at most ${WATCHLIST_CONFIG.maxItems} assets`);
+  }
+
+  await findAssets([assetId]);
+  const position = watchlist.items.reduce((max, item) => Math.max(max, item.position + 1), 0);
+
+  await db.watchlistItem.create({ data: { watchlistId, assetId, position } });
+
+  return getWatchlist(watchlistId, userId);
+}
+
+export async function removeWatchlistItem(userId: string, watchlistId: string, assetId: string) {
+  const watchlist = await findWatchlist(watchlistId, userId, { write: true });
+  const item = watchlist.items.find(row => row.assetId === assetId);
+
+  if (!item) {
+    throw new WatchlistError("Asset is not in this watchlist", 404);
+  }
+
+  await db.watchlistItem.delete({ where: { id: item.id } });
+
+  return getWatchlist(watchlistId, userId);
+}